@@ -0,0 +1,22 @@
+// scripts/generateApiClient.js
+/**
+ * Regenerate cardFrontend/src/api/gameApiClient.js from the OpenAPI document.
+ * Usage: npm run generate:client
+ */
+
+// Building the router must not touch the configured game storage
+process.env.STORAGE_DRIVER = 'memory';
+
+const fs = require('fs');
+const path = require('path');
+const gameRoutes = require('../src/routes/gameRoutes');
+const schemas = require('../src/validation/requestSchemas');
+const { buildOpenApiDocument } = require('../src/utils/openApiDocument');
+const { generateApiClientSource } = require('../src/utils/apiClientGenerator');
+
+const CLIENT_PATH = path.join(__dirname, '../../cardFrontend/src/api/gameApiClient.js');
+
+const source = generateApiClientSource(buildOpenApiDocument(gameRoutes, schemas));
+fs.mkdirSync(path.dirname(CLIENT_PATH), { recursive: true });
+fs.writeFileSync(CLIENT_PATH, source);
+console.log(`✅ Wrote ${path.relative(process.cwd(), CLIENT_PATH)}`);
@@ -3,25 +3,42 @@ const cors = require('cors');
 const config = require('./src/config/config');
 const gameRoutes = require('./src/routes/gameRoutes');
 const deckManager = require('./src/services/DeckManager');
+const gameLifecycleManager = require('./src/services/GameLifecycleManager');
+const gameEventBroadcaster = require('./src/services/GameEventBroadcaster');
+const gameLogic = require('./src/services/GameLogic');
+const { sendError } = require('./src/controllers/errorResponses');
+const { GameError } = require('./src/utils/gameErrors');
+const { requestContext } = require('./src/middleware/requestContext');
+const { createLogger } = require('./src/utils/logger');
+
+const logger = createLogger('server');
 
 const app = express();
 
+// Game replays outgrow the default 100kb body limit; the import route parses its own body
+// once the admin token has been checked (see gameRoutes)
+const REPLAY_IMPORT_PATH = '/api/game/admin/games/import';
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ type: req => req.path !== REPLAY_IMPORT_PATH && Boolean(req.is('application/json')) }));
+// Request ID plus gameId / playerId on every log line written while handling the request
+app.use(requestContext);
 
 // Routes
 app.use('/api/game', gameRoutes);
 
-// Error handling middleware
+// Error handling middleware (no stack traces in responses)
 app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: 'Something went wrong!' });
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, new GameError('INVALID_JSON'));
+    }
+    sendError(res, err);
 });
 
 // 404 handler
 app.use((req, res) => {
-    res.status(404).json({ error: 'Route not found' });
+    sendError(res, new GameError('ROUTE_NOT_FOUND', { path: req.path }));
 });
 
 let server;
@@ -29,42 +46,50 @@ let server;
 // Start server (DeckManager is already initialized synchronously)
 function startServer() {
     try {
-        console.log('DeckManager already initialized synchronously');
+        logger.debug('DeckManager already initialized synchronously');
 
         // Start the server
         server = app.listen(config.port, () => {
-            console.log(`Server is running on port ${config.port}`);
+            logger.info('Server is running', { port: config.port });
         });
 
+        // Periodically archive finished games and expire abandoned rooms
+        gameLifecycleManager.start();
+
+        // Games stored before a restart still have players on the clock
+        gameLogic.restoreTurnTimers().catch(error => logger.error('Failed to restore turn timers', { error }));
+
         // Handle server errors
         server.on('error', (error) => {
-            console.error('Server error:', error);
+            logger.error('Server error', { error });
             process.exit(1);
         });
 
         return server;
     } catch (error) {
-        console.error('Failed to start server:', error);
+        logger.error('Failed to start server', { error });
         process.exit(1);
     }
 }
 
 // Handle process termination
 process.on('SIGTERM', () => {
-    console.log('SIGTERM received. Shutting down gracefully...');
+    logger.info('SIGTERM received. Shutting down gracefully...');
     if (server) {
+        gameEventBroadcaster.closeAll();
         server.close(() => {
-            console.log('Server closed');
+            logger.info('Server closed');
             process.exit(0);
         });
     }
 });
 
 process.on('SIGINT', () => {
-    console.log('SIGINT received. Shutting down gracefully...');
+    logger.info('SIGINT received. Shutting down gracefully...');
     if (server) {
+        gameEventBroadcaster.closeAll();
         server.close(() => {
-            console.log('Server closed');
+            logger.info('Server closed');
             process.exit(0);
         });
     }
@@ -1,5 +1,14 @@
 // src/config/config.js
 require('dotenv').config();
+const path = require('path');
+
+// "EffectSimulator=debug,GameLogic=warn" -> { EffectSimulator: 'debug', GameLogic: 'warn' }
+function parseModuleLevels(value) {
+    return Object.fromEntries((value || '')
+        .split(',')
+        .map(entry => entry.split('=').map(part => part.trim()))
+        .filter(([moduleName, level]) => moduleName && level));
+}
 
 const config = {
     port: process.env.PORT || 8080,
@@ -8,6 +17,66 @@ const config = {
     // If you plan to add database
     database: {
         url: process.env.DB_URL || 'your_default_db_url',
+    },
+    // Game state storage backend: 'memory', 'file' or 'sqlite'
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'file',
+        dataDir: process.env.STORAGE_DATA_DIR || path.join(__dirname, '../gameData'),
+        sqliteFile: process.env.STORAGE_SQLITE_FILE || path.join(__dirname, '../gameData/games.sqlite')
+    },
+    // Spectators see a redacted view; the caster view shows both hands after a delay
+    // and is only available when CASTER_KEY is set
+    spectator: {
+        casterKey: process.env.CASTER_KEY || null,
+        casterDelaySeconds: parseInt(process.env.CASTER_DELAY_SECONDS, 10) || 30
+    },
+    // Admin routes (/admin/...) need this token as "Authorization: Bearer <token>" or
+    // X-Admin-Token; without ADMIN_TOKEN they are disabled
+    admin: {
+        token: process.env.ADMIN_TOKEN || null
+    },
+    // Structured logs: JSON lines (LOG_FORMAT=pretty for reading in a terminal) at LOG_LEVEL,
+    // with per-module overrides in LOG_MODULE_LEVELS. Silent under tests unless LOG_LEVEL is set.
+    logging: {
+        level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info'),
+        moduleLevels: parseModuleLevels(process.env.LOG_MODULE_LEVELS),
+        format: process.env.LOG_FORMAT || 'json'
+    },
+    // Server-enforced clocks: a limit per turn plus a time bank per player for the whole game.
+    // A player who runs out of turn time is auto-passed; maxTimeouts timeouts in a row
+    // or an empty time bank forfeits the game. TURN_TIMER=off disables the clocks.
+    // Turns that ran out while the server was down get restartGraceSeconds after a restart.
+    turnTimer: {
+        enabled: process.env.TURN_TIMER !== 'off',
+        turnSeconds: parseInt(process.env.TURN_TIME_SECONDS, 10) || 90,
+        gameSeconds: parseInt(process.env.GAME_TIME_SECONDS, 10) || 1200,
+        warningSeconds: parseInt(process.env.TURN_WARNING_SECONDS, 10) || 15,
+        maxTimeouts: parseInt(process.env.MAX_TURN_TIMEOUTS, 10) || 3,
+        restartGraceSeconds: parseInt(process.env.TURN_RESTART_GRACE_SECONDS, 10) || 30
+    },
+    // Stale games are swept periodically. TTLs count from the game's last update:
+    // finished and abandoned games are archived as match-history records, waiting and
+    // closed rooms are simply removed.
+    lifecycle: {
+        sweepIntervalSeconds: parseInt(process.env.LIFECYCLE_SWEEP_SECONDS, 10) || 300,
+        ttlSeconds: {
+            WAITING_FOR_PLAYERS: parseInt(process.env.WAITING_ROOM_TTL_SECONDS, 10) || 1800,
+            ROOM_CLOSED: parseInt(process.env.CLOSED_ROOM_TTL_SECONDS, 10) || 300,
+            GAME_END: parseInt(process.env.FINISHED_GAME_TTL_SECONDS, 10) || 600,
+            IN_PROGRESS: parseInt(process.env.IDLE_GAME_TTL_SECONDS, 10) || 86400
+        }
+    },
+    // Elo ratings of ranked games. New players start at initialRating and move faster
+    // (provisionalKFactor) for their first provisionalGames games. A forfeit before
+    // minForfeitTurns turns is not rated, and the same two players get at most
+    // maxPairGamesPerDay rated games in 24 hours, so games thrown to a friend gain little.
+    ratings: {
+        initialRating: parseInt(process.env.RATING_INITIAL, 10) || 1500,
+        kFactor: parseInt(process.env.RATING_K_FACTOR, 10) || 24,
+        provisionalKFactor: parseInt(process.env.RATING_PROVISIONAL_K_FACTOR, 10) || 40,
+        provisionalGames: parseInt(process.env.RATING_PROVISIONAL_GAMES, 10) || 10,
+        minForfeitTurns: parseInt(process.env.RATING_MIN_FORFEIT_TURNS, 10) || 3,
+        maxPairGamesPerDay: parseInt(process.env.RATING_MAX_PAIR_GAMES_PER_DAY, 10) || 3
     }
 };
 
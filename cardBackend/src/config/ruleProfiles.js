@@ -0,0 +1,110 @@
+// src/config/ruleProfiles.js
+/**
+ * Named rulesets a game can be created with
+ * The creator picks a profile (gameConfig.ruleProfile); its values are copied into
+ * gameEnv.rules, so a game keeps its rules even if a profile changes later. The engine
+ * and the frontend read gameEnv.rules instead of fixed numbers. The creator may also pick
+ * how the first player is decided (gameConfig.firstPlayerMode), allow takebacks
+ * (gameConfig.takebacks) and make the game ranked (gameConfig.ranked, see RatingService).
+ */
+
+const { GameError } = require('../utils/gameErrors');
+
+// How the first player is decided (see mozGamePlay.decideFirstPlayer):
+// - leaderInitialPoint: the first leader with the higher initial point starts, a coin flip breaks ties
+// - coinFlip: a coin flip
+// - loserOfPreviousGame: the loser of gameConfig.previousGameId starts (leaderInitialPoint without one)
+const FIRST_PLAYER_MODES = ['leaderInitialPoint', 'coinFlip', 'loserOfPreviousGame'];
+
+// Whether a player may take back their last action (see TakebackManager):
+// - off: never
+// - onRequest: if the opponent accepts (casual games)
+// - automatic: accepted at once (solo practice, one person playing both seats)
+const TAKEBACK_MODES = ['off', 'onRequest', 'automatic'];
+
+const RULE_PROFILES = {
+    standard: {
+        victoryPointsToWin: 50, // Reaching this ends the game at once
+        handSize: 7,            // Opening hand (and every redrawn hand)
+        redraws: 1,             // Opening hand redraws per player
+        leaderBattles: 4,       // Leader battles in a match, capped by the leaders in each deck
+        firstPlayerMode: 'leaderInitialPoint',
+        takebacks: 'off'
+    },
+    quick: {
+        victoryPointsToWin: 30,
+        handSize: 5,
+        redraws: 0,
+        leaderBattles: 2,
+        firstPlayerMode: 'leaderInitialPoint',
+        takebacks: 'off'
+    },
+    marathon: {
+        victoryPointsToWin: 100,
+        handSize: 8,
+        redraws: 2,
+        leaderBattles: 4,
+        firstPlayerMode: 'leaderInitialPoint',
+        takebacks: 'off'
+    }
+};
+
+const DEFAULT_RULE_PROFILE = 'standard';
+
+/**
+ * Rules for a new game
+ * @param {string} [profile] - Profile name; the default profile when omitted
+ * @param {Object} [options] - { firstPlayerMode, takebacks } overriding the profile's, and
+ *     ranked to rate the game; ranked games allow no takebacks
+ * @returns {Object} { profile, victoryPointsToWin, handSize, redraws, leaderBattles, firstPlayerMode, takebacks, ranked? }
+ */
+function createGameRules(profile = DEFAULT_RULE_PROFILE, { firstPlayerMode, takebacks, ranked } = {}) {
+    const values = RULE_PROFILES[profile];
+    if (!values) {
+        throw new GameError('INVALID_REQUEST', { fields: ['gameConfig.ruleProfile'] });
+    }
+    if (firstPlayerMode !== undefined && !FIRST_PLAYER_MODES.includes(firstPlayerMode)) {
+        throw new GameError('INVALID_REQUEST', { fields: ['gameConfig.firstPlayerMode'] });
+    }
+    if (takebacks !== undefined && !TAKEBACK_MODES.includes(takebacks)) {
+        throw new GameError('INVALID_REQUEST', { fields: ['gameConfig.takebacks'] });
+    }
+    if (ranked && takebacks && takebacks !== 'off') {
+        throw new GameError('INVALID_REQUEST', { fields: ['gameConfig.takebacks'] });
+    }
+    return {
+        profile,
+        ...values,
+        ...(firstPlayerMode ? { firstPlayerMode } : {}),
+        ...(takebacks ? { takebacks } : {}),
+        ...(ranked ? { ranked: true } : {})
+    };
+}
+
+// Games created before rule profiles existed play by the default profile
+function getGameRules(gameEnv) {
+    return (gameEnv && gameEnv.rules) || createGameRules();
+}
+
+/**
+ * Leader battles a game actually plays: the rules' count, capped by the leaders in each
+ * dealt deck. The match ends after the last of them, however many the profile names.
+ * @param {Object} gameEnv - Game environment
+ * @returns {number}
+ */
+function getLeaderBattleCount(gameEnv) {
+    const leaderCounts = Object.keys(gameEnv || {})
+        .filter(key => key.startsWith('playerId_') && gameEnv[key] && gameEnv[key].deck && Array.isArray(gameEnv[key].deck.leader))
+        .map(playerId => gameEnv[playerId].deck.leader.length);
+    return Math.min(getGameRules(gameEnv).leaderBattles, ...leaderCounts);
+}
+
+module.exports = {
+    FIRST_PLAYER_MODES,
+    TAKEBACK_MODES,
+    RULE_PROFILES,
+    DEFAULT_RULE_PROFILE,
+    createGameRules,
+    getGameRules,
+    getLeaderBattleCount
+};
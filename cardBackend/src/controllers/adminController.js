@@ -0,0 +1,76 @@
+// src/controllers/adminController.js
+const gameAdminService = require('../services/GameAdminService');
+const gameReplayService = require('../services/GameReplayService');
+const { sendError } = require('./errorResponses');
+
+class AdminController {
+    async listGames(req, res) {
+        try {
+            const games = await gameAdminService.listGames(req.query.phase);
+            res.json({ games });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async getGame(req, res) {
+        try {
+            res.json(await gameAdminService.getGame(req.params.gameId));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async exportGame(req, res) {
+        try {
+            const replay = await gameReplayService.exportGame(req.params.gameId);
+            res.setHeader('Content-Disposition', `attachment; filename="game-${replay.gameId}.replay.json"`);
+            res.json(replay);
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async importGame(req, res) {
+        try {
+            res.status(201).json(await gameReplayService.importGame(req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async clearSelections(req, res) {
+        try {
+            res.json(await gameAdminService.clearSelections(req.params.gameId, req.body.reason));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async forcePhase(req, res) {
+        try {
+            const { phase, currentPlayer, reason } = req.body;
+            res.json(await gameAdminService.forcePhase(req.params.gameId, phase, currentPlayer, reason));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async awardWin(req, res) {
+        try {
+            res.json(await gameAdminService.awardWin(req.params.gameId, req.body.winner, req.body.reason));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async declareDraw(req, res) {
+        try {
+            res.json(await gameAdminService.declareDraw(req.params.gameId, req.body.reason));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = new AdminController();
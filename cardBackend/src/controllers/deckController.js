@@ -0,0 +1,55 @@
+// src/controllers/deckController.js
+const deckManager = require('../services/DeckManager');
+const { sendError } = require('./errorResponses');
+
+class DeckController {
+    async listPlayerDecks(req, res) {
+        try {
+            res.json(await deckManager.listPlayerDecks(req.params.playerName));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async createDeck(req, res) {
+        try {
+            res.status(201).json(await deckManager.createDeck(req.params.playerName, req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async updateDeck(req, res) {
+        try {
+            res.json(await deckManager.updateDeck(req.params.playerName, req.params.deckId, req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async cloneDeck(req, res) {
+        try {
+            res.status(201).json(await deckManager.cloneDeck(req.params.playerName, req.params.deckId, req.body.name));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async deleteDeck(req, res) {
+        try {
+            res.json(await deckManager.deleteDeck(req.params.playerName, req.params.deckId));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async setActiveDeck(req, res) {
+        try {
+            res.json(await deckManager.setActiveDeck(req.params.playerName, req.body.deckId));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = new DeckController();
@@ -0,0 +1,59 @@
+// src/controllers/errorResponses.js
+/**
+ * Turns errors raised while handling a request into JSON error responses.
+ * Catalogued errors (GameError and its subclasses) answer with their own 4xx status, `code`
+ * and `params`; anything else is logged here and answered with a generic 500, so stack
+ * traces and internal messages never reach clients.
+ */
+
+const gameLogic = require('../services/GameLogic');
+const metricsRegistry = require('../services/MetricsRegistry');
+const { GameError, GameStateConflictError } = require('../utils/gameErrors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('errorResponses');
+
+const ruleViolations = metricsRegistry.counter('game_rule_violations_total', 'Moves rejected by the game rules (422 responses), by error code', ['code']);
+
+// Stale writes get 409 plus the fresh state (as the requesting player sees it) so the client can resync without another poll
+function sendConflict(res, error, viewerId) {
+    const { gameId, gameEnv, updateUUID, version } = gameLogic.transformGameStateForFrontend(error.currentGame, viewerId) || {};
+    return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        gameId,
+        gameEnv,
+        updateUUID,
+        version
+    });
+}
+
+/**
+ * Send the response for an error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised by the handler
+ * @param {string} viewerId - Seat a conflict's fresh state is projected for
+ * @returns {Object} Express response
+ */
+function sendError(res, error, viewerId = null) {
+    if (error instanceof GameStateConflictError) {
+        return sendConflict(res, error, viewerId);
+    }
+    if (error instanceof GameError) {
+        if (error.status === 422) {
+            ruleViolations.inc({ code: error.code });
+        }
+        return res.status(error.status).json({
+            error: error.message,
+            code: error.code,
+            params: error.params || {}
+        });
+    }
+
+    logger.error('Unhandled request error', { error });
+    return res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+}
+
+module.exports = {
+    sendError
+};
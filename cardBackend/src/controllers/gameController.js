@@ -1,13 +1,18 @@
 // src/controllers/gameController.js
 const gameLogic = require('../services/GameLogic');
 const deckManager = require('../services/DeckManager');
+const gameEventBroadcaster = require('../services/GameEventBroadcaster');
+const gameLifecycleManager = require('../services/GameLifecycleManager');
+const { GameError } = require('../utils/gameErrors');
+const { sendError } = require('./errorResponses');
+
 class GameController {
     async startGame(req, res) {
         try {
             const gameState = await gameLogic.createNewGame(req);
             res.json(gameState);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error, req.body.playerId);
         }
     }
 
@@ -16,7 +21,7 @@ class GameController {
             const gameState = await gameLogic.joinRoom(req);
             res.json(gameState);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error, req.body.playerId);
         }
     }
     async getPlayerDecks(req, res) {
@@ -25,7 +30,7 @@ class GameController {
             const decks = await deckManager.getPlayerDecks(playerId);
             res.json(decks);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 
@@ -34,7 +39,7 @@ class GameController {
             const gameState = await gameLogic.startReady(req);
             res.json(gameState);
         } catch (error) {
-            res.status(500).json({ error: error.message ,stack: error.stack});
+            sendError(res, error, req.body.playerId);
         }
     }
 
@@ -43,28 +48,89 @@ class GameController {
             const gameState = await gameLogic.processPlayerAction(req);
             res.json(gameState);
         } catch (error) {
-            res.status(500).json({ error: error.message ,stack: error.stack});
+            sendError(res, error, req.body.playerId);
+        }
+    }
+
+    async requestTakeback(req, res) {
+        try {
+            const gameState = await gameLogic.requestTakeback(req);
+            res.json(gameState);
+        } catch (error) {
+            sendError(res, error, req.body.playerId);
+        }
+    }
+
+    async respondTakeback(req, res) {
+        try {
+            const gameState = await gameLogic.respondTakeback(req);
+            res.json(gameState);
+        } catch (error) {
+            sendError(res, error, req.body.playerId);
         }
     }
 
     async getPlayerData(req, res) {
         try {
-            const { playerId } = req.params;
+            // The session decides whose view is returned, never the URL
+            const { playerId } = req.playerSession;
             const { gameId } = req.query; // Get gameId from query parameter
             
             if (!gameId) {
-                return res.status(400).json({ error: 'gameId query parameter is required' });
+                return sendError(res, new GameError('MISSING_PARAMETERS', { fields: ['gameId'] }));
             }
             
-            let gameState = await gameLogic.getGameState(gameId);
+            let gameState = await gameLogic.getGameState(gameId, playerId);
             
             if (!gameState) {
-                return res.status(404).json({ error: 'Game not found' });
+                return sendError(res, new GameError('GAME_NOT_FOUND', { gameId }));
             }
 
             res.json(gameState);
         } catch (error) {
-            res.status(500).json({ error: error.message ,stack: error.stack});
+            sendError(res, error);
+        }
+    }
+
+    async resumeGame(req, res) {
+        try {
+            const { gameId, playerId } = req.body;
+            const resumeState = await gameLogic.resumeGame(gameId, playerId);
+
+            if (!resumeState) {
+                return sendError(res, new GameError('GAME_NOT_FOUND', { gameId }));
+            }
+
+            res.json(resumeState);
+        } catch (error) {
+            sendError(res, error, req.body.playerId);
+        }
+    }
+
+    async getGameCounts(req, res) {
+        try {
+            res.json(await gameLifecycleManager.getCounts());
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async streamGameState(req, res) {
+        try {
+            const { playerId } = req.playerSession;
+            const { gameId } = req.query;
+            
+            if (!gameId) {
+                return sendError(res, new GameError('MISSING_PARAMETERS', { fields: ['gameId'] }));
+            }
+            
+            // Unknown games raise GAME_NOT_FOUND (404)
+            const game = await gameLogic.readJSONFileAsync(gameId);
+            
+            // Response stays open; state is pushed on every save until the client disconnects
+            gameEventBroadcaster.subscribe(gameId, playerId, req, res, game);
+        } catch (error) {
+            sendError(res, error);
         }
     }
 
@@ -73,7 +139,7 @@ class GameController {
             let gameState = await gameLogic.playerAIAction(req);
             res.json(gameState);
         } catch (error) {
-            res.status(500).json({ error: error.message  ,stack: error.stack});
+            sendError(res, error);
         }
     }
 
@@ -82,7 +148,7 @@ class GameController {
             const gameState = await gameLogic.selectCard(req);
             res.json(gameState);
         } catch (error) {
-            res.status(500).json({ error: error.message, stack: error.stack });
+            sendError(res, error, req.body.playerId);
         }
     }
 
@@ -91,24 +157,22 @@ class GameController {
             const result = await gameLogic.setCaseInGameLogic(req);
             res.json(result);
         } catch (error) {
-            console.error('Error in setCase:', error);
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 
     async updateScore(req, res) {
         try {
-            const { playerId } = req.params;
-            const { score, gameId } = req.body;
+            const { playerId, score, gameId } = req.body;
             
             if (!gameId) {
-                return res.status(400).json({ error: 'gameId is required' });
+                return sendError(res, new GameError('MISSING_PARAMETERS', { fields: ['gameId'] }));
             }
             
-            const updatedState = await gameLogic.updateGameState(gameId, { score });
+            const updatedState = await gameLogic.updateGameState(gameId, { score }, { ...req.body, playerId });
             res.json(updatedState);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error, req.body.playerId);
         }
     }
 
@@ -117,17 +181,17 @@ class GameController {
             const { gameId, eventIds } = req.body;
             
             if (!gameId) {
-                return res.status(400).json({ error: 'gameId is required' });
+                return sendError(res, new GameError('MISSING_PARAMETERS', { fields: ['gameId'] }));
             }
             
             if (!eventIds || !Array.isArray(eventIds)) {
-                return res.status(400).json({ error: 'eventIds array is required' });
+                return sendError(res, new GameError('MISSING_PARAMETERS', { fields: ['eventIds'] }));
             }
             
-            const result = await gameLogic.acknowledgeGameEvents(gameId, eventIds);
+            const result = await gameLogic.acknowledgeGameEvents(gameId, eventIds, req.body);
             res.json(result);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error, req.body.playerId);
         }
     }
 
@@ -136,13 +200,13 @@ class GameController {
             const { gameId } = req.body;
             
             if (!gameId) {
-                return res.status(400).json({ error: 'gameId is required' });
+                return sendError(res, new GameError('MISSING_PARAMETERS', { fields: ['gameId'] }));
             }
             
-            const result = await gameLogic.nextRound(gameId);
+            const result = await gameLogic.nextRound(gameId, req.body);
             res.json(result);
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error, req.body.playerId);
         }
     }
 
@@ -152,14 +216,13 @@ class GameController {
             const { gameId, gameEnv } = req.body;
             
             if (!gameEnv) {
-                return res.status(400).json({ error: 'gameEnv is required' });
+                return sendError(res, new GameError('MISSING_PARAMETERS', { fields: ['gameEnv'] }));
             }
 
             const result = await gameLogic.injectGameState(gameId, gameEnv);
             res.json(result);
         } catch (error) {
-            console.error('Error in injectGameState:', error);
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 }
@@ -0,0 +1,57 @@
+// src/controllers/lobbyController.js
+const gameLogic = require('../services/GameLogic');
+const lobbyManager = require('../services/LobbyManager');
+const { GameError } = require('../utils/gameErrors');
+const { sendError } = require('./errorResponses');
+const { setLogContext } = require('../utils/logger');
+
+class LobbyController {
+    async listRooms(req, res) {
+        try {
+            const rooms = await lobbyManager.listOpenRooms();
+            res.json({ rooms });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    // Route middleware: look up :roomCode and target its game (req.room, req.body.gameId)
+    async resolveRoom(req, res, next) {
+        try {
+            const room = await lobbyManager.getRoom(req.params.roomCode);
+            if (!room) {
+                return sendError(res, new GameError('ROOM_NOT_FOUND', { roomCode: req.params.roomCode }));
+            }
+            req.room = room;
+            req.body = { ...req.body, gameId: room.gameId };
+            setLogContext({ gameId: room.gameId });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getRoom(req, res) {
+        res.json(lobbyManager.toPublicRoom(req.room));
+    }
+
+    async joinRoomByCode(req, res) {
+        try {
+            const gameState = await gameLogic.joinRoom(req);
+            res.json({ ...gameState, roomCode: req.room.roomCode });
+        } catch (error) {
+            sendError(res, error, req.body.playerId);
+        }
+    }
+
+    async closeRoom(req, res) {
+        try {
+            const gameState = await gameLogic.closeRoom(req.room.gameId, req.body.playerId);
+            res.json(gameState);
+        } catch (error) {
+            sendError(res, error, req.body.playerId);
+        }
+    }
+}
+
+module.exports = new LobbyController();
@@ -0,0 +1,31 @@
+// src/controllers/metricsController.js
+const metricsRegistry = require('../services/MetricsRegistry');
+const gameLifecycleManager = require('../services/GameLifecycleManager');
+const gameActionQueue = require('../services/GameActionQueue');
+const { sendError } = require('./errorResponses');
+
+const gamesByPhase = metricsRegistry.gauge('game_active_games', 'Stored (not yet archived) games, by phase', ['phase']);
+const busyGames = metricsRegistry.gauge('game_busy_games', 'Games with queued or running actions');
+
+// Read at scrape time; phases that emptied out since the last scrape drop to nothing
+metricsRegistry.addCollector(async () => {
+    gamesByPhase.reset();
+    Object.entries(await gameLifecycleManager.getPhaseCounts()).forEach(([phase, count]) => {
+        gamesByPhase.set({ phase }, count);
+    });
+    busyGames.set({}, gameActionQueue.getActiveGameIds().length);
+});
+
+class MetricsController {
+    async getMetrics(req, res) {
+        try {
+            const body = await metricsRegistry.render();
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(body);
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = new MetricsController();
@@ -0,0 +1,15 @@
+// src/controllers/playerKeyController.js
+const playerKeyService = require('../services/PlayerKeyService');
+const { sendError } = require('./errorResponses');
+
+class PlayerKeyController {
+    async claimPlayerName(req, res) {
+        try {
+            res.status(201).json(await playerKeyService.claimName(req.params.playerName));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = new PlayerKeyController();
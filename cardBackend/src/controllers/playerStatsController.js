@@ -0,0 +1,48 @@
+// src/controllers/playerStatsController.js
+const matchHistoryService = require('../services/MatchHistoryService');
+const ratingService = require('../services/RatingService');
+const { sendError } = require('./errorResponses');
+
+const DEFAULT_MATCH_LIMIT = 20;
+const DEFAULT_LEADERBOARD_LIMIT = 50;
+
+class PlayerStatsController {
+    async getPlayerStats(req, res) {
+        try {
+            res.json(await matchHistoryService.getPlayerStats(req.params.playerName));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async getPlayerMatches(req, res) {
+        try {
+            const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_MATCH_LIMIT;
+            res.json(await matchHistoryService.getPlayerMatches(req.params.playerName, limit));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async getRatingHistory(req, res) {
+        try {
+            const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_MATCH_LIMIT;
+            res.json(await ratingService.getRatingHistory(req.params.playerName, limit));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async getLeaderboard(req, res) {
+        try {
+            res.json(await ratingService.getLeaderboard({
+                limit: req.query.limit ? Number(req.query.limit) : DEFAULT_LEADERBOARD_LIMIT,
+                includeProvisional: req.query.includeProvisional === 'true'
+            }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = new PlayerStatsController();
@@ -0,0 +1,98 @@
+// src/controllers/spectatorController.js
+const crypto = require('crypto');
+const config = require('../config/config');
+const gameLogic = require('../services/GameLogic');
+const lobbyManager = require('../services/LobbyManager');
+const sessionManager = require('../services/SessionManager');
+const gameEventBroadcaster = require('../services/GameEventBroadcaster');
+const { GameError } = require('../utils/gameErrors');
+const { sendError } = require('./errorResponses');
+
+const WATCHER_ROLES = ['spectator', 'caster'];
+
+function isValidCasterKey(casterKey) {
+    const expected = config.spectator.casterKey;
+    if (!expected || typeof casterKey !== 'string') {
+        return false;
+    }
+    const a = Buffer.from(casterKey);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// EventSource cannot set headers, so watchers may also pass ?token=
+async function getWatcherSession(req) {
+    const session = await sessionManager.getSession(req.query.token || sessionManager.readToken(req));
+    return session && WATCHER_ROLES.includes(session.role) ? session : null;
+}
+
+class SpectatorController {
+    async spectateRoom(req, res) {
+        try {
+            const { passcode, view = 'spectator', casterKey } = req.body;
+            const room = req.room;
+
+            await lobbyManager.verifyPasscode(room, passcode);
+
+            const isCaster = view === 'caster';
+            if (isCaster && !isValidCasterKey(casterKey)) {
+                return sendError(res, new GameError('CASTER_KEY_INVALID'));
+            }
+
+            // Spectator ids never look like a seat ("playerId_*"), so every hand stays hidden
+            const spectatorId = `spectator_${crypto.randomBytes(4).toString('hex')}`;
+            const session = await sessionManager.createSession(room.gameId, spectatorId, isCaster ? 'caster' : 'spectator');
+            const gameState = await gameLogic.getGameState(room.gameId, spectatorId);
+
+            res.json({
+                ...gameState,
+                roomCode: room.roomCode,
+                spectatorId,
+                role: session.role,
+                sessionToken: session.token,
+                delaySeconds: isCaster ? config.spectator.casterDelaySeconds : 0
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    // Polling fallback; always the redacted view, the caster view is stream-only
+    async getSpectatorState(req, res) {
+        try {
+            const session = await getWatcherSession(req);
+            if (!session) {
+                return sendError(res, new GameError('SESSION_REQUIRED', {}, 'A valid spectator token is required'));
+            }
+
+            const gameState = await gameLogic.getGameState(session.gameId, session.playerId);
+            if (!gameState) {
+                return sendError(res, new GameError('GAME_NOT_FOUND', { gameId: session.gameId }));
+            }
+            res.json(gameState);
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+
+    async streamSpectatorView(req, res) {
+        try {
+            const session = await getWatcherSession(req);
+            if (!session) {
+                return sendError(res, new GameError('SESSION_REQUIRED', {}, 'A valid spectator token is required'));
+            }
+
+            // Unknown games raise GAME_NOT_FOUND (404)
+            const game = await gameLogic.readJSONFileAsync(session.gameId);
+
+            const options = session.role === 'caster'
+                ? { revealAll: true, delayMs: config.spectator.casterDelaySeconds * 1000 }
+                : {};
+            gameEventBroadcaster.subscribe(session.gameId, session.playerId, req, res, game, options);
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+}
+
+module.exports = new SpectatorController();
@@ -0,0 +1,35 @@
+// src/middleware/requestContext.js
+const { v4: uuidv4 } = require('uuid');
+const { startLogContext } = require('../utils/logger');
+
+// Accept a caller's X-Request-Id only when it looks like an id, so it is safe to log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+function pickId(...values) {
+    const value = values.find(candidate => typeof candidate === 'string' && candidate);
+    return value || undefined;
+}
+
+/**
+ * Give every request a log context: a request ID (echoed as X-Request-Id) plus the
+ * gameId and playerId named in its body or query. requirePlayerSession and resolveRoom
+ * refine the context once they know the real seat and game; queued game actions add
+ * their gameId themselves.
+ */
+function requestContext(req, res, next) {
+    const incomingId = req.headers['x-request-id'];
+    const requestId = REQUEST_ID_PATTERN.test(incomingId || '') ? incomingId : uuidv4();
+    res.setHeader('X-Request-Id', requestId);
+
+    const body = req.body || {};
+    const query = req.query || {};
+    startLogContext({
+        requestId,
+        gameId: pickId(body.gameId, query.gameId),
+        playerId: pickId(body.playerId, query.playerId)
+    }, next);
+}
+
+module.exports = {
+    requestContext
+};
@@ -0,0 +1,42 @@
+// src/middleware/requireAdminToken.js
+const crypto = require('crypto');
+const config = require('../config/config');
+const { sendError } = require('../controllers/errorResponses');
+const { GameError } = require('../utils/gameErrors');
+
+// Token comes as "Authorization: Bearer <token>" or X-Admin-Token
+function readAdminToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-admin-token'] || null;
+}
+
+function isValidAdminToken(token) {
+    const expected = config.admin.token;
+    if (typeof token !== 'string') {
+        return false;
+    }
+    const a = Buffer.from(token);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Only let a request through when it carries the configured ADMIN_TOKEN.
+ * Admin routes answer 403 ADMIN_DISABLED while no token is configured.
+ */
+function requireAdminToken(req, res, next) {
+    if (!config.admin.token) {
+        return sendError(res, new GameError('ADMIN_DISABLED'));
+    }
+    if (!isValidAdminToken(readAdminToken(req))) {
+        return sendError(res, new GameError('ADMIN_TOKEN_REQUIRED'));
+    }
+    next();
+}
+
+module.exports = {
+    requireAdminToken
+};
@@ -0,0 +1,20 @@
+// src/middleware/requirePlayerKey.js
+const playerKeyService = require('../services/PlayerKeyService');
+const { sendError } = require('../controllers/errorResponses');
+
+/**
+ * Only let a request through when it carries the player key of the name in its path
+ * (:playerName), as returned when the name was claimed.
+ */
+async function requirePlayerKey(req, res, next) {
+    try {
+        await playerKeyService.assertOwner(req.params.playerName, playerKeyService.readPlayerKey(req));
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+module.exports = {
+    requirePlayerKey
+};
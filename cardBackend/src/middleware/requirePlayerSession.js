@@ -0,0 +1,45 @@
+// src/middleware/requirePlayerSession.js
+const sessionManager = require('../services/SessionManager');
+const { sendError } = require('../controllers/errorResponses');
+const { GameError } = require('../utils/gameErrors');
+const { setLogContext } = require('../utils/logger');
+
+/**
+ * Only let a request through when it carries a session for the game it targets.
+ * The game comes from the body or the ?gameId= query, the seat from the body or the
+ * :playerId path parameter. The seat is taken from the session: req.body.playerId is
+ * overwritten and the session is available as req.playerSession.
+ */
+async function requirePlayerSession(req, res, next) {
+    try {
+        const query = req.query || {};
+        // EventSource cannot set headers, so game streams may also pass ?token=
+        const session = await sessionManager.getSession(query.token || sessionManager.readToken(req));
+        if (!session) {
+            return sendError(res, new GameError('SESSION_REQUIRED'));
+        }
+
+        // Spectator and caster sessions are read-only
+        if (session.role && session.role !== 'player') {
+            return sendError(res, new GameError('SPECTATOR_READ_ONLY'));
+        }
+
+        const body = req.body || {};
+        const gameId = body.gameId || query.gameId;
+        const playerId = (req.params && req.params.playerId) || body.playerId;
+        if (session.gameId !== gameId || (playerId && playerId !== session.playerId)) {
+            return sendError(res, new GameError('SESSION_MISMATCH'));
+        }
+
+        req.body = { ...body, playerId: session.playerId };
+        req.playerSession = session;
+        setLogContext({ gameId: session.gameId, playerId: session.playerId });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = {
+    requirePlayerSession
+};
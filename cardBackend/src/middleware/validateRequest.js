@@ -0,0 +1,35 @@
+// src/middleware/validateRequest.js
+const { validateSchema } = require('../validation/schemaValidator');
+const { GameError } = require('../utils/gameErrors');
+const { sendError } = require('../controllers/errorResponses');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Reject a request whose params, query or body do not match the route's schema with
+ * 400 INVALID_REQUEST. params.errors lists every offending field as
+ * { field: 'body.action.card_idx', message: 'must be >= 0' }.
+ * @param {Object} routeSchema - Entry of requestSchemas
+ * @returns {Function} Express middleware
+ */
+function validateRequest(routeSchema) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        REQUEST_PARTS
+            .filter(part => routeSchema[part])
+            .forEach(part => errors.push(...validateSchema(routeSchema[part], req[part] === undefined ? {} : req[part], part)));
+
+        if (errors.length > 0) {
+            const fields = [...new Set(errors.map(error => error.field))];
+            return sendError(res, new GameError('INVALID_REQUEST', { fields, errors }));
+        }
+        next();
+    };
+    // Read back by the OpenAPI document builder
+    middleware.routeSchema = routeSchema;
+    return middleware;
+}
+
+module.exports = {
+    validateRequest
+};
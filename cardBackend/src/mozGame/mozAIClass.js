@@ -1,6 +1,10 @@
 const mozGamePlay = require('./mozGamePlay');
 const mozDeckHelper = require('./mozDeckHelper');
 const CardInfoUtils = require('../services/CardInfoUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('mozAIClass');
+
 class mozAIClass {
     constructor() {
         this.mozGamePlay = mozGamePlay;
@@ -15,7 +19,7 @@ class mozAIClass {
 
     async findBestMove(gameState,playerId) {
         this.maxDepth = 3;
-        console.log("findBestMove start "+this.getCurrentTime());
+        logger.debug('findBestMove start', { startedAt: this.getCurrentTime() });
         const result = await this.minimax(
             gameState, 
             this.maxDepth,
@@ -23,7 +27,7 @@ class mozAIClass {
             -Infinity,
             Infinity,
             playerId);
-        console.log("findBestMove end "+this.getCurrentTime());
+        logger.debug('findBestMove end', { endedAt: this.getCurrentTime() });
         return result;
     }
 
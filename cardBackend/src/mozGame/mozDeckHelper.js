@@ -1,33 +1,37 @@
 const deckManager = require('../services/DeckManager');
 const CardInfoUtils = require('../services/CardInfoUtils');
+const { createLogger } = require('../utils/logger');
+const gameRandom = require('../utils/gameRandom');
+
+const logger = createLogger('mozDeckHelper');
+
 class mozDeckLogic{
     constructor() {
         this.cardInfoUtils = CardInfoUtils;
     }
-    async prepareDeckForPlayer(playerId) {
-        var playerDeck = await deckManager.getPlayerDecks(playerId);
-        console.log(`[mozDeckHelper] Player ${playerId} deck data:`, JSON.stringify(playerDeck, null, 2));
-        
-        if (!playerDeck) {
-            throw new Error(`No deck found for player ${playerId}`);
-        }
-        
-        playerDeck = JSON.parse(JSON.stringify(playerDeck));
-        
-        const activeDeckId = playerDeck.activeDeck || "deck001";
-        const activeDeck = playerDeck.decks[activeDeckId];
-        
-        if (!activeDeck) {
-            throw new Error(`Active deck ${activeDeckId} not found for player ${playerId}`);
+    // Deck list the player brought to this game (gameEnv.deckLists, chosen when both joined);
+    // games stored before deck lists were kept play with the seat's deck
+    async getDeckList(gameEnv, playerId) {
+        if (gameEnv.deckLists && gameEnv.deckLists[playerId]) {
+            return JSON.parse(JSON.stringify(gameEnv.deckLists[playerId]));
         }
+        return deckManager.getDeckForGame(null, playerId);
+    }
+
+    async prepareDeckForPlayer(gameEnv, playerId, handSize) {
+        const activeDeck = await this.getDeckList(gameEnv, playerId);
+        logger.debug('Player deck data', { deckOwner: playerId, activeDeck });
+        const activeDeckId = activeDeck.id;
         
-        const sumCardList = this.possessLeaderCard(activeDeck);
-        const mainDeckCard = this.possesesMainDeckCard(activeDeck);
+        const sumCardList = this.possessLeaderCard(gameEnv, activeDeck);
+        const mainDeckCard = this.possesesMainDeckCard(gameEnv, activeDeck);
         
-        const { drawnCards, mainDeck } = this.drawCards(mainDeckCard, 7);
+        const { drawnCards, mainDeck } = this.drawCards(mainDeckCard, handSize);
         const hand = drawnCards;
         
         return {
+            deckId: activeDeckId,
+            deckName: activeDeck.name || activeDeckId,
             currentLeaderIdx: 0,
             leader: sumCardList,
             hand: hand,
@@ -35,22 +39,12 @@ class mozDeckLogic{
         };
     }
 
-    async reshuffleForPlayer(playerId) {
-        const playerDeck = await deckManager.getPlayerDecks(playerId);
-        
-        if (!playerDeck) {
-            throw new Error(`No deck found for player ${playerId}`);
-        }
-        
-        const activeDeckId = playerDeck.activeDeck || "deck001";
-        const activeDeck = playerDeck.decks[activeDeckId];
+    async reshuffleForPlayer(gameEnv, playerId, handSize) {
+        const activeDeck = await this.getDeckList(gameEnv, playerId);
         
-        if (!activeDeck) {
-            throw new Error(`Active deck ${activeDeckId} not found for player ${playerId}`);
-        }
-        
-        const mainDeckCard = this.possesesMainDeckCard(activeDeck);
-        const { drawnCards, mainDeck } = this.drawCards(mainDeckCard, 7);
+        // Shuffle a copy: the stored deck order must not depend on earlier games
+        const mainDeckCard = this.possesesMainDeckCard(gameEnv, { cards: [...activeDeck.cards] });
+        const { drawnCards, mainDeck } = this.drawCards(mainDeckCard, handSize);
         const hand = drawnCards;
         return {
             hand: hand,
@@ -81,18 +75,15 @@ class mozDeckLogic{
         };
     }
 
-    possesesMainDeckCard(decks){
-        return this.shuffle(decks.cards);
+    possesesMainDeckCard(gameEnv, decks){
+        return this.shuffle(gameEnv, decks.cards);
     }
-    possessLeaderCard(decks){
-        return this.shuffle(decks.leader).slice(0, 5);
+    possessLeaderCard(gameEnv, decks){
+        return this.shuffle(gameEnv, decks.leader).slice(0, 5);
     }
-    shuffle(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+    // Shuffles draw from the game's seeded generator (gameEnv.random)
+    shuffle(gameEnv, array) {
+        return gameRandom.shuffle(gameEnv, array);
     }
 
     getDeckCardDetails(cardId){
@@ -2,9 +2,16 @@ const mozDeckHelper = require('./mozDeckHelper');
 const mozPhaseManager = require('./mozPhaseManager');
 const CardEffectManager = require('../services/CardEffectManager');
 const FieldEffectProcessor = require('../services/FieldEffectProcessor');
-const { getPlayerFromGameEnv } = require('../utils/gameUtils');
+const { getPlayerFromGameEnv, getPlayerName, playerNameKey } = require('../utils/gameUtils');
 const CardInfoUtils = require('../services/CardInfoUtils');
 const { json } = require('express');
+const { formatGameErrorMessage } = require('../utils/gameErrors');
+const { getGameRules, getLeaderBattleCount } = require('../config/ruleProfiles');
+const { createLogger } = require('../utils/logger');
+const gameRandom = require('../utils/gameRandom');
+
+const logger = createLogger('mozGamePlay');
+
 const TurnPhase = {
     START_REDRAW: 'START_REDRAW',
     DRAW_PHASE: 'DRAW_PHASE',
@@ -94,13 +101,11 @@ class mozGamePlay {
         this.initializeEventSystem(gameEnv);
         
         // decide who goes first
-        const leaderList = []
         const playerList = mozGamePlay.getPlayerFromGameEnv(gameEnv);
         const leaderRevealed = {};
         
         for (let playerId in playerList){
             let leader = this.cardInfoUtils.getCurrentLeader(gameEnv, playerList[playerId]);
-            leaderList.push(leader);
             leaderRevealed[playerList[playerId]] = {
                 cardId: leader.cardId,
                 name: leader.name,
@@ -108,13 +113,8 @@ class mozGamePlay {
             };
         }
         
-        var firstPlayer = 0; 
-        if (leaderList[1].initialPoint>leaderList[0].initialPoint){
-            firstPlayer = 1;
-        }else if (leaderList[1].initialPoint===leaderList[0].initialPoint){
-            firstPlayer = Math.floor(Math.random() * 2);
-        }
-        firstPlayer = 0;
+        const decision = this.decideFirstPlayer(gameEnv, playerList, leaderRevealed);
+        const firstPlayer = playerList.indexOf(decision.firstPlayer);
         gameEnv["firstPlayer"] = firstPlayer;
         mozPhaseManager.setCurrentPhase(TurnPhase.START_REDRAW)
         gameEnv["phase"] = mozPhaseManager.currentPhase;
@@ -129,6 +129,9 @@ class mozGamePlay {
             leaderRevealed: leaderRevealed
         });
         
+        // Who starts and why, with the coin flip's roll, so both players can check it
+        this.addGameEvent(gameEnv, 'FIRST_PLAYER_DECIDED', decision);
+        
         // Add initial hand dealt events for each player
         for (let playerId of playerList) {
             this.addGameEvent(gameEnv, 'INITIAL_HAND_DEALT', {
@@ -140,26 +143,86 @@ class mozGamePlay {
         return gameEnv;
     }
     
+    /**
+     * Pick the first player by the game's firstPlayerMode (rules.firstPlayerMode)
+     * @param {Object} gameEnv - Game environment (rules, playerNames, previousGame)
+     * @param {string[]} playerList - Seats in order
+     * @param {Object} leaders - playerId -> { cardId, name, initialPoint } of the first leaders
+     * @returns {Object} FIRST_PLAYER_DECIDED data: { mode, firstPlayer, reason, leaders, coinFlip, previousGame }
+     */
+    decideFirstPlayer(gameEnv, playerList, leaders) {
+        const mode = getGameRules(gameEnv).firstPlayerMode || 'leaderInitialPoint';
+        const previousGame = gameEnv.previousGame || null;
+        const decision = { mode, firstPlayer: null, reason: null, leaders, coinFlip: null, previousGame };
+
+        // Heads (roll < 0.5) gives the first seat the start
+        const flipCoin = (reason) => {
+            const roll = gameRandom.nextRandom(gameEnv);
+            decision.coinFlip = { roll, result: roll < 0.5 ? 'heads' : 'tails' };
+            decision.firstPlayer = playerList[roll < 0.5 ? 0 : 1];
+            decision.reason = reason;
+            return decision;
+        };
+
+        if (mode === 'coinFlip') {
+            return flipCoin('COIN_FLIP');
+        }
+
+        // Seats are assigned anew in every game, so the previous winner is found by name
+        const previousWinnerName = previousGame && previousGame.winner && previousGame.playerNames
+            ? playerNameKey(previousGame.playerNames[previousGame.winner])
+            : null;
+        const previousWinner = previousWinnerName
+            ? playerList.find(playerId => playerNameKey(getPlayerName(gameEnv, playerId)) === previousWinnerName)
+            : null;
+        if (mode === 'loserOfPreviousGame' && previousWinner) {
+            decision.firstPlayer = playerList.find(playerId => playerId !== previousWinner);
+            decision.reason = 'LOSER_OF_PREVIOUS_GAME';
+            return decision;
+        }
+
+        // leaderInitialPoint, also the fallback when there is no decisive previous game
+        const [first, second] = playerList.map(playerId => leaders[playerId].initialPoint || 0);
+        if (first === second) {
+            return flipCoin('LEADER_INITIAL_POINT_TIE');
+        }
+        decision.firstPlayer = playerList[second > first ? 1 : 0];
+        decision.reason = 'HIGHER_LEADER_INITIAL_POINT';
+        return decision;
+    }
+
+    // A player may redraw up to rules.redraws times and is ready once they keep a hand
+    // or have no redraws left (gameEnv[playerId].redraw becomes 1)
     async redrawInBegining(gameEnvInput,playerId,isRedraw){
         var gameEnv = gameEnvInput;
         if(gameEnv[playerId].redraw == 0){
-            gameEnv[playerId].redraw = 1;
-            
-            // Add player ready event
-            this.addGameEvent(gameEnv, 'PLAYER_READY', {
-                playerId: playerId,
-                redrawRequested: isRedraw
-            });
-            
+            const rules = getGameRules(gameEnv);
+            const redrawsUsed = gameEnv[playerId].redrawsUsed || 0;
+            if (isRedraw && redrawsUsed >= rules.redraws) {
+                return this.ruleError('REDRAW_LIMIT_REACHED', { redraws: rules.redraws });
+            }
+
             if (isRedraw){
-                const {hand,mainDeck} =  await mozDeckHelper.reshuffleForPlayer(playerId);
+                const {hand,mainDeck} =  await mozDeckHelper.reshuffleForPlayer(gameEnv, playerId, rules.handSize);
                 gameEnv[playerId].deck.hand = hand;
                 gameEnv[playerId].deck.mainDeck = mainDeck;
+                gameEnv[playerId].redrawsUsed = redrawsUsed + 1;
                 
                 // Add hand redrawn event
                 this.addGameEvent(gameEnv, 'HAND_REDRAWN', {
                     playerId: playerId,
-                    newHandSize: hand.length
+                    newHandSize: hand.length,
+                    redrawsLeft: rules.redraws - gameEnv[playerId].redrawsUsed
+                });
+            }
+
+            if (!isRedraw || gameEnv[playerId].redrawsUsed >= rules.redraws) {
+                gameEnv[playerId].redraw = 1;
+            
+                // Add player ready event
+                this.addGameEvent(gameEnv, 'PLAYER_READY', {
+                    playerId: playerId,
+                    redrawRequested: isRedraw
                 });
             }
         }
@@ -188,19 +251,14 @@ class mozGamePlay {
                 const selection = gameEnv.pendingCardSelections[pendingAction.selectionId];
                 if (selection) {
                     if (selection.playerId === playerId) {
-                        // Add error event for blocked action
-                        this.addErrorEvent(gameEnv, 'CARD_SELECTION_PENDING', `You must complete your card selection first. Select ${selection.selectCount} card(s).`, playerId);
-                        return this.throwError(`You must complete your card selection first. Select ${selection.selectCount} card(s).`);
+                        return this.rejectAction(gameEnv, 'CARD_SELECTION_PENDING', { selectCount: selection.selectCount }, playerId);
                     } else {
-                        // Add error event for waiting
-                        this.addErrorEvent(gameEnv, 'WAITING_FOR_PLAYER', `Waiting for ${selection.playerId} to complete card selection. Please wait.`, playerId);
-                        return this.throwError(`Waiting for ${selection.playerId} to complete card selection. Please wait.`);
+                        return this.rejectAction(gameEnv, 'WAITING_FOR_PLAYER', { waitingFor: selection.playerId }, playerId);
                     }
                 }
             }
             
-            this.addErrorEvent(gameEnv, 'GAME_BLOCKED', `Game is waiting for player action.`, playerId);
-            return this.throwError(`Game is waiting for player action.`);
+            return this.rejectAction(gameEnv, 'GAME_BLOCKED', {}, playerId);
         }
         
         // Handle card play actions (face up or face down)
@@ -210,8 +268,7 @@ class mozGamePlay {
             
             // Validate field position
             if (action["field_idx"] >= positionDict.length) {
-                this.addErrorEvent(gameEnv, 'INVALID_POSITION', "position out of range", playerId);
-                return this.throwError("position out of range");
+                return this.rejectAction(gameEnv, 'INVALID_POSITION', { fieldIdx: action["field_idx"] }, playerId);
             }
             
             const playPos = positionDict[action["field_idx"]];
@@ -219,8 +276,7 @@ class mozGamePlay {
             
             // Validate card index in hand
             if (action["card_idx"] >= hand.length) {
-                this.addErrorEvent(gameEnv, 'INVALID_CARD_INDEX', "hand card out of range", playerId);
-                return this.throwError("hand card out of range");
+                return this.rejectAction(gameEnv, 'INVALID_CARD_INDEX', { cardIdx: action["card_idx"] }, playerId);
             }
             
             // Get card details from deck manager
@@ -228,8 +284,7 @@ class mozGamePlay {
             const cardDetails = mozDeckHelper.getDeckCardDetails(cardToPlay);
             
             if (!cardDetails) {
-                this.addErrorEvent(gameEnv, 'CARD_NOT_FOUND', "Card not found", playerId);
-                return this.throwError("Card not found");
+                return this.rejectAction(gameEnv, 'CARD_NOT_FOUND', { cardId: cardToPlay }, playerId);
             }
 
             // Check advanced placement restrictions (zone compatibility, special effects, field effects)
@@ -244,8 +299,7 @@ class mozGamePlay {
                 );
 
                 if (!placementCheck.canPlace) {
-                    this.addErrorEvent(gameEnv, 'ZONE_COMPATIBILITY_ERROR', placementCheck.reason, playerId);
-                    return this.throwError(placementCheck.reason);
+                    return this.rejectAction(gameEnv, 'ZONE_COMPATIBILITY', { reason: placementCheck.reason, zone: playPos }, playerId);
                 }
 
                 // Check field effect restrictions (leader-imposed zone restrictions)
@@ -257,14 +311,12 @@ class mozGamePlay {
                 );
 
                 if (!fieldEffectCheck.canPlace) {
-                    this.addErrorEvent(gameEnv, 'FIELD_EFFECT_RESTRICTION', fieldEffectCheck.reason, playerId);
-                    return this.throwError(fieldEffectCheck.reason);
+                    return this.rejectAction(gameEnv, 'FIELD_EFFECT_RESTRICTION', { reason: fieldEffectCheck.reason, zone: playPos }, playerId);
                 }
 
                 // Log any override effects that allowed placement
                 if (placementCheck.overrideInfo) {
-                    console.log(`Card placement allowed due to override from ${placementCheck.overrideInfo.overrideCardType} card: ${placementCheck.overrideInfo.overrideCardId}`);
-                    console.log(`Reason: ${placementCheck.overrideInfo.overrideReason}`);
+                    logger.debug('Card placement allowed due to override', placementCheck.overrideInfo);
                 }
             }
 
@@ -274,54 +326,45 @@ class mozGamePlay {
                 // Face-down cards have no power, no effects, and don't contribute to combos
                 // Phase restriction: No face-down cards can be played in SP zone during MAIN_PHASE
                 if (gameEnv["phase"] != TurnPhase.SP_PHASE && playPos == "sp") {
-                    this.addErrorEvent(gameEnv, 'PHASE_RESTRICTION_ERROR', "Cannot play face-down cards in SP zone during MAIN_PHASE", playerId);
-                    return this.throwError("Cannot play face-down cards in SP zone during MAIN_PHASE");
+                    return this.rejectAction(gameEnv, 'PHASE_RESTRICTION', { reason: "Cannot play face-down cards in SP zone during MAIN_PHASE", phase: gameEnv["phase"] }, playerId);
                 }
                 // All other face-down placements are allowed for zone filling and bluffing
             } else {
                 // SP zone enforcement: During SP_PHASE, SP zone cards MUST be played face-down
                 if (gameEnv["phase"] == TurnPhase.SP_PHASE && playPos == "sp") {
-                    this.addErrorEvent(gameEnv, 'SP_PHASE_RESTRICTION', "Cards in SP zone must be played face-down during SP phase", playerId);
-                    return this.throwError("Cards in SP zone must be played face-down during SP phase");
+                    return this.rejectAction(gameEnv, 'SP_PHASE_RESTRICTION', { zone: playPos }, playerId);
                 }
                 // Face-up card placement validation by card type
                 if (cardDetails["cardType"] == "character") {
                     // Character cards can only go in top/left/right zones
                     if (playPos == "help" || playPos == "sp") {
-                        this.addErrorEvent(gameEnv, 'CARD_TYPE_ZONE_ERROR', "Can't play character card in utility zones", playerId);
-                        return this.throwError("Can't play character card in utility zones");
+                        return this.rejectAction(gameEnv, 'CARD_TYPE_ZONE', { reason: "Can't play character card in utility zones", cardType: "character", zone: playPos }, playerId);
                     }
                     // Ensure only one character per zone (no stacking)
                     if (playPos == "top" || playPos == "left" || playPos == "right") {
                         if (await this.monsterInField(gameEnv[playerId].Field[playPos])) {
-                            this.addErrorEvent(gameEnv, 'ZONE_OCCUPIED_ERROR', "Character already in this position", playerId);
-                            return this.throwError("Character already in this position");
+                            return this.rejectAction(gameEnv, 'ZONE_OCCUPIED', { reason: "Character already in this position", zone: playPos }, playerId);
                         }
                     }
                 } else if (cardDetails["cardType"] == "help") {
                     // Help cards provide utility effects, only one allowed
                     if (playPos != "help") {
-                        this.addErrorEvent(gameEnv, 'CARD_TYPE_ZONE_ERROR', "Help cards can only be played in help zone", playerId);
-                        return this.throwError("Help cards can only be played in help zone");
+                        return this.rejectAction(gameEnv, 'CARD_TYPE_ZONE', { reason: "Help cards can only be played in help zone", cardType: "help", zone: playPos }, playerId);
                     }
                     if (gameEnv[playerId].Field[playPos].length > 0) {
-                        this.addErrorEvent(gameEnv, 'ZONE_OCCUPIED_ERROR', "Help zone already occupied", playerId);
-                        return this.throwError("Help zone already occupied");
+                        return this.rejectAction(gameEnv, 'ZONE_OCCUPIED', { reason: "Help zone already occupied", zone: playPos }, playerId);
                     }
                 } else if (cardDetails["cardType"] == "sp") {
                     // SP cards can only be played during SP_PHASE
                     if (gameEnv["phase"] != TurnPhase.SP_PHASE) {
-                        this.addErrorEvent(gameEnv, 'PHASE_RESTRICTION_ERROR', "SP cards can only be played during SP phase", playerId);
-                        return this.throwError("SP cards can only be played during SP phase");
+                        return this.rejectAction(gameEnv, 'PHASE_RESTRICTION', { reason: "SP cards can only be played during SP phase", phase: gameEnv["phase"] }, playerId);
                     }
                     // SP cards are special powerful effects, only one allowed
                     if (playPos != "sp") {
-                        this.addErrorEvent(gameEnv, 'CARD_TYPE_ZONE_ERROR', "SP cards can only be played in SP zone", playerId);
-                        return this.throwError("SP cards can only be played in SP zone");
+                        return this.rejectAction(gameEnv, 'CARD_TYPE_ZONE', { reason: "SP cards can only be played in SP zone", cardType: "sp", zone: playPos }, playerId);
                     }
                     if (gameEnv[playerId].Field[playPos].length > 0) {
-                        this.addErrorEvent(gameEnv, 'ZONE_OCCUPIED_ERROR', "SP zone already occupied", playerId);
-                        return this.throwError("SP zone already occupied");
+                        return this.rejectAction(gameEnv, 'ZONE_OCCUPIED', { reason: "SP zone already occupied", zone: playPos }, playerId);
                     }
                 }
             }
@@ -426,41 +469,55 @@ class mozGamePlay {
             // Recalculate player points with all active effects
             gameEnv[playerId]["playerPoint"] = await this.calculatePlayerPoint(gameEnv, playerId);
             
-            // Check if main phase is complete (all character zones + help zones filled or skipped)
-            const isMainPhaseComplete = await this.checkIsMainPhaseComplete(gameEnv);
+            gameEnv = await this.endPlayerTurn(gameEnv, playerId);
+        }
+        return gameEnv;
+    }
+
+    /**
+     * After a main phase play: moves on to SP phase or battle once every character and
+     * help zone is filled, otherwise passes the turn when the player is done
+     * @param {Object} gameEnv - Current game environment
+     * @param {string} playerId - Player whose turn it is
+     * @returns {Object} Updated game environment
+     */
+    async endPlayerTurn(gameEnvInput, playerId) {
+        var gameEnv = gameEnvInput;
+
+        // Check if main phase is complete (all character zones + help zones filled or skipped)
+        const isMainPhaseComplete = await this.checkIsMainPhaseComplete(gameEnv);
+        
+        if (!isMainPhaseComplete) {
+            // Continue turn-based play - players still need to place character/help cards
+            const oldPlayer = gameEnv.currentPlayer;
+            gameEnv = await this.shouldUpdateTurn(gameEnv, playerId);
+            
+            // Add turn switch event if player changed
+            if (gameEnv.currentPlayer !== oldPlayer) {
+                this.addGameEvent(gameEnv, 'TURN_SWITCH', {
+                    oldPlayer: oldPlayer,
+                    newPlayer: gameEnv.currentPlayer,
+                    turn: gameEnv.currentTurn
+                });
+            }
+        } else {
+            // Add event for main phase completion
+            this.addGameEvent(gameEnv, 'ALL_MAIN_ZONES_FILLED', {
+                allPlayersComplete: true,
+                nextPhase: 'SP_PHASE'
+            });
             
-            if (!isMainPhaseComplete) {
-                // Continue turn-based play - players still need to place character/help cards
-                const oldPlayer = gameEnv.currentPlayer;
-                gameEnv = await this.shouldUpdateTurn(gameEnv, playerId);
-                
-                // Add turn switch event if player changed
-                if (gameEnv.currentPlayer !== oldPlayer) {
-                    this.addGameEvent(gameEnv, 'TURN_SWITCH', {
-                        oldPlayer: oldPlayer,
-                        newPlayer: gameEnv.currentPlayer,
-                        turn: gameEnv.currentTurn
-                    });
-                }
-            } else {
-                // Add event for main phase completion
-                this.addGameEvent(gameEnv, 'ALL_MAIN_ZONES_FILLED', {
-                    allPlayersComplete: true,
-                    nextPhase: 'SP_PHASE'
+            // All required zones filled - prepare for battle resolution with phase skipping logic
+            const oldPhase = gameEnv.phase;
+            gameEnv = await this.advanceToSpPhaseOrBattle(gameEnv, playerId);
+            
+            // Add phase change event if phase changed
+            if (gameEnv.phase !== oldPhase) {
+                this.addGameEvent(gameEnv, 'PHASE_CHANGE', {
+                    oldPhase: oldPhase,
+                    newPhase: gameEnv.phase,
+                    reason: 'main_phase_complete'
                 });
-                
-                // All required zones filled - prepare for battle resolution with phase skipping logic
-                const oldPhase = gameEnv.phase;
-                gameEnv = await this.advanceToSpPhaseOrBattle(gameEnv, playerId);
-                
-                // Add phase change event if phase changed
-                if (gameEnv.phase !== oldPhase) {
-                    this.addGameEvent(gameEnv, 'PHASE_CHANGE', {
-                        oldPhase: oldPhase,
-                        newPhase: gameEnv.phase,
-                        reason: 'main_phase_complete'
-                    });
-                }
             }
         }
         return gameEnv;
@@ -477,7 +534,7 @@ class mozGamePlay {
             opponent = playerList[1];
         }
 
-        console.log("player " + crtPlayer + " "+ opponent)
+        logger.debug('Battle players', { crtPlayer, opponent });
 
         // Calculate final points for this round
         gameEnv[crtPlayer]["playerPoint"] = await this.calculatePlayerPoint(gameEnv,crtPlayer);
@@ -506,13 +563,32 @@ class mozGamePlay {
         }
         // If equal, no winner (leaderBattleWinner remains "")
         
-        // Check for game end condition (50 victory points)
-        if(gameEnv[crtPlayer]["victoryPoints"] >= 50){
+        // Keep every leader battle's result for the match history
+        if(!gameEnv.leaderBattleResults){
+            gameEnv.leaderBattleResults = [];
+        }
+        gameEnv.leaderBattleResults.push({
+            round: gameEnv.leaderBattleResults.length + 1,
+            turn: gameEnv["currentTurn"],
+            leaders: {
+                [crtPlayer]: gameEnv[crtPlayer].Field["leader"]?.id || null,
+                [opponent]: gameEnv[opponent].Field["leader"]?.id || null
+            },
+            points: {
+                [crtPlayer]: gameEnv[crtPlayer]["playerPoint"],
+                [opponent]: gameEnv[opponent]["playerPoint"]
+            },
+            winner: leaderBattleWinner || "draw"
+        });
+        
+        // Check for game end condition (the ruleset's victory points)
+        const rules = getGameRules(gameEnv);
+        if(gameEnv[crtPlayer]["victoryPoints"] >= rules.victoryPointsToWin){
             gameEnv["phase"] = TurnPhase.GAME_END;
             gameEnv["winner"] = crtPlayer;
             return gameEnv;
         }
-        if(gameEnv[opponent]["victoryPoints"] >= 50){
+        if(gameEnv[opponent]["victoryPoints"] >= rules.victoryPointsToWin){
             gameEnv["phase"] = TurnPhase.GAME_END;
             gameEnv["winner"] = opponent;
             return gameEnv;
@@ -530,8 +606,9 @@ class mozGamePlay {
         gameEnv[crtPlayer]["playerPoint"] = 0;
         gameEnv[opponent]["playerPoint"] = 0;
 
-        // Check if this was the last leader battle  
-        if(gameEnv[opponent].deck.currentLeaderIdx == gameEnv[opponent].deck.leader.length-1){
+        // Check if this was the last leader battle of the match
+        const leaderBattles = getLeaderBattleCount(gameEnv);
+        if(gameEnv[opponent].deck.currentLeaderIdx >= leaderBattles-1){
             // Final leader battle completed - determine winner by victory points
             if(gameEnv[crtPlayer]["victoryPoints"] > gameEnv[opponent]["victoryPoints"]){
                 gameEnv["phase"] = TurnPhase.GAME_END;
@@ -623,7 +700,7 @@ class mozGamePlay {
 
     async monsterInField(fieldArea){
         var monsterInField = false
-        console.log("fieldArea "+JSON.stringify(fieldArea))
+        logger.debug('fieldArea', { fieldArea });
         for(let i = 0; i < fieldArea.length; i++){
             if(fieldArea[i]["cardDetails"][0]["cardType"] == "character"){
                 monsterInField = true;
@@ -735,7 +812,7 @@ class mozGamePlay {
             if (!currentTurnActionComplete) {
                 shouldSkipTurn = await this.shouldPlayerSkipTurn(gameEnv, playerId);
                 if (shouldSkipTurn) {
-                    console.log(`Player ${playerId} automatically skipping turn - no valid placements available`);
+                    logger.info('Player automatically skipping turn - no valid placements available', { skippingPlayer: playerId });
                     currentTurnActionComplete = true;
                 }
             }
@@ -795,17 +872,18 @@ class mozGamePlay {
         // Transition to DRAW_PHASE for the new turn player
         gameEnv["phase"] = TurnPhase.DRAW_PHASE;
         
-        // Current player draws 1 card
+        // Current player draws 1 card, none from an empty deck
         var hand = gameEnv[gameEnv["currentPlayer"]].deck.hand
         var mainDeck = gameEnv[gameEnv["currentPlayer"]].deck.mainDeck   
-        const result = mozDeckHelper.drawToHand(hand,mainDeck);
+        const drawCount = Math.min(1, mainDeck.length);
+        const result = mozDeckHelper.drawToHand(hand,mainDeck,drawCount);
         gameEnv[gameEnv["currentPlayer"]].deck.hand = result["hand"];
         gameEnv[gameEnv["currentPlayer"]].deck.mainDeck = result["mainDeck"];
         
         // Add draw phase event that requires acknowledgment
         this.addGameEvent(gameEnv, 'DRAW_PHASE_COMPLETE', {
             playerId: gameEnv["currentPlayer"],
-            cardCount: 1,
+            cardCount: drawCount,
             newHandSize: result["hand"].length,
             requiresAcknowledgment: true
         });
@@ -819,6 +897,113 @@ class mozGamePlay {
         
         return gameEnv;
     }
+
+    /**
+     * Plays the turn for a player who ran out of time: finishes their pending card
+     * selection, or skips the draw acknowledgement and places a card face-down in the
+     * first open zone. With no legal placement the turn ends as after a play: the round
+     * moves on once the field is full, otherwise the opponent takes the turn.
+     * @param {Object} gameEnv - Current game environment
+     * @param {string} playerId - Player who timed out
+     * @returns {Object} Updated game environment
+     */
+    async autoPassTurn(gameEnvInput, playerId) {
+        var gameEnv = gameEnvInput;
+
+        const pending = gameEnv.pendingPlayerAction;
+        if (pending && pending.type === 'cardSelection') {
+            const selection = (gameEnv.pendingCardSelections || {})[pending.selectionId];
+            if (selection && selection.playerId === playerId) {
+                const autoSelected = selection.eligibleCards.slice(0, selection.selectCount);
+                const result = await this.completeCardSelection(gameEnv, pending.selectionId, autoSelected);
+                return result.error ? gameEnv : result;
+            }
+        }
+
+        if (gameEnv["currentPlayer"] != playerId) {
+            return gameEnv;
+        }
+
+        // Skip the draw acknowledgement the client never sent
+        if (gameEnv["phase"] == TurnPhase.DRAW_PHASE) {
+            (gameEnv.gameEvents || [])
+                .filter(event => event.type === 'DRAW_PHASE_COMPLETE' && !event.frontendProcessed)
+                .forEach(event => this.markEventProcessed(gameEnv, event.id));
+            gameEnv["phase"] = TurnPhase.MAIN_PHASE;
+            this.addGameEvent(gameEnv, 'PHASE_CHANGE', {
+                phase: TurnPhase.MAIN_PHASE,
+                currentPlayer: playerId,
+                message: 'Draw phase skipped after timeout'
+            });
+        }
+
+        if (gameEnv["phase"] != TurnPhase.MAIN_PHASE) {
+            return gameEnv;
+        }
+
+        // Already played this turn: only the turn switch is missing
+        const playedThisTurn = (gameEnv[playerId]["turnAction"] || []).some(action =>
+            (action["type"] == "PlayCard" || action["type"] == "PlayCardBack") &&
+            action["turn"] == gameEnv["currentTurn"]
+        );
+        if (playedThisTurn) {
+            return await this.shouldUpdateTurn(gameEnv, playerId);
+        }
+
+        const action = await this.findAutoPassAction(gameEnv, playerId);
+        if (action) {
+            const result = await this.processAction(gameEnv, playerId, action);
+            if (!result.error) {
+                return result;
+            }
+        }
+
+        gameEnv = await this.endPlayerTurn(gameEnv, playerId);
+        // Nothing was placed, so shouldUpdateTurn may keep the turn: pass it all the same
+        if (gameEnv["phase"] == TurnPhase.MAIN_PHASE && gameEnv["currentPlayer"] == playerId) {
+            gameEnv = await this.startNewTurn(gameEnv);
+        }
+        return gameEnv;
+    }
+
+    /**
+     * First legal face-down placement: help zone, then the character zones, in hand order
+     * @param {Object} gameEnv - Current game environment
+     * @param {string} playerId - Player to place for
+     * @returns {Object|null} PlayCardBack action, or null when nothing can be placed
+     */
+    async findAutoPassAction(gameEnv, playerId) {
+        const positionDict = ["top", "left", "right", "help", "sp"];
+        const zoneOrder = ["help", "top", "left", "right"];
+        const hand = gameEnv[playerId].deck.hand || [];
+
+        for (const zone of zoneOrder) {
+            if ((gameEnv[playerId].Field[zone] || []).length > 0) {
+                continue;
+            }
+            for (let cardIdx = 0; cardIdx < hand.length; cardIdx++) {
+                const action = { type: "PlayCardBack", card_idx: cardIdx, field_idx: positionDict.indexOf(zone) };
+                if (await this.checkIsPlayOkForAction(gameEnv, playerId, action)) {
+                    return action;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Ends the game in the opponent's favour
+     * @param {Object} gameEnv - Current game environment
+     * @param {string} playerId - Player who forfeits
+     * @returns {Object} Updated game environment
+     */
+    forfeitPlayer(gameEnv, playerId) {
+        gameEnv["phase"] = TurnPhase.GAME_END;
+        gameEnv["winner"] = this.getOpponentId(gameEnv, playerId);
+        gameEnv["forfeitedBy"] = playerId;
+        return gameEnv;
+    }
+
     /**
      * Calculates total player points including all effects and combos
      * This is the core scoring function that determines battle outcomes
@@ -928,7 +1113,7 @@ class mozGamePlay {
         
         // Get card details to check card type
         const hand = gameEnv[playerId].deck.hand;
-        console.log("hand", JSON.stringify(hand));
+        logger.debug('hand', { hand });
         if (!hand || action["card_idx"] >= hand.length) {
             return false;
         }
@@ -993,14 +1178,28 @@ class mozGamePlay {
         return returnValue
     }
 
-    throwError(errorText){
+    // Rejected results carry the message plus a code from GAME_ERROR_CODES (utils/gameErrors)
+    throwError(errorText, code = 'RULE_VIOLATION', params = { reason: errorText }){
         var returnObj = {}
         returnObj = {
-            "error": errorText
+            "error": errorText,
+            "code": code,
+            "params": params
         }
         return returnObj
     }
 
+    ruleError(code, params = {}) {
+        return this.throwError(formatGameErrorMessage(code, params), code, params);
+    }
+
+    // Reject a player's action: record an ERROR_OCCURRED event and return the error result
+    rejectAction(gameEnv, code, params, playerId) {
+        const result = this.ruleError(code, params);
+        this.addErrorEvent(gameEnv, code, result.error, playerId);
+        return result;
+    }
+
     applyEffectRule(rule, characterPowers, playerField, gameEnv, playerId, sourceType) {
         // Check if rule conditions are met
         if (!this.checkRuleConditions(rule.trigger.conditions, playerField, gameEnv, playerId)) {
@@ -1472,7 +1671,7 @@ class mozGamePlay {
      */
     async completeCardSelection(gameEnv, selectionId, selectedCardIds) {
         if (!gameEnv.pendingCardSelections || !gameEnv.pendingCardSelections[selectionId]) {
-            return this.throwError("Invalid or expired card selection");
+            return this.ruleError('SELECTION_NOT_FOUND', { selectionId });
         }
         
         const selection = gameEnv.pendingCardSelections[selectionId];
@@ -1480,12 +1679,12 @@ class mozGamePlay {
         
         // Validate selection
         if (selectedCardIds.length !== selectCount) {
-            return this.throwError(`Must select exactly ${selectCount} cards`);
+            return this.ruleError('SELECTION_COUNT_MISMATCH', { selectCount });
         }
         
         for (const cardId of selectedCardIds) {
             if (!eligibleCards.includes(cardId)) {
-                return this.throwError(`Invalid card selection: ${cardId}`);
+                return this.ruleError('INVALID_SELECTED_CARD', { cardId });
             }
         }
         
@@ -1515,7 +1714,7 @@ class mozGamePlay {
                 // Always place in Help zone (original fixed destination)
                 const cardDetails = require('./mozDeckHelper').getDeckCardDetails(cardId);
                 if (!cardDetails || cardDetails.cardType !== 'help') {
-                    return this.throwError("Selected card is not a Help card");
+                    return this.ruleError('NOT_HELP_CARD', { cardId });
                 }
                 
                 // Create card object for Help zone placement
@@ -1536,7 +1735,7 @@ class mozGamePlay {
                 // Check Help zone status at placement time to determine destination
                 const cardDetails = require('./mozDeckHelper').getDeckCardDetails(cardId);
                 if (!cardDetails || cardDetails.cardType !== 'help') {
-                    return this.throwError("Selected card is not a Help card");
+                    return this.ruleError('NOT_HELP_CARD', { cardId });
                 }
                 
                 if (gameEnv[playerId].Field.help.length === 0) {
@@ -1608,7 +1807,7 @@ class mozGamePlay {
     async discardRandomCards(gameEnv, targetPlayerId, count) {
         const hand = gameEnv[targetPlayerId].deck.hand;
         for (let i = 0; i < count && hand.length > 0; i++) {
-            const randomIndex = Math.floor(Math.random() * hand.length);
+            const randomIndex = gameRandom.randomInt(gameEnv, hand.length);
             hand.splice(randomIndex, 1);
         }
     }
@@ -1698,11 +1897,11 @@ class mozGamePlay {
 
         if (!allPlayersShouldSkipSp || hasSpCardsOnField) {
             // Start SP phase - some players can play SP cards or SP effects need to execute
-            console.log('Starting SP phase - players can play SP cards or SP effects need to execute');
+            logger.info('Starting SP phase - players can play SP cards or SP effects need to execute');
             return await this.startSpPhase(gameEnv);
         } else {
             // Skip SP phase entirely - all SP zones pre-occupied and no SP cards on field
-            console.log('Skipping SP phase - all SP zones are pre-occupied or no SP cards present');
+            logger.info('Skipping SP phase - all SP zones are pre-occupied or no SP cards present');
             return await this.concludeLeaderBattleAndNewStart(gameEnv, playerId);
         }
     }
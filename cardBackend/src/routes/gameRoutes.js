@@ -2,35 +2,101 @@
 const express = require('express');
 const router = express.Router();
 const gameController = require('../controllers/gameController');
+const lobbyController = require('../controllers/lobbyController');
+const spectatorController = require('../controllers/spectatorController');
+const playerStatsController = require('../controllers/playerStatsController');
+const deckController = require('../controllers/deckController');
+const playerKeyController = require('../controllers/playerKeyController');
 const deckManager = require('../services/DeckManager');
+const adminController = require('../controllers/adminController');
+const metricsController = require('../controllers/metricsController');
+const { requirePlayerSession } = require('../middleware/requirePlayerSession');
+const { requireAdminToken } = require('../middleware/requireAdminToken');
+const { requirePlayerKey } = require('../middleware/requirePlayerKey');
+const { validateRequest } = require('../middleware/validateRequest');
+const schemas = require('../validation/requestSchemas');
+const { buildOpenApiDocument } = require('../utils/openApiDocument');
 
 // Health check endpoint
-router.get('/health', (req, res) => {
+router.get('/health', validateRequest(schemas.health), (req, res) => {
     res.status(200).json({ status: 'ok' });
 });
 
-router.get('/player/:playerId', gameController.getPlayerData);
-router.put('/player/:playerId/score', gameController.updateScore);
-
-router.post('/player/:playerId/deck', gameController.getPlayerDecks);
-
-router.post('/player/startGame', gameController.startGame);
-router.post('/player/joinRoom', gameController.joinRoom);
-router.post('/player/startReady', gameController.startReady);
-router.post('/player/playerAction', gameController.playerAction);
-router.post('/player/playerAiAction', gameController.playerAIAction);
-router.post('/player/selectCard', gameController.selectCard);
-router.post('/player/acknowledgeEvents', gameController.acknowledgeEvents);
-router.post('/player/nextRound', gameController.nextRound);
-router.post('/test/setCase', gameController.setCase);
-
-// Test-only endpoint for injecting game environment
-router.post('/test/injectGameState', (req, res, next) => {
-    /*
-    if (process.env.NODE_ENV !== 'test') {
-        return res.status(403).json({ error: 'This endpoint is only available in test environment' });
-    }*/
-    next();
-}, gameController.injectGameState);
+// Prometheus scrape target: games by phase, actions, rule violations and timings
+router.get('/metrics', validateRequest(schemas.getMetrics), metricsController.getMetrics);
+
+// OpenAPI description of every route in this file, built from the routes and their request schemas
+let openApiDocument = null;
+router.get('/openapi.json', validateRequest(schemas.getOpenApiDocument), (req, res) => {
+    openApiDocument = openApiDocument || buildOpenApiDocument(router, schemas);
+    res.json(openApiDocument);
+});
+
+// Active / waiting / finished / archived game counts
+router.get('/games/counts', validateRequest(schemas.getGameCounts), gameController.getGameCounts);
+
+router.get('/player/:playerId', validateRequest(schemas.getPlayerData), requirePlayerSession, gameController.getPlayerData);
+router.get('/player/:playerId/stream', validateRequest(schemas.streamGameState), requirePlayerSession, gameController.streamGameState);
+router.put('/player/:playerId/score', validateRequest(schemas.updateScore), requirePlayerSession, gameController.updateScore);
+
+router.post('/player/:playerId/deck', validateRequest(schemas.getPlayerDecks), gameController.getPlayerDecks);
+
+router.post('/player/startGame', validateRequest(schemas.startGame), gameController.startGame);
+router.post('/player/joinRoom', validateRequest(schemas.joinRoom), gameController.joinRoom);
+router.post('/player/startReady', validateRequest(schemas.startReady), requirePlayerSession, gameController.startReady);
+router.post('/player/playerAction', validateRequest(schemas.playerAction), requirePlayerSession, gameController.playerAction);
+router.post('/player/playerAiAction', validateRequest(schemas.playerAIAction), requirePlayerSession, gameController.playerAIAction);
+router.post('/player/requestTakeback', validateRequest(schemas.requestTakeback), requirePlayerSession, gameController.requestTakeback);
+router.post('/player/respondTakeback', validateRequest(schemas.respondTakeback), requirePlayerSession, gameController.respondTakeback);
+router.post('/player/selectCard', validateRequest(schemas.selectCard), requirePlayerSession, gameController.selectCard);
+router.post('/player/acknowledgeEvents', validateRequest(schemas.acknowledgeEvents), requirePlayerSession, gameController.acknowledgeEvents);
+router.post('/player/resume', validateRequest(schemas.resumeGame), requirePlayerSession, gameController.resumeGame);
+router.post('/player/nextRound', validateRequest(schemas.nextRound), requirePlayerSession, gameController.nextRound);
+
+// Player statistics and ratings from the match history, by the name players give when they sit down
+router.get('/players/:playerName/stats', validateRequest(schemas.getPlayerStats), playerStatsController.getPlayerStats);
+router.get('/players/:playerName/matches', validateRequest(schemas.getPlayerMatches), playerStatsController.getPlayerMatches);
+router.get('/players/:playerName/ratings', validateRequest(schemas.getRatingHistory), playerStatsController.getRatingHistory);
+router.get('/ratings/leaderboard', validateRequest(schemas.getLeaderboard), playerStatsController.getLeaderboard);
+
+// Player names are claimed once; the returned player key (X-Player-Key) proves ownership
+router.post('/players/:playerName/key', validateRequest(schemas.claimPlayerName), playerKeyController.claimPlayerName);
+
+// Deck builder: decks saved under a player name; the active one is dealt in that player's games.
+// Anyone may read them, only the owner of the name may change them
+router.get('/players/:playerName/decks', validateRequest(schemas.listPlayerDecks), deckController.listPlayerDecks);
+router.post('/players/:playerName/decks', validateRequest(schemas.createDeck), requirePlayerKey, deckController.createDeck);
+router.put('/players/:playerName/decks/:deckId', validateRequest(schemas.updateDeck), requirePlayerKey, deckController.updateDeck);
+router.post('/players/:playerName/decks/:deckId/clone', validateRequest(schemas.cloneDeck), requirePlayerKey, deckController.cloneDeck);
+router.delete('/players/:playerName/decks/:deckId', validateRequest(schemas.deleteDeck), requirePlayerKey, deckController.deleteDeck);
+router.put('/players/:playerName/activeDeck', validateRequest(schemas.setActiveDeck), requirePlayerKey, deckController.setActiveDeck);
+
+// Lobby: open rooms, room codes, private rooms
+router.get('/lobby/rooms', validateRequest(schemas.listRooms), lobbyController.listRooms);
+router.get('/lobby/rooms/:roomCode', validateRequest(schemas.getRoom), lobbyController.resolveRoom, lobbyController.getRoom);
+router.post('/lobby/rooms/:roomCode/join', validateRequest(schemas.joinRoomByCode), lobbyController.resolveRoom, lobbyController.joinRoomByCode);
+router.post('/lobby/rooms/:roomCode/close', validateRequest(schemas.closeRoom), lobbyController.resolveRoom, requirePlayerSession, lobbyController.closeRoom);
+
+// Spectators: read-only, redacted view (or the delayed caster view)
+router.post('/lobby/rooms/:roomCode/spectate', validateRequest(schemas.spectateRoom), lobbyController.resolveRoom, spectatorController.spectateRoom);
+router.get('/spectate/state', validateRequest(schemas.getSpectatorState), spectatorController.getSpectatorState);
+router.get('/spectate/stream', validateRequest(schemas.streamSpectatorView), spectatorController.streamSpectatorView);
+
+// Admin: inspect and repair stuck games (ADMIN_TOKEN); every change is logged in the game
+router.get('/admin/games', requireAdminToken, validateRequest(schemas.adminListGames), adminController.listGames);
+router.get('/admin/games/:gameId', requireAdminToken, validateRequest(schemas.adminGetGame), adminController.getGame);
+router.get('/admin/games/:gameId/export', requireAdminToken, validateRequest(schemas.adminExportGame), adminController.exportGame);
+router.post('/admin/games/import', requireAdminToken, express.json({ limit: '5mb' }), validateRequest(schemas.adminImportGame), adminController.importGame);
+router.post('/admin/games/:gameId/clearSelections', requireAdminToken, validateRequest(schemas.adminClearSelections), adminController.clearSelections);
+router.post('/admin/games/:gameId/forcePhase', requireAdminToken, validateRequest(schemas.adminForcePhase), adminController.forcePhase);
+router.post('/admin/games/:gameId/awardWin', requireAdminToken, validateRequest(schemas.adminAwardWin), adminController.awardWin);
+router.post('/admin/games/:gameId/declareDraw', requireAdminToken, validateRequest(schemas.adminDeclareDraw), adminController.declareDraw);
+
+// Test-only endpoints: load a stored case or inject a game environment as a new game.
+// They exist only under NODE_ENV=test and issue no seat sessions.
+if (process.env.NODE_ENV === 'test') {
+    router.post('/test/setCase', validateRequest(schemas.setCase), gameController.setCase);
+    router.post('/test/injectGameState', validateRequest(schemas.injectGameState), gameController.injectGameState);
+}
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,65 @@
+// src/services/ActionLogManager.js
+/**
+ * Complete, ordered log of the accepted actions of a game
+ * Every request that changes a game (creating, joining and closing it, keeping or redrawing
+ * the opening hand, card plays, card selections, event acknowledgements, round transitions,
+ * turn clock warnings and timeouts, takebacks, admin interventions and injected states)
+ * appends one entry to gameEnv.actionLog once it has succeeded; UNDO entries record what a
+ * takeback restored.
+ * Together with the random seed (gameEnv.random) the log is enough to rebuild the game;
+ * see GameReplayService. Like the admin log it is left out of the players' view.
+ */
+
+const ACTION_TYPES = [
+    'CREATE_GAME',
+    'INJECT_STATE',
+    'JOIN_ROOM',
+    'CLOSE_ROOM',
+    'START_READY',
+    'PLAYER_ACTION',
+    'SELECT_CARD',
+    'ACKNOWLEDGE_EVENTS',
+    'NEXT_ROUND',
+    'TIMER_WARNING',
+    'TURN_TIMEOUT',
+    'TAKEBACK_REQUEST',
+    'TAKEBACK_RESPONSE',
+    'UNDO',
+    'UPDATE_GAME_STATE',
+    'ADMIN_INTERVENTION'
+];
+
+class ActionLogManager {
+    /**
+     * Append an accepted action
+     * @param {Object} gameEnv - Game environment
+     * @param {string} type - One of ACTION_TYPES
+     * @param {string|null} playerId - Seat that acted; null for the server and admins
+     * @param {Object} payload - What the request carried, enough to apply it again
+     * @returns {Object} The entry: { seq, type, playerId, payload, at }
+     */
+    recordAction(gameEnv, type, playerId, payload = {}) {
+        if (!ACTION_TYPES.includes(type)) {
+            throw new Error(`Unknown action log type ${type}`);
+        }
+        if (!gameEnv.actionLog) {
+            gameEnv.actionLog = [];
+        }
+        const entry = {
+            seq: gameEnv.actionLog.length + 1,
+            type,
+            playerId: playerId || null,
+            // Copied, so later changes to the request objects do not leak into the log
+            payload: JSON.parse(JSON.stringify(payload)),
+            at: new Date().toISOString()
+        };
+        gameEnv.actionLog.push(entry);
+        return entry;
+    }
+
+    getActions(gameEnv) {
+        return gameEnv.actionLog || [];
+    }
+}
+
+module.exports = new ActionLogManager();
@@ -4,6 +4,10 @@
  * Handles effect definitions, condition checking, and effect application
  */
 
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('CardEffectRegistry');
+
 class CardEffectRegistry {
     constructor() {
         this.cardInfoUtils = null; // Will be injected
@@ -24,7 +28,7 @@ class CardEffectRegistry {
      */
     getCardEffects(cardId) {
         if (!this.cardInfoUtils) {
-            console.warn('CardInfoUtils not set in CardEffectRegistry');
+            logger.warn('CardInfoUtils not set in CardEffectRegistry');
             return [];
         }
 
@@ -149,7 +153,7 @@ class CardEffectRegistry {
                 break;
                 
             default:
-                console.warn(`Unknown effect type: ${effect.type}`);
+                logger.warn('Unknown effect type', { effectType: effect.type });
         }
     }
 
@@ -177,7 +181,7 @@ class CardEffectRegistry {
             }
         });
         
-        console.log(`🚫 Disabled ${cardTypes.join(', ')} cards for ${targetPlayerId}`);
+        logger.debug('🚫 Disabled cards', { targetPlayer: targetPlayerId, cardTypes });
     }
 
     /**
@@ -216,7 +220,7 @@ class CardEffectRegistry {
             });
         });
         
-        console.log(`💥 Nullified power of ${nullified} cards for ${targetPlayerId}`);
+        logger.debug('💥 Nullified card power', { targetPlayer: targetPlayerId, nullified });
     }
 
     /**
@@ -260,7 +264,7 @@ class CardEffectRegistry {
             });
         });
         
-        console.log(`⬆️ Applied +${boost} power boost to ${targetPlayerId} ${cardTypes.join(', ')} cards`);
+        logger.debug(`⬆️ Applied +${boost} power boost`, { targetPlayer: targetPlayerId, cardTypes });
     }
 
     /**
@@ -278,7 +282,7 @@ class CardEffectRegistry {
         
         Object.assign(simState.players[targetPlayerId].fieldEffects.zoneRestrictions, restrictions);
         
-        console.log(`🔒 Applied zone restrictions to ${targetPlayerId}:`, restrictions);
+        logger.debug('🔒 Applied zone restrictions', { targetPlayer: targetPlayerId, restrictions });
     }
 
     /**
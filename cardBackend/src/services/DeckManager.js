@@ -1,6 +1,25 @@
 // src/services/DeckManager.js
+/**
+ * Card data and decks
+ * Cards, leaders and the default decks come from src/data. Seats (playerId_1/playerId_2)
+ * keep the decks of decks.json; players build their own decks under the name they play
+ * with, stored in the 'playerDecks' store (one collection per name, see playerStorageKey).
+ * A player's active deck is the one they bring to a game (see getDeckForGame). Every deck
+ * holds 4 distinct leaders and a main deck of distinct cards, between the starter deck's
+ * minCards and maxCards.
+ */
 const fs = require('fs');
 const path = require('path');
+const { getStore } = require('./storage');
+const { GameError } = require('../utils/gameErrors');
+const { playerNameKey, playerStorageKey } = require('../utils/gameUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('DeckManager');
+
+const LEADERS_PER_DECK = 4;
+const MAX_DECKS_PER_PLAYER = 20;
+const DECK_NAME_MAX_LENGTH = 40;
 
 class DeckManager {
     constructor() {
@@ -8,6 +27,10 @@ class DeckManager {
         this.leaderCardPath = path.join(__dirname, '../data/leaderCards.json');
         this.decksPath = path.join(__dirname, '../data/decks.json');
         this.spCardPath = path.join(__dirname, '../data/utilityCards.json');
+        // player storage key -> { playerName, activeDeck, decks: { deckId: deck } }
+        this.playerDeckStore = getStore('playerDecks');
+        // player storage key -> tail of that player's pending deck changes
+        this.pendingChanges = new Map();
         
         // Initialize synchronously in constructor
         this.initializeSync();
@@ -15,7 +38,7 @@ class DeckManager {
 
     initializeSync() {
         try {
-            console.log('Loading DeckManager synchronously...');
+            logger.debug('Loading DeckManager synchronously...');
             
             // Read all files synchronously
             const cardsData = fs.readFileSync(this.cardsPath, 'utf8');
@@ -53,10 +76,10 @@ class DeckManager {
                 this.cards.combos = characterCards.combos;
             }
             
-            console.log(`DeckManager initialized synchronously with ${Object.keys(this.cards.cards).length} total cards`);
+            logger.info('DeckManager initialized synchronously', { totalCards: Object.keys(this.cards.cards).length });
             
         } catch (error) {
-            console.error('Error initializing DeckManager synchronously:', error);
+            logger.error('Error initializing DeckManager synchronously', { error });
             // Initialize with empty structure to prevent null errors
             this.cards = { cards: {} };
             this.leaderCards = { leaders: {} };
@@ -70,50 +93,238 @@ class DeckManager {
         
         // If player doesn't exist, create a default deck entry
         if (!playerData) {
-            console.log(`Creating default deck for new player: ${playerId}`);
-            playerData = {
-                "activeDeck": "deck001",
-                "decks": {
-                    "deck001": {
-                        "id": "deck001",
-                        "name": "Starter Deck",
-                        "leader": [
-                            "s-1", "s-2", "s-3", "s-4"
-                        ],
-                        "cards": [
-                            "c-1", "c-2", "c-3", "c-4", "c-5", "c-6", "c-7", "c-8",
-                            "c-9", "c-10", "c-11", "c-12", "c-13", "c-14", "c-15", "c-16",
-                            "c-17", "c-18", "c-19", "c-20", "c-21", "c-22", "c-23", "c-24",
-                            "h-1", "h-2", "h-3", "h-9", "sp-2", "sp-3"
-                        ]
-                    }
-                }
-            };
+            logger.info('Creating default deck for new player', { deckOwner: playerId });
+            playerData = this.createStarterCollection();
             
             // Save the new player deck to the decks structure
             this.decks.playerDecks[playerId] = playerData;
-            
-            // Optionally save to file (commented out for performance)
-            // await this.saveDecks();
         }
         
         return playerData;
     }
+
+    // Deck collection holding only a copy of the starter deck of decks.json
+    createStarterCollection() {
+        const { id, name, leader, cards } = this.decks.defaultDecks.starter;
+        return {
+            activeDeck: id,
+            decks: { [id]: { id, name, leader: [...leader], cards: [...cards] } }
+        };
+    }
+
+    /**
+     * Size rules every deck is checked against
+     * @returns {Object} { leaders, minCards, maxCards, maxDecks }
+     */
+    getDeckLimits() {
+        const { minCards, maxCards } = this.decks.defaultDecks.starter;
+        return { leaders: LEADERS_PER_DECK, minCards, maxCards, maxDecks: MAX_DECKS_PER_PLAYER };
+    }
+
+    /**
+     * Deck list a player brings to a game: the active deck saved under their name, or
+     * else the active deck of their seat
+     * @param {string|null} playerName - Name the player sat down with
+     * @param {string} playerId - Seat
+     * @returns {Promise<Object>} { id, name, leader, cards } (a copy)
+     */
+    async getDeckForGame(playerName, playerId) {
+        const saved = playerNameKey(playerName) ? await this.playerDeckStore.get(playerStorageKey(playerName)) : null;
+        const collection = saved || await this.getPlayerDecks(playerId);
+        const activeDeckId = collection.activeDeck || 'deck001';
+        const deck = collection.decks[activeDeckId];
+        if (!deck) {
+            throw new Error(`Active deck ${activeDeckId} not found for player ${playerName || playerId}`);
+        }
+        return { id: deck.id || activeDeckId, name: deck.name || activeDeckId, leader: [...deck.leader], cards: [...deck.cards] };
+    }
+
+    /**
+     * Decks saved under a player's name; a name without saved decks has the starter deck
+     * @param {string} playerName - Name the player plays with (case-insensitive)
+     * @returns {Promise<Object>} { playerName, activeDeck, decks: { deckId: deck }, limits }
+     */
+    async listPlayerDecks(playerName) {
+        const collection = await this.loadPlayerCollection(playerName);
+        return { ...collection, limits: this.getDeckLimits() };
+    }
+
+    async loadPlayerCollection(playerName) {
+        const saved = await this.playerDeckStore.get(playerStorageKey(playerName));
+        return saved || { playerName: playerName.trim(), ...this.createStarterCollection() };
+    }
+
+    /**
+     * Run a change to a player's decks after the player's earlier changes, then store it
+     * @param {string} playerName - Owner of the decks
+     * @param {Function} change - (collection) => result; may modify the collection
+     * @returns {Promise<*>} The change's result
+     */
+    changePlayerDecks(playerName, change) {
+        const key = playerStorageKey(playerName);
+        const run = (this.pendingChanges.get(key) || Promise.resolve()).then(async () => {
+            const collection = await this.loadPlayerCollection(playerName);
+            const result = change(collection);
+            await this.playerDeckStore.set(key, { ...collection, playerName: playerName.trim() });
+            return result;
+        });
+        const tail = run.then(() => {}, () => {});
+        this.pendingChanges.set(key, tail);
+        tail.then(() => {
+            if (this.pendingChanges.get(key) === tail) {
+                this.pendingChanges.delete(key);
+            }
+        });
+        return run;
+    }
+
+    getSavedDeck(collection, deckId) {
+        const deck = collection.decks[deckId];
+        if (!deck) {
+            throw new GameError('DECK_NOT_FOUND', { deckId });
+        }
+        return deck;
+    }
+
+    nextDeckId(collection) {
+        const numbers = Object.keys(collection.decks)
+            .map(deckId => parseInt(deckId.replace(/^deck/, ''), 10))
+            .filter(number => !Number.isNaN(number));
+        return `deck${String(Math.max(0, ...numbers) + 1).padStart(3, '0')}`;
+    }
+
+    /**
+     * Throw unless a deck is legal
+     * @param {Object} deck - { name, leader, cards }
+     */
+    validateDeck({ name, leader, cards }) {
+        const { leaders, minCards, maxCards } = this.getDeckLimits();
+        const invalid = reason => new GameError('DECK_INVALID', { reason });
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > DECK_NAME_MAX_LENGTH) {
+            throw invalid(`the name must have 1 to ${DECK_NAME_MAX_LENGTH} characters`);
+        }
+        if (!Array.isArray(leader) || leader.length !== leaders || new Set(leader).size !== leaders) {
+            throw invalid(`a deck needs ${leaders} different leaders`);
+        }
+        const unknownLeader = leader.find(leaderId => !this.getLeaderCards(leaderId));
+        if (unknownLeader) {
+            throw invalid(`${unknownLeader} is not a leader`);
+        }
+        if (!Array.isArray(cards) || cards.length < minCards || cards.length > maxCards) {
+            throw invalid(`the main deck needs ${minCards} to ${maxCards} cards`);
+        }
+        const unknownCard = cards.find(cardId => !this.cards.cards[cardId] || this.getLeaderCards(cardId));
+        if (unknownCard) {
+            throw invalid(`${unknownCard} cannot be in the main deck`);
+        }
+        const duplicate = cards.find((cardId, index) => cards.indexOf(cardId) !== index);
+        if (duplicate) {
+            throw invalid(`${duplicate} is in the main deck more than once`);
+        }
+    }
+
+    // Store a new deck in a collection, within the per-player deck limit
+    addDeck(collection, { name, leader, cards }) {
+        this.validateDeck({ name, leader, cards });
+        if (Object.keys(collection.decks).length >= MAX_DECKS_PER_PLAYER) {
+            throw new GameError('DECK_LIMIT_REACHED', { maxDecks: MAX_DECKS_PER_PLAYER });
+        }
+        const now = new Date().toISOString();
+        const deck = { id: this.nextDeckId(collection), name: name.trim(), leader: [...leader], cards: [...cards], createdAt: now, updatedAt: now };
+        collection.decks[deck.id] = deck;
+        return deck;
+    }
+
+    /**
+     * Build a new deck
+     * @param {string} playerName - Owner
+     * @param {Object} deck - { name, leader, cards }
+     * @returns {Promise<Object>} The stored deck with its new id
+     */
+    async createDeck(playerName, { name, leader, cards }) {
+        return this.changePlayerDecks(playerName, collection => this.addDeck(collection, { name, leader, cards }));
+    }
+
+    /**
+     * Change a deck's name, leaders and/or cards; renaming is a change of name only
+     * @param {string} playerName - Owner
+     * @param {string} deckId - Deck to change
+     * @param {Object} changes - Any of { name, leader, cards }
+     * @returns {Promise<Object>} The updated deck
+     */
+    async updateDeck(playerName, deckId, { name, leader, cards }) {
+        return this.changePlayerDecks(playerName, collection => {
+            const deck = this.getSavedDeck(collection, deckId);
+            const updated = {
+                ...deck,
+                name: name !== undefined ? name : deck.name,
+                leader: leader !== undefined ? leader : deck.leader,
+                cards: cards !== undefined ? cards : deck.cards
+            };
+            this.validateDeck(updated);
+            collection.decks[deckId] = { ...updated, name: updated.name.trim(), updatedAt: new Date().toISOString() };
+            return collection.decks[deckId];
+        });
+    }
+
+    /**
+     * Copy a deck as a new deck
+     * @param {string} playerName - Owner
+     * @param {string} deckId - Deck to copy
+     * @param {string} [name] - Name of the copy; "<name> (copy)" by default
+     * @returns {Promise<Object>} The new deck
+     */
+    async cloneDeck(playerName, deckId, name) {
+        return this.changePlayerDecks(playerName, collection => {
+            const source = this.getSavedDeck(collection, deckId);
+            const copyName = name || `${source.name} (copy)`.slice(0, DECK_NAME_MAX_LENGTH);
+            return this.addDeck(collection, { name: copyName, leader: source.leader, cards: source.cards });
+        });
+    }
+
+    /**
+     * Delete a deck; the first remaining deck becomes active if it was the active one
+     * @param {string} playerName - Owner
+     * @param {string} deckId - Deck to delete
+     * @returns {Promise<Object>} The player's decks afterwards, as from listPlayerDecks
+     */
+    async deleteDeck(playerName, deckId) {
+        await this.changePlayerDecks(playerName, collection => {
+            this.getSavedDeck(collection, deckId);
+            if (Object.keys(collection.decks).length === 1) {
+                throw new GameError('DECK_LAST_ONE');
+            }
+            delete collection.decks[deckId];
+            if (collection.activeDeck === deckId) {
+                collection.activeDeck = Object.keys(collection.decks)[0];
+            }
+        });
+        return this.listPlayerDecks(playerName);
+    }
+
+    /**
+     * Pick the deck a player brings to their next games
+     * @param {string} playerName - Owner
+     * @param {string} deckId - Deck to play with
+     * @returns {Promise<Object>} The player's decks afterwards, as from listPlayerDecks
+     */
+    async setActiveDeck(playerName, deckId) {
+        await this.changePlayerDecks(playerName, collection => {
+            this.getSavedDeck(collection, deckId);
+            collection.activeDeck = deckId;
+        });
+        return this.listPlayerDecks(playerName);
+    }
     getLeaderCards(cardId){
         const leaderCards = this.leaderCards.leaders[cardId];
         return leaderCards;
     }
 
 
-    async saveDecks() {
-        const fs = require('fs').promises;
-        await fs.writeFile(this.decksPath, JSON.stringify(this.decks, null, 2));
-    }
-
     getCardDetails(cardId) {
         const cardDetails = this.cards.cards[cardId];
         if (!cardDetails) {
-            console.warn(`Card not found: ${cardId}. Available cards:`, Object.keys(this.cards.cards).slice(0, 10));
+            logger.warn('Card not found', { cardId, availableCards: Object.keys(this.cards.cards).slice(0, 10) });
         }
         
         return cardDetails;
@@ -6,6 +6,12 @@
 
 const playSequenceManager = require('./PlaySequenceManager');
 const cardEffectRegistry = require('./CardEffectRegistry');
+const metricsRegistry = require('./MetricsRegistry');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('EffectSimulator');
+
+const simulationTime = metricsRegistry.histogram('game_effect_simulation_seconds', 'Time to replay a play sequence in EffectSimulator');
 
 class EffectSimulator {
     constructor() {
@@ -27,7 +33,8 @@ class EffectSimulator {
      * @returns {Object} Computed game state after simulation
      */
     simulateCardPlaySequence(gameEnv) {
-        console.log('🎬 Starting card play sequence simulation...');
+        logger.debug('🎬 Starting card play sequence simulation...');
+        const endTimer = simulationTime.startTimer();
         
         // 1. Create clean simulation state
         const simState = this.createCleanState(gameEnv);
@@ -35,11 +42,11 @@ class EffectSimulator {
         // 2. Get sorted play sequence
         const sortedPlays = playSequenceManager.getPlaySequence(gameEnv);
         
-        console.log(`📋 Replaying ${sortedPlays.length} plays...`);
+        logger.debug('📋 Replaying plays', { plays: sortedPlays.length });
         
         // 3. Replay each action in sequence
         for (const play of sortedPlays) {
-            console.log(`▶️ Executing play ${play.sequenceId}: ${play.action} ${play.cardId} by ${play.playerId}`);
+            logger.debug(`▶️ Executing play ${play.sequenceId}: ${play.action}`, { cardId: play.cardId, actingPlayer: play.playerId });
             
             // Execute the play action
             this.executePlay(simState, play);
@@ -53,8 +60,9 @@ class EffectSimulator {
         
         // 4. Calculate final computed state
         const computedState = this.calculateFinalState(simState);
+        endTimer();
         
-        console.log('✅ Simulation completed');
+        logger.debug('✅ Simulation completed');
         return computedState;
     }
 
@@ -114,13 +122,13 @@ class EffectSimulator {
         const { playerId, cardId, action, zone, data } = play;
         
         if (!this.cardInfoUtils) {
-            console.warn('CardInfoUtils not set in EffectSimulator');
+            logger.warn('CardInfoUtils not set in EffectSimulator');
             return;
         }
 
         const cardDetails = this.cardInfoUtils.getCardDetails(cardId);
         if (!cardDetails) {
-            console.warn(`Card details not found for: ${cardId}`);
+            logger.warn('Card details not found', { cardId });
             return;
         }
 
@@ -141,12 +149,12 @@ class EffectSimulator {
                 if (Array.isArray(simState.players[playerId].Field[zone])) {
                     simState.players[playerId].Field[zone].push(card);
                 } else {
-                    console.warn(`Invalid zone for card play: ${zone}`);
+                    logger.warn('Invalid zone for card play', { zone });
                 }
                 break;
                 
             default:
-                console.warn(`Unknown play action: ${action}`);
+                logger.warn('Unknown play action', { action });
         }
     }
 
@@ -167,7 +175,7 @@ class EffectSimulator {
             };
             
             simState.players[playerId].fieldEffects.zoneRestrictions = restrictions;
-            console.log(`🏛️ Applied leader zone restrictions for ${playerId}:`, restrictions);
+            logger.debug('🏛️ Applied leader zone restrictions', { targetPlayer: playerId, restrictions });
         }
     }
 
@@ -183,14 +191,14 @@ class EffectSimulator {
             return;
         }
         
-        console.log(`🎭 Checking ${effects.length} effects for ${play.cardId}`);
+        logger.debug(`🎭 Checking ${effects.length} effects`, { cardId: play.cardId });
         
         for (const effect of effects) {
             if (cardEffectRegistry.checkConditions(effect, simState, play.playerId)) {
-                console.log(`✨ Activating effect: ${effect.type}`);
+                logger.debug(`✨ Activating effect: ${effect.type}`, { cardId: play.cardId });
                 cardEffectRegistry.applyEffect(effect, simState, play.playerId);
             } else {
-                console.log(`❌ Effect conditions not met: ${effect.type}`);
+                logger.debug(`❌ Effect conditions not met: ${effect.type}`, { cardId: play.cardId });
             }
         }
     }
@@ -218,7 +226,7 @@ class EffectSimulator {
                         // Skip if this effect was already processed for this card
                         if (effect.triggeredBy && this.isTriggeredBy(effect, newPlay, simState)) {
                             if (cardEffectRegistry.checkConditions(effect, simState, playerId)) {
-                                console.log(`🔔 Triggered effect: ${effect.type} from ${card.id}`);
+                                logger.debug(`🔔 Triggered effect: ${effect.type}`, { cardId: card.id });
                                 cardEffectRegistry.applyEffect(effect, simState, playerId);
                             }
                         }
@@ -312,7 +320,7 @@ class EffectSimulator {
             }
         }
 
-        console.log('📊 Final computed state:', {
+        logger.debug('📊 Final computed state', {
             playersWithPowerMods: Object.keys(computedState.playerPowers).length,
             totalDisabledCards: computedState.disabledCards.length
         });
@@ -1,6 +1,9 @@
 const { getPlayerFromGameEnv } = require('../utils/gameUtils');
 const CardInfoUtils = require('./CardInfoUtils');
 const DeckManager = require('./DeckManager');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('FieldEffectProcessor');
 
 /**
  * FieldEffectProcessor - Manages field effects from leader cards and continuous effects
@@ -37,7 +40,7 @@ class FieldEffectProcessor {
             activeEffects: []
         };
         
-        console.log(`🔧 Initialized field effects for ${playerId}`);
+        logger.debug('🔧 Initialized field effects', { targetPlayer: playerId });
     }
 
     /**
@@ -47,7 +50,7 @@ class FieldEffectProcessor {
      * @param {Object} leader - Leader card data
      */
     async processLeaderFieldEffects(gameEnv, playerId, leader) {
-        console.log(`🎯 Processing leader field effects for ${playerId}: ${leader.name}`);
+        logger.debug('🎯 Processing leader field effects', { targetPlayer: playerId, leader: leader.name });
         
         // Clear existing effects from this player's leader
         await this.clearPlayerLeaderEffects(gameEnv, playerId);
@@ -57,7 +60,7 @@ class FieldEffectProcessor {
         const leaderData = leaderCards.leaders[leader.id];
         
         if (!leaderData) {
-            console.log(`⚠️  No leader data found for ${leader.id}`);
+            logger.warn('⚠️ No leader data found', { leaderId: leader.id });
             return;
         }
         
@@ -99,7 +102,7 @@ class FieldEffectProcessor {
         // Special handling for cross-player effects
         await this.processCrossPlayerEffects(gameEnv, playerId, leaderData);
         
-        console.log(`✅ Processed field effects for ${playerId}`);
+        logger.debug('✅ Processed field effects', { targetPlayer: playerId });
     }
 
     /**
@@ -260,7 +263,7 @@ class FieldEffectProcessor {
                 await this.applyZoneRestriction(gameEnv, targetPlayerId, effect);
             } else if (effect.type === "POWER_MODIFICATION") {
                 // Power modifications are applied on-demand during calculation
-                console.log(`📊 Power modification effect registered for ${targetPlayerId}`);
+                logger.debug('📊 Power modification effect registered', { targetPlayer: targetPlayerId });
             }
         }
     }
@@ -277,7 +280,7 @@ class FieldEffectProcessor {
             for (const [zone, allowedTypes] of Object.entries(effect.restriction)) {
                 if (Array.isArray(allowedTypes)) {
                     gameEnv[playerId].fieldEffects.zoneRestrictions[zone] = allowedTypes;
-                    console.log(`🚫 Zone restriction applied to ${playerId} ${zone}: ${allowedTypes.join(', ')}`);
+                    logger.debug('🚫 Zone restriction applied', { targetPlayer: playerId, zone, allowedTypes });
                 }
             }
         } else if (effect.restriction && Array.isArray(effect.restriction)) {
@@ -285,7 +288,7 @@ class FieldEffectProcessor {
             const zones = effect.target.zones === "ALL" ? ["TOP", "LEFT", "RIGHT", "HELP", "SP"] : effect.target.zones;
             for (const zone of zones) {
                 gameEnv[playerId].fieldEffects.zoneRestrictions[zone] = effect.restriction;
-                console.log(`🚫 Zone restriction applied to ${playerId} ${zone}: ${effect.restriction.join(', ')}`);
+                logger.debug('🚫 Zone restriction applied', { targetPlayer: playerId, zone, allowedTypes: effect.restriction });
             }
         }
     }
@@ -342,7 +345,7 @@ class FieldEffectProcessor {
             };
         }
         
-        console.log(`🧹 Cleared leader effects for ${playerId}`);
+        logger.debug('🧹 Cleared leader effects', { targetPlayer: playerId });
     }
 
     /**
@@ -398,12 +401,12 @@ class FieldEffectProcessor {
             if (effect.type === "powerBoost") {
                 if (await this.doesEffectAffectCard(effect, cardDetails)) {
                     modifiedPower += effect.value;
-                    console.log(`⚡ Power boost applied to ${cardDetails.name}: ${effect.value} (${basePower} → ${modifiedPower})`);
+                    logger.debug(`⚡ Power boost applied to ${cardDetails.name}`, { boost: effect.value, basePower, modifiedPower });
                 }
             } else if (effect.type === "POWER_NULLIFICATION") {
                 if (await this.doesEffectAffectCard(effect, cardDetails)) {
                     modifiedPower = 0;
-                    console.log(`🚫 Power nullification applied to ${cardDetails.name}: ${basePower} → 0`);
+                    logger.debug(`🚫 Power nullification applied to ${cardDetails.name}`, { basePower });
                 }
             }
         }
@@ -467,7 +470,7 @@ class FieldEffectProcessor {
      * @param {Object} gameEnv - Game environment
      */
     async processAllFieldEffects(gameEnv) {
-        console.log("🔄 Processing all field effects...");
+        logger.debug('🔄 Processing all field effects...');
         
         const playerList = getPlayerFromGameEnv(gameEnv);
         
@@ -484,7 +487,7 @@ class FieldEffectProcessor {
             }
         }
         
-        console.log("✅ All field effects processed");
+        logger.debug('✅ All field effects processed');
     }
 }
 
@@ -1,157 +1,90 @@
+// src/services/GameActionQueue.js
+/**
+ * Serializes state-changing work per game
+ * Every gameId gets its own FIFO queue, so read-modify-write cycles on the same game
+ * never overlap (e.g. both players acting at once), while different games run in parallel.
+ */
 
-class GameActionQueue {
-    constructor() {
-        this.actions = [];
-        this.isRunning = false;
-        this.currentAction = null;
-    }
-    add(action) {
-        this.actions.push(action);
-    }
+const metricsRegistry = require('./MetricsRegistry');
+const { withLogContext } = require('../utils/logger');
 
-    async processActions() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        
-        while (this.actions.length > 0 && this.isRunning) {
-            const action = this.actions.shift();
-            try {
-                await action();
-            } catch (error) {
-                console.error('Error executing action:', error);
-            }
-        }
-        
-        this.isRunning = false;
-    }
-}
+const actionsProcessed = metricsRegistry.counter('game_actions_total', 'Game actions processed, by action type and outcome', ['type', 'outcome']);
+const actionDuration = metricsRegistry.histogram('game_action_duration_seconds', 'Time a game action runs once it leaves the queue', ['type']);
 
-module.exports = new GameActionQueue();
-/* 
 class GameActionQueue {
     constructor() {
-        this.actions = [];
-        this.isRunning = false;
-        this.currentAction = null;
+        // gameId -> { tail, pending, currentAction }
+        this.queues = new Map();
     }
 
-    add(action) {
-        this.actions.push(action);
-    }
+    /**
+     * Run a task once every earlier task for the same game has settled
+     * @param {string} gameId - Game the task reads and writes
+     * @param {string} type - Action label (e.g. 'playerAction', 'selectCard')
+     * @param {Function} task - Async function doing the actual work
+     * @returns {Promise<*>} Settles with the task's own result or error
+     */
+    enqueue(gameId, type, task) {
+        let queue = this.queues.get(gameId);
+        if (!queue) {
+            queue = { tail: Promise.resolve(), pending: 0, currentAction: null };
+            this.queues.set(gameId, queue);
+        }
+        queue.pending++;
 
-    async processActions() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        
-        while (this.actions.length > 0 && this.isRunning) {
-            this.currentAction = this.actions.shift();
-            
+        const run = queue.tail.then(async () => {
+            queue.currentAction = { type, startedAt: Date.now() };
+            const endTimer = actionDuration.startTimer({ type });
+            let outcome = 'error';
             try {
-                switch (this.currentAction.type) {
-                    case 'DRAW':
-                        await this.executeDraw(this.currentAction.data);
-                        break;
-                    case 'PLAY':
-                        await this.executePlay(this.currentAction.data);
-                        break;
-                    case 'ATTACK':
-                        await this.executeAttack(this.currentAction.data);
-                        break;
-                    default:
-                        console.warn('Unknown action type:', this.currentAction.type);
+                // Everything the task logs is tagged with its game
+                const result = await withLogContext({ gameId }, task);
+                outcome = 'ok';
+                return result;
+            } finally {
+                endTimer();
+                actionsProcessed.inc({ type, outcome });
+                queue.currentAction = null;
+                queue.pending--;
+                if (queue.pending === 0 && this.queues.get(gameId) === queue) {
+                    this.queues.delete(gameId);
                 }
-            } catch (error) {
-                console.error('Error executing action:', error);
             }
-        }
-        
-        this.isRunning = false;
-        this.currentAction = null;
-    }
-
-    async executeDraw(data) {
-        return new Promise((resolve) => {
-            console.log(`Drawing ${data.count} cards...`);
-            setTimeout(() => {
-                console.log('Draw completed');
-                resolve();
-            }, 1000);
         });
-    }
 
-    async executePlay(data) {
-        return new Promise((resolve) => {
-            console.log(`Playing card ${data.cardId}...`);
-            setTimeout(() => {
-                console.log('Play completed');
-                resolve();
-            }, 1500);
-        });
-    }
+        // A failed task must not block the ones queued behind it
+        queue.tail = run.then(() => {}, () => {});
 
-    async executeAttack(data) {
-        return new Promise((resolve) => {
-            console.log(`${data.attacker} attacking ${data.target}...`);
-            setTimeout(() => {
-                console.log('Attack completed');
-                resolve();
-            }, 2000);
-        });
+        return run;
     }
 
-    stop() {
-        this.isRunning = false;
+    /**
+     * Number of queued or running tasks for a game
+     * @param {string} gameId - Game ID
+     * @returns {number} Pending task count
+     */
+    getPendingCount(gameId) {
+        const queue = this.queues.get(gameId);
+        return queue ? queue.pending : 0;
     }
 
-    clear() {
-        this.actions = [];
-        this.isRunning = false;
-        this.currentAction = null;
+    /**
+     * Task currently running for a game
+     * @param {string} gameId - Game ID
+     * @returns {Object|null} { type, startedAt } or null when idle
+     */
+    getCurrentAction(gameId) {
+        const queue = this.queues.get(gameId);
+        return queue ? queue.currentAction : null;
     }
 
-    getCurrentAction() {
-        return this.currentAction;
+    /**
+     * Game IDs with queued or running work
+     * @returns {string[]} Busy game IDs
+     */
+    getActiveGameIds() {
+        return [...this.queues.keys()];
     }
 }
 
-// Example usage:
-const gameQueue = new GameActionQueue();
-
-// Add some game actions
-gameQueue.add({
-    type: 'DRAW',
-    data: { count: 2 }
-});
-
-gameQueue.add({
-    type: 'PLAY',
-    data: { cardId: 'CARD_001' }
-});
-
-gameQueue.add({
-    type: 'ATTACK',
-    data: {
-        attacker: 'CARD_001',
-        target: 'OPPONENT'
-    }
-});
-
-// Start processing actions
-gameQueue.processActions();
-
-// You can check current action
-setTimeout(() => {
-    console.log('Current action:', gameQueue.getCurrentAction());
-}, 1500);
-
-// Add more actions while running
-setTimeout(() => {
-    gameQueue.add({
-        type: 'DRAW',
-        data: { count: 1 }
-    });
-}, 3000);
-
-*/
\ No newline at end of file
+module.exports = new GameActionQueue();
@@ -0,0 +1,163 @@
+// src/services/GameAdminService.js
+/**
+ * Operator tools for games that are stuck
+ * Admins can list games by phase, read the raw stored game, clear pending card
+ * selections, force a phase, award a win or declare a draw. Every intervention adds an
+ * ADMIN_INTERVENTION game event for the clients and an entry in gameEnv.adminLog, which
+ * (unlike game events) is never pruned and is left out of the players' view.
+ */
+
+const gameLogic = require('./GameLogic');
+const gameActionQueue = require('./GameActionQueue');
+const actionLogManager = require('./ActionLogManager');
+const { GameError } = require('../utils/gameErrors');
+const { getPlayerName } = require('../utils/gameUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('GameAdminService');
+
+// Turn phases a game can be moved to; GAME_END goes through awardWin / declareDraw
+const FORCEABLE_PHASES = ['DRAW_PHASE', 'MAIN_PHASE', 'SP_PHASE', 'BATTLE_PHASE', 'END_LEADER_BATTLE'];
+
+function assertGameInPlay(gameEnv, action) {
+    if (!gameEnv.gameStarted || gameEnv.phase === 'ROOM_CLOSED') {
+        throw new GameError('ADMIN_ACTION_REJECTED', { action, reason: 'Game has not started' });
+    }
+}
+
+function clearPendingSelections(gameEnv) {
+    const selectionIds = Object.keys(gameEnv.pendingCardSelections || {});
+    gameEnv.pendingCardSelections = {};
+    delete gameEnv.pendingPlayerAction;
+    return selectionIds;
+}
+
+function endGame(gameEnv, winner) {
+    clearPendingSelections(gameEnv);
+    gameEnv.phase = 'GAME_END';
+    gameEnv.winner = winner;
+    delete gameEnv.forfeitedBy;
+}
+
+class GameAdminService {
+    /**
+     * Summary of every stored game, optionally only those in one phase
+     * @param {string} phase - Phase filter, e.g. 'MAIN_PHASE'
+     * @returns {Promise<Object[]>} Game summaries, most recently updated first
+     */
+    async listGames(phase) {
+        const games = [];
+        for (const gameId of await gameLogic.gameStore.keys()) {
+            const game = await gameLogic.gameStore.get(gameId);
+            const gameEnv = game?.gameEnv;
+            if (!gameEnv || (phase && gameEnv.phase !== phase)) {
+                continue;
+            }
+            const players = {};
+            Object.keys(gameEnv)
+                .filter(key => key.startsWith('playerId_') && gameEnv[key] && typeof gameEnv[key] === 'object')
+                .forEach(playerId => {
+                    players[playerId] = getPlayerName(gameEnv, playerId) || playerId;
+                });
+            games.push({
+                gameId,
+                roomCode: game.roomCode || null,
+                phase: gameEnv.phase,
+                currentPlayer: gameEnv.currentPlayer || null,
+                currentTurn: gameEnv.currentTurn || 0,
+                players,
+                pendingSelections: Object.keys(gameEnv.pendingCardSelections || {}).length,
+                winner: gameEnv.winner || null,
+                version: game.version || 0,
+                lastUpdate: game.lastUpdate || game.createdAt || null
+            });
+        }
+        return games.sort((a, b) => String(b.lastUpdate).localeCompare(String(a.lastUpdate)));
+    }
+
+    // Raw stored game, hidden information included
+    async getGame(gameId) {
+        return gameLogic.readJSONFileAsync(gameId);
+    }
+
+    /**
+     * Apply one intervention to a game and record it. Imported replays are refused like
+     * player writes: they are archived records.
+     * @param {string} gameId - Game ID
+     * @param {string} action - Intervention name, e.g. 'FORCE_PHASE'
+     * @param {string} reason - Operator's note
+     * @param {Function} apply - (gameEnv) => details of what changed
+     * @returns {Promise<Object>} Stored game after the intervention
+     */
+    async intervene(gameId, action, reason, apply) {
+        return gameActionQueue.enqueue(gameId, `admin:${action}`, async () => {
+            const gameData = await gameLogic.readGameForUpdate(gameId);
+            const baseVersion = gameData.version || 0;
+            const gameEnv = gameData.gameEnv;
+
+            const details = apply(gameEnv) || {};
+            const record = { action, reason: reason || null, details };
+            gameLogic.mozGamePlay.addGameEvent(gameEnv, 'ADMIN_INTERVENTION', record);
+            gameEnv.adminLog = [...(gameEnv.adminLog || []), { ...record, at: new Date().toISOString() }];
+            actionLogManager.recordAction(gameEnv, 'ADMIN_INTERVENTION', null, record);
+            logger.info(`🛠️ Admin ${action}`, record);
+
+            const updatedGameData = gameLogic.addUpdateUUID(gameData);
+            await gameLogic.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+            return updatedGameData;
+        });
+    }
+
+    clearSelections(gameId, reason) {
+        return this.intervene(gameId, 'CLEAR_SELECTIONS', reason, gameEnv => ({
+            clearedSelections: clearPendingSelections(gameEnv)
+        }));
+    }
+
+    /**
+     * Move a game to another turn phase (and optionally hand the turn to a seat).
+     * A finished game stays finished: its match-history record and ratings are already written.
+     */
+    forcePhase(gameId, phase, currentPlayer, reason) {
+        return this.intervene(gameId, 'FORCE_PHASE', reason, gameEnv => {
+            assertGameInPlay(gameEnv, 'FORCE_PHASE');
+            if (gameEnv.phase === 'GAME_END') {
+                throw new GameError('ADMIN_ACTION_REJECTED', { action: 'FORCE_PHASE', reason: 'Game has ended and was recorded' });
+            }
+            if (!FORCEABLE_PHASES.includes(phase)) {
+                throw new GameError('ADMIN_ACTION_REJECTED', { action: 'FORCE_PHASE', reason: `Cannot force phase ${phase}` });
+            }
+            const details = { fromPhase: gameEnv.phase, toPhase: phase };
+            gameEnv.phase = phase;
+            if (currentPlayer) {
+                details.currentPlayer = currentPlayer;
+                gameEnv.currentPlayer = currentPlayer;
+            }
+            return details;
+        });
+    }
+
+    awardWin(gameId, winner, reason) {
+        return this.intervene(gameId, 'AWARD_WIN', reason, gameEnv => {
+            assertGameInPlay(gameEnv, 'AWARD_WIN');
+            if (!gameEnv[winner]) {
+                throw new GameError('ADMIN_ACTION_REJECTED', { action: 'AWARD_WIN', reason: `${winner} is not seated in this game` });
+            }
+            const details = { fromPhase: gameEnv.phase, winner };
+            endGame(gameEnv, winner);
+            return details;
+        });
+    }
+
+    // Same result as a final leader battle that ends level
+    declareDraw(gameId, reason) {
+        return this.intervene(gameId, 'DECLARE_DRAW', reason, gameEnv => {
+            assertGameInPlay(gameEnv, 'DECLARE_DRAW');
+            const details = { fromPhase: gameEnv.phase };
+            endGame(gameEnv, 'draw');
+            return details;
+        });
+    }
+}
+
+module.exports = new GameAdminService();
@@ -0,0 +1,174 @@
+// src/services/GameEventBroadcaster.js
+/**
+ * Pushes game state to connected clients over Server-Sent Events
+ * Each subscriber is one open HTTP response bound to a game and a viewer: a seat
+ * (playerId) or a spectator. Whenever a game is saved, every subscriber of that game
+ * receives a `state` event with the same payload GET /player/:playerId returns for
+ * that viewer, including gameEvents. Caster subscribers get the full view, delayed.
+ */
+
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('GameEventBroadcaster');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const CLIENT_RETRY_MS = 2000;
+
+class GameEventBroadcaster {
+    constructor() {
+        // gameId -> Set of { playerId, res, revealAll, delayMs, closed }
+        this.subscribers = new Map();
+        this.heartbeatTimer = null;
+        // Builds the payload for one seat; replaced by GameLogic at startup
+        this.stateProjector = (game) => game;
+    }
+
+    /**
+     * Set the function that turns a stored game into what a viewer is allowed to see
+     * @param {Function} projector - (game, playerId, { revealAll }) => payload
+     */
+    setStateProjector(projector) {
+        this.stateProjector = projector;
+    }
+
+    /**
+     * Open an SSE stream for a viewer and send the current state
+     * @param {string} gameId - Game to follow
+     * @param {string} playerId - Seat (or spectator id) the stream belongs to
+     * @param {Object} req - Express request (used to detect disconnects)
+     * @param {Object} res - Express response kept open for streaming
+     * @param {Object} game - Current stored game
+     * @param {Object} options - { revealAll, delayMs } for the caster view
+     */
+    subscribe(gameId, playerId, req, res, game, options = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+        const subscriber = {
+            playerId,
+            res,
+            revealAll: !!options.revealAll,
+            delayMs: options.delayMs || 0,
+            closed: false
+        };
+        if (!this.subscribers.has(gameId)) {
+            this.subscribers.set(gameId, new Set());
+        }
+        this.subscribers.get(gameId).add(subscriber);
+        this.startHeartbeat();
+
+        req.on('close', () => this.unsubscribe(gameId, subscriber));
+
+        this.send(subscriber, game);
+    }
+
+    unsubscribe(gameId, subscriber) {
+        const gameSubscribers = this.subscribers.get(gameId);
+        if (!gameSubscribers) {
+            return;
+        }
+        subscriber.closed = true;
+        gameSubscribers.delete(subscriber);
+        if (gameSubscribers.size === 0) {
+            this.subscribers.delete(gameId);
+        }
+        if (this.subscribers.size === 0) {
+            this.stopHeartbeat();
+        }
+    }
+
+    /**
+     * Push a freshly saved game to everyone following it
+     * @param {string} gameId - Game ID
+     * @param {Object} game - Stored game data
+     */
+    publish(gameId, game) {
+        const gameSubscribers = this.subscribers.get(gameId);
+        if (!gameSubscribers) {
+            return;
+        }
+        for (const subscriber of gameSubscribers) {
+            this.send(subscriber, game);
+        }
+    }
+
+    send(subscriber, game) {
+        try {
+            const payload = this.stateProjector(game, subscriber.playerId, { revealAll: subscriber.revealAll });
+            const eventId = game.version !== undefined ? `id: ${game.version}\n` : '';
+            const message = `${eventId}event: state\ndata: ${JSON.stringify(payload)}\n\n`;
+
+            if (subscriber.delayMs > 0) {
+                // Snapshot is taken now and released later, so the caster always lags behind the table
+                setTimeout(() => {
+                    if (!subscriber.closed) {
+                        subscriber.res.write(message);
+                    }
+                }, subscriber.delayMs).unref();
+                return;
+            }
+            subscriber.res.write(message);
+        } catch (error) {
+            logger.error('❌ Failed to push game state', { error });
+        }
+    }
+
+    /**
+     * End every open stream, e.g. on shutdown: open responses keep server.close() from finishing
+     */
+    closeAll() {
+        for (const gameSubscribers of this.subscribers.values()) {
+            for (const subscriber of gameSubscribers) {
+                subscriber.closed = true;
+                subscriber.res.end();
+            }
+        }
+        this.subscribers.clear();
+        this.stopHeartbeat();
+    }
+
+    /**
+     * Number of open streams, optionally for a single game
+     * @param {string} [gameId] - Game ID
+     * @returns {number} Subscriber count
+     */
+    getSubscriberCount(gameId) {
+        if (gameId) {
+            return this.subscribers.has(gameId) ? this.subscribers.get(gameId).size : 0;
+        }
+        let count = 0;
+        for (const gameSubscribers of this.subscribers.values()) {
+            count += gameSubscribers.size;
+        }
+        return count;
+    }
+
+    // SSE comments keep idle connections from being closed by proxies
+    startHeartbeat() {
+        if (this.heartbeatTimer) {
+            return;
+        }
+        this.heartbeatTimer = setInterval(() => {
+            for (const gameSubscribers of this.subscribers.values()) {
+                for (const subscriber of gameSubscribers) {
+                    subscriber.res.write(': heartbeat\n\n');
+                }
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+}
+
+module.exports = new GameEventBroadcaster();
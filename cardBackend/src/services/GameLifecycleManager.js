@@ -0,0 +1,146 @@
+// src/services/GameLifecycleManager.js
+/**
+ * Expiry and archiving of stale games
+ * A periodic sweep looks at every stored game and retires the ones whose phase TTL
+ * (config.lifecycle.ttlSeconds) has passed since their last update. Finished games and
+ * games abandoned mid-play are kept as match-history records (see MatchHistoryService);
+ * waiting and closed rooms are dropped. Retiring a game also removes its lobby room,
+ * sessions and turn timer.
+ */
+
+const config = require('../config/config');
+const { getStore } = require('./storage');
+const gameActionQueue = require('./GameActionQueue');
+const lobbyManager = require('./LobbyManager');
+const matchHistoryService = require('./MatchHistoryService');
+const ratingService = require('./RatingService');
+const sessionManager = require('./SessionManager');
+const turnTimerScheduler = require('./TurnTimerScheduler');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('GameLifecycleManager');
+
+class GameLifecycleManager {
+    constructor() {
+        this.gameStore = getStore('games');
+        this.sweepTimer = null;
+    }
+
+    // WAITING_FOR_PLAYERS, ROOM_CLOSED and GAME_END have their own TTL; every other phase is in progress
+    getTtlSeconds(phase) {
+        const { ttlSeconds } = config.lifecycle;
+        return ttlSeconds[phase] !== undefined ? ttlSeconds[phase] : ttlSeconds.IN_PROGRESS;
+    }
+
+    isExpired(game, now = Date.now()) {
+        const phase = game.gameEnv?.phase;
+        return now - matchHistoryService.getLastActivity(game) >= this.getTtlSeconds(phase) * 1000;
+    }
+
+    /**
+     * Retire every game past its TTL
+     * @param {number} now - Current time in ms
+     * @returns {Promise<Object>} { archived, expired } counts for this sweep
+     */
+    async sweep(now = Date.now()) {
+        const summary = { archived: 0, expired: 0 };
+        for (const gameId of await this.gameStore.keys()) {
+            const game = await this.gameStore.get(gameId);
+            if (!game || !this.isExpired(game, now)) {
+                continue;
+            }
+            // Queued so a retiring game never races a player action on the same game
+            const outcome = await gameActionQueue.enqueue(gameId, 'expireGame', () => this.retireGame(gameId, now));
+            if (outcome) {
+                summary[outcome]++;
+            }
+        }
+        if (summary.archived || summary.expired) {
+            logger.info('🧹 Lifecycle sweep', summary);
+        }
+        return summary;
+    }
+
+    /**
+     * Archive (if it was played) and remove one game
+     * @param {string} gameId - Game ID
+     * @param {number} now - Current time in ms
+     * @returns {Promise<string|null>} 'archived', 'expired', or null if the game moved on meanwhile
+     */
+    async retireGame(gameId, now = Date.now()) {
+        const game = await this.gameStore.get(gameId);
+        if (!game || !this.isExpired(game, now)) {
+            return null;
+        }
+
+        const phase = game.gameEnv?.phase;
+        let outcome = 'expired';
+        if (game.gameEnv?.gameStarted && phase !== 'ROOM_CLOSED') {
+            // A ranked game abandoned mid-play is recorded as not rated
+            const record = await matchHistoryService.archiveGame(game, now);
+            await ratingService.rateMatch(record);
+            outcome = 'archived';
+        }
+
+        await this.gameStore.delete(gameId);
+        turnTimerScheduler.cancel(gameId);
+        await sessionManager.deleteSessionsForGame(gameId);
+        if (game.roomCode) {
+            await lobbyManager.removeRoom(game.roomCode);
+        }
+        return outcome;
+    }
+
+    async getArchivedGame(gameId) {
+        return matchHistoryService.getMatch(gameId);
+    }
+
+    /**
+     * Number of stored games in each phase
+     * @returns {Promise<Object>} phase -> count
+     */
+    async getPhaseCounts() {
+        const phaseCounts = {};
+        for (const gameId of await this.gameStore.keys()) {
+            const game = await this.gameStore.get(gameId);
+            const phase = game?.gameEnv?.phase;
+            if (phase) {
+                phaseCounts[phase] = (phaseCounts[phase] || 0) + 1;
+            }
+        }
+        return phaseCounts;
+    }
+
+    /**
+     * Number of stored games by lifecycle state
+     * @returns {Promise<Object>} { active, waiting, finished, closed, archived }
+     */
+    async getCounts() {
+        const counts = { active: 0, waiting: 0, finished: 0, closed: 0, archived: 0 };
+        const states = { WAITING_FOR_PLAYERS: 'waiting', GAME_END: 'finished', ROOM_CLOSED: 'closed' };
+        Object.entries(await this.getPhaseCounts()).forEach(([phase, count]) => {
+            counts[states[phase] || 'active'] += count;
+        });
+        counts.archived = await matchHistoryService.countMatches();
+        return counts;
+    }
+
+    start() {
+        if (this.sweepTimer) {
+            return;
+        }
+        this.sweepTimer = setInterval(() => {
+            this.sweep().catch(error => logger.error('Lifecycle sweep failed', { error }));
+        }, config.lifecycle.sweepIntervalSeconds * 1000);
+        this.sweepTimer.unref();
+    }
+
+    stop() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+}
+
+module.exports = new GameLifecycleManager();
@@ -1,20 +1,53 @@
 // src/services/GameLogic.js
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
+const fs = require('fs').promises;
 const mozDeckHelper = require('../mozGame/mozDeckHelper');
 const mozGamePlay = require('../mozGame/mozGamePlay');
 const path = require('path');
 const mozAIClass = require('../mozGame/mozAIClass');
+const { getStore } = require('./storage');
+const { GameError, GameStateConflictError, RoomAccessError } = require('../utils/gameErrors');
+const gameActionQueue = require('./GameActionQueue');
+const gameEventBroadcaster = require('./GameEventBroadcaster');
+const sessionManager = require('./SessionManager');
+const lobbyManager = require('./LobbyManager');
+const turnTimerScheduler = require('./TurnTimerScheduler');
+const gameLifecycleManager = require('./GameLifecycleManager');
+const matchHistoryService = require('./MatchHistoryService');
+const ratingService = require('./RatingService');
+const metricsRegistry = require('./MetricsRegistry');
+const deckManager = require('./DeckManager');
+const playerKeyService = require('./PlayerKeyService');
+const { createLogger, setLogContext } = require('../utils/logger');
+const { createGameRules, getGameRules, getLeaderBattleCount } = require('../config/ruleProfiles');
+const { createRandomState } = require('../utils/gameRandom');
+const { getPlayerName, playerNameKey } = require('../utils/gameUtils');
+const actionLogManager = require('./ActionLogManager');
+const takebackManager = require('./TakebackManager');
 
 // NEW: Card Effect System imports
 const playSequenceManager = require('./PlaySequenceManager');
 const effectSimulator = require('./EffectSimulator');
 const cardEffectRegistry = require('./CardEffectRegistry');
 
+// Seats are assigned by the server: the room creator plays as the first, the joiner as the second
+const PLAYER_SEATS = ['playerId_1', 'playerId_2'];
+
+// Events about a card play, and the data fields that would reveal a face-down card
+const FACE_DOWN_EVENT_FIELDS = {
+    CARD_PLAYED: ['card'],
+    ZONE_FILLED: ['cardType']
+};
+
+const logger = createLogger('GameLogic');
+
+const aiMoveTime = metricsRegistry.histogram('game_ai_move_seconds', 'Time the AI takes to choose a move');
+
 // Utility function to update game phase
 function updatePhase(gameEnv, newPhase) {
     gameEnv.phase = newPhase;
-    console.log(`🎯 Phase updated to: ${newPhase}`);
+    setLogContext({ phase: newPhase });
+    logger.info('🎯 Phase updated', { phase: newPhase });
 }
 
 
@@ -22,6 +55,15 @@ class GameLogic {
     constructor() {
         this.mozGamePlay = mozGamePlay;
         
+        // Game state persistence (memory / file / sqlite, chosen in config.storage)
+        this.gameStore = getStore('games');
+        
+        // Live updates pushed to subscribed clients after every save
+        gameEventBroadcaster.setStateProjector((game, playerId, options) => this.transformGameStateForFrontend(game, playerId, options));
+        
+        // Turn clocks are enforced here when a player runs out of time
+        turnTimerScheduler.setExpiryHandler((gameId) => this.handleTurnTimer(gameId));
+        
         // NEW: Initialize effect system with dependencies
         effectSimulator.setCardInfoUtils(this.mozGamePlay.cardInfoUtils);
         
@@ -36,17 +78,65 @@ class GameLogic {
     }
 
 
-    async createNewGame(req) {
-        var { playerId } = req.body;
+    /**
+     * Create a game and list its room in the lobby
+     * @param {Object} req - Request with body.gameConfig
+     * @param {Object} [options] - For a reproduced game (tests, replays), never taken from the API:
+     *     { seed, previousGame, replayOf } with previousGame the { gameId, winner, playerNames } of a rematch's
+     *     first game and replayOf the ID of the game a replay rebuilds (kept out of player statistics)
+     */
+    async createNewGame(req, { seed, previousGame, replayOf } = {}) {
+        const playerId = PLAYER_SEATS[0];
         const gameId = uuidv4();
+        const gameConfig = req.body.gameConfig || {};
+        const playerName = gameConfig.playerName || req.body.playerName;
+        const rules = createGameRules(gameConfig.ruleProfile, {
+            firstPlayerMode: gameConfig.firstPlayerMode,
+            takebacks: gameConfig.takebacks,
+            ranked: gameConfig.ranked
+        });
+        // Ratings are kept by name (see RatingService), so only the name's owner may play under it
+        if (rules.ranked && !playerNameKey(playerName)) {
+            throw new GameError('RANKED_NAME_REQUIRED');
+        }
+        if (rules.ranked && !replayOf) {
+            await playerKeyService.assertOwner(playerName, playerKeyService.readPlayerKey(req));
+        }
+        
+        // List the room in the lobby (room code, creator, deck preview, optional passcode);
+        // a replay is only rebuilt for inspection, so nobody can find or join it
+        const room = replayOf ? null : await lobbyManager.openRoom(gameId, {
+            playerId,
+            creatorName: playerName,
+            isPrivate: gameConfig.isPrivate || false,
+            passcode: gameConfig.passcode,
+            ruleProfile: rules.profile,
+            ranked: !!rules.ranked
+        });
         
         // Only create room with first player (playerId_1), no deck dealing yet
         var gameEnv = {
             phase: 'WAITING_FOR_PLAYERS',
-            playerId_1: playerId, // Store the actual playerId of player 1
+            playerId_1: playerId, // Seat of player 1
             playerId_2: null,
-            gameStarted: false
+            // Statistics are kept by these names (see MatchHistoryService)
+            playerNames: { [playerId]: playerName || null },
+            gameStarted: false,
+            rules,
+            random: createRandomState(seed)
         };
+        if (rules.ranked && !replayOf) {
+            gameEnv.verifiedPlayers = { [playerId]: true };
+        }
+        if (replayOf) {
+            gameEnv.replayOf = replayOf;
+        }
+        
+        // A rematch started by the previous game's loser; read when the first player is decided
+        if (rules.firstPlayerMode === 'loserOfPreviousGame' && (previousGame || gameConfig.previousGameId)) {
+            gameEnv.previousGame = previousGame || await this.getPreviousGameResult(gameConfig.previousGameId);
+            this.assertPlayedPreviousGame(gameEnv, [playerName]);
+        }
         
         // Initialize event system
         this.mozGamePlay.initializeEventSystem(gameEnv);
@@ -60,314 +150,661 @@ class GameLogic {
             createdBy: playerId,
             status: 'WAITING_FOR_PLAYERS'
         });
+        
+        // The passcode stays out of the log; a replayed room is not private
+        actionLogManager.recordAction(gameEnv, 'CREATE_GAME', playerId, {
+            gameConfig: {
+                playerName,
+                ruleProfile: rules.profile,
+                firstPlayerMode: rules.firstPlayerMode,
+                takebacks: rules.takebacks,
+                ...(rules.ranked ? { ranked: true } : {})
+            },
+            previousGame: gameEnv.previousGame || null
+        });
 
-        const newGame = {
+        const newGame = this.addUpdateUUID({
             "gameId": gameId,
-            "gameEnv": gameEnv,
-            lastUpdate: new Date()
-        };
+            "roomCode": room ? room.roomCode : null,
+            "createdAt": new Date().toISOString(),
+            "gameEnv": gameEnv
+        });
         await this.saveOrCreateGame(newGame, gameId);
-        return this.transformGameStateForFrontend(newGame);
+        const session = replayOf ? null : await sessionManager.createSession(gameId, playerId);
+        return {
+            ...this.transformGameStateForFrontend(newGame, playerId),
+            playerId,
+            ...(session ? { sessionToken: session.token } : {})
+        };
     }
 
-    async joinRoom(req) {
-        var { playerId, gameId } = req.body;
-        
-        // Load existing game data from file
-        let gameData = await this.readJSONFileAsync(gameId);
-        if (!gameData) {
-            throw new Error('Game room not found');
+    /**
+     * Result of an earlier game, still stored or already archived to match history
+     * @param {string} gameId - Previous game ID
+     * @returns {Promise<Object>} { gameId, winner, playerNames }; winner is null if it did not
+     *     finish or is unknown, playerNames (seat -> name) is empty for an unknown game
+     */
+    async getPreviousGameResult(gameId) {
+        const game = await this.gameStore.get(gameId);
+        if (game) {
+            const { gameEnv } = game;
+            return {
+                gameId,
+                winner: gameEnv && gameEnv.phase === 'GAME_END' ? gameEnv.winner || null : null,
+                playerNames: (gameEnv && gameEnv.playerNames) || {}
+            };
+        }
+        const archived = await gameLifecycleManager.getArchivedGame(gameId);
+        const playerNames = {};
+        Object.entries((archived && archived.players) || {}).forEach(([playerId, player]) => {
+            playerNames[playerId] = player.name;
+        });
+        return { gameId, winner: archived ? archived.winner : null, playerNames };
+    }
+
+    /**
+     * Throw unless every given name played the rematch's previous game. Seats are assigned
+     * anew in each game, so the players are matched by name (case-insensitive).
+     * @param {Object} gameEnv - Game with previousGame set
+     * @param {string[]} playerNames - Names of the players seated so far
+     */
+    assertPlayedPreviousGame(gameEnv, playerNames) {
+        const { previousGame } = gameEnv;
+        // Logged before previous games carried names (replays of old exports)
+        if (!previousGame.playerNames) {
+            return;
+        }
+        const unmatched = Object.values(previousGame.playerNames).map(playerNameKey);
+        const allPlayed = playerNames.every(playerName => {
+            const index = unmatched.indexOf(playerNameKey(playerName));
+            if (!playerNameKey(playerName) || index === -1) {
+                return false;
+            }
+            unmatched.splice(index, 1);
+            return true;
+        });
+        if (!allPlayed) {
+            throw new GameError('PREVIOUS_GAME_MISMATCH', { previousGameId: previousGame.gameId });
         }
+    }
+
+    /**
+     * Throw unless a player with this name may take the second seat of a ranked game:
+     * ratings are kept by name, so both players need one and they must differ
+     * @param {Object} gameEnv - Waiting game
+     * @param {string} playerName - Name the joining player gave
+     */
+    assertCanJoinRanked(gameEnv, playerName) {
+        if (!playerNameKey(playerName)) {
+            throw new GameError('RANKED_NAME_REQUIRED');
+        }
+        if (playerNameKey(playerName) === playerNameKey(gameEnv.playerNames && gameEnv.playerNames[PLAYER_SEATS[0]])) {
+            throw new GameError('RANKED_SAME_PLAYER', { playerName: playerName.trim() });
+        }
+    }
+
+    /**
+     * Throw unless the creator takes the second seat as well: automatic takebacks are for one
+     * person playing both seats, so the join must carry the first seat's session token
+     * @param {string} gameId - Waiting game
+     * @param {Object} req - Join request
+     */
+    async assertSoloJoin(gameId, req) {
+        const session = await sessionManager.getSession(sessionManager.readToken(req));
+        if (!session || session.gameId !== gameId || session.playerId !== PLAYER_SEATS[0]) {
+            throw new GameError('SOLO_PRACTICE_ONLY');
+        }
+    }
+
+    /**
+     * Take the second seat, which deals both players' decks
+     * @param {Object} req - Request with body { gameId, playerName, passcode }
+     * @param {Object} [options] - For a replay, never taken from the API: { deckLists } the
+     *     decks both seats played with, instead of the players' current active decks
+     */
+    async joinRoom(req, { deckLists } = {}) {
+        return gameActionQueue.enqueue(req.body.gameId, 'joinRoom', async () => {
+            const { gameId, passcode } = req.body;
+            const playerId = PLAYER_SEATS[1];
         
-        let gameEnv = gameData.gameEnv;
+            // Load existing game data from storage
+            let gameData = await this.readGameForUpdate(gameId, req.body);
+            const baseVersion = gameData.version || 0;
+            
+            // Rooms listed in the lobby may be closed or protected by a passcode
+            const room = gameData.roomCode ? await lobbyManager.getRoom(gameData.roomCode) : null;
+            if (room) {
+                await lobbyManager.assertCanJoin(room, passcode);
+            }
         
-        // Check if room is available
-        if (gameEnv.phase !== 'WAITING_FOR_PLAYERS') {
-            throw new Error('Room is not available for joining');
-        }
+            let gameEnv = gameData.gameEnv;
         
-        // Add second player
-        gameEnv.playerId_2 = playerId;
-        updatePhase(gameEnv, 'BOTH_JOINED');
+            // Check if room is available
+            if (gameEnv.phase !== 'WAITING_FOR_PLAYERS') {
+                throw new RoomAccessError('ROOM_NOT_OPEN');
+            }
+            if (getGameRules(gameEnv).ranked) {
+                this.assertCanJoinRanked(gameEnv, req.body.playerName);
+                if (!gameEnv.replayOf) {
+                    await playerKeyService.assertOwner(req.body.playerName, playerKeyService.readPlayerKey(req));
+                    gameEnv.verifiedPlayers = { ...gameEnv.verifiedPlayers, [playerId]: true };
+                }
+            }
+            if (gameEnv.previousGame) {
+                this.assertPlayedPreviousGame(gameEnv, [getPlayerName(gameEnv, PLAYER_SEATS[0]), req.body.playerName]);
+            }
+            if (getGameRules(gameEnv).takebacks === 'automatic' && !gameEnv.replayOf) {
+                await this.assertSoloJoin(gameId, req);
+            }
         
-        // Now prepare decks for both players
-        const player1Id = gameEnv.playerId_1;
-        const player2Id = gameEnv.playerId_2;
+            // Add second player
+            gameEnv.playerId_2 = playerId;
+            gameEnv.playerNames = { ...gameEnv.playerNames, [playerId]: req.body.playerName || null };
+            updatePhase(gameEnv, 'BOTH_JOINED');
         
-        const startTask = [
-            mozDeckHelper.prepareDeckForPlayer(player1Id),
-            mozDeckHelper.prepareDeckForPlayer(player2Id)
-        ];
+            // Now prepare decks for both players
+            const player1Id = gameEnv.playerId_1;
+            const player2Id = gameEnv.playerId_2;
+
+            // Everyone brings the active deck saved under their name (or their seat's deck);
+            // the lists are kept for redraws and logged so a replay deals the same cards
+            gameEnv.deckLists = deckLists || {
+                [player1Id]: await deckManager.getDeckForGame(getPlayerName(gameEnv, player1Id), player1Id),
+                [player2Id]: await deckManager.getDeckForGame(getPlayerName(gameEnv, player2Id), player2Id)
+            };
         
-        const results = await Promise.all(startTask);
+            // One deck after the other, so the seeded shuffles always happen in the same order
+            const { handSize } = getGameRules(gameEnv);
+            const player1Deck = await mozDeckHelper.prepareDeckForPlayer(gameEnv, player1Id, handSize);
+            const player2Deck = await mozDeckHelper.prepareDeckForPlayer(gameEnv, player2Id, handSize);
         
-        // Set up game environment with decks
-        gameEnv[player1Id] = { "deck": results[0] };
-        gameEnv[player2Id] = { "deck": results[1] };
+            // Set up game environment with decks
+            gameEnv[player1Id] = { "deck": player1Deck };
+            gameEnv[player2Id] = { "deck": player2Deck };
         
-        // Initialize game environment (deals hands, sets up leaders, etc.)
-        gameEnv = this.mozGamePlay.updateInitialGameEnvironment(gameEnv);
+            // Initialize game environment (deals hands, sets up leaders, etc.)
+            gameEnv = this.mozGamePlay.updateInitialGameEnvironment(gameEnv);
         
-        // Update to ready phase
-        updatePhase(gameEnv, 'READY_PHASE');
+            // Update to ready phase
+            updatePhase(gameEnv, 'READY_PHASE');
         
-        // Add player joined event
-        this.mozGamePlay.addGameEvent(gameEnv, 'PLAYER_JOINED', {
-            playerId: playerId,
-            roomStatus: 'BOTH_JOINED',
-            readyForStart: true
+            // Add player joined event
+            this.mozGamePlay.addGameEvent(gameEnv, 'PLAYER_JOINED', {
+                playerId: playerId,
+                roomStatus: 'BOTH_JOINED',
+                readyForStart: true
+            });
+            actionLogManager.recordAction(gameEnv, 'JOIN_ROOM', playerId, {
+                playerName: req.body.playerName || null,
+                deckLists: gameEnv.deckLists
+            });
+
+            const updatedGame = this.addUpdateUUID({
+                ...gameData,
+                "gameEnv": gameEnv
+            });
+            await this.saveOrCreateGame(updatedGame, gameId, baseVersion);
+            if (room) {
+                await lobbyManager.markRoomFull(room.roomCode);
+            }
+            const session = gameEnv.replayOf ? null : await sessionManager.createSession(gameId, playerId);
+            return {
+                ...this.transformGameStateForFrontend(updatedGame, playerId),
+                playerId,
+                ...(session ? { sessionToken: session.token } : {})
+            };
         });
+    }
 
-        const updatedGame = {
-            "gameId": gameId,
-            "gameEnv": gameEnv,
-            lastUpdate: new Date()
-        };
-        await this.saveOrCreateGame(updatedGame, gameId);
-        return this.transformGameStateForFrontend(updatedGame);
+    /**
+     * Close a room that is still waiting for its second player
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Seat asking to close (must be the creator)
+     * @returns {Promise<Object>} Game state after closing
+     */
+    async closeRoom(gameId, playerId) {
+        return gameActionQueue.enqueue(gameId, 'closeRoom', async () => {
+            const gameData = await this.readGameForUpdate(gameId);
+            const baseVersion = gameData.version || 0;
+
+            if (playerId !== PLAYER_SEATS[0]) {
+                throw new RoomAccessError('ROOM_NOT_CREATOR');
+            }
+            if (gameData.gameEnv.phase !== 'WAITING_FOR_PLAYERS') {
+                throw new RoomAccessError('ROOM_NOT_OPEN', {}, 'Only rooms waiting for players can be closed');
+            }
+
+            updatePhase(gameData.gameEnv, 'ROOM_CLOSED');
+            this.mozGamePlay.addGameEvent(gameData.gameEnv, 'ROOM_CLOSED', {
+                gameId: gameId,
+                closedBy: playerId
+            });
+            actionLogManager.recordAction(gameData.gameEnv, 'CLOSE_ROOM', playerId);
+
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+            if (gameData.roomCode) {
+                await lobbyManager.closeRoom(gameData.roomCode);
+            }
+            return this.transformGameStateForFrontend(updatedGameData, playerId);
+        });
     }
 
     async startReady(req) {
-     
-        var {playerId, gameId, isRedraw} = req.body;
-        var gameData = await this.readJSONFileAsync(gameId);
-        let gameEnv = gameData.gameEnv;
+        return gameActionQueue.enqueue(req.body.gameId, 'startReady', async () => {
+            var {playerId, gameId, isRedraw} = req.body;
+            var gameData = await this.readGameForUpdate(gameId, req.body);
+            const baseVersion = gameData.version || 0;
+            let gameEnv = gameData.gameEnv;
         
-        // Check if room is in correct state
-        if (gameEnv.phase !== 'READY_PHASE') {
-            throw new Error('Room is not ready for player ready status. Current phase: ' + gameEnv.phase);
-        }
+            // Check if room is in correct state
+            if (gameEnv.phase !== 'READY_PHASE') {
+                throw new GameError('ROOM_NOT_READY', { phase: gameEnv.phase });
+            }
         
-        // Handle redraw logic
-        gameEnv = await this.mozGamePlay.redrawInBegining(gameEnv, playerId, isRedraw);
-        // Track which players are ready
-        if (!gameEnv.playersReady) {
-            gameEnv.playersReady = {};
-        }
-        gameEnv.playersReady[playerId] = true;
+            // Handle redraw logic
+            gameEnv = await this.mozGamePlay.redrawInBegining(gameEnv, playerId, isRedraw);
+            if (gameEnv.error) {
+                throw GameError.fromResult(gameEnv);
+            }
+            actionLogManager.recordAction(gameEnv, 'START_READY', playerId, { isRedraw: !!isRedraw });
+
+            // A player who redrew and has redraws left is not ready until they keep a hand
+            if (gameEnv[playerId].redraw === 0) {
+                gameData.gameEnv = gameEnv;
+                const updatedGameData = this.addUpdateUUID(gameData);
+                await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+                return this.transformGameStateForFrontend(updatedGameData, playerId);
+            }
+
+            // Track which players are ready
+            if (!gameEnv.playersReady) {
+                gameEnv.playersReady = {};
+            }
+            gameEnv.playersReady[playerId] = true;
         
-        // Add player ready event
-        this.mozGamePlay.addGameEvent(gameEnv, 'PLAYER_READY', {
-            playerId: playerId,
-            isRedraw: isRedraw
-        });
+            // Add player ready event
+            this.mozGamePlay.addGameEvent(gameEnv, 'PLAYER_READY', {
+                playerId: playerId,
+                isRedraw: isRedraw
+            });
         
-        // Check if both players are ready
-        const { getPlayerFromGameEnv } = require('../utils/gameUtils');
-        const playerList = getPlayerFromGameEnv(gameEnv);
-        const bothReady = gameEnv.playersReady[playerList[0]] && gameEnv.playersReady[playerList[1]];
-        console.log("🔍 Player List:", playerList);
-        console.log("🔍 Players Ready Status:", gameEnv.playersReady);
-        console.log("🔍 Both Ready:", bothReady);
-        if (bothReady) {
-            console.log("🎯 Both players ready - generating DRAW_PHASE_COMPLETE event");
+            // Check if both players are ready
+            const { getPlayerFromGameEnv } = require('../utils/gameUtils');
+            const playerList = getPlayerFromGameEnv(gameEnv);
+            const bothReady = gameEnv.playersReady[playerList[0]] && gameEnv.playersReady[playerList[1]];
+            logger.debug('🔍 Ready check', { playerList, playersReady: gameEnv.playersReady, bothReady });
+            if (bothReady) {
+                logger.info('🎯 Both players ready - generating DRAW_PHASE_COMPLETE event');
             
-            // Initialize game fields for all players (moved from redrawInBegining)
-            for (let playerId of playerList) {
-                let leader = this.mozGamePlay.cardInfoUtils.getCurrentLeader(gameEnv, playerId);
+                // Initialize game fields for all players (moved from redrawInBegining)
+                for (let playerId of playerList) {
+                    let leader = this.mozGamePlay.cardInfoUtils.getCurrentLeader(gameEnv, playerId);
                 
-                // NEW: Record leader card play BEFORE setting up field
-                this.playSequenceManager.recordCardPlay(
-                    gameEnv,
-                    playerId,
-                    leader.id,
-                    "PLAY_LEADER",
-                    "leader",
-                    {
-                        leaderIndex: gameEnv[playerId].deck.currentLeaderIdx,
-                        isInitialPlacement: true
-                    }
-                );
+                    // NEW: Record leader card play BEFORE setting up field
+                    this.playSequenceManager.recordCardPlay(
+                        gameEnv,
+                        playerId,
+                        leader.id,
+                        "PLAY_LEADER",
+                        "leader",
+                        {
+                            leaderIndex: gameEnv[playerId].deck.currentLeaderIdx,
+                            isInitialPlacement: true
+                        }
+                    );
                 
-                gameEnv[playerId]["turnAction"] = []
-                gameEnv[playerId]["Field"] = {};
-                gameEnv[playerId]["Field"]["leader"] = leader;
-                gameEnv[playerId]["Field"]["right"] = [];
-                gameEnv[playerId]["Field"]["left"] = [];
-                gameEnv[playerId]["Field"]["top"] = [];
-                gameEnv[playerId]["Field"]["help"] = [];
-                gameEnv[playerId]["Field"]["sp"] = [];
+                    gameEnv[playerId]["turnAction"] = []
+                    gameEnv[playerId]["Field"] = {};
+                    gameEnv[playerId]["Field"]["leader"] = leader;
+                    gameEnv[playerId]["Field"]["right"] = [];
+                    gameEnv[playerId]["Field"]["left"] = [];
+                    gameEnv[playerId]["Field"]["top"] = [];
+                    gameEnv[playerId]["Field"]["help"] = [];
+                    gameEnv[playerId]["Field"]["sp"] = [];
                 
-                // Initialize field effects for this player
-                this.mozGamePlay.fieldEffectProcessor.initializePlayerFieldEffects(gameEnv, playerId);
-            }
+                    // Initialize field effects for this player
+                    this.mozGamePlay.fieldEffectProcessor.initializePlayerFieldEffects(gameEnv, playerId);
+                }
             
-            // NEW: Initial simulation after all leaders are recorded
-            const computedState = this.effectSimulator.simulateCardPlaySequence(gameEnv);
-            gameEnv.computedState = computedState;
+                // NEW: Initial simulation after all leaders are recorded
+                const computedState = this.effectSimulator.simulateCardPlaySequence(gameEnv);
+                gameEnv.computedState = computedState;
             
-            // Transition to draw phase first - game officially starts
-            updatePhase(gameEnv, 'DRAW_PHASE');
-            gameEnv.gameStarted = true;
+                // Transition to draw phase first - game officially starts
+                updatePhase(gameEnv, 'DRAW_PHASE');
+                gameEnv.gameStarted = true;
+                gameEnv.startedAt = new Date().toISOString();
             
-            // Set current player to first player
-            gameEnv.currentPlayer = playerList[gameEnv.firstPlayer];
-            gameEnv.currentTurn = 0;
+                // Set current player to first player
+                gameEnv.currentPlayer = playerList[gameEnv.firstPlayer];
+                gameEnv.currentTurn = 0;
             
-            // First player draws 1 card
-            const currentPlayerId = gameEnv.currentPlayer;
-            const hand = gameEnv[currentPlayerId].deck.hand;
-            const mainDeck = gameEnv[currentPlayerId].deck.mainDeck;
-            const mozDeckHelper = require('../mozGame/mozDeckHelper');
-            const result = mozDeckHelper.drawToHand(hand, mainDeck);
-            gameEnv[currentPlayerId].deck.hand = result.hand;
-            gameEnv[currentPlayerId].deck.mainDeck = result.mainDeck;
+                // First player draws 1 card
+                const currentPlayerId = gameEnv.currentPlayer;
+                const hand = gameEnv[currentPlayerId].deck.hand;
+                const mainDeck = gameEnv[currentPlayerId].deck.mainDeck;
+                const mozDeckHelper = require('../mozGame/mozDeckHelper');
+                const result = mozDeckHelper.drawToHand(hand, mainDeck);
+                gameEnv[currentPlayerId].deck.hand = result.hand;
+                gameEnv[currentPlayerId].deck.mainDeck = result.mainDeck;
             
-            // Add draw phase event that requires acknowledgment
-            this.mozGamePlay.addGameEvent(gameEnv, 'DRAW_PHASE_COMPLETE', {
-                playerId: currentPlayerId,
-                cardCount: 1,
-                newHandSize: result.hand.length,
-                requiresAcknowledgment: true
-            });
+                // Add draw phase event that requires acknowledgment
+                this.mozGamePlay.addGameEvent(gameEnv, 'DRAW_PHASE_COMPLETE', {
+                    playerId: currentPlayerId,
+                    cardCount: 1,
+                    newHandSize: result.hand.length,
+                    requiresAcknowledgment: true
+                });
             
-            // Add game start event
-            this.mozGamePlay.addGameEvent(gameEnv, 'GAME_PHASE_START', {
-                phase: 'DRAW_PHASE',
-                currentPlayer: currentPlayerId,
-                message: 'Both players ready - draw phase started!'
-            });
-        }
+                // Add game start event
+                this.mozGamePlay.addGameEvent(gameEnv, 'GAME_PHASE_START', {
+                    phase: 'DRAW_PHASE',
+                    currentPlayer: currentPlayerId,
+                    message: 'Both players ready - draw phase started!'
+                });
+            }
         
-        gameData.gameEnv = gameEnv;
-        await this.saveOrCreateGame(gameData, gameId);
-        return this.transformGameStateForFrontend(gameData);
+            gameData.gameEnv = gameEnv;
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+            return this.transformGameStateForFrontend(updatedGameData, playerId);
+        });
     }
     
     async processPlayerAction(req) {
-        var {playerId ,gameId,action} = req.body;
-        var gameData = await this.readJSONFileAsync(gameId);
-        const result = await this.mozGamePlay.checkIsPlayOkForAction(gameData.gameEnv,playerId,action);
-        if(!result){
-            return this.mozGamePlay.throwError("Not your turn");
-        }else{
-            const actionResult = await this.mozGamePlay.processAction(gameData.gameEnv,playerId,action);
+        return gameActionQueue.enqueue(req.body.gameId, 'playerAction', async () => {
+            var {playerId ,gameId,action} = req.body;
+            var gameData = await this.readGameForUpdate(gameId, req.body);
+            const baseVersion = gameData.version || 0;
+            const result = await this.mozGamePlay.checkIsPlayOkForAction(gameData.gameEnv,playerId,action);
+            if(!result){
+                throw new GameError('NOT_YOUR_TURN', { currentPlayer: gameData.gameEnv.currentPlayer, phase: gameData.gameEnv.phase });
+            }else{
+                // processAction adds details to the action, so keep the request as sent
+                const requestedAction = JSON.parse(JSON.stringify(action));
+                const isCardPlay = action.type === 'PlayCard' || action.type === 'PlayCardBack';
+                const playedCardId = isCardPlay ? gameData.gameEnv[playerId]?.deck?.hand?.[action.card_idx] : null;
+                const snapshot = takebackManager.captureSnapshot(gameData.gameEnv);
+                const actionResult = await this.mozGamePlay.processAction(gameData.gameEnv,playerId,action);
             
-            if (actionResult.hasOwnProperty('error')){
-                return actionResult;
-            }
+                if (actionResult.hasOwnProperty('error')){
+                    throw GameError.fromResult(actionResult);
+                }
             
-            // Always update gameEnv and save
-            gameData.gameEnv = actionResult.requiresCardSelection ? actionResult.gameEnv : actionResult;
+                // Always update gameEnv and save
+                gameData.gameEnv = actionResult.requiresCardSelection ? actionResult.gameEnv : actionResult;
+                const logEntry = actionLogManager.recordAction(gameData.gameEnv, 'PLAYER_ACTION', playerId, { action: requestedAction });
+                takebackManager.rememberAction(gameData.gameEnv, playerId, logEntry, snapshot);
             
-            // NEW: Record card play and simulate if card was played
-            if (!actionResult.hasOwnProperty('error') && action.actionType === 'PlayCard') {
-                // Record the card play
-                this.playSequenceManager.recordCardPlay(
-                    gameData.gameEnv,
-                    playerId,
-                    action.cardId,
-                    "PLAY_CARD",
-                    action.zone,
-                    {
-                        isFaceDown: action.actionType === 'PlayCardBack',
-                        turnAction: action
-                    }
-                );
+                // NEW: Record card play and simulate if card was played
+                if (isCardPlay) {
+                    // Record the card play
+                    this.playSequenceManager.recordCardPlay(
+                        gameData.gameEnv,
+                        playerId,
+                        playedCardId,
+                        "PLAY_CARD",
+                        ["top", "left", "right", "help", "sp"][action.field_idx],
+                        {
+                            isFaceDown: action.type === 'PlayCardBack',
+                            turnAction: requestedAction
+                        }
+                    );
                 
-                // Simulate entire sequence with new card
-                const computedState = this.effectSimulator.simulateCardPlaySequence(gameData.gameEnv);
-                gameData.gameEnv.computedState = computedState;
-            }
+                    // Simulate entire sequence with new card
+                    const computedState = this.effectSimulator.simulateCardPlaySequence(gameData.gameEnv);
+                    gameData.gameEnv.computedState = computedState;
+                }
             
-            const updatedGameData = this.addUpdateUUID(gameData);
-            await this.saveOrCreateGame(updatedGameData, gameId);
+                const updatedGameData = this.addUpdateUUID(gameData);
+                await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
             
-            // Return the updated game data - client can determine card selection from pendingPlayerAction
-            return this.transformGameStateForFrontend(updatedGameData);
-        }
+                // Return the updated game data - client can determine card selection from pendingPlayerAction
+                return this.transformGameStateForFrontend(updatedGameData, playerId);
+            }
+        });
+    }
+
+    /**
+     * Ask to take back the player's last action. With automatic takebacks (solo practice)
+     * it is taken back at once; otherwise the opponent answers with respondTakeback.
+     */
+    async requestTakeback(req) {
+        return gameActionQueue.enqueue(req.body.gameId, 'requestTakeback', async () => {
+            const { gameId, playerId } = req.body;
+            const gameData = await this.readGameForUpdate(gameId, req.body);
+            const baseVersion = gameData.version || 0;
+            let gameEnv = gameData.gameEnv;
+
+            if (!takebackManager.isEnabled(gameEnv)) {
+                throw new GameError('TAKEBACKS_OFF');
+            }
+            if (!takebackManager.canTakeBack(gameEnv, playerId)) {
+                throw new GameError('NOTHING_TO_TAKE_BACK');
+            }
+
+            actionLogManager.recordAction(gameEnv, 'TAKEBACK_REQUEST', playerId);
+            if (getGameRules(gameEnv).takebacks === 'automatic') {
+                gameEnv = this.takeBack(gameEnv, 'automatic');
+            } else {
+                gameEnv.takebackRequest = { requestedBy: playerId, actionSeq: gameEnv.takeback.actionSeq };
+                this.mozGamePlay.addGameEvent(gameEnv, 'TAKEBACK_REQUESTED', {
+                    playerId: playerId,
+                    actionType: gameEnv.takeback.actionType
+                });
+            }
+
+            gameData.gameEnv = gameEnv;
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+            return this.transformGameStateForFrontend(updatedGameData, playerId);
+        });
+    }
+
+    // The opponent accepts or declines a takeback request
+    async respondTakeback(req) {
+        return gameActionQueue.enqueue(req.body.gameId, 'respondTakeback', async () => {
+            const { gameId, playerId, accept } = req.body;
+            const gameData = await this.readGameForUpdate(gameId, req.body);
+            const baseVersion = gameData.version || 0;
+            let gameEnv = gameData.gameEnv;
+
+            const request = gameEnv.takebackRequest;
+            if (!request || request.requestedBy === playerId || !takebackManager.canTakeBack(gameEnv, request.requestedBy)) {
+                throw new GameError('NO_TAKEBACK_REQUEST');
+            }
+
+            actionLogManager.recordAction(gameEnv, 'TAKEBACK_RESPONSE', playerId, { accept: Boolean(accept) });
+            if (accept) {
+                gameEnv = this.takeBack(gameEnv, playerId);
+            } else {
+                delete gameEnv.takebackRequest;
+                this.mozGamePlay.addGameEvent(gameEnv, 'TAKEBACK_DECLINED', {
+                    playerId: request.requestedBy,
+                    declinedBy: playerId
+                });
+            }
+
+            gameData.gameEnv = gameEnv;
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+            return this.transformGameStateForFrontend(updatedGameData, playerId);
+        });
+    }
+
+    /**
+     * Restore the state before the last action and log it as an UNDO
+     * @param {Object} gameEnv - Game environment with a takeback available
+     * @param {string} acceptedBy - Seat that accepted, or 'automatic'
+     * @returns {Object} Restored game environment
+     */
+    takeBack(gameEnv, acceptedBy) {
+        const { playerId, actionSeq, actionType } = gameEnv.takeback;
+        const restored = takebackManager.restore(gameEnv);
+        const undo = { undoneSeq: actionSeq, undoneType: actionType, acceptedBy };
+        this.mozGamePlay.addGameEvent(restored, 'UNDO', { playerId, ...undo });
+        actionLogManager.recordAction(restored, 'UNDO', playerId, undo);
+        logger.info('↩️ Action taken back', { actingPlayer: playerId, undoneSeq: actionSeq, acceptedBy });
+        return restored;
     }
 
     async playerAIAction(req) {
         var {playerId ,gameId} = req.body;
         var gameData = await this.readJSONFileAsync(gameId);
-        return await mozAIClass.getAIAction(gameData.gameEnv,playerId);
+        const endTimer = aiMoveTime.startTimer();
+        try {
+            return await mozAIClass.getAIAction(gameData.gameEnv,playerId);
+        } finally {
+            endTimer();
+        }
     }
 
     addUpdateUUID(returnVale){
         returnVale["updateUUID"] = uuidv4();
+        returnVale["version"] = (returnVale["version"] || 0) + 1;
         returnVale["lastUpdate"] = new Date()
         return returnVale;
     }
+
+    /**
+     * Load a game that is about to be modified, rejecting requests built on stale state.
+     * Clients send the `version` (or `updateUUID`) of the last state they saw;
+     * omitting both skips the check for older clients.
+     * @param {string} gameId - Game ID
+     * @param {Object} clientState - Request body containing version and/or updateUUID
+     * @returns {Object} Stored game data
+     */
+    async readGameForUpdate(gameId, clientState = {}) {
+        const gameData = await this.readJSONFileAsync(gameId);
+        const { version, updateUUID } = clientState;
+        const isStale = (version != null && version !== (gameData.version || 0)) ||
+            (updateUUID != null && updateUUID !== gameData.updateUUID);
+        
+        if (isStale) {
+            throw new GameStateConflictError(gameData);
+        }
+        // Imported replays are only there to be inspected
+        if (gameData.gameEnv && gameData.gameEnv.readOnly) {
+            throw new GameError('GAME_READ_ONLY', { gameId });
+        }
+        return gameData;
+    }
     async setCaseInGameLogic(req) {
         const {caseFile,gameId} = req.body;
-        var game = await this.readJSONFileAsync(caseFile,"../testData/")
+        await this.assertNewGameId(gameId);
+        var game = await this.readTestCaseFile(caseFile);
+        if (game.gameEnv) {
+            this.recordInjectedState(game.gameEnv);
+        }
         await this.saveOrCreateGame(game, gameId);
         return game;
     }
 
-    async injectGameState(gameId, gameEnv) {
-        // Only allow in test environment
-        /*
-        if (process.env.NODE_ENV !== 'test') {
-            throw new Error('This method is only available in test environment');
-        }*/
+    // Loaded states only ever create games; they must not replace a game that is being played
+    async assertNewGameId(gameId) {
+        if (gameId && await this.gameStore.get(gameId)) {
+            throw new GameError('GAME_ALREADY_EXISTS', { gameId });
+        }
+    }
 
+    // A stored state replaces the game wholesale, so its log starts over with a copy of it
+    recordInjectedState(gameEnv) {
+        const { actionLog, ...injected } = gameEnv;
+        gameEnv.actionLog = [];
+        actionLogManager.recordAction(gameEnv, 'INJECT_STATE', null, { gameEnv: injected });
+    }
+
+    async injectGameState(gameId, gameEnv) {
         // Create a new game ID if not provided
         if (!gameId) {
             gameId = uuidv4();
         }
+        await this.assertNewGameId(gameId);
+
+        this.recordInjectedState(gameEnv);
 
         // Create new game with injected state
-        const newGame = {
+        const newGame = this.addUpdateUUID({
             gameId: gameId,
-            gameEnv: gameEnv,
-            lastUpdate: new Date()
-        };
+            gameEnv: gameEnv
+        });
 
         await this.saveOrCreateGame(newGame, gameId);
         return this.transformGameStateForFrontend(newGame);
     }
 
-    async saveOrCreateGame(data, gameId) {
-        const jsonString = JSON.stringify(data, null, 2); // The '2' adds nice formatting
-        //await fs.writeFile(path.join(__dirname, '../gameData/'+gameId+'.json'), jsonString);
-        await this.writeFileAsync(path.join(__dirname, '../gameData/'+gameId+'.json'), jsonString);
+    /**
+     * Persist a game
+     * @param {Object} data - Game data to store
+     * @param {string} gameId - Game ID
+     * @param {number} [expectedVersion] - Version the change was based on; if another
+     *     request saved the game in the meantime the write is rejected
+     */
+    async saveOrCreateGame(data, gameId, expectedVersion) {
+        if (expectedVersion !== undefined) {
+            const stored = await this.gameStore.get(gameId);
+            if (stored && (stored.version || 0) !== expectedVersion) {
+                throw new GameStateConflictError(stored);
+            }
+        }
+        setLogContext({ gameId, phase: data.gameEnv && data.gameEnv.phase });
+        turnTimerScheduler.syncClock(data.gameEnv);
+        await this.gameStore.set(gameId, data);
+        turnTimerScheduler.schedule(gameId, data.gameEnv);
+        gameEventBroadcaster.publish(gameId, data);
+        const record = await matchHistoryService.recordFinishedGame(data);
+        if (record) {
+            await ratingService.rateMatch(record);
+        }
     }
-    async writeFileAsync(filename, data) {
-        return new Promise((resolve, reject) => {
-          try {
-            fs.writeFileSync(filename, data); // Synchronous file write
-            resolve(); // Resolve the promise when the operation succeeds
-          } catch (error) {
-            reject(error); // Reject the promise if an error occurs
-          }
-        });
+
+    async readJSONFileAsync(gameId) {
+        const game = await this.gameStore.get(gameId);
+        if (!game) {
+            throw new GameError('GAME_NOT_FOUND', { gameId });
+        }
+        setLogContext({ gameId, phase: game.gameEnv && game.gameEnv.phase });
+        return game;
     }
-    async readJSONFileAsync(gameId, folderPath='../gameData/') {
-        const filename = path.join(__dirname, folderPath+gameId+'.json');
-        return new Promise((resolve, reject) => {
-            fs.readFile(filename, (error, data) => {
-                if (error) {
-                    if (error.code === 'ENOENT') {
-                        console.error('File not found:', filename);
-                    } else {
-                        console.error('Error reading file:', error.message);
-                    }
-                    reject(error);
-                    return;
-                }
-                
-                try {
-                    const jsonData = JSON.parse(data);
-                    resolve(jsonData);
-                } catch (parseError) {
-                    console.error('Error parsing JSON:', parseError.message);
-                    reject(parseError);
-                }
-            });
-        });
+
+    async readTestCaseFile(caseFile) {
+        const filename = path.join(__dirname, '../testData/' + caseFile + '.json');
+        const data = await fs.readFile(filename, 'utf8');
+        return JSON.parse(data);
     }
 
-    async getGameState(gameId) {
+    async getGameState(gameId, viewerId = null) {
         try {
             const game = await this.readJSONFileAsync(gameId);
-            return this.transformGameStateForFrontend(game);
+            return this.transformGameStateForFrontend(game, viewerId);
         } catch (error) {
             return null;
         }
     }
 
+    /**
+     * Everything a seat needs to rebuild its board after a reload: the current
+     * redacted state plus the events the client has not acknowledged yet
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Seat taken from the session
+     * @returns {Promise<Object|null>} Resume payload, or null for an unknown game
+     */
+    async resumeGame(gameId, playerId) {
+        const gameState = await this.getGameState(gameId, playerId);
+        if (!gameState) {
+            return null;
+        }
+
+        const gameEvents = gameState.gameEnv.gameEvents || [];
+        return {
+            ...gameState,
+            playerId,
+            roomCode: gameState.roomCode || null,
+            pendingEvents: gameEvents.filter(event => !event.frontendProcessed)
+        };
+    }
+
     /**
      * Transform hand card IDs to full card objects for frontend
      * @param {string[]} handCardIds - Array of card IDs
@@ -382,7 +819,7 @@ class GameLogic {
             try {
                 const cardDetails = this.mozGamePlay.cardInfoUtils.getCardDetails(cardId);
                 if (!cardDetails) {
-                    console.warn(`[GameLogic] Card details not found for hand card: ${cardId}`);
+                    logger.warn('Card details not found for hand card', { cardId });
                     return {
                         id: cardId,
                         name: 'Unknown Card',
@@ -402,7 +839,7 @@ class GameLogic {
                     traits: cardDetails.traits || []
                 };
             } catch (error) {
-                console.error(`[GameLogic] Error transforming hand card ${cardId}:`, error);
+                logger.error('Error transforming hand card', { cardId, error });
                 return {
                     id: cardId,
                     name: 'Error Card',
@@ -418,9 +855,10 @@ class GameLogic {
     /**
      * Transform zone cardObj objects to simplified card format for frontend
      * @param {Object[]} cardObjects - Array of cardObj from backend zones
+     * @param {boolean} hideFaceDown - Mask the identity of face-down cards (opponent's view)
      * @returns {Object[]} Array of simplified card objects
      */
-    transformZoneCards(cardObjects) {
+    transformZoneCards(cardObjects, hideFaceDown = false) {
         if (!cardObjects || !Array.isArray(cardObjects)) {
             return [];
         }
@@ -428,10 +866,24 @@ class GameLogic {
         return cardObjects.map(cardObj => {
             try {
                 if (!cardObj.cardDetails || !cardObj.cardDetails[0]) {
-                    console.warn(`[GameLogic] Invalid cardObj structure:`, cardObj);
+                    logger.warn('Invalid cardObj structure', { cardObj });
                     return null;
                 }
 
+                const isFaceDown = cardObj.isBack ? cardObj.isBack[0] : false;
+                if (hideFaceDown && isFaceDown) {
+                    return {
+                        id: null,
+                        name: 'Face-down Card',
+                        cardType: 'unknown',
+                        gameType: 'unknown',
+                        power: 0,
+                        traits: [],
+                        isFaceDown: true,
+                        valueOnField: cardObj.valueOnField || 0
+                    };
+                }
+
                 const cardDetails = cardObj.cardDetails[0];
                 return {
                     id: cardDetails.id,
@@ -440,23 +892,107 @@ class GameLogic {
                     gameType: cardDetails.gameType,
                     power: cardDetails.power || 0,
                     traits: cardDetails.traits || [],
-                    isFaceDown: cardObj.isBack ? cardObj.isBack[0] : false,
+                    isFaceDown: isFaceDown,
                     valueOnField: cardObj.valueOnField || 0
                 };
             } catch (error) {
-                console.error(`[GameLogic] Error transforming zone card:`, error, cardObj);
+                logger.error('Error transforming zone card', { error, cardObj });
                 return null;
             }
         }).filter(card => card !== null); // Remove any null entries from errors
     }
 
-    transformGameStateForFrontend(game) {
+    /**
+     * Strip card identities from an opponent's face-down plays in their action history
+     * @param {Object[]} turnActions - Player's turnAction list
+     * @returns {Object[]} Actions safe to show to other players
+     */
+    redactTurnActions(turnActions) {
+        return turnActions.map(action => {
+            const isFaceDown = action.type === 'PlayCardBack' || action.selectedCard?.isBack?.[0];
+            if (!isFaceDown) {
+                return action;
+            }
+            const { cardId, selectedCard, ...visible } = action;
+            return { ...visible, selectedCard: { isBack: [true] } };
+        });
+    }
+
+    /**
+     * Hide the cards other players played face-down from the play sequence and from the
+     * effect results computed from it (card powers and disabled cards are keyed by card id)
+     * @param {Object} playSequence - gameEnv.playSequence
+     * @param {Object} computedState - gameEnv.computedState
+     * @param {string|null} viewerId - Player receiving the state
+     * @returns {Object} { playSequence, computedState } safe to show to the viewer
+     */
+    redactPlayHistory(playSequence, computedState, viewerId) {
+        const hiddenCardIds = {};
+        const plays = (playSequence.plays || []).map(play => {
+            if (!play.data?.isFaceDown || play.playerId === viewerId) {
+                return play;
+            }
+            hiddenCardIds[play.playerId] = hiddenCardIds[play.playerId] || new Set();
+            hiddenCardIds[play.playerId].add(play.cardId);
+            return { ...play, cardId: null };
+        });
+        const isHidden = (playerId, cardId) => !!hiddenCardIds[playerId]?.has(cardId);
+
+        const playerPowers = {};
+        Object.entries(computedState.playerPowers || {}).forEach(([playerId, powers]) => {
+            playerPowers[playerId] = Object.fromEntries(
+                Object.entries(powers).filter(([cardId]) => !isHidden(playerId, cardId))
+            );
+        });
+        return {
+            playSequence: { ...playSequence, plays },
+            computedState: {
+                ...computedState,
+                playerPowers,
+                disabledCards: (computedState.disabledCards || []).filter(card => !isHidden(card.playerId, card.cardId))
+            }
+        };
+    }
+
+    /**
+     * Hide face-down card identities in events created by other players
+     * @param {Object[]} events - gameEvents
+     * @param {string|null} viewerId - Player receiving the state
+     * @returns {Object[]} Events safe to show to the viewer
+     */
+    redactGameEvents(events, viewerId) {
+        return events.map(event => {
+            const hiddenFields = FACE_DOWN_EVENT_FIELDS[event.type];
+            if (!hiddenFields || !event.data?.isFaceDown || event.data.playerId === viewerId) {
+                return event;
+            }
+            const data = { ...event.data };
+            hiddenFields.forEach(field => {
+                data[field] = null;
+            });
+            return { ...event, data };
+        });
+    }
+
+    /**
+     * Build the state a single viewer is allowed to see
+     * The viewer's own hand, deck and face-down cards are shown in full. For every other seat
+     * the hand and main deck are reduced to counts, face-down cards are masked (also in the
+     * play sequence and computed effects) and their pending card selections are left out. Without a viewer every seat is hidden
+     * (spectator view); `revealAll` shows every seat (delayed caster view).
+     * @param {Object} game - Stored game
+     * @param {string|null} viewerId - Player the state is built for
+     * @param {Object} options - { revealAll }
+     * @returns {Object} Game with the frontend gameEnv
+     */
+    transformGameStateForFrontend(game, viewerId = null, options = {}) {
+        const revealAll = !!options.revealAll;
         if (!game || !game.gameEnv) {
             return game;
         }
 
         const sourceGameEnv = game.gameEnv;
-        const { getPlayerFromGameEnv } = require('../utils/gameUtils');
+        const { getPlayerFromGameEnv, getPlayerName } = require('../utils/gameUtils');
         const playerIds = getPlayerFromGameEnv(sourceGameEnv);
 
         const players = {};
@@ -466,20 +1002,27 @@ class GameLogic {
         playerIds.forEach(playerId => {
             if (sourceGameEnv[playerId]) {
                 const playerData = sourceGameEnv[playerId];
+                const isViewer = revealAll || playerId === viewerId;
+                const hand = playerData.deck?.hand || [];
+                const mainDeck = playerData.deck?.mainDeck || [];
+                const turnAction = playerData.turnAction || [];
                 
                 // Create structured player object
                 players[playerId] = {
                     id: playerId,
-                    name: playerData.name || playerId,
-                    hand: this.transformHandCards(playerData.deck?.hand || []),
+                    name: getPlayerName(sourceGameEnv, playerId) || playerId,
+                    hand: isViewer ? this.transformHandCards(hand) : [],
+                    handCount: hand.length,
                     deck: {
-                        mainDeck: playerData.deck?.mainDeck || [],
+                        mainDeck: isViewer ? mainDeck : [],
+                        mainDeckCount: mainDeck.length,
                         leader: playerData.deck?.leader || [],
                         currentLeaderIdx: playerData.deck?.currentLeaderIdx || 0
                     },
                     isReady: sourceGameEnv.playersReady?.[playerId] || false,
                     redraw: playerData.redraw || 0,
-                    turnAction: playerData.turnAction || [],
+                    redrawsUsed: playerData.redrawsUsed || 0,
+                    turnAction: isViewer ? turnAction : this.redactTurnActions(turnAction),
                     fieldEffects: playerData.fieldEffects || {
                         zoneRestrictions: {
                             "TOP": "ALL",
@@ -495,11 +1038,11 @@ class GameLogic {
                 // Extract zone data with proper structure
                 zones[playerId] = {
                     leader: playerData.Field?.leader || null,
-                    TOP: this.transformZoneCards(playerData.Field?.top || []),
-                    LEFT: this.transformZoneCards(playerData.Field?.left || []),
-                    RIGHT: this.transformZoneCards(playerData.Field?.right || []),
-                    HELP: this.transformZoneCards(playerData.Field?.help || []),
-                    SP: this.transformZoneCards(playerData.Field?.sp || [])
+                    TOP: this.transformZoneCards(playerData.Field?.top || [], !isViewer),
+                    LEFT: this.transformZoneCards(playerData.Field?.left || [], !isViewer),
+                    RIGHT: this.transformZoneCards(playerData.Field?.right || [], !isViewer),
+                    HELP: this.transformZoneCards(playerData.Field?.help || [], !isViewer),
+                    SP: this.transformZoneCards(playerData.Field?.sp || [], !isViewer)
                 };
                 
                 // Extract victory points
@@ -507,6 +1050,26 @@ class GameLogic {
             }
         });
 
+        // Card selections carry the searched deck cards, so only their owner sees them
+        const pendingCardSelections = {};
+        Object.entries(sourceGameEnv.pendingCardSelections || {}).forEach(([selectionId, selection]) => {
+            if (revealAll || selection.playerId === viewerId) {
+                pendingCardSelections[selectionId] = selection;
+            }
+        });
+
+        // Play history of the card effect system; other players' face-down plays are hidden
+        const playSequence = sourceGameEnv.playSequence || { globalSequence: 0, plays: [] };
+        const computedState = sourceGameEnv.computedState || {
+            playerPowers: {},
+            activeRestrictions: {},
+            disabledCards: [],
+            victoryPointModifiers: {}
+        };
+        const playHistory = revealAll
+            ? { playSequence, computedState }
+            : this.redactPlayHistory(playSequence, computedState, viewerId);
+
         // Build the new, clean gameEnv object for the frontend
         const frontendGameEnv = {
             // Game Status
@@ -514,8 +1077,17 @@ class GameLogic {
             currentPlayer: sourceGameEnv.currentPlayer,
             currentTurn: sourceGameEnv.currentTurn,
             round: sourceGameEnv.round || 1,
+            // Rounds the game plays; rules.leaderBattles is only the profile's upper limit
+            totalRounds: getLeaderBattleCount(sourceGameEnv),
             gameStarted: sourceGameEnv.gameStarted,
             firstPlayer: sourceGameEnv.firstPlayer,
+            winner: sourceGameEnv.winner || null,
+            forfeitedBy: sourceGameEnv.forfeitedBy || null,
+            turnClock: sourceGameEnv.turnClock || null,
+            rules: getGameRules(sourceGameEnv),
+            takeback: takebackManager.getPublicState(sourceGameEnv),
+            // Revealed once the game is over, so the shuffles and coin flips can be checked
+            randomSeed: sourceGameEnv.phase === 'GAME_END' && sourceGameEnv.random ? sourceGameEnv.random.seed : null,
 
             // Centralized Data (No duplication)
             players,
@@ -523,19 +1095,16 @@ class GameLogic {
             victoryPoints,
 
             // Events and Actions
-            gameEvents: sourceGameEnv.gameEvents || [],
+            gameEvents: revealAll
+                ? (sourceGameEnv.gameEvents || [])
+                : this.redactGameEvents(sourceGameEnv.gameEvents || [], viewerId),
             lastEventId: sourceGameEnv.lastEventId,
             pendingPlayerAction: sourceGameEnv.pendingPlayerAction || null,
-            pendingCardSelections: sourceGameEnv.pendingCardSelections || {},
+            pendingCardSelections,
             
             // NEW: Card Effect System Data
-            playSequence: sourceGameEnv.playSequence || { globalSequence: 0, plays: [] },
-            computedState: sourceGameEnv.computedState || {
-                playerPowers: {},
-                activeRestrictions: {},
-                disabledCards: [],
-                victoryPointModifiers: {}
-            },
+            playSequence: playHistory.playSequence,
+            computedState: playHistory.computedState,
         };
 
         // Return the game object with the cleaned gameEnv
@@ -545,126 +1114,278 @@ class GameLogic {
         };
     }
 
-    async updateGameState(gameId, updates) {
-        try {
-            const game = await this.readJSONFileAsync(gameId);
-            
+    async updateGameState(gameId, updates, clientState = {}) {
+        return gameActionQueue.enqueue(gameId, 'updateGameState', async () => {
+            const game = await this.readGameForUpdate(gameId, clientState);
+            const baseVersion = game.version || 0;
+        
             // Update game state
-            const updatedGame = {
+            const updatedGame = this.addUpdateUUID({
                 ...game,
-                ...updates,
-                lastUpdate: new Date()
-            };
-            
-            await this.saveOrCreateGame(updatedGame, gameId);
-            return this.transformGameStateForFrontend(updatedGame);
-        } catch (error) {
-            throw new Error('Game not found');
-        }
+                ...updates
+            });
+            actionLogManager.recordAction(updatedGame.gameEnv, 'UPDATE_GAME_STATE', clientState.playerId, { updates });
+        
+            await this.saveOrCreateGame(updatedGame, gameId, baseVersion);
+            return this.transformGameStateForFrontend(updatedGame, clientState.playerId);
+        });
     }
 
     async selectCard(req) {
-        const { selectionId, selectedCardIds, playerId, gameId } = req.body;
+        return gameActionQueue.enqueue(req.body.gameId, 'selectCard', async () => {
+            const { selectionId, selectedCardIds, playerId, gameId } = req.body;
         
-        if (!selectionId || !selectedCardIds || !playerId) {
-            throw new Error('Missing required parameters: selectionId, selectedCardIds, playerId');
-        }
+            if (!selectionId || !selectedCardIds || !playerId) {
+                throw new GameError('MISSING_PARAMETERS', { fields: ['selectionId', 'selectedCardIds', 'playerId'] });
+            }
 
-        const gameData = await this.readJSONFileAsync(gameId);
-        if (!gameData) {
-            throw new Error('Game not found');
-        }
+            const gameData = await this.readGameForUpdate(gameId, req.body);
+            const baseVersion = gameData.version || 0;
 
-        // Complete the card selection in mozGamePlay
-        const updatedGameEnv = await this.mozGamePlay.completeCardSelection(
-            gameData.gameEnv, 
-            selectionId, 
-            selectedCardIds
-        );
+            // Complete the card selection in mozGamePlay
+            const snapshot = takebackManager.captureSnapshot(gameData.gameEnv);
+            const updatedGameEnv = await this.mozGamePlay.completeCardSelection(
+                gameData.gameEnv, 
+                selectionId, 
+                selectedCardIds
+            );
 
-        if (updatedGameEnv.error) {
-            throw new Error(updatedGameEnv.error);
-        }
+            if (updatedGameEnv.error) {
+                throw GameError.fromResult(updatedGameEnv);
+            }
+            const logEntry = actionLogManager.recordAction(updatedGameEnv, 'SELECT_CARD', playerId, { selectionId, selectedCardIds });
+            takebackManager.rememberAction(updatedGameEnv, playerId, logEntry, snapshot);
 
-        // Update the stored game state
-        gameData.gameEnv = updatedGameEnv;
-        const updatedGameData = this.addUpdateUUID(gameData);
-        await this.saveOrCreateGame(updatedGameData, gameId);
+            // Update the stored game state
+            gameData.gameEnv = updatedGameEnv;
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
 
-        const transformedGame = this.transformGameStateForFrontend(updatedGameData);
-        return {
-            success: true,
-            gameEnv: transformedGame.gameEnv
-        };
+            const transformedGame = this.transformGameStateForFrontend(updatedGameData, playerId);
+            return {
+                success: true,
+                gameEnv: transformedGame.gameEnv,
+                updateUUID: transformedGame.updateUUID,
+                version: transformedGame.version
+            };
+        });
     }
 
-    async acknowledgeGameEvents(gameId, eventIds) {
-        // Read current game state
-        const gameData = await this.readJSONFileAsync(gameId);
+    async acknowledgeGameEvents(gameId, eventIds, clientState = {}) {
+        return gameActionQueue.enqueue(gameId, 'acknowledgeEvents', async () => {
+            // Read current game state
+            const gameData = await this.readGameForUpdate(gameId, clientState);
+            const baseVersion = gameData.version || 0;
 
-        // Mark specified events as processed and check for DRAW_PHASE_COMPLETE
-        let eventsAcknowledged = 0;
-        let drawPhaseCompleted = false;
+            // Mark specified events as processed and check for DRAW_PHASE_COMPLETE
+            let eventsAcknowledged = 0;
+            let drawPhaseCompleted = false;
         
-        if (gameData.gameEnv.gameEvents) {
-            for (const eventId of eventIds) {
-                const event = gameData.gameEnv.gameEvents.find(e => e.id === eventId);
-                if (event && event.type === 'DRAW_PHASE_COMPLETE') {
-                    drawPhaseCompleted = true;
-                }
+            if (gameData.gameEnv.gameEvents) {
+                for (const eventId of eventIds) {
+                    const event = gameData.gameEnv.gameEvents.find(e => e.id === eventId);
+                    if (event && event.type === 'DRAW_PHASE_COMPLETE') {
+                        drawPhaseCompleted = true;
+                    }
                 
-                const success = this.mozGamePlay.markEventProcessed(gameData.gameEnv, eventId);
-                if (success) {
-                    eventsAcknowledged++;
+                    const success = this.mozGamePlay.markEventProcessed(gameData.gameEnv, eventId);
+                    if (success) {
+                        eventsAcknowledged++;
+                    }
                 }
             }
-        }
 
-        // If DRAW_PHASE_COMPLETE was acknowledged, transition to MAIN_PHASE
-        if (drawPhaseCompleted && gameData.gameEnv.phase === 'DRAW_PHASE') {
-            updatePhase(gameData.gameEnv, 'MAIN_PHASE');
+            // If DRAW_PHASE_COMPLETE was acknowledged, transition to MAIN_PHASE
+            if (drawPhaseCompleted && gameData.gameEnv.phase === 'DRAW_PHASE') {
+                updatePhase(gameData.gameEnv, 'MAIN_PHASE');
             
-            // Add main phase start event
-            this.mozGamePlay.addGameEvent(gameData.gameEnv, 'PHASE_CHANGE', {
-                phase: 'MAIN_PHASE',
-                currentPlayer: gameData.gameEnv.currentPlayer,
-                message: 'Draw phase acknowledged - main phase started!'
-            });
+                // Add main phase start event
+                this.mozGamePlay.addGameEvent(gameData.gameEnv, 'PHASE_CHANGE', {
+                    phase: 'MAIN_PHASE',
+                    currentPlayer: gameData.gameEnv.currentPlayer,
+                    message: 'Draw phase acknowledged - main phase started!'
+                });
+            }
+
+            if (eventsAcknowledged > 0) {
+                actionLogManager.recordAction(gameData.gameEnv, 'ACKNOWLEDGE_EVENTS', clientState.playerId, { eventIds });
+            }
+
+            // Clean expired events and save
+            this.mozGamePlay.cleanExpiredEvents(gameData.gameEnv);
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+
+            return {
+                success: true,
+                eventsAcknowledged: eventsAcknowledged,
+                remainingEvents: gameData.gameEnv.gameEvents ? gameData.gameEnv.gameEvents.length : 0,
+                updateUUID: updatedGameData.updateUUID,
+                version: updatedGameData.version
+            };
+        });
+    }
+
+    /**
+     * Re-arm the turn timers of stored games after a restart; timers only live in memory
+     * and are otherwise armed when a game is saved. A turn that ran out while the server
+     * was down gets a new deadline (see TurnTimerScheduler.extendOverdueClock), saved so the
+     * players see it, instead of timing out the moment the server is back.
+     * @returns {Promise<number>} Number of games whose timer was armed
+     */
+    async restoreTurnTimers() {
+        if (!turnTimerScheduler.isEnabled()) {
+            return 0;
+        }
+        let restored = 0;
+        let extended = 0;
+        for (const gameId of await this.gameStore.keys()) {
+            const game = await this.gameStore.get(gameId);
+            const clock = game && game.gameEnv && game.gameEnv.turnClock;
+            if (!clock || !clock.activePlayer || !clock.turnDeadline) {
+                continue;
+            }
+            try {
+                if (clock.turnDeadline > Date.now()) {
+                    turnTimerScheduler.schedule(gameId, game.gameEnv);
+                } else {
+                    // Saving arms the timer
+                    await gameActionQueue.enqueue(gameId, 'restoreTurnTimer', async () => {
+                        const gameData = await this.readJSONFileAsync(gameId);
+                        const baseVersion = gameData.version || 0;
+                        turnTimerScheduler.extendOverdueClock(gameData.gameEnv.turnClock);
+                        await this.saveOrCreateGame(this.addUpdateUUID(gameData), gameId, baseVersion);
+                    });
+                    extended++;
+                }
+                restored++;
+            } catch (error) {
+                logger.error('⏰ Turn timer not restored', { gameId, error });
+            }
         }
+        logger.info('⏰ Turn timers restored', { games: restored, extended });
+        return restored;
+    }
 
-        // Clean expired events and save
-        this.mozGamePlay.cleanExpiredEvents(gameData.gameEnv);
-        const updatedGameData = this.addUpdateUUID(gameData);
-        await this.saveOrCreateGame(updatedGameData, gameId);
+    /**
+     * Turn timer fired: warn the acting player, or time them out. A timeout auto-passes
+     * the turn; too many timeouts in a row or an empty game clock forfeits the game.
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object|null>} State as the timed player sees it, or null if nothing was due
+     */
+    async handleTurnTimer(gameId) {
+        return gameActionQueue.enqueue(gameId, 'turnTimer', async () => {
+            let gameData;
+            try {
+                gameData = await this.readJSONFileAsync(gameId);
+            } catch (error) {
+                return null;
+            }
+            const baseVersion = gameData.version || 0;
+            const gameEnv = gameData.gameEnv;
+            const clock = gameEnv.turnClock;
+            if (!clock || !clock.activePlayer) {
+                return null;
+            }
+            // A clock saved behind its game (e.g. waiting on a seat nobody holds) is only synced
+            const acting = turnTimerScheduler.getActingPlayer(gameEnv);
+            if (!acting || acting.turnKey !== clock.turnKey) {
+                await this.saveOrCreateGame(this.addUpdateUUID(gameData), gameId, baseVersion);
+                return null;
+            }
 
-        return {
-            success: true,
-            eventsAcknowledged: eventsAcknowledged,
-            remainingEvents: gameData.gameEnv.gameEvents ? gameData.gameEnv.gameEvents.length : 0
-        };
+            const now = Date.now();
+            const playerId = clock.activePlayer;
+
+            if (now < clock.turnDeadline) {
+                // Nothing due yet (the clock moved on since the timer was set): re-arm
+                if (clock.warned || now < clock.turnDeadline - clock.warningSeconds * 1000) {
+                    turnTimerScheduler.schedule(gameId, gameEnv);
+                    return null;
+                }
+                clock.warned = true;
+                this.warnPlayer(gameEnv, playerId, {
+                    secondsLeft: Math.ceil((clock.turnDeadline - now) / 1000),
+                    deadline: clock.turnDeadline
+                });
+            } else {
+                clock.timedOut = true;
+                clock.timeouts[playerId] = (clock.timeouts[playerId] || 0) + 1;
+                const gameClockEmpty = (clock.remainingMs[playerId] || 0) - (now - clock.turnStartedAt) <= 0;
+                const forfeit = gameClockEmpty || clock.timeouts[playerId] >= clock.maxTimeouts;
+
+                gameData.gameEnv = await this.timeOutPlayer(gameEnv, playerId, {
+                    timeouts: clock.timeouts[playerId],
+                    maxTimeouts: clock.maxTimeouts,
+                    reason: gameClockEmpty ? 'GAME_CLOCK' : 'TURN_CLOCK',
+                    result: forfeit ? 'FORFEIT' : 'AUTO_PASS'
+                });
+            }
+
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+            return this.transformGameStateForFrontend(updatedGameData, playerId);
+        });
     }
 
-    async nextRound(gameId) {
-        // Read current game state
-        const gameData = await this.readJSONFileAsync(gameId);
+    /**
+     * Warn the acting player that their turn clock is running out. Logged like a timeout:
+     * the warning is a game event, and replays must number their events as the game did.
+     * @param {Object} gameEnv - Game environment
+     * @param {string} playerId - Warned seat
+     * @param {Object} warning - { secondsLeft, deadline }
+     * @returns {Object} gameEnv with the TIMER_WARNING event
+     */
+    warnPlayer(gameEnv, playerId, warning) {
+        this.mozGamePlay.addGameEvent(gameEnv, 'TIMER_WARNING', { playerId, ...warning });
+        actionLogManager.recordAction(gameEnv, 'TIMER_WARNING', playerId, warning);
+        return gameEnv;
+    }
 
-        // Call mozGamePlay's next round method
-        const updatedGameEnv = await this.mozGamePlay.concludeLeaderBattleAndNewStart(gameData.gameEnv, null);
+    /**
+     * Apply a turn timeout: auto-pass the player's turn or forfeit the game
+     * @param {Object} gameEnv - Game environment
+     * @param {string} playerId - Timed out seat
+     * @param {Object} timeout - { timeouts, maxTimeouts, reason, result } with result AUTO_PASS or FORFEIT
+     * @returns {Promise<Object>} gameEnv after the timeout
+     */
+    async timeOutPlayer(gameEnv, playerId, timeout) {
+        this.mozGamePlay.addGameEvent(gameEnv, 'TIMEOUT', { playerId, ...timeout });
+        actionLogManager.recordAction(gameEnv, 'TURN_TIMEOUT', playerId, timeout);
+        logger.info('⏰ Player timed out', { timedOutPlayer: playerId, result: timeout.result === 'FORFEIT' ? 'forfeit' : 'auto-pass' });
 
-        if (updatedGameEnv.error) {
-            throw new Error(updatedGameEnv.error);
-        }
+        return timeout.result === 'FORFEIT'
+            ? this.mozGamePlay.forfeitPlayer(gameEnv, playerId)
+            : this.mozGamePlay.autoPassTurn(gameEnv, playerId);
+    }
 
-        // Update the stored game state
-        gameData.gameEnv = updatedGameEnv;
-        const updatedGameData = this.addUpdateUUID(gameData);
-        await this.saveOrCreateGame(updatedGameData, gameId);
+    async nextRound(gameId, clientState = {}) {
+        return gameActionQueue.enqueue(gameId, 'nextRound', async () => {
+            // Read current game state
+            const gameData = await this.readGameForUpdate(gameId, clientState);
+            const baseVersion = gameData.version || 0;
 
-        const transformedGame = this.transformGameStateForFrontend(updatedGameData);
-        return {
-            success: true,
-            gameEnv: transformedGame.gameEnv
-        };
+            // Call mozGamePlay's next round method
+            const updatedGameEnv = await this.mozGamePlay.concludeLeaderBattleAndNewStart(gameData.gameEnv, null);
+
+            if (updatedGameEnv.error) {
+                throw GameError.fromResult(updatedGameEnv);
+            }
+
+            // Update the stored game state
+            gameData.gameEnv = updatedGameEnv;
+            actionLogManager.recordAction(updatedGameEnv, 'NEXT_ROUND', clientState.playerId);
+            const updatedGameData = this.addUpdateUUID(gameData);
+            await this.saveOrCreateGame(updatedGameData, gameId, baseVersion);
+
+            const transformedGame = this.transformGameStateForFrontend(updatedGameData, clientState.playerId);
+            return {
+                success: true,
+                gameEnv: transformedGame.gameEnv,
+                updateUUID: transformedGame.updateUUID,
+                version: transformedGame.version
+            };
+        });
     }
 }
 
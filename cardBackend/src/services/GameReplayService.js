@@ -0,0 +1,263 @@
+// src/services/GameReplayService.js
+/**
+ * Game export and import for debugging
+ * An export is one JSON document with the game's random seed and its action log
+ * (gameEnv.actionLog, see ActionLogManager). Importing it plays every action again, in
+ * order and through the same GameLogic methods, on a new game started from the same seed,
+ * which rebuilds the identical state. Both exports and imports carry a fingerprint of the
+ * state that decides the game (decks, hands, fields, points, turn and result), so a
+ * replay that drifted from the original is reported instead of passing silently.
+ * A rebuilt game is read-only: it gets no lobby room, no turn timer and no seat sessions,
+ * and once rebuilt (gameEnv.readOnly) it refuses every player action and admin
+ * intervention. So does what was rebuilt of a replay that failed part way.
+ */
+
+const crypto = require('crypto');
+const gameLogic = require('./GameLogic');
+const gameAdminService = require('./GameAdminService');
+const gameActionQueue = require('./GameActionQueue');
+const { getGameRules } = require('../config/ruleProfiles');
+const { getPlayerFromGameEnv } = require('../utils/gameUtils');
+const { GameError } = require('../utils/gameErrors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('GameReplayService');
+
+const REPLAY_FORMAT = 'moz-card-game-replay';
+const REPLAY_FORMAT_VERSION = 1;
+
+// Event IDs carry a timestamp, so a replay matches them by their counter instead
+function eventNumber(eventId) {
+    return String(eventId).split('_').pop();
+}
+
+/**
+ * Hash of the state that decides the game; timestamps, event IDs and other
+ * bookkeeping that differ between a game and its replay are left out
+ * @param {Object} gameEnv - Game environment
+ * @returns {string} Hex SHA-256
+ */
+function fingerprintGameEnv(gameEnv) {
+    const players = {};
+    getPlayerFromGameEnv(gameEnv)
+        .filter(playerId => gameEnv[playerId] && typeof gameEnv[playerId] === 'object')
+        .forEach(playerId => {
+            const playerData = gameEnv[playerId];
+            players[playerId] = {
+                deck: playerData.deck || null,
+                field: playerData.Field || null,
+                playerPoint: playerData.playerPoint || 0,
+                victoryPoints: playerData.victoryPoints || 0,
+                redrawsUsed: playerData.redrawsUsed || 0
+            };
+        });
+    const state = {
+        phase: gameEnv.phase,
+        currentPlayer: gameEnv.currentPlayer || null,
+        currentTurn: gameEnv.currentTurn || 0,
+        firstPlayer: gameEnv.firstPlayer !== undefined ? gameEnv.firstPlayer : null,
+        winner: gameEnv.winner || null,
+        randomState: gameEnv.random ? gameEnv.random.state : null,
+        players
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(state)).digest('hex');
+}
+
+class GameReplayService {
+    /**
+     * Export a game as a replay document
+     * @param {string} gameId - Game ID
+     * @returns {Promise<Object>} { format, formatVersion, gameId, exportedAt, seed, rules, actions, result }
+     */
+    async exportGame(gameId) {
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        const gameEnv = game.gameEnv;
+        return {
+            format: REPLAY_FORMAT,
+            formatVersion: REPLAY_FORMAT_VERSION,
+            gameId,
+            exportedAt: new Date().toISOString(),
+            seed: gameEnv.random ? gameEnv.random.seed : null,
+            rules: getGameRules(gameEnv),
+            actions: gameEnv.actionLog || [],
+            result: {
+                phase: gameEnv.phase,
+                winner: gameEnv.winner || null,
+                fingerprint: fingerprintGameEnv(gameEnv)
+            }
+        };
+    }
+
+    /**
+     * Rebuild an exported game as a new game
+     * @param {Object} replay - Document from exportGame
+     * @returns {Promise<Object>} { gameId, sourceGameId, actionsReplayed, fingerprint, matchesExport }
+     */
+    async importGame(replay) {
+        this.assertReplay(replay);
+
+        let gameId = null;
+        for (const entry of replay.actions) {
+            try {
+                gameId = (await this.applyAction(gameId, entry, replay)) || gameId;
+            } catch (error) {
+                // What was rebuilt stays for inspection, as read-only as a complete import
+                if (gameId) {
+                    await this.markReadOnly(gameId).catch(markError => {
+                        logger.error('📼 Failed replay not marked read-only', { importedGameId: gameId, error: markError });
+                    });
+                }
+                throw new GameError('REPLAY_FAILED', { seq: entry.seq, type: entry.type, reason: error.message });
+            }
+        }
+
+        const fingerprint = fingerprintGameEnv(await this.markReadOnly(gameId));
+        const matchesExport = fingerprint === (replay.result && replay.result.fingerprint);
+        logger.info('📼 Game imported', { sourceGameId: replay.gameId, importedGameId: gameId, actions: replay.actions.length, matchesExport });
+        return {
+            gameId,
+            sourceGameId: replay.gameId || null,
+            actionsReplayed: replay.actions.length,
+            fingerprint,
+            matchesExport
+        };
+    }
+
+    // Nothing changes an imported game once it is rebuilt, not even an admin
+    async markReadOnly(gameId) {
+        return gameActionQueue.enqueue(gameId, 'replay:readOnly', async () => {
+            const game = await gameLogic.readJSONFileAsync(gameId);
+            const baseVersion = game.version || 0;
+            game.gameEnv.readOnly = true;
+            await gameLogic.saveOrCreateGame(gameLogic.addUpdateUUID(game), gameId, baseVersion);
+            return game.gameEnv;
+        });
+    }
+
+    assertReplay(replay) {
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            throw new GameError('REPLAY_INVALID', { reason: `format must be ${REPLAY_FORMAT}` });
+        }
+        if (replay.formatVersion !== REPLAY_FORMAT_VERSION) {
+            throw new GameError('REPLAY_INVALID', { reason: `unsupported format version ${replay.formatVersion}` });
+        }
+        const firstType = Array.isArray(replay.actions) && replay.actions[0] && replay.actions[0].type;
+        if (firstType !== 'CREATE_GAME' && firstType !== 'INJECT_STATE') {
+            throw new GameError('REPLAY_INVALID', { reason: 'the action log must start with CREATE_GAME or INJECT_STATE' });
+        }
+    }
+
+    /**
+     * Apply one logged action to the game being rebuilt
+     * @param {string|null} gameId - Rebuilt game; null before its first action
+     * @param {Object} entry - Action log entry
+     * @param {Object} replay - Whole replay document (seed)
+     * @returns {Promise<string|undefined>} Game ID when the action created the game
+     */
+    async applyAction(gameId, entry, replay) {
+        const { type, playerId, payload = {} } = entry;
+        switch (type) {
+            case 'CREATE_GAME': {
+                const created = await gameLogic.createNewGame(
+                    { body: { gameConfig: payload.gameConfig || {} } },
+                    {
+                        seed: replay.seed === null ? undefined : replay.seed,
+                        previousGame: payload.previousGame || undefined,
+                        replayOf: replay.gameId || 'unknown'
+                    }
+                );
+                return created.gameId;
+            }
+            case 'INJECT_STATE': {
+                const gameEnv = { ...JSON.parse(JSON.stringify(payload.gameEnv)), replayOf: replay.gameId || 'unknown' };
+                return (await gameLogic.injectGameState(null, gameEnv)).gameId;
+            }
+            case 'JOIN_ROOM':
+                // Replays exported before deck lists were logged deal the players' current decks
+                await gameLogic.joinRoom(
+                    { body: { gameId, playerName: payload.playerName || undefined } },
+                    { deckLists: payload.deckLists || undefined }
+                );
+                return;
+            case 'CLOSE_ROOM':
+                await gameLogic.closeRoom(gameId, playerId);
+                return;
+            case 'START_READY':
+                await gameLogic.startReady({ body: { gameId, playerId, isRedraw: payload.isRedraw } });
+                return;
+            case 'PLAYER_ACTION':
+                await gameLogic.processPlayerAction({ body: { gameId, playerId, action: payload.action } });
+                return;
+            case 'SELECT_CARD': {
+                // At most one selection is pending at a time: the one the logged selection answered
+                const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+                const pending = gameEnv.pendingPlayerAction;
+                const selectionId = pending && pending.type === 'cardSelection' ? pending.selectionId : payload.selectionId;
+                await gameLogic.selectCard({ body: { gameId, playerId, selectionId, selectedCardIds: payload.selectedCardIds } });
+                return;
+            }
+            case 'ACKNOWLEDGE_EVENTS': {
+                const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+                const numbers = (payload.eventIds || []).map(eventNumber);
+                const eventIds = (gameEnv.gameEvents || [])
+                    .filter(event => numbers.includes(eventNumber(event.id)))
+                    .map(event => event.id);
+                await gameLogic.acknowledgeGameEvents(gameId, eventIds, { playerId });
+                return;
+            }
+            case 'NEXT_ROUND':
+                await gameLogic.nextRound(gameId, { playerId });
+                return;
+            case 'TIMER_WARNING':
+                await gameActionQueue.enqueue(gameId, 'replay:timerWarning', async () => {
+                    const gameData = await gameLogic.readJSONFileAsync(gameId);
+                    const baseVersion = gameData.version || 0;
+                    gameLogic.warnPlayer(gameData.gameEnv, playerId, payload);
+                    await gameLogic.saveOrCreateGame(gameLogic.addUpdateUUID(gameData), gameId, baseVersion);
+                });
+                return;
+            case 'TURN_TIMEOUT':
+                await gameActionQueue.enqueue(gameId, 'replay:turnTimeout', async () => {
+                    const gameData = await gameLogic.readJSONFileAsync(gameId);
+                    const baseVersion = gameData.version || 0;
+                    gameData.gameEnv = await gameLogic.timeOutPlayer(gameData.gameEnv, playerId, payload);
+                    await gameLogic.saveOrCreateGame(gameLogic.addUpdateUUID(gameData), gameId, baseVersion);
+                });
+                return;
+            case 'TAKEBACK_REQUEST':
+                await gameLogic.requestTakeback({ body: { gameId, playerId } });
+                return;
+            case 'TAKEBACK_RESPONSE':
+                await gameLogic.respondTakeback({ body: { gameId, playerId, accept: payload.accept } });
+                return;
+            case 'UNDO':
+                // Logged again by the takeback entries before it
+                return;
+            case 'UPDATE_GAME_STATE':
+                await gameLogic.updateGameState(gameId, payload.updates || {}, { playerId });
+                return;
+            case 'ADMIN_INTERVENTION':
+                await this.applyAdminIntervention(gameId, payload);
+                return;
+            default:
+                throw new Error(`Unknown action type ${type}`);
+        }
+    }
+
+    applyAdminIntervention(gameId, { action, reason, details = {} }) {
+        switch (action) {
+            case 'CLEAR_SELECTIONS':
+                return gameAdminService.clearSelections(gameId, reason);
+            case 'FORCE_PHASE':
+                return gameAdminService.forcePhase(gameId, details.toPhase, details.currentPlayer, reason);
+            case 'AWARD_WIN':
+                return gameAdminService.awardWin(gameId, details.winner, reason);
+            case 'DECLARE_DRAW':
+                return gameAdminService.declareDraw(gameId, reason);
+            default:
+                throw new Error(`Unknown admin intervention ${action}`);
+        }
+    }
+}
+
+module.exports = new GameReplayService();
@@ -0,0 +1,210 @@
+// src/services/LobbyManager.js
+/**
+ * Lobby of rooms waiting for a second player
+ * Each room created through startGame gets a short room code and a lobby record with
+ * the creator's name, a preview of the creator's deck and whether it is private.
+ * Private rooms keep only a salted hash of their passcode.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getStore } = require('./storage');
+const deckManager = require('./DeckManager');
+const { RoomAccessError } = require('../utils/gameErrors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// No 0/O or 1/I so codes can be read out loud
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_PATTERN = new RegExp(`^[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}$`);
+
+const ROOM_STATUS = {
+    OPEN: 'OPEN',
+    FULL: 'FULL',
+    CLOSED: 'CLOSED'
+};
+
+class LobbyManager {
+    constructor() {
+        // roomCode -> room record
+        this.roomStore = getStore('lobby');
+    }
+
+    normalizeRoomCode(roomCode) {
+        return typeof roomCode === 'string' ? roomCode.trim().toUpperCase() : '';
+    }
+
+    isRoomCode(roomCode) {
+        return ROOM_CODE_PATTERN.test(this.normalizeRoomCode(roomCode));
+    }
+
+    async generateRoomCode() {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            let code = '';
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)];
+            }
+            if (!(await this.roomStore.get(code))) {
+                return code;
+            }
+        }
+        throw new Error('Could not allocate a room code');
+    }
+
+    /**
+     * Deck name, size and leader names of the deck a player brings to the game
+     * @param {string} playerId - Seat of the player
+     * @param {string} [playerName] - Name whose saved active deck is previewed, if it has one
+     * @returns {Promise<Object|null>} Deck preview
+     */
+    async getDeckPreview(playerId, playerName) {
+        const activeDeck = await deckManager.getDeckForGame(playerName, playerId).catch(() => null);
+        if (!activeDeck) {
+            return null;
+        }
+        return {
+            deckId: activeDeck.id,
+            deckName: activeDeck.name,
+            cardCount: (activeDeck.cards || []).length,
+            leaders: (activeDeck.leader || []).map(leaderId => {
+                const leader = deckManager.getLeaderCards(leaderId);
+                return { id: leaderId, name: leader ? leader.name : leaderId };
+            })
+        };
+    }
+
+    async hashPasscode(passcode, salt) {
+        const key = await scrypt(String(passcode), salt, 32);
+        return key.toString('hex');
+    }
+
+    /**
+     * Register a freshly created game in the lobby
+     * @param {string} gameId - Game ID
+     * @param {Object} options - { playerId, creatorName, isPrivate, passcode, ruleProfile, ranked }
+     * @returns {Promise<Object>} Public room view
+     */
+    async openRoom(gameId, { playerId, creatorName, isPrivate = false, passcode, ruleProfile, ranked = false } = {}) {
+        if (isPrivate && !passcode) {
+            throw new RoomAccessError('INVALID_REQUEST', { fields: ['gameConfig.passcode'] }, 'Private rooms require a passcode');
+        }
+
+        const room = {
+            roomCode: await this.generateRoomCode(),
+            gameId,
+            creatorId: playerId,
+            creatorName: creatorName || playerId,
+            isPrivate: !!isPrivate,
+            ruleProfile: ruleProfile || null,
+            ranked: !!ranked,
+            status: ROOM_STATUS.OPEN,
+            deckPreview: await this.getDeckPreview(playerId, creatorName),
+            createdAt: new Date().toISOString()
+        };
+        if (room.isPrivate) {
+            room.passcodeSalt = crypto.randomBytes(16).toString('hex');
+            room.passcodeHash = await this.hashPasscode(passcode, room.passcodeSalt);
+        }
+
+        await this.roomStore.set(room.roomCode, room);
+        return this.toPublicRoom(room);
+    }
+
+    async getRoom(roomCode) {
+        const code = this.normalizeRoomCode(roomCode);
+        if (!ROOM_CODE_PATTERN.test(code)) {
+            return null;
+        }
+        return this.roomStore.get(code);
+    }
+
+    /**
+     * Throw unless the room can be joined with the given passcode
+     * @param {Object} room - Room record
+     * @param {string} passcode - Passcode supplied by the joining player
+     */
+    async assertCanJoin(room, passcode) {
+        if (room.status !== ROOM_STATUS.OPEN) {
+            throw new RoomAccessError('ROOM_NOT_OPEN');
+        }
+        await this.verifyPasscode(room, passcode);
+    }
+
+    /**
+     * Throw unless the passcode opens the room (public rooms need none)
+     * @param {Object} room - Room record
+     * @param {string} passcode - Passcode supplied by the client
+     */
+    async verifyPasscode(room, passcode) {
+        if (!room.isPrivate) {
+            return;
+        }
+        if (!passcode) {
+            throw new RoomAccessError('ROOM_PASSCODE_REQUIRED');
+        }
+        const hash = await this.hashPasscode(passcode, room.passcodeSalt);
+        if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(room.passcodeHash, 'hex'))) {
+            throw new RoomAccessError('ROOM_PASSCODE_INVALID');
+        }
+    }
+
+    async setRoomStatus(roomCode, status) {
+        const room = await this.getRoom(roomCode);
+        if (!room) {
+            return null;
+        }
+        room.status = status;
+        room.updatedAt = new Date().toISOString();
+        await this.roomStore.set(room.roomCode, room);
+        return this.toPublicRoom(room);
+    }
+
+    markRoomFull(roomCode) {
+        return this.setRoomStatus(roomCode, ROOM_STATUS.FULL);
+    }
+
+    closeRoom(roomCode) {
+        return this.setRoomStatus(roomCode, ROOM_STATUS.CLOSED);
+    }
+
+    async removeRoom(roomCode) {
+        const code = this.normalizeRoomCode(roomCode);
+        if (code) {
+            await this.roomStore.delete(code);
+        }
+    }
+
+    /**
+     * Rooms still waiting for a second player, newest first
+     * @returns {Promise<Object[]>} Public room views
+     */
+    async listOpenRooms() {
+        const rooms = [];
+        for (const code of await this.roomStore.keys()) {
+            const room = await this.roomStore.get(code);
+            if (room && room.status === ROOM_STATUS.OPEN) {
+                rooms.push(this.toPublicRoom(room));
+            }
+        }
+        return rooms.sort((a, b) => a.ageSeconds - b.ageSeconds);
+    }
+
+    // Never expose the passcode hash; private rooms also keep their gameId to themselves
+    toPublicRoom(room) {
+        return {
+            roomCode: room.roomCode,
+            gameId: room.isPrivate ? undefined : room.gameId,
+            creatorName: room.creatorName,
+            isPrivate: room.isPrivate,
+            ruleProfile: room.ruleProfile || null,
+            ranked: !!room.ranked,
+            status: room.status,
+            deckPreview: room.deckPreview,
+            createdAt: room.createdAt,
+            ageSeconds: Math.floor((Date.now() - Date.parse(room.createdAt)) / 1000)
+        };
+    }
+}
+
+module.exports = new LobbyManager();
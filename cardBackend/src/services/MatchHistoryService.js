@@ -0,0 +1,289 @@
+// src/services/MatchHistoryService.js
+/**
+ * Match history and player statistics
+ * Every game that was played ends up as one record in the 'matchHistory' store, keyed by
+ * gameId: finished games as soon as they reach GAME_END (see GameLogic.saveOrCreateGame),
+ * games abandoned mid-play when the lifecycle sweep retires them. A record keeps who
+ * played (by the name they gave), their deck and leaders, the points of every leader
+ * battle, the victory points, the result and the duration. Players have no accounts, so
+ * statistics are looked up by player name (case-insensitive) and computed from the
+ * records. Replayed and injected games are archived too but never count for statistics.
+ * Ranked games also carry the rating change of both players once RatingService rated them.
+ */
+
+const { getStore } = require('./storage');
+const deckManager = require('./DeckManager');
+const { getGameRules } = require('../config/ruleProfiles');
+const { getPlayerFromGameEnv, getPlayerName, playerNameKey } = require('../utils/gameUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MatchHistoryService');
+
+const ARCHIVE_STATUS = {
+    COMPLETED: 'COMPLETED',
+    ABANDONED: 'ABANDONED'
+};
+
+// Where a game came from; only PLAYED games count for statistics
+const ORIGIN = {
+    PLAYED: 'PLAYED',
+    REPLAY: 'REPLAY',
+    INJECTED: 'INJECTED'
+};
+
+const FAVOURITE_LEADERS = 3;
+const RECENT_GAMES = 5;
+
+function getOrigin(gameEnv) {
+    if (gameEnv.replayOf) {
+        return ORIGIN.REPLAY;
+    }
+    const firstAction = (gameEnv.actionLog || [])[0];
+    return firstAction && firstAction.type === 'INJECT_STATE' ? ORIGIN.INJECTED : ORIGIN.PLAYED;
+}
+
+// Leaders that took the field: those of every leader battle plus the one fielded when the game ended
+function getLeadersPlayed(gameEnv, playerId) {
+    const leaderIds = (gameEnv.leaderBattleResults || [])
+        .map(battle => battle.leaders && battle.leaders[playerId])
+        .concat(gameEnv[playerId].Field && gameEnv[playerId].Field.leader ? gameEnv[playerId].Field.leader.id : null)
+        .filter(Boolean);
+    return [...new Set(leaderIds)];
+}
+
+class MatchHistoryService {
+    constructor() {
+        // gameId -> match-history record
+        this.matchStore = getStore('matchHistory');
+    }
+
+    getLastActivity(game) {
+        const timestamp = new Date(game.lastUpdate || game.createdAt || 0).getTime();
+        return Number.isNaN(timestamp) ? 0 : timestamp;
+    }
+
+    /**
+     * Match-history record: who played, with which decks and leaders, and how it went
+     * @param {Object} game - Stored game
+     * @param {string} status - COMPLETED or ABANDONED
+     * @param {number} now - Archive time in ms
+     * @returns {Object} Match-history record
+     */
+    buildRecord(game, status, now = Date.now()) {
+        const gameEnv = game.gameEnv || {};
+        const players = {};
+        getPlayerFromGameEnv(gameEnv)
+            .filter(playerId => gameEnv[playerId] && typeof gameEnv[playerId] === 'object')
+            .forEach(playerId => {
+                const playerData = gameEnv[playerId];
+                players[playerId] = {
+                    name: getPlayerName(gameEnv, playerId),
+                    deckId: playerData.deck?.deckId || null,
+                    deckName: playerData.deck?.deckName || null,
+                    leaders: playerData.deck?.leader || [],
+                    leadersPlayed: getLeadersPlayed(gameEnv, playerId),
+                    victoryPoints: playerData.victoryPoints || 0,
+                    // Seated with the name's player key (ranked games only)
+                    verified: !!(gameEnv.verifiedPlayers && gameEnv.verifiedPlayers[playerId])
+                };
+            });
+
+        const rules = getGameRules(gameEnv);
+        const endedAt = this.getLastActivity(game);
+        const startedAt = new Date(gameEnv.startedAt || game.createdAt || endedAt).getTime();
+        return {
+            gameId: game.gameId,
+            roomCode: game.roomCode || null,
+            status,
+            origin: getOrigin(gameEnv),
+            ruleProfile: rules.profile,
+            ranked: !!rules.ranked,
+            winner: status === ARCHIVE_STATUS.COMPLETED ? gameEnv.winner || null : null,
+            forfeitedBy: gameEnv.forfeitedBy || null,
+            players,
+            leaderBattles: gameEnv.leaderBattleResults || [],
+            turns: gameEnv.currentTurn || 0,
+            createdAt: game.createdAt || null,
+            startedAt: gameEnv.startedAt || null,
+            endedAt: new Date(endedAt).toISOString(),
+            durationSeconds: Math.max(0, Math.round((endedAt - startedAt) / 1000)),
+            archivedAt: new Date(now).toISOString()
+        };
+    }
+
+    /**
+     * Archive a game unless it already has a record (finished games are recorded when they end)
+     * @param {Object} game - Stored game; COMPLETED if it reached GAME_END, otherwise ABANDONED
+     * @param {number} now - Archive time in ms
+     * @returns {Promise<Object|null>} The new record, or null if the game was recorded before
+     */
+    async archiveGame(game, now = Date.now()) {
+        if (await this.matchStore.get(game.gameId)) {
+            return null;
+        }
+        const status = game.gameEnv?.phase === 'GAME_END' ? ARCHIVE_STATUS.COMPLETED : ARCHIVE_STATUS.ABANDONED;
+        const record = this.buildRecord(game, status, now);
+        await this.matchStore.set(game.gameId, record);
+        return record;
+    }
+
+    /**
+     * Record a game that has just reached GAME_END. Never throws: the game is already
+     * saved, so a failed record is logged rather than failing the player's action.
+     * @param {Object} game - Stored game
+     * @returns {Promise<Object|null>} The new record; null if there was nothing to record
+     */
+    async recordFinishedGame(game) {
+        if (!game.gameEnv || game.gameEnv.phase !== 'GAME_END' || !game.gameEnv.gameStarted) {
+            return null;
+        }
+        try {
+            const record = await this.archiveGame(game);
+            if (record) {
+                logger.info('🏁 Match recorded', { winner: record.winner, origin: record.origin, durationSeconds: record.durationSeconds });
+            }
+            return record;
+        } catch (error) {
+            logger.error('Could not record finished game', { error });
+            return null;
+        }
+    }
+
+    async getMatch(gameId) {
+        return this.matchStore.get(gameId);
+    }
+
+    /**
+     * Attach the outcome of rating a ranked game to its record
+     * @param {string} gameId - Game ID
+     * @param {Object} rating - { rated, reason, changes } from RatingService
+     * @returns {Promise<Object|null>} Updated record, or null if the game has none
+     */
+    async setMatchRating(gameId, rating) {
+        const record = await this.matchStore.get(gameId);
+        if (!record) {
+            return null;
+        }
+        const updated = { ...record, rating };
+        await this.matchStore.set(gameId, updated);
+        return updated;
+    }
+
+    async countMatches() {
+        return (await this.matchStore.keys()).length;
+    }
+
+    /**
+     * Played games of one player, newest first
+     * @param {string} playerName - Name the player gave (case-insensitive)
+     * @returns {Promise<Array>} [{ record, playerId }] with the seat the player sat in
+     */
+    async findPlayerMatches(playerName) {
+        const key = playerNameKey(playerName);
+        const matches = [];
+        for (const gameId of await this.matchStore.keys()) {
+            const record = await this.matchStore.get(gameId);
+            // Records archived before origins were kept are played games
+            if (!record || (record.origin || ORIGIN.PLAYED) !== ORIGIN.PLAYED) {
+                continue;
+            }
+            Object.entries(record.players || {})
+                .filter(([, player]) => key && playerNameKey(player.name) === key)
+                .forEach(([playerId]) => matches.push({ record, playerId }));
+        }
+        return matches.sort((a, b) => new Date(b.record.endedAt) - new Date(a.record.endedAt));
+    }
+
+    /**
+     * One game from a player's point of view
+     * @param {Object} record - Match-history record
+     * @param {string} playerId - Seat the player sat in
+     * @returns {Object} Game summary with result WIN, LOSS, DRAW or ABANDONED
+     */
+    summarizeMatch(record, playerId) {
+        const opponentId = Object.keys(record.players).find(id => id !== playerId) || null;
+        const player = record.players[playerId];
+        const opponent = opponentId ? record.players[opponentId] : null;
+        let result = 'ABANDONED';
+        if (record.status === ARCHIVE_STATUS.COMPLETED) {
+            result = record.winner === playerId ? 'WIN' : record.winner === 'draw' ? 'DRAW' : 'LOSS';
+        }
+        return {
+            gameId: record.gameId,
+            result,
+            forfeited: record.forfeitedBy === playerId,
+            ruleProfile: record.ruleProfile,
+            ranked: !!record.ranked,
+            ratingChange: record.rating && record.rating.changes ? record.rating.changes[playerId].change : null,
+            opponentName: opponent ? opponent.name : null,
+            deckName: player.deckName,
+            leadersPlayed: player.leadersPlayed || [],
+            victoryPoints: player.victoryPoints,
+            opponentVictoryPoints: opponent ? opponent.victoryPoints : 0,
+            roundPoints: (record.leaderBattles || []).map(battle => ({
+                round: battle.round,
+                points: battle.points[playerId],
+                opponentPoints: opponentId ? battle.points[opponentId] : 0,
+                winner: battle.winner === playerId ? 'PLAYER' : battle.winner === 'draw' ? 'DRAW' : 'OPPONENT'
+            })),
+            durationSeconds: record.durationSeconds,
+            endedAt: record.endedAt
+        };
+    }
+
+    /**
+     * Win/loss record, favourite leaders and recent games of a player
+     * @param {string} playerName - Name the player gave (case-insensitive)
+     * @returns {Promise<Object>} Statistics; all zero for a player without played games
+     */
+    async getPlayerStats(playerName) {
+        const summaries = (await this.findPlayerMatches(playerName))
+            .map(({ record, playerId }) => this.summarizeMatch(record, playerId));
+        const count = result => summaries.filter(summary => summary.result === result).length;
+        const wins = count('WIN');
+        const decided = wins + count('LOSS') + count('DRAW');
+
+        const leaders = {};
+        summaries.forEach(summary => {
+            summary.leadersPlayed.forEach(leaderId => {
+                leaders[leaderId] = leaders[leaderId] || { leaderId, name: deckManager.getLeaderCards(leaderId)?.name || leaderId, games: 0, wins: 0 };
+                leaders[leaderId].games++;
+                if (summary.result === 'WIN') {
+                    leaders[leaderId].wins++;
+                }
+            });
+        });
+
+        return {
+            playerName: playerName.trim(),
+            gamesPlayed: summaries.length,
+            wins,
+            losses: count('LOSS'),
+            draws: count('DRAW'),
+            abandoned: count('ABANDONED'),
+            forfeits: summaries.filter(summary => summary.forfeited).length,
+            winRate: decided ? Math.round((wins / decided) * 1000) / 1000 : null,
+            favouriteLeaders: Object.values(leaders)
+                .sort((a, b) => b.games - a.games || b.wins - a.wins)
+                .slice(0, FAVOURITE_LEADERS),
+            recentGames: summaries.slice(0, RECENT_GAMES)
+        };
+    }
+
+    /**
+     * A player's games, newest first
+     * @param {string} playerName - Name the player gave (case-insensitive)
+     * @param {number} limit - Most games to return
+     * @returns {Promise<Object>} { playerName, total, matches }
+     */
+    async getPlayerMatches(playerName, limit = 20) {
+        const matches = await this.findPlayerMatches(playerName);
+        return {
+            playerName: playerName.trim(),
+            total: matches.length,
+            matches: matches.slice(0, limit).map(({ record, playerId }) => this.summarizeMatch(record, playerId))
+        };
+    }
+}
+
+module.exports = new MatchHistoryService();
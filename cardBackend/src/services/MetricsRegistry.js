@@ -0,0 +1,198 @@
+// src/services/MetricsRegistry.js
+/**
+ * In-process metrics in the Prometheus text format
+ * Modules register counters, gauges and histograms once (at require time) and update
+ * them as they work; values that are cheaper to read on demand (e.g. games by phase)
+ * come from collectors that run right before each scrape. GET /metrics renders them all.
+ */
+
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MetricsRegistry');
+
+// Seconds; covers quick in-memory work up to slow storage and AI moves
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in the metric's label order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function seriesLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // seriesKey -> value (histograms: { buckets, sum, count })
+        this.series = new Map();
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = seriesKey(this.labelNames, labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+
+    render() {
+        return [...this.series].map(([key, value]) => `${this.name}${formatLabels(seriesLabels(this.labelNames, key))} ${value}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels = {}, value) {
+        this.series.set(seriesKey(this.labelNames, labels), value);
+    }
+
+    render() {
+        return [...this.series].map(([key, value]) => `${this.name}${formatLabels(seriesLabels(this.labelNames, key))} ${value}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels = {}, value) {
+        const key = seriesKey(this.labelNames, labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { buckets: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.buckets[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start timing; call the returned function when the work is done
+     * @param {Object} labels - Label values
+     * @returns {Function} Stops the timer and records the elapsed seconds
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = [];
+        this.series.forEach((series, key) => {
+            const labels = seriesLabels(this.labelNames, key);
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.buckets[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        // name -> metric
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    // Registering the same name again returns the existing metric
+    register(MetricType, name, help, labelNames, ...args) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, new MetricType(name, help, labelNames, ...args));
+        }
+        return this.metrics.get(name);
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(Counter, name, help, labelNames);
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this.register(Gauge, name, help, labelNames);
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(Histogram, name, help, labelNames, buckets);
+    }
+
+    /**
+     * Add a function that refreshes gauges right before each scrape
+     * @param {Function} collector - Async function, called without arguments
+     */
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    /**
+     * Current values in the Prometheus text exposition format
+     * @returns {Promise<string>} Metrics text
+     */
+    async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector();
+            } catch (error) {
+                logger.error('Metrics collector failed', { error });
+            }
+        }
+
+        const lines = [];
+        this.metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.render());
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    getMetric(name) {
+        return this.metrics.get(name);
+    }
+
+    // Zero every series (tests)
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+}
+
+module.exports = new MetricsRegistry();
@@ -4,6 +4,10 @@
  * Tracks all card plays including leaders from game start
  */
 
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PlaySequenceManager');
+
 class PlaySequenceManager {
     constructor() {
         // No persistent state needed - all data stored in gameEnv
@@ -50,7 +54,7 @@ class PlaySequenceManager {
 
         gameEnv.playSequence.plays.push(playRecord);
         
-        console.log(`🎯 Recorded ${action}: ${cardId} by ${playerId} in ${zone} (sequence: ${playRecord.sequenceId})`);
+        logger.debug(`🎯 Recorded ${action}`, { cardId, actingPlayer: playerId, zone, sequenceId: playRecord.sequenceId });
         
         return playRecord;
     }
@@ -85,7 +89,7 @@ class PlaySequenceManager {
             gameEnv.playSequence.globalSequence = 0;
         }
         
-        console.log(`🔄 Play sequence ${keepLeaders ? 'filtered to leaders only' : 'cleared completely'}`);
+        logger.debug(`🔄 Play sequence ${keepLeaders ? 'filtered to leaders only' : 'cleared completely'}`);
     }
 
     /**
@@ -0,0 +1,90 @@
+// src/services/PlayerKeyService.js
+/**
+ * Player keys: proof that a request comes from the owner of a player name
+ * Players are identified by the name they give (see MatchHistoryService), so anyone could
+ * type someone else's name. A name can be claimed once; claiming returns a secret player
+ * key and only its SHA-256 hash is stored ('playerKeys' store, keyed like the other
+ * player records). Changing the decks saved under a name and playing ranked games under it
+ * need its key.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { GameError } = require('../utils/gameErrors');
+const { playerNameKey, playerStorageKey } = require('../utils/gameUtils');
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+function hashKey(playerKey) {
+    return crypto.createHash('sha256').update(playerKey).digest('hex');
+}
+
+class PlayerKeyService {
+    constructor() {
+        // player storage key -> { playerName, keyHash, claimedAt }
+        this.keyStore = getStore('playerKeys');
+        // Claims run one after the other, so a name cannot be claimed twice
+        this.tail = Promise.resolve();
+    }
+
+    /**
+     * Claim a name that nobody owns yet
+     * @param {string} playerName - Name to claim (case-insensitive)
+     * @returns {Promise<Object>} { playerName, playerKey, claimedAt }; the key is not stored and cannot be shown again
+     */
+    claimName(playerName) {
+        const run = this.tail.then(async () => {
+            const key = playerStorageKey(playerName);
+            if (await this.keyStore.get(key)) {
+                throw new GameError('PLAYER_NAME_CLAIMED', { playerName: playerName.trim() });
+            }
+            const playerKey = crypto.randomBytes(32).toString('hex');
+            const claim = { playerName: playerName.trim(), keyHash: hashKey(playerKey), claimedAt: new Date().toISOString() };
+            await this.keyStore.set(key, claim);
+            return { playerName: claim.playerName, playerKey, claimedAt: claim.claimedAt };
+        });
+        this.tail = run.then(() => {}, () => {});
+        return run;
+    }
+
+    // Key comes as X-Player-Key
+    readPlayerKey(req) {
+        return (req && req.headers && req.headers['x-player-key']) || null;
+    }
+
+    /**
+     * Whether the key belongs to this name
+     * @param {string} playerName - Claimed name
+     * @param {string} playerKey - Key sent by the client
+     * @returns {Promise<boolean>} False for unclaimed names and malformed keys
+     */
+    async isOwner(playerName, playerKey) {
+        if (!playerNameKey(playerName) || typeof playerKey !== 'string' || !KEY_PATTERN.test(playerKey)) {
+            return false;
+        }
+        const claim = await this.keyStore.get(playerStorageKey(playerName));
+        if (!claim) {
+            return false;
+        }
+        const expected = Buffer.from(claim.keyHash, 'hex');
+        const actual = Buffer.from(hashKey(playerKey), 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Throw unless the key belongs to this name
+     * @param {string} playerName - Name the request acts for
+     * @param {string|null} playerKey - Key sent by the client
+     */
+    async assertOwner(playerName, playerKey) {
+        const name = typeof playerName === 'string' ? playerName.trim() : '';
+        if (!playerKey) {
+            throw new GameError('PLAYER_KEY_REQUIRED', { playerName: name });
+        }
+        if (!(await this.isOwner(playerName, playerKey))) {
+            throw new GameError('PLAYER_KEY_INVALID', { playerName: name });
+        }
+    }
+}
+
+module.exports = new PlayerKeyService();
@@ -0,0 +1,245 @@
+// src/services/RatingService.js
+/**
+ * Elo ratings of ranked games
+ * A game created with gameConfig.ranked is rated once its match-history record is written:
+ * both players' ratings move by the Elo formula (a draw scores half a win), and the change
+ * of each player is kept on the record, which is where rating histories are read from.
+ * Players are identified by name like in MatchHistoryService; current ratings live in the
+ * 'ratings' store keyed by the name (see playerStorageKey).
+ *
+ * Some ranked games are recorded but not rated, so ratings cannot be farmed with games
+ * nobody really played: abandoned games, forfeits before config.ratings.minForfeitTurns
+ * turns, games without two distinct names, games a player joined without the player key of
+ * their name (see PlayerKeyService), and more than config.ratings.maxPairGamesPerDay games
+ * between the same two players within 24 hours.
+ */
+
+const config = require('../config/config');
+const { getStore } = require('./storage');
+const matchHistoryService = require('./MatchHistoryService');
+const { playerNameKey, playerStorageKey } = require('../utils/gameUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('RatingService');
+
+const UNRATED_REASON = {
+    NOT_PLAYED: 'NOT_PLAYED',           // Replayed or injected game
+    ABANDONED: 'ABANDONED',             // Retired by the lifecycle sweep before it ended
+    NO_RESULT: 'NO_RESULT',
+    UNNAMED_PLAYER: 'UNNAMED_PLAYER',
+    SAME_PLAYER: 'SAME_PLAYER',
+    UNVERIFIED_PLAYER: 'UNVERIFIED_PLAYER',
+    EARLY_FORFEIT: 'EARLY_FORFEIT',
+    PAIR_LIMIT: 'PAIR_LIMIT'
+};
+
+const PAIR_LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Share of a point the player is expected to score against the opponent
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+class RatingService {
+    constructor() {
+        // player storage key -> { playerName, rating, ratedGames, wins, losses, draws, peakRating, lastRatedAt }
+        this.ratingStore = getStore('ratings');
+        // Rating updates read and write two players at once, so they run one after the other
+        this.tail = Promise.resolve();
+    }
+
+    /**
+     * Current rating of a player; players without rated games have the initial rating
+     * @param {string} playerName - Name the player gave (case-insensitive)
+     * @returns {Promise<Object>} { playerName, rating, ratedGames, wins, losses, draws, peakRating, lastRatedAt, provisional }
+     */
+    async getRating(playerName) {
+        const stored = playerNameKey(playerName) ? await this.ratingStore.get(playerStorageKey(playerName)) : null;
+        const rating = stored || {
+            playerName: typeof playerName === 'string' ? playerName.trim() : '',
+            rating: config.ratings.initialRating,
+            ratedGames: 0,
+            wins: 0,
+            losses: 0,
+            draws: 0,
+            peakRating: config.ratings.initialRating,
+            lastRatedAt: null
+        };
+        return { ...rating, provisional: rating.ratedGames < config.ratings.provisionalGames };
+    }
+
+    /**
+     * Rate a ranked game from its match-history record. Never throws: like recording the
+     * match, rating happens after the game was saved.
+     * @param {Object} record - Match-history record (see MatchHistoryService.buildRecord)
+     * @returns {Promise<Object|null>} { rated, reason, changes } as stored on the record;
+     *     null for unranked games or if rating failed
+     */
+    async rateMatch(record) {
+        if (!record || !record.ranked) {
+            return null;
+        }
+        const run = this.tail.then(() => this.applyMatch(record));
+        this.tail = run.then(() => {}, () => {});
+        try {
+            return await run;
+        } catch (error) {
+            logger.error('Could not rate match', { gameId: record.gameId, error });
+            return null;
+        }
+    }
+
+    async applyMatch(record) {
+        const reason = await this.getUnratedReason(record);
+        if (reason) {
+            const rating = { rated: false, reason, changes: null };
+            await matchHistoryService.setMatchRating(record.gameId, rating);
+            logger.info('Ranked match not rated', { gameId: record.gameId, reason });
+            return rating;
+        }
+
+        const [seatA, seatB] = Object.keys(record.players);
+        const playerA = await this.getRating(record.players[seatA].name);
+        const playerB = await this.getRating(record.players[seatB].name);
+        const scoreA = record.winner === 'draw' ? 0.5 : record.winner === seatA ? 1 : 0;
+
+        const ratedAt = record.endedAt;
+        const changes = {
+            [seatA]: await this.updatePlayer(playerA, record.players[seatA].name, scoreA, playerB.rating, ratedAt),
+            [seatB]: await this.updatePlayer(playerB, record.players[seatB].name, 1 - scoreA, playerA.rating, ratedAt)
+        };
+        const rating = { rated: true, reason: null, changes };
+        await matchHistoryService.setMatchRating(record.gameId, rating);
+        logger.info('📈 Ranked match rated', { gameId: record.gameId, changes });
+        return rating;
+    }
+
+    /**
+     * Why a ranked game must not change ratings
+     * @param {Object} record - Match-history record
+     * @returns {Promise<string|null>} One of UNRATED_REASON, or null if the game is rated
+     */
+    async getUnratedReason(record) {
+        if ((record.origin || 'PLAYED') !== 'PLAYED') {
+            return UNRATED_REASON.NOT_PLAYED;
+        }
+        if (record.status !== 'COMPLETED') {
+            return UNRATED_REASON.ABANDONED;
+        }
+        if (!record.winner) {
+            return UNRATED_REASON.NO_RESULT;
+        }
+        const names = Object.values(record.players || {}).map(player => playerNameKey(player.name));
+        if (names.length !== 2 || names.some(name => !name)) {
+            return UNRATED_REASON.UNNAMED_PLAYER;
+        }
+        if (names[0] === names[1]) {
+            return UNRATED_REASON.SAME_PLAYER;
+        }
+        if (Object.values(record.players).some(player => !player.verified)) {
+            return UNRATED_REASON.UNVERIFIED_PLAYER;
+        }
+        if (record.forfeitedBy && (record.turns || 0) < config.ratings.minForfeitTurns) {
+            return UNRATED_REASON.EARLY_FORFEIT;
+        }
+        if (await this.countRecentPairGames(record, names) >= config.ratings.maxPairGamesPerDay) {
+            return UNRATED_REASON.PAIR_LIMIT;
+        }
+        return null;
+    }
+
+    // Rated games between the same two players in the 24 hours before this one ended
+    async countRecentPairGames(record, [nameA, nameB]) {
+        const endedAt = new Date(record.endedAt).getTime();
+        return (await matchHistoryService.findPlayerMatches(nameA))
+            .filter(({ record: other, playerId }) => {
+                if (other.gameId === record.gameId || !other.rating || !other.rating.rated) {
+                    return false;
+                }
+                const opponent = Object.entries(other.players).find(([seat]) => seat !== playerId);
+                const age = endedAt - new Date(other.endedAt).getTime();
+                return opponent && playerNameKey(opponent[1].name) === nameB && age >= 0 && age < PAIR_LIMIT_WINDOW_MS;
+            })
+            .length;
+    }
+
+    /**
+     * Apply one rated game to a player
+     * @param {Object} player - Current rating from getRating
+     * @param {string} playerName - Name as given in this game
+     * @param {number} score - 1 win, 0.5 draw, 0 loss
+     * @param {number} opponentRating - Opponent's rating before the game
+     * @param {string} ratedAt - ISO time the game ended
+     * @returns {Promise<Object>} { before, after, change, opponentRating }
+     */
+    async updatePlayer(player, playerName, score, opponentRating, ratedAt) {
+        const kFactor = player.provisional ? config.ratings.provisionalKFactor : config.ratings.kFactor;
+        const change = Math.round(kFactor * (score - expectedScore(player.rating, opponentRating)));
+        const after = player.rating + change;
+        await this.ratingStore.set(playerStorageKey(playerName), {
+            playerName: playerName.trim(),
+            rating: after,
+            ratedGames: player.ratedGames + 1,
+            wins: player.wins + (score === 1 ? 1 : 0),
+            losses: player.losses + (score === 0 ? 1 : 0),
+            draws: player.draws + (score === 0.5 ? 1 : 0),
+            peakRating: Math.max(player.peakRating, after),
+            lastRatedAt: ratedAt
+        });
+        return { before: player.rating, after, change, opponentRating };
+    }
+
+    /**
+     * Rated players, best first
+     * @param {Object} [options] - { limit, includeProvisional } where provisional players
+     *     (fewer than config.ratings.provisionalGames rated games) are left out by default
+     * @returns {Promise<Object>} { total, players: [{ rank, playerName, rating, ... }] }
+     */
+    async getLeaderboard({ limit = 50, includeProvisional = false } = {}) {
+        const players = [];
+        for (const key of await this.ratingStore.keys()) {
+            const stored = await this.ratingStore.get(key);
+            if (!stored) {
+                continue;
+            }
+            const provisional = stored.ratedGames < config.ratings.provisionalGames;
+            if (includeProvisional || !provisional) {
+                players.push({ ...stored, provisional });
+            }
+        }
+        players.sort((a, b) => b.rating - a.rating || b.ratedGames - a.ratedGames || a.playerName.localeCompare(b.playerName));
+        return {
+            total: players.length,
+            players: players.slice(0, limit).map((player, index) => ({ rank: index + 1, ...player }))
+        };
+    }
+
+    /**
+     * A player's current rating and how every rated game changed it, newest first
+     * @param {string} playerName - Name the player gave (case-insensitive)
+     * @param {number} limit - Most games to return
+     * @returns {Promise<Object>} { ...rating, history: [{ gameId, endedAt, result, opponentName, opponentRating, before, after, change }] }
+     */
+    async getRatingHistory(playerName, limit = 20) {
+        const history = (await matchHistoryService.findPlayerMatches(playerName))
+            .filter(({ record }) => record.rating && record.rating.rated)
+            .slice(0, limit)
+            .map(({ record, playerId }) => {
+                const summary = matchHistoryService.summarizeMatch(record, playerId);
+                const { before, after, change, opponentRating } = record.rating.changes[playerId];
+                return {
+                    gameId: record.gameId,
+                    endedAt: record.endedAt,
+                    result: summary.result,
+                    opponentName: summary.opponentName,
+                    opponentRating,
+                    before,
+                    after,
+                    change
+                };
+            });
+        return { ...(await this.getRating(playerName)), history };
+    }
+}
+
+module.exports = new RatingService();
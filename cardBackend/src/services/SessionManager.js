@@ -0,0 +1,77 @@
+// src/services/SessionManager.js
+/**
+ * Issues and resolves player session tokens
+ * A token is handed out when a player takes a seat (startGame / joinRoom) and binds its
+ * bearer to that gameId + playerId. Protected routes act for the session's seat only,
+ * whatever playerId the client puts in the request body.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+class SessionManager {
+    constructor() {
+        this.sessionStore = getStore('sessions');
+    }
+
+    // Token comes as "Authorization: Bearer <token>" (or X-Session-Token for simple clients)
+    readToken(req) {
+        const headers = (req && req.headers) || {};
+        const authorization = headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.slice('Bearer '.length).trim();
+        }
+        return headers['x-session-token'] || null;
+    }
+
+    /**
+     * Create a session for a seat or a watcher
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Seat taken by the player (or the spectator's own id)
+     * @param {string} role - 'player', 'spectator' or 'caster'
+     * @returns {Promise<Object>} { token, gameId, playerId, role, createdAt }
+     */
+    async createSession(gameId, playerId, role = 'player') {
+        const session = {
+            token: crypto.randomBytes(32).toString('hex'),
+            gameId,
+            playerId,
+            role,
+            createdAt: new Date().toISOString()
+        };
+        await this.sessionStore.set(session.token, session);
+        return session;
+    }
+
+    /**
+     * Look up a session by token
+     * @param {string} token - Session token sent by the client
+     * @returns {Promise<Object|null>} Session or null when unknown/malformed
+     */
+    async getSession(token) {
+        if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+            return null;
+        }
+        return this.sessionStore.get(token);
+    }
+
+    async deleteSession(token) {
+        if (typeof token === 'string' && TOKEN_PATTERN.test(token)) {
+            await this.sessionStore.delete(token);
+        }
+    }
+
+    // Drop every token issued for a game (players and watchers) once the game is gone
+    async deleteSessionsForGame(gameId) {
+        for (const token of await this.sessionStore.keys()) {
+            const session = await this.sessionStore.get(token);
+            if (session && session.gameId === gameId) {
+                await this.sessionStore.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = new SessionManager();
@@ -0,0 +1,142 @@
+// src/services/TakebackManager.js
+/**
+ * Takebacks for casual and practice games (rules.takebacks 'onRequest' or 'automatic')
+ * Before every card play and card selection the game state is copied into
+ * gameEnv.takeback together with the action's seq in the action log. The player who made
+ * that action may take it back until another action is logged; event acknowledgements
+ * and takeback requests do not count, so the opponent's client acknowledging its draw
+ * does not end the chance. Taking back restores the copy. The action log, admin log and
+ * game events carry on from the current state, so the undone action stays in the log and
+ * clients keep their event stream. The turn clock carries on too, except that the turn the
+ * action was made in resumes with its own deadline: a takeback never buys a fresh turn.
+ * Only the last action can be taken back.
+ */
+
+const { getGameRules } = require('../config/ruleProfiles');
+
+// Kept from the current state when a snapshot is restored
+const CARRIED_OVER_FIELDS = ['actionLog', 'adminLog', 'gameEvents', 'lastEventId'];
+
+// Left out of snapshots: carried over, or the takeback bookkeeping itself
+const EXCLUDED_FIELDS = [...CARRIED_OVER_FIELDS, 'takeback', 'takebackRequest'];
+
+// Turn clock fields of the running turn, restored from the snapshot's clock
+const TURN_FIELDS = ['activePlayer', 'turnKey', 'turnStartedAt', 'turnDeadline', 'warned', 'timedOut'];
+
+// Logged actions that leave a pending takeback in place
+const NEUTRAL_ACTIONS = ['ACKNOWLEDGE_EVENTS', 'TIMER_WARNING', 'TAKEBACK_REQUEST', 'TAKEBACK_RESPONSE'];
+
+class TakebackManager {
+    isEnabled(gameEnv) {
+        const { takebacks } = getGameRules(gameEnv);
+        return Boolean(takebacks) && takebacks !== 'off';
+    }
+
+    /**
+     * Copy of the state before an action, or null when takebacks are off
+     * @param {Object} gameEnv - Game environment, before the action changes it
+     * @returns {Object|null} Snapshot
+     */
+    captureSnapshot(gameEnv) {
+        if (!this.isEnabled(gameEnv)) {
+            return null;
+        }
+        const snapshot = {};
+        Object.keys(gameEnv)
+            .filter(key => !EXCLUDED_FIELDS.includes(key))
+            .forEach(key => {
+                snapshot[key] = gameEnv[key];
+            });
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+
+    /**
+     * Make an accepted action the one that can be taken back
+     * @param {Object} gameEnv - Game environment after the action
+     * @param {string} playerId - Seat that acted
+     * @param {Object} entry - The action's log entry
+     * @param {Object|null} snapshot - From captureSnapshot
+     */
+    rememberAction(gameEnv, playerId, entry, snapshot) {
+        delete gameEnv.takebackRequest;
+        if (snapshot) {
+            gameEnv.takeback = { playerId, actionSeq: entry.seq, actionType: entry.type, snapshot };
+        }
+    }
+
+    /**
+     * Whether a seat may take back its last action now
+     * @param {Object} gameEnv - Game environment
+     * @param {string} playerId - Seat asking
+     * @returns {boolean}
+     */
+    canTakeBack(gameEnv, playerId) {
+        const takeback = gameEnv.takeback;
+        // A finished game stays finished; its match record is already written
+        if (!this.isEnabled(gameEnv) || !takeback || takeback.playerId !== playerId || gameEnv.phase === 'GAME_END') {
+            return false;
+        }
+        return (gameEnv.actionLog || [])
+            .filter(entry => entry.seq > takeback.actionSeq)
+            .every(entry => NEUTRAL_ACTIONS.includes(entry.type));
+    }
+
+    /**
+     * State with the last action taken back
+     * @param {Object} gameEnv - Current game environment
+     * @returns {Object} New game environment: the snapshot plus the carried over fields
+     */
+    restore(gameEnv) {
+        const restored = JSON.parse(JSON.stringify(gameEnv.takeback.snapshot));
+        CARRIED_OVER_FIELDS
+            .filter(key => gameEnv[key] !== undefined)
+            .forEach(key => {
+                restored[key] = gameEnv[key];
+            });
+        const turnClock = this.resumeClock(gameEnv.turnClock, restored.turnClock);
+        if (turnClock) {
+            restored.turnClock = turnClock;
+        }
+        return restored;
+    }
+
+    /**
+     * Clock for the restored state: time banks and timeouts carry on, but the turn that was
+     * running before the action continues with the deadline it had then
+     * @param {Object} [current] - Clock when the takeback is accepted
+     * @param {Object} [before] - Clock saved in the snapshot
+     * @returns {Object|undefined} Clock for the restored state
+     */
+    resumeClock(current, before) {
+        if (!current || !before || !before.activePlayer) {
+            return current;
+        }
+        const clock = { ...current, remainingMs: { ...current.remainingMs } };
+        TURN_FIELDS.forEach(key => {
+            clock[key] = before[key];
+        });
+        // The actor's time bank as it was: the resumed turn charges it when it ends
+        clock.remainingMs[before.activePlayer] = before.remainingMs[before.activePlayer];
+        return clock;
+    }
+
+    /**
+     * What the players may know about takebacks (no snapshot)
+     * @param {Object} gameEnv - Game environment
+     * @returns {Object|null} { mode, lastActionBy, requestedBy }, or null when takebacks are off
+     */
+    getPublicState(gameEnv) {
+        if (!this.isEnabled(gameEnv)) {
+            return null;
+        }
+        const takeback = gameEnv.takeback;
+        const open = takeback && this.canTakeBack(gameEnv, takeback.playerId);
+        return {
+            mode: getGameRules(gameEnv).takebacks,
+            lastActionBy: open ? takeback.playerId : null,
+            requestedBy: open && gameEnv.takebackRequest ? gameEnv.takebackRequest.requestedBy : null
+        };
+    }
+}
+
+module.exports = new TakebackManager();
@@ -0,0 +1,233 @@
+// src/services/TurnTimerScheduler.js
+/**
+ * Server-side turn clocks
+ * Every game carries a turnClock in its gameEnv: a per-turn limit and a per-game time bank
+ * for each seat. The clock is synced on every save and one timer per game fires when the
+ * acting player is due a TIMER_WARNING or has run out of time; the expiry handler (set by
+ * GameLogic) then auto-passes or forfeits the player.
+ */
+
+const config = require('../config/config');
+const { createLogger, startLogContext } = require('../utils/logger');
+
+const logger = createLogger('TurnTimerScheduler');
+
+// A failed expiry is tried again, waiting twice as long each time up to the maximum
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+class TurnTimerScheduler {
+    constructor() {
+        // gameId -> { timer, dueAt }
+        this.timers = new Map();
+        // gameId -> failed expiries in a row
+        this.failures = new Map();
+        this.expiryHandler = null;
+    }
+
+    setExpiryHandler(handler) {
+        this.expiryHandler = handler;
+    }
+
+    isEnabled() {
+        return config.turnTimer.enabled;
+    }
+
+    // Imported replays (and the games being rebuilt for them) are never on the clock
+    isOnClock(gameEnv) {
+        return this.isEnabled() && Boolean(gameEnv) && !gameEnv.replayOf;
+    }
+
+    createClock(playerIds) {
+        const { turnSeconds, gameSeconds, warningSeconds, maxTimeouts } = config.turnTimer;
+        const remainingMs = {};
+        const timeouts = {};
+        playerIds.forEach(playerId => {
+            remainingMs[playerId] = gameSeconds * 1000;
+            timeouts[playerId] = 0;
+        });
+        return {
+            turnSeconds,
+            gameSeconds,
+            warningSeconds,
+            maxTimeouts,
+            activePlayer: null,
+            turnKey: null,
+            turnStartedAt: null,
+            turnDeadline: null,
+            warned: false,
+            timedOut: false,
+            remainingMs,
+            timeouts
+        };
+    }
+
+    /**
+     * Who the game is waiting on, and a key that changes whenever that wait starts over.
+     * Draw and main phase of one turn share a key, so the turn clock covers both.
+     * @param {Object} gameEnv - Game environment
+     * @returns {Object|null} { playerId, turnKey } or null when nobody is on the clock
+     */
+    getActingPlayer(gameEnv) {
+        if (gameEnv.phase === 'GAME_END' || gameEnv.phase === 'ROOM_CLOSED') {
+            return null;
+        }
+        // Nobody is on the clock until both seats are dealt in
+        const dealtSeats = Object.keys(gameEnv).filter(key => key.startsWith('playerId_') && gameEnv[key] && gameEnv[key].deck);
+        if (dealtSeats.length < 2) {
+            return null;
+        }
+
+        const pending = gameEnv.pendingPlayerAction;
+        if (pending && pending.type === 'cardSelection') {
+            const selection = (gameEnv.pendingCardSelections || {})[pending.selectionId];
+            if (selection) {
+                return { playerId: selection.playerId, turnKey: `select:${pending.selectionId}` };
+            }
+        }
+
+        if ((gameEnv.phase === 'DRAW_PHASE' || gameEnv.phase === 'MAIN_PHASE') && gameEnv.currentPlayer) {
+            return { playerId: gameEnv.currentPlayer, turnKey: `turn:${gameEnv.currentTurn}:${gameEnv.currentPlayer}` };
+        }
+        return null;
+    }
+
+    /**
+     * Bring the clock in line with the game: charge the finished turn to its player's
+     * time bank and start the turn clock for whoever the game now waits on
+     * @param {Object} gameEnv - Game environment (turnClock is created on first use)
+     * @param {number} now - Current time in ms
+     * @returns {Object|null} The clock, or null when timers are disabled
+     */
+    syncClock(gameEnv, now = Date.now()) {
+        if (!this.isOnClock(gameEnv)) {
+            return null;
+        }
+
+        const acting = this.getActingPlayer(gameEnv);
+        if (!gameEnv.turnClock) {
+            if (!acting) {
+                return null;
+            }
+            const playerIds = Object.keys(gameEnv).filter(key => key.startsWith('playerId_'));
+            gameEnv.turnClock = this.createClock(playerIds);
+        }
+
+        const clock = gameEnv.turnClock;
+        const turnKey = acting ? acting.turnKey : null;
+        if (turnKey === clock.turnKey) {
+            return clock;
+        }
+
+        // Close the previous turn; a player who acted in time starts counting timeouts afresh
+        if (clock.activePlayer) {
+            const used = Math.max(0, now - clock.turnStartedAt);
+            clock.remainingMs[clock.activePlayer] = Math.max(0, (clock.remainingMs[clock.activePlayer] || 0) - used);
+            if (!clock.timedOut) {
+                clock.timeouts[clock.activePlayer] = 0;
+            }
+        }
+
+        clock.turnKey = turnKey;
+        clock.activePlayer = acting ? acting.playerId : null;
+        clock.warned = false;
+        clock.timedOut = false;
+        if (acting) {
+            const turnMs = Math.min(clock.turnSeconds * 1000, clock.remainingMs[acting.playerId] || 0);
+            clock.turnStartedAt = now;
+            clock.turnDeadline = now + turnMs;
+        } else {
+            clock.turnStartedAt = null;
+            clock.turnDeadline = null;
+        }
+        return clock;
+    }
+
+    // When the timer should next fire: the warning first, then the deadline
+    getNextDueAt(clock) {
+        if (!clock || !clock.activePlayer || !clock.turnDeadline) {
+            return null;
+        }
+        const warningAt = clock.turnDeadline - clock.warningSeconds * 1000;
+        return !clock.warned && warningAt > clock.turnStartedAt ? warningAt : clock.turnDeadline;
+    }
+
+    /**
+     * (Re)arm the game's timer from its saved clock
+     * @param {string} gameId - Game ID
+     * @param {Object} gameEnv - Game environment as saved
+     */
+    schedule(gameId, gameEnv) {
+        const dueAt = this.isOnClock(gameEnv) ? this.getNextDueAt(gameEnv.turnClock) : null;
+        const existing = this.timers.get(gameId);
+        if (existing && existing.dueAt === dueAt) {
+            return;
+        }
+        this.cancel(gameId);
+        if (dueAt === null) {
+            return;
+        }
+        this.arm(gameId, dueAt);
+    }
+
+    arm(gameId, dueAt) {
+        // The timer fires outside the request that armed it, so it starts its own log context
+        const timer = setTimeout(() => startLogContext({ gameId }, () => {
+            this.timers.delete(gameId);
+            if (this.expiryHandler) {
+                return Promise.resolve()
+                    .then(() => this.expiryHandler(gameId))
+                    .then(() => this.failures.delete(gameId))
+                    .catch(error => this.retryAfterFailure(gameId, error));
+            }
+        }), Math.max(0, dueAt - Date.now()));
+        // Timers must not keep the process alive on shutdown
+        timer.unref();
+        this.timers.set(gameId, { timer, dueAt });
+    }
+
+    // The clock is still expired after a failed expiry, so the timer is armed again unless
+    // the handler saved the game (and so re-armed it) before it failed
+    retryAfterFailure(gameId, error) {
+        const failures = (this.failures.get(gameId) || 0) + 1;
+        this.failures.set(gameId, failures);
+        const delay = Math.min(RETRY_DELAY_MS * 2 ** (failures - 1), MAX_RETRY_DELAY_MS);
+        logger.error('⏰ Turn timer failed', { error, failures, retryInMs: delay });
+        if (!this.timers.has(gameId)) {
+            this.arm(gameId, Date.now() + delay);
+        }
+    }
+
+    /**
+     * Clock of a turn that ran out while the server was down, moved so the player gets
+     * restartGraceSeconds from now. Start and deadline move together, so the time bank
+     * is charged as if the turn had ended at its old deadline.
+     * @param {Object} clock - Saved turn clock
+     * @param {number} now - Current time in ms
+     * @returns {boolean} Whether the clock was overdue and moved
+     */
+    extendOverdueClock(clock, now = Date.now()) {
+        if (!clock || !clock.activePlayer || !clock.turnDeadline || clock.turnDeadline > now) {
+            return false;
+        }
+        const shift = now + config.turnTimer.restartGraceSeconds * 1000 - clock.turnDeadline;
+        clock.turnStartedAt += shift;
+        clock.turnDeadline += shift;
+        return true;
+    }
+
+    cancel(gameId) {
+        const existing = this.timers.get(gameId);
+        if (existing) {
+            clearTimeout(existing.timer);
+            this.timers.delete(gameId);
+        }
+        this.failures.delete(gameId);
+    }
+
+    getScheduledCount() {
+        return this.timers.size;
+    }
+}
+
+module.exports = new TurnTimerScheduler();
@@ -0,0 +1,79 @@
+// src/services/storage/FileStore.js
+/**
+ * File storage adapter
+ * Stores each record as `<directory>/<key>.json` using non-blocking fs calls.
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated game file behind.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const KEY_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+class FileStore {
+    /**
+     * @param {string} directory - Folder holding the JSON files
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Resolve the file for a key, rejecting anything that could escape the directory
+     * @param {string} key - Record key (e.g. gameId)
+     * @returns {string} Absolute file path
+     */
+    filePath(key) {
+        if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.startsWith('.')) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            const data = await fs.readFile(this.filePath(key), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        const filename = this.filePath(key);
+        const tempFilename = `${filename}.${process.pid}.tmp`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(tempFilename, JSON.stringify(value, null, 2));
+        await fs.rename(tempFilename, filename);
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this.filePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async keys() {
+        try {
+            const files = await fs.readdir(this.directory);
+            return files
+                .filter(file => file.endsWith('.json'))
+                .map(file => file.slice(0, -'.json'.length));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = FileStore;
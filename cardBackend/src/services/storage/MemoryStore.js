@@ -0,0 +1,33 @@
+// src/services/storage/MemoryStore.js
+/**
+ * In-memory storage adapter
+ * Keeps records in a Map for the lifetime of the process (tests, local experiments)
+ */
+
+class MemoryStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(key) {
+        if (!this.records.has(key)) {
+            return null;
+        }
+        // Hand out a copy so callers behave the same as with the persistent adapters
+        return JSON.parse(this.records.get(key));
+    }
+
+    async set(key, value) {
+        this.records.set(key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+
+    async keys() {
+        return [...this.records.keys()];
+    }
+}
+
+module.exports = MemoryStore;
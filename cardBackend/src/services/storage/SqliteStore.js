@@ -0,0 +1,108 @@
+// src/services/storage/SqliteStore.js
+/**
+ * Embedded SQLite storage adapter
+ * Uses sql.js (SQLite compiled to WebAssembly), so no native build is required.
+ * The database is loaded once per file, queried in memory and flushed back to
+ * disk after every write. Pass ':memory:' as filename to skip persistence.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const IN_MEMORY = ':memory:';
+
+// One open database per file, shared by every namespace stored in it
+const databases = new Map();
+
+async function openDatabase(filename) {
+    if (!databases.has(filename)) {
+        databases.set(filename, (async () => {
+            const SQL = await initSqlJs();
+            let db;
+            try {
+                db = filename === IN_MEMORY
+                    ? new SQL.Database()
+                    : new SQL.Database(await fs.readFile(filename));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                db = new SQL.Database();
+            }
+            db.run(`CREATE TABLE IF NOT EXISTS records (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updatedAt INTEGER NOT NULL,
+                PRIMARY KEY (namespace, key)
+            )`);
+            return { db, pendingFlush: Promise.resolve() };
+        })());
+    }
+    return databases.get(filename);
+}
+
+class SqliteStore {
+    /**
+     * @param {string} namespace - Logical collection name (e.g. 'games')
+     * @param {string} filename - Database file, or ':memory:'
+     */
+    constructor(namespace, filename) {
+        this.namespace = namespace;
+        this.filename = filename;
+    }
+
+    async get(key) {
+        const { db } = await openDatabase(this.filename);
+        const statement = db.prepare('SELECT value FROM records WHERE namespace = ? AND key = ?');
+        try {
+            statement.bind([this.namespace, key]);
+            return statement.step() ? JSON.parse(statement.get()[0]) : null;
+        } finally {
+            statement.free();
+        }
+    }
+
+    async set(key, value) {
+        const handle = await openDatabase(this.filename);
+        handle.db.run(
+            `INSERT INTO records (namespace, key, value, updatedAt) VALUES (?, ?, ?, ?)
+             ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt`,
+            [this.namespace, key, JSON.stringify(value), Date.now()]
+        );
+        await this.flush(handle);
+    }
+
+    async delete(key) {
+        const handle = await openDatabase(this.filename);
+        handle.db.run('DELETE FROM records WHERE namespace = ? AND key = ?', [this.namespace, key]);
+        await this.flush(handle);
+    }
+
+    async keys() {
+        const { db } = await openDatabase(this.filename);
+        const result = db.exec('SELECT key FROM records WHERE namespace = ? ORDER BY updatedAt', [this.namespace]);
+        return result.length > 0 ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Write the database image to disk. Flushes are chained so concurrent writes
+     * never interleave on the same file; a failed flush is reported to its own caller
+     * only and does not stop the flushes after it.
+     */
+    async flush(handle) {
+        if (this.filename === IN_MEMORY) {
+            return;
+        }
+        handle.pendingFlush = handle.pendingFlush.catch(() => {}).then(async () => {
+            const tempFilename = `${this.filename}.${process.pid}.tmp`;
+            await fs.mkdir(path.dirname(this.filename), { recursive: true });
+            await fs.writeFile(tempFilename, Buffer.from(handle.db.export()));
+            await fs.rename(tempFilename, this.filename);
+        });
+        await handle.pendingFlush;
+    }
+}
+
+module.exports = SqliteStore;
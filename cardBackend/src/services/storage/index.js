@@ -0,0 +1,89 @@
+// src/services/storage/index.js
+/**
+ * Storage adapters for persisted game data
+ *
+ * Every adapter implements the same async interface:
+ *   get(key)        -> stored object, or null if missing
+ *   set(key, value) -> persist a JSON-serializable object
+ *   delete(key)     -> remove a record (no-op if missing)
+ *   keys()          -> list of stored keys
+ *
+ * The driver is selected by `config.storage.driver` ('memory', 'file' or 'sqlite').
+ * Records are grouped by namespace (e.g. 'games') so several services can share
+ * one backend without their keys colliding.
+ */
+
+const path = require('path');
+const config = require('../../config/config');
+const MemoryStore = require('./MemoryStore');
+const FileStore = require('./FileStore');
+const SqliteStore = require('./SqliteStore');
+const metricsRegistry = require('../MetricsRegistry');
+
+const STORE_OPERATIONS = ['get', 'set', 'delete', 'keys'];
+const operationLatency = metricsRegistry.histogram('game_storage_operation_seconds', 'Storage adapter latency, by namespace and operation', ['namespace', 'operation']);
+
+const stores = new Map();
+
+/**
+ * Create a new adapter instance for a namespace
+ * @param {string} namespace - Logical collection name
+ * @param {Object} options - Storage options (defaults to config.storage)
+ * @returns {Object} Storage adapter
+ */
+function createStore(namespace, options = config.storage) {
+    switch (options.driver) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            // Games keep their historical location: <dataDir>/<gameId>.json
+            return new FileStore(namespace === 'games'
+                ? options.dataDir
+                : path.join(options.dataDir, namespace));
+        case 'sqlite':
+            return new SqliteStore(namespace, options.sqliteFile);
+        default:
+            throw new Error(`Unknown storage driver: ${options.driver}`);
+    }
+}
+
+/**
+ * Wrap an adapter so every operation's latency is recorded
+ * @param {string} namespace - Logical collection name
+ * @param {Object} store - Storage adapter
+ * @returns {Object} Adapter with the same interface
+ */
+function instrumentStore(namespace, store) {
+    const instrumented = Object.create(store);
+    STORE_OPERATIONS.forEach(operation => {
+        instrumented[operation] = async (...args) => {
+            const endTimer = operationLatency.startTimer({ namespace, operation });
+            try {
+                return await store[operation](...args);
+            } finally {
+                endTimer();
+            }
+        };
+    });
+    return instrumented;
+}
+
+/**
+ * Get the shared adapter for a namespace, creating it on first use
+ * @param {string} namespace - Logical collection name
+ * @returns {Object} Storage adapter
+ */
+function getStore(namespace) {
+    if (!stores.has(namespace)) {
+        stores.set(namespace, instrumentStore(namespace, createStore(namespace)));
+    }
+    return stores.get(namespace);
+}
+
+module.exports = {
+    createStore,
+    getStore,
+    MemoryStore,
+    FileStore,
+    SqliteStore
+};
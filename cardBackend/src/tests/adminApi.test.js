@@ -0,0 +1,112 @@
+const { useMemoryStore, createMockResponse, API_BASE_URL } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off', ADMIN_TOKEN: 'test-admin-token' });
+
+const axios = require('axios');
+const gameLogic = require('../services/GameLogic');
+const gameAdminService = require('../services/GameAdminService');
+const adminController = require('../controllers/adminController');
+const { requireAdminToken } = require('../middleware/requireAdminToken');
+const { GameError } = require('../utils/gameErrors');
+
+function checkToken(headers) {
+    const res = createMockResponse();
+    const next = jest.fn();
+    requireAdminToken({ headers }, res, next);
+    return { res, next };
+}
+
+describe('Admin API', () => {
+    let gameId;
+
+    beforeEach(async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        gameId = created.gameId;
+        await gameLogic.joinRoom({ body: { gameId, playerName: 'Bob' } });
+        await gameLogic.startReady({ body: { playerId: 'playerId_1', gameId, isRedraw: false } });
+        await gameLogic.startReady({ body: { playerId: 'playerId_2', gameId, isRedraw: false } });
+    });
+
+    it('should check the admin token before reading a replay import body', async () => {
+        // Not even JSON: a parsed body would be rejected as INVALID_JSON (or as too large)
+        const response = await axios.post(`${API_BASE_URL}/admin/games/import`, `{${'x'.repeat(1024 * 1024)}`, {
+            headers: { 'Content-Type': 'application/json' },
+            validateStatus: () => true
+        });
+        // The test server runs without ADMIN_TOKEN unless one is set for the run
+        expect(['ADMIN_DISABLED', 'ADMIN_TOKEN_REQUIRED']).toContain(response.data.code);
+    });
+
+    it('should only let the admin token through', () => {
+        expect(checkToken({}).res.status).toHaveBeenCalledWith(401);
+        expect(checkToken({ authorization: 'Bearer wrong-token' }).res.status).toHaveBeenCalledWith(401);
+        expect(checkToken({ authorization: 'Bearer test-admin-token' }).next).toHaveBeenCalled();
+        expect(checkToken({ 'x-admin-token': 'test-admin-token' }).next).toHaveBeenCalled();
+    });
+
+    it('should list games by phase and show the raw game', async () => {
+        const { phase } = (await gameAdminService.getGame(gameId)).gameEnv;
+        const games = await gameAdminService.listGames(phase);
+        const listed = games.find(game => game.gameId === gameId);
+        expect(listed.phase).toBe(phase);
+        expect(listed.players).toEqual({ playerId_1: 'Alice', playerId_2: 'Bob' });
+        expect((await gameAdminService.listGames('GAME_END')).map(game => game.gameId)).not.toContain(gameId);
+
+        const res = createMockResponse();
+        await adminController.getGame({ params: { gameId } }, res);
+        // Unlike the players' view, hands are not redacted
+        expect(res.json.mock.calls[0][0].gameEnv.playerId_2.deck.hand.length).toBeGreaterThan(0);
+    });
+
+    it('should clear a stuck selection and record the intervention', async () => {
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        game.gameEnv.pendingCardSelections = { sel_1: { playerId: 'playerId_2', selectCount: 1 } };
+        game.gameEnv.pendingPlayerAction = { type: 'cardSelection', selectionId: 'sel_1' };
+        await gameLogic.gameStore.set(gameId, game);
+
+        const repaired = await gameAdminService.clearSelections(gameId, 'player left mid-selection');
+        expect(repaired.gameEnv.pendingCardSelections).toEqual({});
+        expect(repaired.gameEnv.pendingPlayerAction).toBeUndefined();
+
+        const event = repaired.gameEnv.gameEvents.find(e => e.type === 'ADMIN_INTERVENTION');
+        expect(event.data).toEqual({
+            action: 'CLEAR_SELECTIONS',
+            reason: 'player left mid-selection',
+            details: { clearedSelections: ['sel_1'] }
+        });
+        expect(repaired.gameEnv.adminLog).toHaveLength(1);
+
+        // The log stays out of what players receive
+        const playerView = await gameLogic.getGameState(gameId, 'playerId_1');
+        expect(playerView.gameEnv.adminLog).toBeUndefined();
+    });
+
+    it('should force a phase, award a win and declare a draw', async () => {
+        const forced = await gameAdminService.forcePhase(gameId, 'MAIN_PHASE', 'playerId_2', 'stuck in draw phase');
+        expect(forced.gameEnv.phase).toBe('MAIN_PHASE');
+        expect(forced.gameEnv.currentPlayer).toBe('playerId_2');
+
+        const won = await gameAdminService.awardWin(gameId, 'playerId_1');
+        expect(won.gameEnv).toMatchObject({ phase: 'GAME_END', winner: 'playerId_1' });
+
+        const drawn = await gameAdminService.declareDraw(gameId, 'replayed offline');
+        expect(drawn.gameEnv.winner).toBe('draw');
+        expect(drawn.gameEnv.adminLog.map(entry => entry.action)).toEqual(['FORCE_PHASE', 'AWARD_WIN', 'DECLARE_DRAW']);
+
+        // The finished game was recorded, so it cannot be played on
+        await expect(gameAdminService.forcePhase(gameId, 'MAIN_PHASE', 'playerId_1'))
+            .rejects.toMatchObject({ code: 'ADMIN_ACTION_REJECTED', params: { reason: 'Game has ended and was recorded' } });
+        expect((await gameLogic.readJSONFileAsync(gameId)).gameEnv).toMatchObject({ phase: 'GAME_END', winner: 'draw' });
+    });
+
+    it('should refuse to end a game that has not started', async () => {
+        const waiting = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Carol' } } });
+        await expect(gameAdminService.declareDraw(waiting.gameId)).rejects.toBeInstanceOf(GameError);
+
+        const res = createMockResponse();
+        await adminController.awardWin({ params: { gameId: waiting.gameId }, body: { winner: 'playerId_1' } }, res);
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.json.mock.calls[0][0].code).toBe('ADMIN_ACTION_REJECTED');
+        expect((await gameLogic.readJSONFileAsync(waiting.gameId)).gameEnv.adminLog).toBeUndefined();
+    });
+});
@@ -0,0 +1,73 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore();
+
+const gameLogic = require('../services/GameLogic');
+const gameController = require('../controllers/gameController');
+const { GameStateConflictError } = require('../utils/gameErrors');
+
+describe('Optimistic Concurrency Control', () => {
+    let gameId;
+    let joined;
+
+    beforeEach(async () => {
+        const created = await gameLogic.createNewGame({ body: { playerId: 'playerId_1' } });
+        gameId = created.gameId;
+        joined = await gameLogic.joinRoom({ body: { playerId: 'playerId_2', gameId, version: created.version } });
+    });
+
+    it('should bump version and updateUUID on every save', async () => {
+        const stored = await gameLogic.readJSONFileAsync(gameId);
+        expect(stored.version).toBe(2);
+        expect(joined.version).toBe(2);
+        expect(joined.updateUUID).toBe(stored.updateUUID);
+
+        const ready = await gameLogic.startReady({ body: { playerId: 'playerId_1', gameId, isRedraw: false, version: 2 } });
+        expect(ready.version).toBe(3);
+        expect(ready.updateUUID).not.toBe(stored.updateUUID);
+    });
+
+    it('should reject a request based on an outdated version', async () => {
+        await gameLogic.startReady({ body: { playerId: 'playerId_1', gameId, isRedraw: false, version: 2 } });
+
+        await expect(
+            gameLogic.startReady({ body: { playerId: 'playerId_2', gameId, isRedraw: false, version: 2 } })
+        ).rejects.toBeInstanceOf(GameStateConflictError);
+    });
+
+    it('should reject a request based on an outdated updateUUID', async () => {
+        await expect(
+            gameLogic.acknowledgeGameEvents(gameId, [], { updateUUID: 'not-the-current-uuid' })
+        ).rejects.toBeInstanceOf(GameStateConflictError);
+    });
+
+    it('should skip the check when the client sends no version', async () => {
+        const result = await gameLogic.acknowledgeGameEvents(gameId, []);
+        expect(result.success).toBe(true);
+        expect(result.version).toBe(3);
+    });
+
+    it('should reject a write when the game was saved after it was read', async () => {
+        const gameData = await gameLogic.readJSONFileAsync(gameId);
+        await gameLogic.acknowledgeGameEvents(gameId, []);
+
+        await expect(
+            gameLogic.saveOrCreateGame(gameLogic.addUpdateUUID(gameData), gameId, 2)
+        ).rejects.toBeInstanceOf(GameStateConflictError);
+    });
+
+    it('should respond 409 with the fresh state', async () => {
+        const res = createMockResponse();
+        await gameController.startReady(
+            { body: { playerId: 'playerId_1', gameId, isRedraw: false, version: 1 } },
+            res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        const body = res.json.mock.calls[0][0];
+        expect(body.code).toBe('STALE_GAME_STATE');
+        expect(body.gameId).toBe(gameId);
+        expect(body.version).toBe(2);
+        expect(body.gameEnv.phase).toBe('READY_PHASE');
+    });
+});
@@ -0,0 +1,132 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const gameReplayService = require('../services/GameReplayService');
+const deckManager = require('../services/DeckManager');
+const deckController = require('../controllers/deckController');
+const playerKeyController = require('../controllers/playerKeyController');
+const playerKeyService = require('../services/PlayerKeyService');
+const { requirePlayerKey } = require('../middleware/requirePlayerKey');
+const schemas = require('../validation/requestSchemas');
+const { validateSchema } = require('../validation/schemaValidator');
+
+async function runPlayerKeyCheck(playerName, playerKey) {
+    const req = { params: { playerName }, headers: playerKey ? { 'x-player-key': playerKey } : {} };
+    const res = createMockResponse();
+    const next = jest.fn();
+    await requirePlayerKey(req, res, next);
+    return { res, next };
+}
+
+// 22 characters and 4 help/SP cards: a legal main deck of 26 cards
+const CHARACTERS = Array.from({ length: 22 }, (_, index) => `c-${index + 5}`);
+const MAIN_DECK = [...CHARACTERS, 'h-4', 'h-5', 'sp-4', 'sp-5'];
+const LEADERS = ['s-6', 's-5', 's-4', 's-3'];
+
+describe('Deck builder', () => {
+    it('should start a new player with the starter deck and persist decks once they build one', async () => {
+        const starter = await deckManager.listPlayerDecks('Alice');
+        expect(starter).toMatchObject({
+            playerName: 'Alice',
+            activeDeck: 'deck001',
+            limits: { leaders: 4, minCards: 20, maxCards: 30, maxDecks: 20 }
+        });
+        expect(starter.decks.deck001).toMatchObject({ name: 'Starter Deck', leader: ['s-1', 's-2', 's-3', 's-4'] });
+
+        const res = createMockResponse();
+        await deckController.createDeck({ params: { playerName: 'Alice' }, body: { name: ' Rebels ', leader: LEADERS, cards: MAIN_DECK } }, res);
+        expect(res.status).toHaveBeenCalledWith(201);
+        const created = res.json.mock.calls[0][0];
+        expect(created).toMatchObject({ id: 'deck002', name: 'Rebels', leader: LEADERS, cards: MAIN_DECK });
+
+        const decks = await deckManager.listPlayerDecks(' alice ');
+        expect(Object.keys(decks.decks)).toEqual(['deck001', 'deck002']);
+        expect(decks.activeDeck).toBe('deck001');
+    });
+
+    it('should rename, update, clone, activate and delete decks', async () => {
+        const deck = await deckManager.createDeck('Bob', { name: 'Draft', leader: LEADERS, cards: MAIN_DECK });
+
+        expect(await deckManager.updateDeck('Bob', deck.id, { name: 'Final' })).toMatchObject({ name: 'Final', cards: MAIN_DECK });
+        const updated = await deckManager.updateDeck('Bob', deck.id, { cards: MAIN_DECK.slice(0, 20) });
+        expect(updated.cards).toHaveLength(20);
+        expect(updated.updatedAt >= updated.createdAt).toBe(true);
+
+        const copy = await deckManager.cloneDeck('Bob', deck.id);
+        expect(copy).toMatchObject({ id: 'deck003', name: 'Final (copy)', leader: LEADERS, cards: updated.cards });
+
+        expect((await deckManager.setActiveDeck('Bob', copy.id)).activeDeck).toBe('deck003');
+        const afterDelete = await deckManager.deleteDeck('Bob', copy.id);
+        expect(afterDelete.activeDeck).toBe('deck001');
+        expect(Object.keys(afterDelete.decks)).toEqual(['deck001', deck.id]);
+
+        await deckManager.deleteDeck('Bob', 'deck001');
+        await expect(deckManager.deleteDeck('Bob', deck.id)).rejects.toMatchObject({ code: 'DECK_LAST_ONE', status: 422 });
+        await expect(deckManager.setActiveDeck('Bob', 'deck001')).rejects.toMatchObject({ code: 'DECK_NOT_FOUND', status: 404 });
+    });
+
+    it('should reject decks outside the rules of decks.json', async () => {
+        const invalid = async deck => {
+            const error = await deckManager.createDeck('Carol', { name: 'Bad', leader: LEADERS, cards: MAIN_DECK, ...deck }).catch(caught => caught);
+            expect(error).toMatchObject({ code: 'DECK_INVALID', status: 422 });
+            return error.params.reason;
+        };
+        expect(await invalid({ cards: MAIN_DECK.slice(0, 19) })).toBe('the main deck needs 20 to 30 cards');
+        expect(await invalid({ cards: [...MAIN_DECK, 'c-1', 'c-2', 'c-3', 'c-4', 'h-6'] })).toBe('the main deck needs 20 to 30 cards');
+        expect(await invalid({ cards: [...MAIN_DECK, 'c-5'] })).toBe('c-5 is in the main deck more than once');
+        expect(await invalid({ cards: [...MAIN_DECK, 's-1'] })).toBe('s-1 cannot be in the main deck');
+        expect(await invalid({ cards: [...MAIN_DECK, 'x-99'] })).toBe('x-99 cannot be in the main deck');
+        expect(await invalid({ leader: ['s-1', 's-1', 's-2', 's-3'] })).toBe('a deck needs 4 different leaders');
+        expect(await invalid({ leader: ['s-1', 's-2', 's-3', 'c-1'] })).toBe('c-1 is not a leader');
+        expect(await invalid({ name: '   ' })).toBe('the name must have 1 to 40 characters');
+
+        // Nothing was stored
+        expect(Object.keys((await deckManager.listPlayerDecks('Carol')).decks)).toEqual(['deck001']);
+
+        const errors = validateSchema(schemas.createDeck.body, { name: 'Bad', leader: LEADERS.slice(0, 3) }, 'body');
+        expect(errors.map(error => error.field)).toEqual(['body.cards', 'body.leader']);
+    });
+
+    it('should only let the owner of a name change its decks', async () => {
+        const res = createMockResponse();
+        await playerKeyController.claimPlayerName({ params: { playerName: 'Frank' } }, res);
+        expect(res.status).toHaveBeenCalledWith(201);
+        const { playerKey } = res.json.mock.calls[0][0];
+        expect(playerKey).toMatch(/^[a-f0-9]{64}$/);
+        await expect(playerKeyService.claimName(' frank ')).rejects.toMatchObject({ code: 'PLAYER_NAME_CLAIMED', status: 409 });
+
+        // Someone else's key, no key, and a key for a name nobody claimed
+        const { playerKey: graceKey } = await playerKeyService.claimName('Grace');
+        const foreign = await runPlayerKeyCheck('Frank', graceKey);
+        expect(foreign.res.status).toHaveBeenCalledWith(403);
+        expect(foreign.res.json.mock.calls[0][0]).toMatchObject({ code: 'PLAYER_KEY_INVALID' });
+        expect(foreign.next).not.toHaveBeenCalled();
+        expect((await runPlayerKeyCheck('Frank', null)).res.status).toHaveBeenCalledWith(401);
+        expect((await runPlayerKeyCheck('Heidi', graceKey)).res.status).toHaveBeenCalledWith(403);
+
+        expect((await runPlayerKeyCheck('FRANK', playerKey)).next).toHaveBeenCalled();
+    });
+
+    it('should deal the active deck of a named player and replay the game with the decks it was dealt', async () => {
+        const deck = await deckManager.createDeck('Dave', { name: 'Rebels', leader: LEADERS, cards: MAIN_DECK });
+        await deckManager.setActiveDeck('Dave', deck.id);
+
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Erin' } } }, { seed: 8 });
+        const { gameId } = created;
+        await gameLogic.joinRoom({ body: { gameId, playerName: 'Dave' } });
+        await gameLogic.startReady({ body: { gameId, playerId: 'playerId_2', isRedraw: true } });
+
+        const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+        expect(gameEnv.deckLists.playerId_2).toEqual({ id: deck.id, name: 'Rebels', leader: LEADERS, cards: MAIN_DECK });
+        expect(gameEnv.playerId_2.deck).toMatchObject({ deckId: deck.id, deckName: 'Rebels' });
+        expect([...gameEnv.playerId_2.deck.hand, ...gameEnv.playerId_2.deck.mainDeck].sort()).toEqual([...MAIN_DECK].sort());
+        expect(gameEnv.playerId_1.deck.deckName).toBe('Starter Deck');
+
+        // Editing the deck afterwards changes neither the game nor its replay
+        await deckManager.updateDeck('Dave', deck.id, { cards: MAIN_DECK.slice(0, 20) });
+        const imported = await gameReplayService.importGame(await gameReplayService.exportGame(gameId));
+        expect(imported.matchesExport).toBe(true);
+    });
+});
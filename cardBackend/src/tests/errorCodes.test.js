@@ -0,0 +1,103 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const gameController = require('../controllers/gameController');
+const lobbyController = require('../controllers/lobbyController');
+const { requirePlayerSession } = require('../middleware/requirePlayerSession');
+const { GAME_ERROR_CODES, GameError, GameStateConflictError, RoomAccessError } = require('../utils/gameErrors');
+
+async function callController(handler, body) {
+    const req = { params: {}, query: {}, headers: {}, body };
+    const res = createMockResponse();
+    await handler(req, res);
+    return { status: res.status.mock.calls[0]?.[0] || 200, body: res.json.mock.calls[0][0] };
+}
+
+describe('Structured Error Codes', () => {
+    let gameId;
+    let currentPlayer;
+
+    beforeEach(async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        gameId = created.gameId;
+        await gameLogic.joinRoom({ body: { gameId } });
+        await gameLogic.startReady({ body: { playerId: 'playerId_1', gameId, isRedraw: false } });
+        await gameLogic.startReady({ body: { playerId: 'playerId_2', gameId, isRedraw: false } });
+
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        game.gameEnv.phase = 'MAIN_PHASE';
+        currentPlayer = game.gameEnv.currentPlayer;
+        await gameLogic.gameStore.set(gameId, game);
+    });
+
+    it('should answer a move out of turn with 422 and NOT_YOUR_TURN', async () => {
+        const otherPlayer = currentPlayer === 'playerId_1' ? 'playerId_2' : 'playerId_1';
+        const { status, body } = await callController(gameController.playerAction, {
+            gameId,
+            playerId: otherPlayer,
+            action: { type: 'PlayCardBack', card_idx: 0, field_idx: 3 }
+        });
+
+        expect(status).toBe(422);
+        expect(body).toMatchObject({ code: 'NOT_YOUR_TURN', error: 'Not your turn' });
+        expect(body.params.currentPlayer).toBe(currentPlayer);
+        expect(body.stack).toBeUndefined();
+    });
+
+    it('should report rule violations with the code used for the error event', async () => {
+        const result = await gameLogic.mozGamePlay.processAction(
+            (await gameLogic.readJSONFileAsync(gameId)).gameEnv,
+            currentPlayer,
+            { type: 'PlayCardBack', card_idx: 0, field_idx: 9 }
+        );
+
+        expect(result).toMatchObject({ code: 'INVALID_POSITION', error: 'position out of range', params: { fieldIdx: 9 } });
+        expect(Object.keys(GAME_ERROR_CODES)).toContain(result.code);
+    });
+
+    it('should map catalogue codes to their HTTP status', async () => {
+        const missing = await callController(gameController.nextRound, {});
+        expect(missing.status).toBe(400);
+        expect(missing.body).toMatchObject({ code: 'MISSING_PARAMETERS', params: { fields: ['gameId'] } });
+
+        const unknown = await callController(gameController.startReady, { gameId: 'no-such-game', playerId: 'playerId_1' });
+        expect(unknown.status).toBe(404);
+        expect(unknown.body.code).toBe('GAME_NOT_FOUND');
+
+        expect(new GameError('ZONE_OCCUPIED', { reason: 'Help zone already occupied' }).status).toBe(422);
+    });
+
+    it('should answer session, room and conflict errors from the catalogue', async () => {
+        const next = jest.fn();
+        const noSession = createMockResponse();
+        await requirePlayerSession({ params: {}, query: {}, headers: {}, body: { gameId } }, noSession, next);
+        expect(noSession.status).toHaveBeenCalledWith(401);
+        expect(noSession.json.mock.calls[0][0]).toEqual({ error: 'A valid session token is required', code: 'SESSION_REQUIRED', params: {} });
+
+        const noRoom = createMockResponse();
+        await lobbyController.resolveRoom({ params: { roomCode: 'ZZZZZZ' }, body: {} }, noRoom, next);
+        expect(noRoom.status).toHaveBeenCalledWith(404);
+        expect(noRoom.json.mock.calls[0][0]).toMatchObject({ code: 'ROOM_NOT_FOUND', params: { roomCode: 'ZZZZZZ' } });
+        expect(next).not.toHaveBeenCalled();
+
+        ['SESSION_REQUIRED', 'SESSION_MISMATCH', 'SPECTATOR_READ_ONLY', 'ADMIN_DISABLED', 'ADMIN_TOKEN_REQUIRED',
+            'ROOM_NOT_FOUND', 'CASTER_KEY_INVALID', 'STALE_GAME_STATE'].forEach(code => {
+            expect(Object.keys(GAME_ERROR_CODES)).toContain(code);
+        });
+        expect(new RoomAccessError('ROOM_NOT_OPEN')).toMatchObject({ status: 409, code: 'ROOM_NOT_OPEN' });
+        expect(new GameStateConflictError({})).toBeInstanceOf(GameError);
+    });
+
+    it('should hide internal errors behind a generic 500', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(gameLogic, 'nextRound').mockRejectedValueOnce(new Error('disk exploded'));
+
+        const { status, body } = await callController(gameController.nextRound, { gameId });
+
+        expect(status).toBe(500);
+        expect(body).toEqual({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,139 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const schemas = require('../validation/requestSchemas');
+const { validateSchema } = require('../validation/schemaValidator');
+const { createGameRules } = require('../config/ruleProfiles');
+const { createRandomState, nextRandom } = require('../utils/gameRandom');
+
+const { mozGamePlay } = gameLogic;
+const PLAYERS = ['playerId_1', 'playerId_2'];
+
+function leaders(first, second) {
+    return {
+        playerId_1: { cardId: 's-1', name: 'Leader One', initialPoint: first },
+        playerId_2: { cardId: 's-2', name: 'Leader Two', initialPoint: second }
+    };
+}
+
+function decide(firstPlayerMode, leaderPoints, previousGame, seed = 1) {
+    const gameEnv = {
+        rules: createGameRules('standard', { firstPlayerMode }),
+        playerNames: { playerId_1: 'Alice', playerId_2: 'Bob' },
+        previousGame,
+        random: createRandomState(seed)
+    };
+    return mozGamePlay.decideFirstPlayer(gameEnv, PLAYERS, leaders(...leaderPoints));
+}
+
+// First roll of a generator seeded with this seed
+function firstRoll(seed) {
+    return nextRandom({ random: createRandomState(seed) });
+}
+
+async function createJoinedGame(gameConfig, joinerName = 'Bob') {
+    const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice', ...gameConfig } } });
+    const joined = await gameLogic.joinRoom({ body: { gameId: created.gameId, playerName: joinerName } });
+    return { gameId: created.gameId, joined };
+}
+
+describe('First player', () => {
+    it('should let the higher leader initial point start and flip a coin on a tie', () => {
+        expect(decide('leaderInitialPoint', [100, 120])).toMatchObject({
+            firstPlayer: 'playerId_2',
+            reason: 'HIGHER_LEADER_INITIAL_POINT',
+            coinFlip: null
+        });
+
+        const roll = firstRoll(3);
+        expect(decide('leaderInitialPoint', [110, 110], null, 3)).toMatchObject({
+            firstPlayer: roll < 0.5 ? 'playerId_1' : 'playerId_2',
+            reason: 'LEADER_INITIAL_POINT_TIE',
+            coinFlip: { roll, result: roll < 0.5 ? 'heads' : 'tails' }
+        });
+    });
+
+    it('should record the roll of a coin flip from the game\'s seed', () => {
+        // Find seeds landing on each side, so both outcomes are covered
+        const seeds = [...Array(20).keys()];
+        const headsSeed = seeds.find(seed => firstRoll(seed) < 0.5);
+        const tailsSeed = seeds.find(seed => firstRoll(seed) >= 0.5);
+
+        expect(decide('coinFlip', [100, 120], null, headsSeed)).toMatchObject({
+            mode: 'coinFlip',
+            firstPlayer: 'playerId_1',
+            reason: 'COIN_FLIP',
+            coinFlip: { roll: firstRoll(headsSeed), result: 'heads' }
+        });
+        expect(decide('coinFlip', [100, 120], null, tailsSeed)).toMatchObject({
+            firstPlayer: 'playerId_2',
+            coinFlip: { result: 'tails' }
+        });
+    });
+
+    it('should let the loser of the previous game start, or fall back to the leaders', () => {
+        // Seats are assigned anew in every game: Bob won the previous game from the first seat
+        const previousGame = { gameId: 'previous', winner: 'playerId_1', playerNames: { playerId_1: 'bob', playerId_2: 'Alice' } };
+        expect(decide('loserOfPreviousGame', [100, 120], previousGame)).toMatchObject({
+            firstPlayer: 'playerId_1',
+            reason: 'LOSER_OF_PREVIOUS_GAME',
+            previousGame
+        });
+
+        expect(decide('loserOfPreviousGame', [100, 120], { ...previousGame, winner: null })).toMatchObject({
+            firstPlayer: 'playerId_2',
+            reason: 'HIGHER_LEADER_INITIAL_POINT'
+        });
+    });
+
+    it('should start the decided player and announce it in a FIRST_PLAYER_DECIDED event', async () => {
+        // Alice won the previous game from the first seat; in the rematch Bob creates the room
+        const previous = await createJoinedGame();
+        const previousData = await gameLogic.readJSONFileAsync(previous.gameId);
+        Object.assign(previousData.gameEnv, { phase: 'GAME_END', winner: 'playerId_1' });
+        await gameLogic.saveOrCreateGame(previousData, previous.gameId);
+
+        const { gameId, joined } = await createJoinedGame(
+            { playerName: 'Bob', firstPlayerMode: 'loserOfPreviousGame', previousGameId: previous.gameId },
+            'Alice'
+        );
+        const decided = joined.gameEnv.gameEvents.find(event => event.type === 'FIRST_PLAYER_DECIDED');
+        expect(decided.data).toMatchObject({
+            mode: 'loserOfPreviousGame',
+            firstPlayer: 'playerId_1',
+            reason: 'LOSER_OF_PREVIOUS_GAME',
+            previousGame: { gameId: previous.gameId, winner: 'playerId_1', playerNames: { playerId_1: 'Alice', playerId_2: 'Bob' } }
+        });
+
+        await gameLogic.startReady({ body: { gameId, playerId: 'playerId_1', isRedraw: false } });
+        const started = await gameLogic.startReady({ body: { gameId, playerId: 'playerId_2', isRedraw: false } });
+        expect(started.gameEnv.currentPlayer).toBe('playerId_1');
+    });
+
+    it('should reject a previous game that other players played', async () => {
+        const previous = await createJoinedGame();
+        const rematchConfig = { firstPlayerMode: 'loserOfPreviousGame', previousGameId: previous.gameId };
+
+        await expect(gameLogic.createNewGame({ body: { gameConfig: { ...rematchConfig, playerName: 'Carol' } } }))
+            .rejects.toMatchObject({ code: 'PREVIOUS_GAME_MISMATCH', status: 409 });
+
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { ...rematchConfig, playerName: 'Alice' } } });
+        await expect(gameLogic.joinRoom({ body: { gameId: created.gameId, playerName: 'Carol' } }))
+            .rejects.toMatchObject({ code: 'PREVIOUS_GAME_MISMATCH' });
+        await expect(gameLogic.joinRoom({ body: { gameId: created.gameId, playerName: 'ALICE' } }))
+            .rejects.toMatchObject({ code: 'PREVIOUS_GAME_MISMATCH' });
+
+        await expect(gameLogic.createNewGame({ body: { gameConfig: { ...rematchConfig, previousGameId: 'unknown-game', playerName: 'Alice' } } }))
+            .rejects.toMatchObject({ code: 'PREVIOUS_GAME_MISMATCH' });
+    });
+
+    it('should reject unknown first player modes', async () => {
+        const errors = validateSchema(schemas.startGame.body, { gameConfig: { firstPlayerMode: 'youngestFirst' } }, 'body');
+        expect(errors.map(error => error.field)).toEqual(['body.gameConfig.firstPlayerMode']);
+
+        await expect(gameLogic.createNewGame({ body: { gameConfig: { firstPlayerMode: 'youngestFirst' } } }))
+            .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    });
+});
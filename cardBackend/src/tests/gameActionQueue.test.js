@@ -0,0 +1,81 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore();
+
+const gameActionQueue = require('../services/GameActionQueue');
+const gameLogic = require('../services/GameLogic');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Game Action Queue', () => {
+    it('should run tasks for the same game one at a time in order', async () => {
+        const log = [];
+        const task = (name, ms) => async () => {
+            log.push(`${name}:start`);
+            await delay(ms);
+            log.push(`${name}:end`);
+            return name;
+        };
+
+        const results = await Promise.all([
+            gameActionQueue.enqueue('game-a', 'playerAction', task('first', 30)),
+            gameActionQueue.enqueue('game-a', 'selectCard', task('second', 5))
+        ]);
+
+        expect(results).toEqual(['first', 'second']);
+        expect(log).toEqual(['first:start', 'first:end', 'second:start', 'second:end']);
+        expect(gameActionQueue.getPendingCount('game-a')).toBe(0);
+    });
+
+    it('should let different games run in parallel', async () => {
+        const log = [];
+        await Promise.all([
+            gameActionQueue.enqueue('game-b', 'playerAction', async () => {
+                log.push('b:start');
+                await delay(30);
+                log.push('b:end');
+            }),
+            gameActionQueue.enqueue('game-c', 'playerAction', async () => {
+                log.push('c:start');
+                log.push('c:end');
+            })
+        ]);
+
+        expect(log).toEqual(['b:start', 'c:start', 'c:end', 'b:end']);
+    });
+
+    it('should keep processing after a task fails', async () => {
+        const failing = gameActionQueue.enqueue('game-d', 'nextRound', async () => {
+            throw new Error('boom');
+        });
+        const following = gameActionQueue.enqueue('game-d', 'nextRound', async () => 'still runs');
+
+        await expect(failing).rejects.toThrow('boom');
+        await expect(following).resolves.toBe('still runs');
+    });
+
+    it('should report the running action while busy', async () => {
+        const running = gameActionQueue.enqueue('game-e', 'acknowledgeEvents', () => delay(20));
+        await delay(0);
+
+        expect(gameActionQueue.getCurrentAction('game-e').type).toBe('acknowledgeEvents');
+        expect(gameActionQueue.getActiveGameIds()).toContain('game-e');
+        await running;
+        expect(gameActionQueue.getCurrentAction('game-e')).toBeNull();
+    });
+
+    it('should not lose a ready flag when both players ready at once', async () => {
+        const created = await gameLogic.createNewGame({ body: { playerId: 'playerId_1' } });
+        const gameId = created.gameId;
+        await gameLogic.joinRoom({ body: { playerId: 'playerId_2', gameId } });
+
+        await Promise.all([
+            gameLogic.startReady({ body: { playerId: 'playerId_1', gameId, isRedraw: false } }),
+            gameLogic.startReady({ body: { playerId: 'playerId_2', gameId, isRedraw: false } })
+        ]);
+
+        const stored = await gameLogic.readJSONFileAsync(gameId);
+        expect(stored.gameEnv.playersReady).toEqual({ playerId_1: true, playerId_2: true });
+        expect(stored.gameEnv.phase).toBe('DRAW_PHASE');
+    });
+});
@@ -0,0 +1,87 @@
+const { useMemoryStore, createStreamResponse } = require('./testHelpers');
+
+useMemoryStore();
+
+const { EventEmitter } = require('events');
+const gameLogic = require('../services/GameLogic');
+const gameController = require('../controllers/gameController');
+const gameEventBroadcaster = require('../services/GameEventBroadcaster');
+
+describe('Game Event Stream', () => {
+    let gameId;
+
+    beforeEach(async () => {
+        const created = await gameLogic.createNewGame({ body: { playerId: 'playerId_1' } });
+        gameId = created.gameId;
+    });
+
+    it('should send the current state when a seat subscribes', async () => {
+        const req = new EventEmitter();
+        req.params = { playerId: 'playerId_1' };
+        req.query = { gameId };
+        req.playerSession = { gameId, playerId: 'playerId_1' };
+        const res = createStreamResponse();
+
+        await gameController.streamGameState(req, res);
+
+        expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+        const [initial] = res.stateEvents();
+        expect(initial.gameId).toBe(gameId);
+        expect(initial.version).toBe(1);
+
+        req.emit('close');
+        expect(gameEventBroadcaster.getSubscriberCount(gameId)).toBe(0);
+    });
+
+    it('should push every saved update to all subscribers of the game', async () => {
+        const subscriptions = ['playerId_1', 'playerId_2'].map(playerId => {
+            const req = new EventEmitter();
+            req.params = { playerId };
+            req.query = { gameId };
+            req.playerSession = { gameId, playerId };
+            return { req, res: createStreamResponse() };
+        });
+        for (const { req, res } of subscriptions) {
+            await gameController.streamGameState(req, res);
+        }
+        expect(gameEventBroadcaster.getSubscriberCount(gameId)).toBe(2);
+
+        await gameLogic.joinRoom({ body: { playerId: 'playerId_2', gameId } });
+
+        for (const { req, res } of subscriptions) {
+            const events = res.stateEvents();
+            expect(events).toHaveLength(2);
+            expect(events[1].version).toBe(2);
+            expect(events[1].gameEnv.phase).toBe('READY_PHASE');
+            req.emit('close');
+        }
+    });
+
+    it('should end every open stream on closeAll', async () => {
+        const req = new EventEmitter();
+        req.params = { playerId: 'playerId_1' };
+        req.query = { gameId };
+        req.playerSession = { gameId, playerId: 'playerId_1' };
+        const res = createStreamResponse();
+        await gameController.streamGameState(req, res);
+
+        gameEventBroadcaster.closeAll();
+
+        expect(res.end).toHaveBeenCalled();
+        expect(gameEventBroadcaster.getSubscriberCount()).toBe(0);
+        expect(gameEventBroadcaster.heartbeatTimer).toBeNull();
+    });
+
+    it('should reject a stream for an unknown game', async () => {
+        const req = new EventEmitter();
+        req.params = { playerId: 'playerId_1' };
+        req.query = { gameId: 'unknown-game' };
+        req.playerSession = { gameId: 'unknown-game', playerId: 'playerId_1' };
+        const res = createStreamResponse();
+
+        await gameController.streamGameState(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.writeHead).not.toHaveBeenCalled();
+    });
+});
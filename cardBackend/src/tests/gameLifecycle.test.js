@@ -0,0 +1,67 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore({ WAITING_ROOM_TTL_SECONDS: '60', FINISHED_GAME_TTL_SECONDS: '120' });
+
+const gameLogic = require('../services/GameLogic');
+const gameLifecycleManager = require('../services/GameLifecycleManager');
+const lobbyManager = require('../services/LobbyManager');
+const sessionManager = require('../services/SessionManager');
+
+const minutesFromNow = (minutes) => Date.now() + minutes * 60 * 1000;
+
+async function clearGames() {
+    for (const gameId of await gameLogic.gameStore.keys()) {
+        await gameLogic.gameStore.delete(gameId);
+    }
+}
+
+describe('Game Lifecycle', () => {
+    beforeEach(clearGames);
+
+    it('should expire abandoned waiting rooms after their TTL', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+
+        expect(await gameLifecycleManager.sweep(Date.now())).toEqual({ archived: 0, expired: 0 });
+
+        const summary = await gameLifecycleManager.sweep(minutesFromNow(2));
+        expect(summary).toEqual({ archived: 0, expired: 1 });
+        expect(await gameLogic.gameStore.get(created.gameId)).toBeNull();
+        expect(await lobbyManager.getRoom(created.roomCode)).toBeNull();
+        expect(await sessionManager.getSession(created.sessionToken)).toBeNull();
+        expect(await gameLifecycleManager.getArchivedGame(created.gameId)).toBeNull();
+    });
+
+    it('should archive a finished game as a match-history record', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        await gameLogic.joinRoom({ body: { gameId: created.gameId } });
+        const game = await gameLogic.readJSONFileAsync(created.gameId);
+        game.gameEnv.gameStarted = true;
+        game.gameEnv.phase = 'GAME_END';
+        game.gameEnv.winner = 'playerId_2';
+        game.gameEnv.playerId_2.victoryPoints = 50;
+        await gameLogic.gameStore.set(created.gameId, game);
+
+        expect((await gameLifecycleManager.sweep(minutesFromNow(1))).archived).toBe(0);
+        expect((await gameLifecycleManager.sweep(minutesFromNow(3))).archived).toBe(1);
+
+        const record = await gameLifecycleManager.getArchivedGame(created.gameId);
+        expect(record).toMatchObject({ gameId: created.gameId, status: 'COMPLETED', winner: 'playerId_2' });
+        expect(record.players.playerId_2.victoryPoints).toBe(50);
+        expect(record.players.playerId_1.leaders.length).toBeGreaterThan(0);
+        expect(record.gameEnv).toBeUndefined();
+        expect(await gameLogic.gameStore.get(created.gameId)).toBeNull();
+    });
+
+    it('should count active, waiting and archived games', async () => {
+        const before = await gameLifecycleManager.getCounts();
+
+        await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Bob' } } });
+        const playing = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Carol' } } });
+        await gameLogic.joinRoom({ body: { gameId: playing.gameId } });
+
+        const counts = await gameLifecycleManager.getCounts();
+        expect(counts.waiting).toBe(1);
+        expect(counts.active).toBe(1);
+        expect(counts.archived).toBe(before.archived);
+    });
+});
@@ -0,0 +1,88 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const { createRandomState, nextRandom } = require('../utils/gameRandom');
+
+async function createJoinedGame(seed) {
+    const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } }, { seed });
+    await gameLogic.joinRoom({ body: { gameId: created.gameId } });
+    return (await gameLogic.readJSONFileAsync(created.gameId)).gameEnv;
+}
+
+// Everything the seed decides when a game starts
+function dealt(gameEnv) {
+    const decided = gameEnv.gameEvents.find(event => event.type === 'FIRST_PLAYER_DECIDED');
+    return {
+        playerId_1: gameEnv.playerId_1.deck,
+        playerId_2: gameEnv.playerId_2.deck,
+        firstPlayer: gameEnv.firstPlayer,
+        coinFlip: decided.data.coinFlip
+    };
+}
+
+const SEED = '0123456789abcdef0123456789abcdef';
+const OTHER_SEED = 'fedcba9876543210fedcba9876543210';
+
+describe('Seeded game randomness', () => {
+    it('should produce the same sequence for the same seed', () => {
+        const first = { random: createRandomState(SEED) };
+        const second = { random: createRandomState(SEED) };
+        const rolls = [1, 2, 3, 4, 5].map(() => nextRandom(first));
+
+        expect([1, 2, 3, 4, 5].map(() => nextRandom(second))).toEqual(rolls);
+        rolls.forEach(roll => expect(roll).toBeGreaterThanOrEqual(0));
+        rolls.forEach(roll => expect(roll).toBeLessThan(1));
+        expect(first.random).toEqual({ seed: SEED, state: second.random.state });
+        expect(() => createRandomState(-1)).toThrow();
+        expect(() => createRandomState('0123')).toThrow();
+    });
+
+    it('should seed new games with 128 random bits and keep 32-bit seeds of older games', () => {
+        const random = createRandomState();
+        expect(random.seed).toMatch(/^[0-9a-f]{32}$/);
+        expect(random.state).toHaveLength(4);
+        expect(createRandomState().seed).not.toBe(random.seed);
+
+        // mulberry32 from seed 42, as games seeded before 128-bit seeds were dealt
+        const legacy = { random: createRandomState(42) };
+        expect(nextRandom(legacy)).toBeCloseTo(0.6011037519201636, 12);
+        expect(legacy.random).toEqual({ seed: 42, state: (42 + 0x6D2B79F5) >>> 0 });
+    });
+
+    it('should deal identical games from the same seed', async () => {
+        const first = await createJoinedGame(SEED);
+        const second = await createJoinedGame(SEED);
+        const other = await createJoinedGame(OTHER_SEED);
+
+        expect(first.random).toEqual(second.random);
+        expect(dealt(first)).toEqual(dealt(second));
+        expect(dealt(other)).not.toEqual(dealt(first));
+    });
+
+    it('should continue from the saved state, so redraws and random discards replay too', async () => {
+        const games = [await createJoinedGame(SEED), await createJoinedGame(SEED)];
+        const results = [];
+        for (const gameEnv of games) {
+            const { gameId } = gameEnv.gameEvents.find(event => event.type === 'ROOM_CREATED').data;
+            await gameLogic.startReady({ body: { gameId, playerId: 'playerId_1', isRedraw: true } });
+            const { gameEnv: redrawn } = await gameLogic.readJSONFileAsync(gameId);
+            await gameLogic.mozGamePlay.discardRandomCards(redrawn, 'playerId_2', 3);
+            results.push({ hand1: redrawn.playerId_1.deck.hand, hand2: redrawn.playerId_2.deck.hand, random: redrawn.random });
+        }
+
+        expect(results[0]).toEqual(results[1]);
+        expect(results[0].hand2).toHaveLength(4);
+    });
+
+    it('should keep the seed from the players until the game is over', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } }, { seed: SEED });
+        expect(created.gameEnv.randomSeed).toBeNull();
+        expect(JSON.stringify(created)).not.toContain('"random"');
+
+        const game = await gameLogic.readJSONFileAsync(created.gameId);
+        game.gameEnv.phase = 'GAME_END';
+        expect(gameLogic.transformGameStateForFrontend(game, 'playerId_1').gameEnv.randomSeed).toBe(SEED);
+    });
+});
@@ -0,0 +1,163 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const gameAdminService = require('../services/GameAdminService');
+const gameReplayService = require('../services/GameReplayService');
+const adminController = require('../controllers/adminController');
+const sessionManager = require('../services/SessionManager');
+const turnTimerScheduler = require('../services/TurnTimerScheduler');
+const schemas = require('../validation/requestSchemas');
+const { validateSchema } = require('../validation/schemaValidator');
+
+// Redraw once, keep, acknowledge the first draw and play one card face down
+async function playOpening(seed) {
+    const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice', ruleProfile: 'marathon', passcode: 'secret' } } }, { seed });
+    const { gameId } = created;
+    await gameLogic.joinRoom({ body: { gameId, passcode: 'secret' } });
+    await gameLogic.startReady({ body: { gameId, playerId: 'playerId_1', isRedraw: true } });
+    await gameLogic.startReady({ body: { gameId, playerId: 'playerId_1', isRedraw: false } });
+    const started = await gameLogic.startReady({ body: { gameId, playerId: 'playerId_2', isRedraw: false } });
+
+    const { currentPlayer } = started.gameEnv;
+    const drawEvent = started.gameEnv.gameEvents.find(event => event.type === 'DRAW_PHASE_COMPLETE');
+    await gameLogic.acknowledgeGameEvents(gameId, [drawEvent.id], { playerId: currentPlayer });
+    await gameLogic.processPlayerAction({
+        body: { gameId, playerId: currentPlayer, action: { type: 'PlayCardBack', card_idx: 0, field_idx: 0 } }
+    });
+    return { gameId, currentPlayer };
+}
+
+describe('Game replays', () => {
+    it('should log every accepted action, and card plays in the play sequence', async () => {
+        const { gameId, currentPlayer } = await playOpening(2024);
+        const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+
+        expect(gameEnv.actionLog.map(entry => entry.type)).toEqual([
+            'CREATE_GAME', 'JOIN_ROOM', 'START_READY', 'START_READY', 'START_READY', 'ACKNOWLEDGE_EVENTS', 'PLAYER_ACTION'
+        ]);
+        expect(gameEnv.actionLog.map(entry => entry.seq)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+        expect(gameEnv.actionLog[0].payload).toEqual({
+            gameConfig: { playerName: 'Alice', ruleProfile: 'marathon', firstPlayerMode: 'leaderInitialPoint', takebacks: 'off' },
+            previousGame: null
+        });
+        expect(gameEnv.actionLog[6]).toMatchObject({
+            playerId: currentPlayer,
+            payload: { action: { type: 'PlayCardBack', card_idx: 0, field_idx: 0 } }
+        });
+
+        const cardPlay = gameEnv.playSequence.plays.find(play => play.action === 'PLAY_CARD');
+        expect(cardPlay).toMatchObject({ playerId: currentPlayer, zone: 'top', data: { isFaceDown: true } });
+        expect(cardPlay.cardId).toBe(gameEnv[currentPlayer].Field.top[0].card[0]);
+
+        // Players never receive the log
+        const playerView = await gameLogic.getGameState(gameId, 'playerId_1');
+        expect(playerView.gameEnv.actionLog).toBeUndefined();
+    });
+
+    it('should rebuild the identical game from an export', async () => {
+        const { gameId } = await playOpening(77);
+        const replay = await gameReplayService.exportGame(gameId);
+        expect(replay).toMatchObject({ format: 'moz-card-game-replay', formatVersion: 1, gameId, seed: 77 });
+
+        // As a file: through JSON and back
+        const imported = await gameReplayService.importGame(JSON.parse(JSON.stringify(replay)));
+        expect(imported).toMatchObject({ sourceGameId: gameId, actionsReplayed: 7, matchesExport: true });
+        expect(imported.gameId).not.toBe(gameId);
+
+        const original = (await gameLogic.readJSONFileAsync(gameId)).gameEnv;
+        const rebuilt = (await gameLogic.readJSONFileAsync(imported.gameId)).gameEnv;
+        ['playerId_1', 'playerId_2'].forEach(playerId => {
+            expect(rebuilt[playerId].deck).toEqual(original[playerId].deck);
+            expect(rebuilt[playerId].Field).toEqual(original[playerId].Field);
+        });
+        expect(rebuilt).toMatchObject({ phase: original.phase, currentPlayer: original.currentPlayer, random: original.random });
+        expect(rebuilt.actionLog.map(entry => entry.type)).toEqual(original.actionLog.map(entry => entry.type));
+    });
+
+    it('should replay admin interventions and injected states', async () => {
+        const { gameId } = await playOpening(5);
+        await gameAdminService.awardWin(gameId, 'playerId_2', 'opponent disconnected');
+        const imported = await gameReplayService.importGame(await gameReplayService.exportGame(gameId));
+        expect(imported.matchesExport).toBe(true);
+        expect((await gameLogic.readJSONFileAsync(imported.gameId)).gameEnv).toMatchObject({ phase: 'GAME_END', winner: 'playerId_2' });
+
+        const source = (await gameLogic.readJSONFileAsync(gameId)).gameEnv;
+        const injected = await gameLogic.injectGameState(null, JSON.parse(JSON.stringify(source)));
+        const injectedEnv = (await gameLogic.readJSONFileAsync(injected.gameId)).gameEnv;
+        expect(injectedEnv.actionLog.map(entry => entry.type)).toEqual(['INJECT_STATE']);
+        const fromInjected = await gameReplayService.importGame(await gameReplayService.exportGame(injected.gameId));
+        expect(fromInjected.matchesExport).toBe(true);
+    });
+
+    it('should report a replay that no longer matches, and reject files that are not replays', async () => {
+        const { gameId } = await playOpening(11);
+        const replay = await gameReplayService.exportGame(gameId);
+
+        // Missing actions: the replay runs but ends in another state
+        const drifted = await gameReplayService.importGame({ ...replay, actions: replay.actions.slice(0, 6) });
+        expect(drifted.matchesExport).toBe(false);
+
+        await expect(gameReplayService.importGame({ ...replay, format: 'something-else' }))
+            .rejects.toMatchObject({ code: 'REPLAY_INVALID', status: 400 });
+
+        const broken = { ...replay, actions: [...replay.actions, { seq: 8, type: 'START_READY', playerId: 'playerId_1', payload: { isRedraw: false } }] };
+        await expect(gameReplayService.importGame(broken)).rejects.toMatchObject({ code: 'REPLAY_FAILED', params: { seq: 8, type: 'START_READY' } });
+
+        const errors = validateSchema(schemas.adminImportGame.body, { format: replay.format, formatVersion: 1, actions: [] }, 'body');
+        expect(errors.map(error => error.field)).toEqual(['body.actions']);
+    });
+
+    it('should serve the export as a file and import it through the admin routes', async () => {
+        const { gameId } = await playOpening(3);
+        const exportRes = createMockResponse();
+        await adminController.exportGame({ params: { gameId } }, exportRes);
+        expect(exportRes.setHeader).toHaveBeenCalledWith('Content-Disposition', `attachment; filename="game-${gameId}.replay.json"`);
+
+        const importRes = createMockResponse();
+        await adminController.importGame({ body: exportRes.json.mock.calls[0][0] }, importRes);
+        expect(importRes.status).toHaveBeenCalledWith(201);
+        expect(importRes.json.mock.calls[0][0]).toMatchObject({ matchesExport: true, sourceGameId: gameId });
+        expect(importRes.json.mock.calls[0][0].sessionTokens).toBeUndefined();
+    });
+
+    it('should import a replay as a read-only game without a room, a turn timer or sessions', async () => {
+        const { gameId, currentPlayer } = await playOpening(13);
+        const imported = await gameReplayService.importGame(await gameReplayService.exportGame(gameId));
+
+        const game = await gameLogic.readJSONFileAsync(imported.gameId);
+        expect(game.roomCode).toBeNull();
+        expect(game.gameEnv).toMatchObject({ replayOf: gameId, readOnly: true });
+        // Not even with timers on
+        jest.spyOn(turnTimerScheduler, 'isEnabled').mockReturnValue(true);
+        expect(turnTimerScheduler.syncClock(game.gameEnv)).toBeNull();
+        turnTimerScheduler.isEnabled.mockRestore();
+
+        const sessions = await Promise.all((await sessionManager.sessionStore.keys()).map(token => sessionManager.getSession(token)));
+        expect(sessions.filter(session => session && session.gameId === imported.gameId)).toEqual([]);
+        await expect(gameLogic.processPlayerAction({
+            body: { gameId: imported.gameId, playerId: currentPlayer, action: { type: 'PlayCardBack', card_idx: 0, field_idx: 1 } }
+        })).rejects.toMatchObject({ code: 'GAME_READ_ONLY', status: 409 });
+    });
+
+    it('should refuse admin interventions on imported replays, complete or failed part way', async () => {
+        const { gameId } = await playOpening(17);
+        const replay = await gameReplayService.exportGame(gameId);
+        const imported = await gameReplayService.importGame(replay);
+        await expect(gameAdminService.forcePhase(imported.gameId, 'MAIN_PHASE', 'playerId_1', 'inspect'))
+            .rejects.toMatchObject({ code: 'GAME_READ_ONLY', status: 409 });
+        await expect(gameAdminService.declareDraw(imported.gameId, 'inspect'))
+            .rejects.toMatchObject({ code: 'GAME_READ_ONLY', status: 409 });
+        expect((await gameLogic.readJSONFileAsync(imported.gameId)).gameEnv.adminLog).toBeUndefined();
+
+        const broken = { ...replay, actions: [...replay.actions, { seq: 8, type: 'START_READY', playerId: 'playerId_1', payload: { isRedraw: false } }] };
+        await expect(gameReplayService.importGame(broken)).rejects.toMatchObject({ code: 'REPLAY_FAILED' });
+        const rebuilt = await Promise.all((await gameLogic.gameStore.keys()).map(key => gameLogic.gameStore.get(key)));
+        const partial = rebuilt.filter(game => game && game.gameEnv.replayOf === gameId && game.gameId !== imported.gameId);
+        expect(partial).toHaveLength(1);
+        expect(partial[0].gameEnv.readOnly).toBe(true);
+        await expect(gameAdminService.clearSelections(partial[0].gameId, 'inspect'))
+            .rejects.toMatchObject({ code: 'GAME_READ_ONLY', status: 409 });
+    });
+});
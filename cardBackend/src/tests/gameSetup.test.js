@@ -1,4 +1,4 @@
-const { setupTestGame, makePostRequest } = require('./testHelpers');
+const { setupTestGame, makePostRequest, getSessionHeaders } = require('./testHelpers');
 
 describe('Game Setup Tests', () => {
     let gameId;
@@ -30,7 +30,8 @@ describe('Game Setup Tests', () => {
                 gameId: gameId,
                 playerId: "playerId_1",
                 redraw: false
-            }
+            },
+            getSessionHeaders(gameId, "playerId_1")
         );
 
         p2_startReadyResp = await makePostRequest(
@@ -39,7 +40,8 @@ describe('Game Setup Tests', () => {
                 gameId: gameId,
                 playerId: "playerId_2",
                 redraw: false
-            }
+            },
+            getSessionHeaders(gameId, "playerId_2")
         );
 
         console.log("-----------p2_startReadyResp------------");
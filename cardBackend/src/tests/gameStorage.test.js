@@ -0,0 +1,100 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, FileStore, SqliteStore } = require('../services/storage');
+const gameLogic = require('../services/GameLogic');
+
+describe('Game Storage Adapters', () => {
+    let tempDir;
+
+    beforeAll(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-storage-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const adapters = {
+        memory: () => new MemoryStore(),
+        file: () => new FileStore(path.join(tempDir, 'files')),
+        sqlite: () => new SqliteStore('games', path.join(tempDir, 'games.sqlite'))
+    };
+
+    Object.entries(adapters).forEach(([driver, createAdapter]) => {
+        describe(`${driver} adapter`, () => {
+            let store;
+
+            beforeEach(() => {
+                store = createAdapter();
+            });
+
+            it('should return null for a missing record', async () => {
+                expect(await store.get('missing-game')).toBeNull();
+            });
+
+            it('should round-trip a game record', async () => {
+                const game = { gameId: 'game-1', gameEnv: { phase: 'MAIN_PHASE', currentTurn: 1.5 } };
+                await store.set('game-1', game);
+
+                const loaded = await store.get('game-1');
+                expect(loaded).toEqual(game);
+
+                // Mutating the loaded copy must not change what is stored
+                loaded.gameEnv.phase = 'GAME_END';
+                expect((await store.get('game-1')).gameEnv.phase).toBe('MAIN_PHASE');
+            });
+
+            it('should overwrite, list and delete records', async () => {
+                await store.set('game-2', { version: 1 });
+                await store.set('game-2', { version: 2 });
+                expect(await store.get('game-2')).toEqual({ version: 2 });
+                expect(await store.keys()).toContain('game-2');
+
+                await store.delete('game-2');
+                expect(await store.get('game-2')).toBeNull();
+                expect(await store.keys()).not.toContain('game-2');
+            });
+        });
+    });
+
+    it('should reject file keys that escape the data directory', async () => {
+        const store = new FileStore(path.join(tempDir, 'files'));
+        await expect(store.get('../config')).rejects.toThrow('Invalid storage key');
+    });
+
+    it('should flush sqlite records to the database file', async () => {
+        const filename = path.join(tempDir, 'persisted.sqlite');
+        await new SqliteStore('games', filename).set('game-3', { phase: 'READY_PHASE' });
+
+        expect(fs.existsSync(filename)).toBe(true);
+        expect(await new SqliteStore('games', filename).get('game-3')).toEqual({ phase: 'READY_PHASE' });
+        expect(await new SqliteStore('decks', filename).get('game-3')).toBeNull();
+    });
+
+    it('should keep flushing sqlite records after a failed write', async () => {
+        const filename = path.join(tempDir, 'flaky.sqlite');
+        const store = new SqliteStore('games', filename);
+        jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+
+        await expect(store.set('game-4', { version: 1 })).rejects.toThrow('disk full');
+        await store.set('game-4', { version: 2 });
+
+        expect(await new SqliteStore('games', filename).get('game-4')).toEqual({ version: 2 });
+        jest.restoreAllMocks();
+    });
+
+    it('should run a full room setup through GameLogic in memory', async () => {
+        const created = await gameLogic.createNewGame({ body: { playerId: 'playerId_1' } });
+        const joined = await gameLogic.joinRoom({ body: { playerId: 'playerId_2', gameId: created.gameId } });
+
+        expect(joined.gameEnv.phase).toBe('READY_PHASE');
+        expect(gameLogic.gameStore).toBeInstanceOf(MemoryStore);
+        expect((await gameLogic.readJSONFileAsync(created.gameId)).gameEnv.phase).toBe('READY_PHASE');
+        await expect(gameLogic.readJSONFileAsync('unknown-game')).rejects.toThrow('Game not found');
+    });
+});
@@ -0,0 +1,112 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore();
+
+const gameLogic = require('../services/GameLogic');
+
+describe('Hidden Information Redaction', () => {
+    let game;
+
+    beforeEach(async () => {
+        const created = await gameLogic.createNewGame({ body: { playerId: 'playerId_1' } });
+        await gameLogic.joinRoom({ body: { playerId: 'playerId_2', gameId: created.gameId } });
+        game = await gameLogic.readJSONFileAsync(created.gameId);
+
+        const faceDownCard = {
+            card: ['h-1'],
+            cardDetails: [{ id: 'h-1', name: 'Secret Card', cardType: 'help', gameType: 'help', power: 0 }],
+            isBack: [true],
+            valueOnField: 0
+        };
+        game.gameEnv.playerId_2.Field = { top: [], left: [], right: [], help: [faceDownCard], sp: [] };
+        game.gameEnv.playerId_2.turnAction = [{ type: 'PlayCardBack', card_idx: 0, field_idx: 3, selectedCard: faceDownCard }];
+        game.gameEnv.pendingCardSelections = {
+            sel_p1: { playerId: 'playerId_1', searchedCards: ['c-1'], eligibleCards: ['c-1'], selectCount: 1 },
+            sel_p2: { playerId: 'playerId_2', searchedCards: ['c-2'], eligibleCards: ['c-2'], selectCount: 1 }
+        };
+        gameLogic.mozGamePlay.addGameEvent(game.gameEnv, 'CARD_PLAYED', {
+            playerId: 'playerId_2',
+            card: { cardId: 'h-1', name: 'Secret Card' },
+            zone: 'help',
+            isFaceDown: true
+        });
+        gameLogic.mozGamePlay.addGameEvent(game.gameEnv, 'ZONE_FILLED', {
+            playerId: 'playerId_2',
+            zone: 'help',
+            cardType: 'help',
+            isFaceDown: true
+        });
+        gameLogic.playSequenceManager.recordCardPlay(game.gameEnv, 'playerId_2', 'h-1', 'PLAY_CARD', 'help', {
+            isFaceDown: true,
+            turnAction: { type: 'PlayCardBack', card_idx: 0, field_idx: 3 }
+        });
+        game.gameEnv.computedState = {
+            playerPowers: { playerId_1: {}, playerId_2: { 'h-1': { originalPower: 0, finalPower: 0, zone: 'help', isDisabled: true } } },
+            activeRestrictions: {},
+            disabledCards: [{ cardId: 'h-1', playerId: 'playerId_2', zone: 'help', disabledBy: 'playerId_1' }],
+            victoryPointModifiers: {}
+        };
+    });
+
+    it('should only show counts for the opponent hand and deck', () => {
+        const { players } = gameLogic.transformGameStateForFrontend(game, 'playerId_1').gameEnv;
+
+        expect(players.playerId_1.hand.length).toBe(game.gameEnv.playerId_1.deck.hand.length);
+        expect(players.playerId_1.deck.mainDeck).toEqual(game.gameEnv.playerId_1.deck.mainDeck);
+
+        expect(players.playerId_2.hand).toEqual([]);
+        expect(players.playerId_2.handCount).toBe(game.gameEnv.playerId_2.deck.hand.length);
+        expect(players.playerId_2.deck.mainDeck).toEqual([]);
+        expect(players.playerId_2.deck.mainDeckCount).toBe(game.gameEnv.playerId_2.deck.mainDeck.length);
+    });
+
+    it('should mask face-down cards for everyone but their owner', () => {
+        const opponentView = gameLogic.transformGameStateForFrontend(game, 'playerId_1').gameEnv;
+        expect(opponentView.zones.playerId_2.HELP[0]).toMatchObject({ id: null, isFaceDown: true });
+        expect(JSON.stringify(opponentView.players.playerId_2.turnAction)).not.toContain('h-1');
+        expect(JSON.stringify(opponentView.gameEvents)).not.toContain('Secret Card');
+
+        const ownerView = gameLogic.transformGameStateForFrontend(game, 'playerId_2').gameEnv;
+        expect(ownerView.zones.playerId_2.HELP[0]).toMatchObject({ id: 'h-1', isFaceDown: true });
+    });
+
+    it('should hide the card type of a face-down play in its events from everyone but its owner', () => {
+        const zoneFilled = view => view.gameEvents.find(event => event.type === 'ZONE_FILLED');
+
+        const opponentView = gameLogic.transformGameStateForFrontend(game, 'playerId_1').gameEnv;
+        expect(zoneFilled(opponentView).data).toMatchObject({ playerId: 'playerId_2', zone: 'help', cardType: null, isFaceDown: true });
+        expect(zoneFilled(gameLogic.transformGameStateForFrontend(game).gameEnv).data.cardType).toBeNull();
+
+        const ownerView = gameLogic.transformGameStateForFrontend(game, 'playerId_2').gameEnv;
+        expect(zoneFilled(ownerView).data.cardType).toBe('help');
+        // The stored event is left as it was
+        expect(game.gameEnv.gameEvents.find(event => event.type === 'ZONE_FILLED').data.cardType).toBe('help');
+    });
+
+    it('should leave face-down cards out of the play sequence and computed effects of other viewers', () => {
+        const opponentView = gameLogic.transformGameStateForFrontend(game, 'playerId_1').gameEnv;
+        expect(opponentView.playSequence.plays[0]).toMatchObject({ playerId: 'playerId_2', cardId: null, zone: 'help' });
+        expect(JSON.stringify(opponentView.playSequence)).not.toContain('h-1');
+        expect(JSON.stringify(opponentView.computedState)).not.toContain('h-1');
+
+        const spectatorView = gameLogic.transformGameStateForFrontend(game).gameEnv;
+        expect(JSON.stringify(spectatorView.playSequence)).not.toContain('h-1');
+        expect(JSON.stringify(spectatorView.computedState)).not.toContain('h-1');
+
+        const ownerView = gameLogic.transformGameStateForFrontend(game, 'playerId_2').gameEnv;
+        expect(ownerView.playSequence.plays[0].cardId).toBe('h-1');
+        expect(ownerView.computedState.playerPowers.playerId_2['h-1']).toBeDefined();
+    });
+
+    it('should only include the viewer\'s own pending card selections', () => {
+        const view = gameLogic.transformGameStateForFrontend(game, 'playerId_1').gameEnv;
+        expect(Object.keys(view.pendingCardSelections)).toEqual(['sel_p1']);
+    });
+
+    it('should hide every seat when there is no viewer', () => {
+        const view = gameLogic.transformGameStateForFrontend(game).gameEnv;
+        expect(view.players.playerId_1.hand).toEqual([]);
+        expect(view.players.playerId_2.hand).toEqual([]);
+        expect(view.pendingCardSelections).toEqual({});
+    });
+});
@@ -0,0 +1,87 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore();
+
+const gameLogic = require('../services/GameLogic');
+const lobbyManager = require('../services/LobbyManager');
+const lobbyController = require('../controllers/lobbyController');
+const { RoomAccessError } = require('../utils/gameErrors');
+
+async function callWithRoom(handler, roomCode, body = {}) {
+    const req = { params: { roomCode }, body };
+    const res = createMockResponse();
+    const next = jest.fn();
+    await lobbyController.resolveRoom(req, res, next);
+    if (next.mock.calls.length > 0) {
+        await handler(req, res);
+    }
+    return res;
+}
+
+describe('Lobby', () => {
+    it('should list a new room with code, creator and deck preview', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        expect(lobbyManager.isRoomCode(created.roomCode)).toBe(true);
+
+        const rooms = await lobbyManager.listOpenRooms();
+        const room = rooms.find(r => r.roomCode === created.roomCode);
+        expect(room).toMatchObject({ gameId: created.gameId, creatorName: 'Alice', isPrivate: false, status: 'OPEN' });
+        expect(room.deckPreview.leaders.length).toBeGreaterThan(0);
+        expect(room.ageSeconds).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should join by room code and drop the room from the open list', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+
+        const res = await callWithRoom(lobbyController.joinRoomByCode, created.roomCode.toLowerCase(), { playerName: 'Bob' });
+        const joined = res.json.mock.calls[0][0];
+        expect(joined.gameId).toBe(created.gameId);
+        expect(joined.playerId).toBe('playerId_2');
+
+        const rooms = await lobbyManager.listOpenRooms();
+        expect(rooms.map(r => r.roomCode)).not.toContain(created.roomCode);
+    });
+
+    it('should protect private rooms with a passcode', async () => {
+        await expect(
+            gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Carol', isPrivate: true } } })
+        ).rejects.toBeInstanceOf(RoomAccessError);
+
+        const created = await gameLogic.createNewGame({
+            body: { gameConfig: { playerName: 'Carol', isPrivate: true, passcode: '4321' } }
+        });
+        const listed = (await lobbyManager.listOpenRooms()).find(r => r.roomCode === created.roomCode);
+        expect(listed.isPrivate).toBe(true);
+        expect(listed.gameId).toBeUndefined();
+
+        const wrong = await callWithRoom(lobbyController.joinRoomByCode, created.roomCode, { passcode: '0000' });
+        expect(wrong.status).toHaveBeenCalledWith(403);
+        expect(wrong.json.mock.calls[0][0].code).toBe('ROOM_PASSCODE_INVALID');
+
+        // Joining by gameId does not bypass the passcode
+        await expect(
+            gameLogic.joinRoom({ body: { gameId: created.gameId } })
+        ).rejects.toBeInstanceOf(RoomAccessError);
+
+        const right = await callWithRoom(lobbyController.joinRoomByCode, created.roomCode, { passcode: '4321' });
+        expect(right.json.mock.calls[0][0].gameEnv.phase).toBe('READY_PHASE');
+    });
+
+    it('should let only the creator close a waiting room', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Dave' } } });
+
+        await expect(gameLogic.closeRoom(created.gameId, 'playerId_2')).rejects.toBeInstanceOf(RoomAccessError);
+
+        const res = await callWithRoom(lobbyController.closeRoom, created.roomCode, { playerId: 'playerId_1' });
+        expect(res.json.mock.calls[0][0].gameEnv.phase).toBe('ROOM_CLOSED');
+        expect((await lobbyManager.getRoom(created.roomCode)).status).toBe('CLOSED');
+
+        const join = await callWithRoom(lobbyController.joinRoomByCode, created.roomCode);
+        expect(join.status).toHaveBeenCalledWith(409);
+    });
+
+    it('should answer 404 for an unknown room code', async () => {
+        const res = await callWithRoom(lobbyController.getRoom, 'ZZZZZZ');
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+});
@@ -0,0 +1,82 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const { requestContext } = require('../middleware/requestContext');
+const { createLogger, configureLogging, withLogContext } = require('../utils/logger');
+
+describe('Structured logging', () => {
+    let lines;
+
+    beforeEach(() => {
+        lines = [];
+        configureLogging({
+            level: 'info',
+            moduleLevels: {},
+            format: 'json',
+            output: (level, line) => lines.push(JSON.parse(line))
+        });
+    });
+
+    afterAll(() => {
+        configureLogging({ level: 'silent' });
+    });
+
+    it('should write JSON lines with the module, level and context fields', () => {
+        const logger = createLogger('LoggerTest');
+        withLogContext({ requestId: 'req-1', gameId: 'game-1' }, () => {
+            logger.info('Something happened', { count: 2 });
+            logger.error('Something failed', { error: new Error('boom') });
+        });
+
+        expect(lines[0]).toMatchObject({ level: 'info', module: 'LoggerTest', msg: 'Something happened', requestId: 'req-1', gameId: 'game-1', count: 2 });
+        expect(lines[1].error).toMatchObject({ name: 'Error', message: 'boom' });
+        expect(lines[1].error.stack).toBeDefined();
+    });
+
+    it('should honour the global level and per-module overrides', () => {
+        configureLogging({ level: 'warn', moduleLevels: { Chatty: 'debug' } });
+        createLogger('Quiet').info('hidden');
+        createLogger('Quiet').warn('shown');
+        createLogger('Chatty').debug('shown too');
+
+        expect(lines.map(line => line.msg)).toEqual(['shown', 'shown too']);
+
+        configureLogging({ level: 'silent', moduleLevels: {} });
+        createLogger('Quiet').error('silenced');
+        expect(lines).toHaveLength(2);
+    });
+
+    it('should tag game engine logs with the request, game, seat and phase', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        await gameLogic.joinRoom({ body: { gameId: created.gameId } });
+        configureLogging({ moduleLevels: { GameLogic: 'debug' } });
+
+        const req = { headers: { 'x-request-id': 'client-42' }, body: { gameId: created.gameId, playerId: 'playerId_1' }, query: {} };
+        const res = { setHeader: jest.fn() };
+        await new Promise((resolve, reject) => {
+            requestContext(req, res, () => {
+                gameLogic.startReady({ body: { ...req.body, isRedraw: false } }).then(resolve, reject);
+            });
+        });
+
+        expect(res.setHeader).toHaveBeenCalledWith('X-Request-Id', 'client-42');
+        const readyCheck = lines.find(line => line.msg === '🔍 Ready check');
+        expect(readyCheck).toMatchObject({
+            module: 'GameLogic',
+            requestId: 'client-42',
+            gameId: created.gameId,
+            playerId: 'playerId_1',
+            phase: 'READY_PHASE'
+        });
+    });
+
+    it('should replace request IDs that are not safe to log', () => {
+        const res = { setHeader: jest.fn() };
+        requestContext({ headers: { 'x-request-id': 'bad id\n{"level":"error"}' }, body: {}, query: {} }, res, () => {});
+
+        const [, requestId] = res.setHeader.mock.calls[0];
+        expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    });
+});
@@ -0,0 +1,105 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const gameAdminService = require('../services/GameAdminService');
+const gameLifecycleManager = require('../services/GameLifecycleManager');
+const gameReplayService = require('../services/GameReplayService');
+const matchHistoryService = require('../services/MatchHistoryService');
+const playerStatsController = require('../controllers/playerStatsController');
+const schemas = require('../validation/requestSchemas');
+const { validateSchema } = require('../validation/schemaValidator');
+
+const { mozGamePlay } = gameLogic;
+
+// Create, join and start a game between two named players
+async function startGame(creatorName, joinerName) {
+    const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: creatorName } } });
+    const { gameId } = created;
+    await gameLogic.joinRoom({ body: { gameId, playerName: joinerName } });
+    await gameLogic.startReady({ body: { gameId, playerId: 'playerId_1', isRedraw: false } });
+    await gameLogic.startReady({ body: { gameId, playerId: 'playerId_2', isRedraw: false } });
+    return gameId;
+}
+
+describe('Match history and player statistics', () => {
+    it('should record a finished game with decks, leaders and every leader battle', async () => {
+        const gameId = await startGame('Alice', 'Bob');
+
+        // Fight the first leader battle, then end the game
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        game.gameEnv = await mozGamePlay.concludeLeaderBattleAndNewStart(game.gameEnv, game.gameEnv.currentPlayer);
+        await gameLogic.saveOrCreateGame(game, gameId);
+        expect(await matchHistoryService.getMatch(gameId)).toBeNull();
+        await gameAdminService.awardWin(gameId, 'playerId_2', 'test');
+
+        const record = await matchHistoryService.getMatch(gameId);
+        expect(record).toMatchObject({ gameId, status: 'COMPLETED', origin: 'PLAYED', ruleProfile: 'standard', winner: 'playerId_2' });
+        expect(record.players.playerId_1).toMatchObject({ name: 'Alice', deckId: 'deck001', deckName: 'Starter Deck' });
+        expect(record.players.playerId_2.name).toBe('Bob');
+        expect(record.leaderBattles).toHaveLength(1);
+        expect(record.leaderBattles[0]).toMatchObject({ round: 1, winner: expect.any(String) });
+        expect(Object.keys(record.leaderBattles[0].points).sort()).toEqual(['playerId_1', 'playerId_2']);
+        // The first leader and the one fielded after the battle
+        expect(record.players.playerId_1.leadersPlayed).toHaveLength(2);
+        expect(record.durationSeconds).toBeGreaterThanOrEqual(0);
+
+        // The lifecycle sweep keeps the record written when the game ended
+        await gameLifecycleManager.retireGame(gameId, Date.now() + 24 * 60 * 60 * 1000);
+        expect(await gameLifecycleManager.getArchivedGame(gameId)).toEqual(record);
+    });
+
+    it('should compute win/loss records, favourite leaders and recent games by player name', async () => {
+        const lost = await startGame('Carol', 'Dave');
+        await gameAdminService.awardWin(lost, 'playerId_2', 'test');
+        const drawn = await startGame('Dave', 'Carol');
+        await gameAdminService.declareDraw(drawn, 'test');
+        const abandoned = await startGame('Carol', 'Erin');
+        await gameLifecycleManager.retireGame(abandoned, Date.now() + 24 * 60 * 60 * 1000);
+
+        const stats = await matchHistoryService.getPlayerStats(' carol ');
+        expect(stats).toMatchObject({ playerName: 'carol', gamesPlayed: 3, wins: 0, losses: 1, draws: 1, abandoned: 1, forfeits: 0, winRate: 0 });
+        expect(stats.favouriteLeaders[0]).toMatchObject({ games: expect.any(Number), wins: 0, name: expect.any(String) });
+        expect(stats.recentGames.map(game => game.gameId)).toEqual(expect.arrayContaining([lost, drawn, abandoned]));
+        expect(stats.recentGames.find(game => game.gameId === lost)).toMatchObject({ result: 'LOSS', opponentName: 'Dave' });
+
+        const dave = await matchHistoryService.getPlayerStats('Dave');
+        expect(dave).toMatchObject({ gamesPlayed: 2, wins: 1, draws: 1, winRate: 0.5 });
+
+        expect(await matchHistoryService.getPlayerStats('Nobody')).toMatchObject({ gamesPlayed: 0, winRate: null, recentGames: [] });
+    });
+
+    it('should keep replays and injected games out of the statistics', async () => {
+        const gameId = await startGame('Frank', 'Grace');
+        await gameAdminService.awardWin(gameId, 'playerId_1', 'test');
+
+        const imported = await gameReplayService.importGame(await gameReplayService.exportGame(gameId));
+        expect(imported.matchesExport).toBe(true);
+        expect(await matchHistoryService.getMatch(imported.gameId)).toMatchObject({ origin: 'REPLAY', players: { playerId_2: { name: 'Grace' } } });
+
+        const source = (await gameLogic.readJSONFileAsync(gameId)).gameEnv;
+        const injected = await gameLogic.injectGameState(null, JSON.parse(JSON.stringify(source)));
+        expect(await matchHistoryService.getMatch(injected.gameId)).toMatchObject({ origin: 'INJECTED' });
+
+        expect(await matchHistoryService.getPlayerStats('Frank')).toMatchObject({ gamesPlayed: 1, wins: 1 });
+    });
+
+    it('should serve a player\'s matches newest first, limited by the query', async () => {
+        const first = await startGame('Heidi', 'Ivan');
+        await gameAdminService.awardWin(first, 'playerId_1', 'test');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = await startGame('Ivan', 'Heidi');
+        await gameAdminService.awardWin(second, 'playerId_1', 'test');
+
+        const res = createMockResponse();
+        await playerStatsController.getPlayerMatches({ params: { playerName: 'Heidi' }, query: { limit: '1' } }, res);
+        const body = res.json.mock.calls[0][0];
+        expect(body).toMatchObject({ playerName: 'Heidi', total: 2 });
+        expect(body.matches).toHaveLength(1);
+        expect(body.matches[0]).toMatchObject({ gameId: second, result: 'LOSS', opponentName: 'Ivan' });
+
+        const errors = validateSchema(schemas.getPlayerMatches.query, { limit: '0' }, 'query');
+        expect(errors.map(error => error.field)).toEqual(['query.limit']);
+    });
+});
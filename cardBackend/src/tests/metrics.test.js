@@ -0,0 +1,59 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const metricsRegistry = require('../services/MetricsRegistry');
+const metricsController = require('../controllers/metricsController');
+const { sendError } = require('../controllers/errorResponses');
+const { GameError } = require('../utils/gameErrors');
+
+async function scrape() {
+    const res = createMockResponse();
+    await metricsController.getMetrics({}, res);
+    return res.send.mock.calls[0][0];
+}
+
+describe('Metrics', () => {
+    beforeEach(() => {
+        metricsRegistry.reset();
+    });
+
+    it('should render counters and histograms in the Prometheus text format', async () => {
+        const counter = metricsRegistry.counter('test_events_total', 'Test events', ['kind']);
+        const histogram = metricsRegistry.histogram('test_duration_seconds', 'Test durations', [], [0.1, 1]);
+        counter.inc({ kind: 'a "quoted" kind' });
+        counter.inc({ kind: 'a "quoted" kind' }, 2);
+        histogram.observe({}, 0.5);
+
+        const text = await metricsRegistry.render();
+        expect(text).toContain('# TYPE test_events_total counter');
+        expect(text).toContain('test_events_total{kind="a \\"quoted\\" kind"} 3');
+        expect(text).toContain('test_duration_seconds_bucket{le="0.1"} 0');
+        expect(text).toContain('test_duration_seconds_bucket{le="1"} 1');
+        expect(text).toContain('test_duration_seconds_bucket{le="+Inf"} 1');
+        expect(text).toContain('test_duration_seconds_count 1');
+    });
+
+    it('should count actions by type and report games by phase and storage latency', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        await gameLogic.joinRoom({ body: { gameId: created.gameId } });
+        await gameLogic.startReady({ body: { playerId: 'playerId_1', gameId: created.gameId, isRedraw: false } });
+
+        const text = await scrape();
+        expect(text).toContain('game_actions_total{type="joinRoom",outcome="ok"} 1');
+        expect(text).toContain('game_actions_total{type="startReady",outcome="ok"} 1');
+        expect(text).toMatch(/game_active_games\{phase="READY_PHASE"\} [1-9]/);
+        expect(text).toMatch(/game_storage_operation_seconds_count\{namespace="games",operation="set"\} [1-9]/);
+    });
+
+    it('should count rule violations by error code', async () => {
+        sendError(createMockResponse(), new GameError('NOT_YOUR_TURN'));
+        sendError(createMockResponse(), new GameError('NOT_YOUR_TURN'));
+        sendError(createMockResponse(), new GameError('GAME_NOT_FOUND'));
+
+        const text = await scrape();
+        expect(text).toContain('game_rule_violations_total{code="NOT_YOUR_TURN"} 2');
+        expect(text).not.toContain('game_rule_violations_total{code="GAME_NOT_FOUND"}');
+    });
+});
@@ -0,0 +1,59 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore();
+
+const fs = require('fs');
+const path = require('path');
+const gameRoutes = require('../routes/gameRoutes');
+const schemas = require('../validation/requestSchemas');
+const { buildOpenApiDocument } = require('../utils/openApiDocument');
+const { generateApiClientSource } = require('../utils/apiClientGenerator');
+
+const CLIENT_PATH = path.join(__dirname, '../../../cardFrontend/src/api/gameApiClient.js');
+
+describe('OpenAPI Document', () => {
+    const document = buildOpenApiDocument(gameRoutes, schemas);
+
+    it('should describe every route in gameRoutes.js', () => {
+        const routeCount = gameRoutes.stack
+            .filter(layer => layer.route)
+            .reduce((count, layer) => count + Object.keys(layer.route.methods).length, 0);
+        const operations = Object.values(document.paths).flatMap(methods => Object.values(methods));
+
+        expect(operations).toHaveLength(routeCount);
+        expect(operations.every(operation => operation.operationId && operation.summary)).toBe(true);
+        expect(document.paths['/test/setCase'].post.requestBody.content['application/json'].schema).toBe(schemas.setCase.body);
+        expect(document.paths['/player/nextRound'].post.operationId).toBe('nextRound');
+    });
+
+    it('should turn route parameters, query and session checks into OpenAPI fields', () => {
+        const getPlayerData = document.paths['/player/{playerId}'].get;
+        expect(getPlayerData.parameters).toEqual([
+            expect.objectContaining({ name: 'playerId', in: 'path', required: true }),
+            expect.objectContaining({ name: 'gameId', in: 'query', required: true })
+        ]);
+        expect(getPlayerData.security).toEqual([{ sessionToken: [] }]);
+
+        const playerAction = document.paths['/player/playerAction'].post;
+        expect(playerAction.security).toEqual([{ sessionToken: [] }]);
+        expect(playerAction.requestBody.required).toBe(true);
+        ['/player/playerAiAction', '/player/nextRound'].forEach(path => {
+            expect(document.paths[path].post.security).toEqual([{ sessionToken: [] }]);
+        });
+        expect(document.paths['/player/{playerId}/score'].put.security).toEqual([{ sessionToken: [] }]);
+
+        // Only the owner of a player name may change its decks
+        const decks = document.paths['/players/{playerName}/decks'];
+        expect(decks.get.security).toBeUndefined();
+        expect(decks.post.security).toEqual([{ playerKey: [] }]);
+        expect(document.paths['/players/{playerName}/decks/{deckId}'].delete.security).toEqual([{ playerKey: [] }]);
+
+        const stream = document.paths['/player/{playerId}/stream'].get;
+        expect(Object.keys(stream.responses[200].content)).toEqual(['text/event-stream']);
+    });
+
+    it('should match the generated frontend client', () => {
+        // Out of date? Run `npm run generate:client`
+        expect(fs.readFileSync(CLIENT_PATH, 'utf8')).toBe(generateApiClientSource(document));
+    });
+});
@@ -0,0 +1,86 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore();
+
+const gameLogic = require('../services/GameLogic');
+const { requirePlayerSession } = require('../middleware/requirePlayerSession');
+
+async function runMiddleware(headers, body, { params, query } = {}) {
+    const req = { headers, body, params, query };
+    const res = createMockResponse();
+    const next = jest.fn();
+    await requirePlayerSession(req, res, next);
+    return { req, res, next };
+}
+
+describe('Player Sessions', () => {
+    let created;
+    let joined;
+
+    beforeEach(async () => {
+        created = await gameLogic.createNewGame({ body: { playerId: 'playerId_2' } });
+        joined = await gameLogic.joinRoom({ body: { playerId: 'playerId_1', gameId: created.gameId } });
+    });
+
+    it('should assign seats and issue a token on startGame and joinRoom', () => {
+        expect(created.playerId).toBe('playerId_1');
+        expect(joined.playerId).toBe('playerId_2');
+        expect(created.sessionToken).toMatch(/^[a-f0-9]{64}$/);
+        expect(joined.sessionToken).not.toBe(created.sessionToken);
+    });
+
+    it('should reject requests without a valid token', async () => {
+        const missing = await runMiddleware({}, { gameId: created.gameId, playerId: 'playerId_1' });
+        expect(missing.res.status).toHaveBeenCalledWith(401);
+        expect(missing.next).not.toHaveBeenCalled();
+
+        const unknown = await runMiddleware(
+            { authorization: `Bearer ${'0'.repeat(64)}` },
+            { gameId: created.gameId, playerId: 'playerId_1' }
+        );
+        expect(unknown.res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should reject a token used for the other seat or another game', async () => {
+        const otherSeat = await runMiddleware(
+            { authorization: `Bearer ${joined.sessionToken}` },
+            { gameId: created.gameId, playerId: 'playerId_1' }
+        );
+        expect(otherSeat.res.status).toHaveBeenCalledWith(403);
+
+        const otherGame = await runMiddleware(
+            { authorization: `Bearer ${created.sessionToken}` },
+            { gameId: 'another-game', playerId: 'playerId_1' }
+        );
+        expect(otherGame.res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should act as the session seat when the token matches', async () => {
+        const { req, next } = await runMiddleware(
+            { 'x-session-token': joined.sessionToken },
+            { gameId: created.gameId }
+        );
+
+        expect(next).toHaveBeenCalled();
+        expect(req.body.playerId).toBe('playerId_2');
+        expect(req.playerSession.gameId).toBe(created.gameId);
+    });
+
+    it('should only show a seat\'s view to that seat\'s session', async () => {
+        const readRequest = { params: { playerId: 'playerId_1' }, query: { gameId: created.gameId } };
+
+        const anonymous = await runMiddleware({}, {}, readRequest);
+        expect(anonymous.res.status).toHaveBeenCalledWith(401);
+
+        const opponent = await runMiddleware({ authorization: `Bearer ${joined.sessionToken}` }, {}, readRequest);
+        expect(opponent.res.status).toHaveBeenCalledWith(403);
+        expect(opponent.next).not.toHaveBeenCalled();
+
+        const owner = await runMiddleware({}, {}, {
+            params: readRequest.params,
+            query: { ...readRequest.query, token: created.sessionToken }
+        });
+        expect(owner.next).toHaveBeenCalled();
+        expect(owner.req.playerSession.playerId).toBe('playerId_1');
+    });
+});
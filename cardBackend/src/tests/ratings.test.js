@@ -0,0 +1,171 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const gameAdminService = require('../services/GameAdminService');
+const gameLifecycleManager = require('../services/GameLifecycleManager');
+const matchHistoryService = require('../services/MatchHistoryService');
+const ratingService = require('../services/RatingService');
+const playerKeyService = require('../services/PlayerKeyService');
+const playerStatsController = require('../controllers/playerStatsController');
+const schemas = require('../validation/requestSchemas');
+const { validateSchema } = require('../validation/schemaValidator');
+
+const { mozGamePlay } = gameLogic;
+
+// Player keys of the names claimed in this file; ranked games need them
+const playerKeys = new Map();
+
+async function keyHeaders(playerName) {
+    if (!playerKeys.has(playerName)) {
+        playerKeys.set(playerName, (await playerKeyService.claimName(playerName)).playerKey);
+    }
+    return { 'x-player-key': playerKeys.get(playerName) };
+}
+
+// Create, join and start a ranked game between two named players
+async function startRankedGame(creatorName, joinerName) {
+    const created = await gameLogic.createNewGame({
+        headers: await keyHeaders(creatorName),
+        body: { gameConfig: { playerName: creatorName, ranked: true } }
+    });
+    const { gameId } = created;
+    await gameLogic.joinRoom({ headers: await keyHeaders(joinerName), body: { gameId, playerName: joinerName } });
+    await gameLogic.startReady({ body: { gameId, playerId: 'playerId_1', isRedraw: false } });
+    await gameLogic.startReady({ body: { gameId, playerId: 'playerId_2', isRedraw: false } });
+    return gameId;
+}
+
+// End a game by one player's forfeit after the given number of turns
+async function forfeitAfter(gameId, playerId, turns) {
+    const game = await gameLogic.readJSONFileAsync(gameId);
+    game.gameEnv.currentTurn = turns;
+    game.gameEnv = mozGamePlay.forfeitPlayer(game.gameEnv, playerId);
+    await gameLogic.saveOrCreateGame(game, gameId);
+}
+
+describe('Ranked games and ratings', () => {
+    it('should rate both players of a finished ranked game and keep the change on the match', async () => {
+        const gameId = await startRankedGame('Anna', 'Boris Lee');
+        expect((await gameLogic.getGameState(gameId, 'playerId_1')).gameEnv.rules.ranked).toBe(true);
+        await gameAdminService.awardWin(gameId, 'playerId_1', 'test');
+
+        // Two new players: provisional K factor, even odds
+        const record = await matchHistoryService.getMatch(gameId);
+        expect(record.ranked).toBe(true);
+        expect(record.rating).toEqual({
+            rated: true,
+            reason: null,
+            changes: {
+                playerId_1: { before: 1500, after: 1520, change: 20, opponentRating: 1500 },
+                playerId_2: { before: 1500, after: 1480, change: -20, opponentRating: 1500 }
+            }
+        });
+        expect(await ratingService.getRating('anna')).toMatchObject({ playerName: 'Anna', rating: 1520, ratedGames: 1, wins: 1, peakRating: 1520, provisional: true });
+
+        const history = await ratingService.getRatingHistory('boris lee');
+        expect(history).toMatchObject({ rating: 1480, losses: 1 });
+        expect(history.history).toEqual([expect.objectContaining({ gameId, result: 'LOSS', opponentName: 'Anna', before: 1500, after: 1480, change: -20 })]);
+        expect((await matchHistoryService.getPlayerStats('Boris Lee')).recentGames[0]).toMatchObject({ ranked: true, ratingChange: -20 });
+    });
+
+    it('should rate a draw, and move the higher rated player down', async () => {
+        const first = await startRankedGame('Clara', 'Dmitri');
+        await gameAdminService.awardWin(first, 'playerId_1', 'test');
+        const drawn = await startRankedGame('Dmitri', 'Clara');
+        await gameAdminService.declareDraw(drawn, 'test');
+
+        const { changes } = (await matchHistoryService.getMatch(drawn)).rating;
+        expect(changes.playerId_2).toMatchObject({ before: 1520, change: -2 });
+        expect(changes.playerId_1).toMatchObject({ before: 1480, change: 2 });
+        expect(await ratingService.getRating('Clara')).toMatchObject({ rating: 1518, ratedGames: 2, wins: 1, draws: 1, peakRating: 1520 });
+    });
+
+    it('should record but not rate abandoned games, early forfeits and farming between the same players', async () => {
+        const abandoned = await startRankedGame('Emil', 'Fiona');
+        await gameLifecycleManager.retireGame(abandoned, Date.now() + 2 * 24 * 60 * 60 * 1000);
+        expect((await matchHistoryService.getMatch(abandoned)).rating).toEqual({ rated: false, reason: 'ABANDONED', changes: null });
+
+        const earlyForfeit = await startRankedGame('Emil', 'Fiona');
+        await forfeitAfter(earlyForfeit, 'playerId_2', 1);
+        expect((await matchHistoryService.getMatch(earlyForfeit)).rating.reason).toBe('EARLY_FORFEIT');
+
+        // A forfeit later in the game is a loss like any other
+        const lateForfeit = await startRankedGame('Emil', 'Fiona');
+        await forfeitAfter(lateForfeit, 'playerId_2', 5);
+        expect((await matchHistoryService.getMatch(lateForfeit)).rating.rated).toBe(true);
+
+        for (let game = 0; game < 2; game++) {
+            const gameId = await startRankedGame('Fiona', 'Emil');
+            await gameAdminService.awardWin(gameId, 'playerId_2', 'test');
+        }
+        const overLimit = await startRankedGame('Emil', 'Fiona');
+        await gameAdminService.awardWin(overLimit, 'playerId_1', 'test');
+        expect((await matchHistoryService.getMatch(overLimit)).rating.reason).toBe('PAIR_LIMIT');
+        expect(await ratingService.getRating('Emil')).toMatchObject({ ratedGames: 3, wins: 3 });
+
+        // Ranked games created before player keys were checked
+        const unverified = await startRankedGame('Emil', 'Jonas');
+        const stored = await gameLogic.readJSONFileAsync(unverified);
+        delete stored.gameEnv.verifiedPlayers;
+        await gameLogic.saveOrCreateGame(stored, unverified);
+        await gameAdminService.awardWin(unverified, 'playerId_1', 'test');
+        expect((await matchHistoryService.getMatch(unverified)).rating.reason).toBe('UNVERIFIED_PLAYER');
+
+        // Unranked games carry no rating at all
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Emil' } } });
+        await gameLogic.joinRoom({ body: { gameId: created.gameId, playerName: 'Gustav' } });
+        await gameLogic.startReady({ body: { gameId: created.gameId, playerId: 'playerId_1', isRedraw: false } });
+        await gameLogic.startReady({ body: { gameId: created.gameId, playerId: 'playerId_2', isRedraw: false } });
+        await gameAdminService.awardWin(created.gameId, 'playerId_1', 'test');
+        expect(await matchHistoryService.getMatch(created.gameId)).toMatchObject({ ranked: false });
+        expect((await matchHistoryService.getMatch(created.gameId)).rating).toBeUndefined();
+        expect((await ratingService.getRating('Gustav')).ratedGames).toBe(0);
+    });
+
+    it('should only seat two distinct named players without takebacks in a ranked game', async () => {
+        await expect(gameLogic.createNewGame({ body: { gameConfig: { ranked: true } } }))
+            .rejects.toMatchObject({ code: 'RANKED_NAME_REQUIRED', status: 400 });
+        await expect(gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Hana', ranked: true, takebacks: 'onRequest' } } }))
+            .rejects.toMatchObject({ code: 'INVALID_REQUEST', params: { fields: ['gameConfig.takebacks'] } });
+
+        await expect(gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Hana', ranked: true } } }))
+            .rejects.toMatchObject({ code: 'PLAYER_KEY_REQUIRED', status: 401 });
+
+        const hanaHeaders = await keyHeaders('Hana');
+        const { gameId } = await gameLogic.createNewGame({ headers: hanaHeaders, body: { gameConfig: { playerName: 'Hana', ranked: true } } });
+        await expect(gameLogic.joinRoom({ body: { gameId } })).rejects.toMatchObject({ code: 'RANKED_NAME_REQUIRED' });
+        await expect(gameLogic.joinRoom({ body: { gameId, playerName: ' HANA ' } }))
+            .rejects.toMatchObject({ code: 'RANKED_SAME_PLAYER', status: 409 });
+        expect(await ratingService.getRating('Hana')).toMatchObject({ rating: 1500, ratedGames: 0 });
+
+        await expect(gameLogic.joinRoom({ body: { gameId, playerName: 'Igor' } }))
+            .rejects.toMatchObject({ code: 'PLAYER_KEY_REQUIRED' });
+        await expect(gameLogic.joinRoom({ headers: hanaHeaders, body: { gameId, playerName: 'Igor' } }))
+            .rejects.toMatchObject({ code: 'PLAYER_KEY_INVALID', status: 403 });
+
+        const room = await gameLogic.joinRoom({ headers: await keyHeaders('Igor'), body: { gameId, playerName: 'Igor' } });
+        expect(room.playerId).toBe('playerId_2');
+
+        const errors = validateSchema(schemas.startGame.body, { gameConfig: { ranked: 'yes' } }, 'body');
+        expect(errors.map(error => error.field)).toEqual(['body.gameConfig.ranked']);
+    });
+
+    it('should serve the leaderboard best first, with provisional players on request', async () => {
+        const res = createMockResponse();
+        await playerStatsController.getLeaderboard({ query: {} }, res);
+        expect(res.json.mock.calls[0][0]).toEqual({ total: 0, players: [] });
+
+        const withProvisional = createMockResponse();
+        await playerStatsController.getLeaderboard({ query: { includeProvisional: 'true', limit: '2' } }, withProvisional);
+        const body = withProvisional.json.mock.calls[0][0];
+        expect(body.players).toHaveLength(2);
+        expect(body.total).toBeGreaterThan(2);
+        expect(body.players[0]).toMatchObject({ rank: 1, provisional: true });
+        expect(body.players[0].rating).toBeGreaterThanOrEqual(body.players[1].rating);
+
+        const errors = validateSchema(schemas.getLeaderboard.query, { includeProvisional: 'yes' }, 'query');
+        expect(errors.map(error => error.field)).toEqual(['query.includeProvisional']);
+    });
+});
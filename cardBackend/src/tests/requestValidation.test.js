@@ -0,0 +1,69 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore();
+
+const { validateRequest } = require('../middleware/validateRequest');
+const { validateSchema } = require('../validation/schemaValidator');
+const schemas = require('../validation/requestSchemas');
+
+function runValidation(schema, req) {
+    const res = createMockResponse();
+    const next = jest.fn();
+    validateRequest(schema)({ params: {}, query: {}, body: {}, ...req }, res, next);
+    return { res, next, body: res.json.mock.calls[0]?.[0] };
+}
+
+describe('Request Validation', () => {
+    it('should pass a well-formed player action through', () => {
+        const { next, res } = runValidation(schemas.playerAction, {
+            body: { gameId: 'game-1', action: { type: 'PlayCard', card_idx: 0, field_idx: 2 }, version: 3 }
+        });
+        expect(next).toHaveBeenCalled();
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject a missing action with 400 INVALID_REQUEST', () => {
+        const { next, res, body } = runValidation(schemas.playerAction, { body: { gameId: 'game-1' } });
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(body.code).toBe('INVALID_REQUEST');
+        expect(body.params.errors).toEqual([{ field: 'body.action', message: 'is required' }]);
+    });
+
+    it('should report every malformed field of the action', () => {
+        const { body } = runValidation(schemas.playerAction, {
+            body: { gameId: 'game-1', action: { type: 'Discard', card_idx: -1, field_idx: '2' } }
+        });
+        expect(body.params.fields).toEqual(['body.action.type', 'body.action.card_idx', 'body.action.field_idx']);
+        expect(body.params.errors).toContainEqual({ field: 'body.action.card_idx', message: 'must be >= 0' });
+        expect(body.params.errors).toContainEqual({ field: 'body.action.field_idx', message: 'must be of type integer' });
+        expect(body.error).toContain('body.action.card_idx');
+
+        // The field has five zones (top, left, right, help, sp)
+        const outOfField = runValidation(schemas.playerAction, {
+            body: { gameId: 'game-1', action: { type: 'PlayCard', card_idx: 0, field_idx: 5 } }
+        });
+        expect(outOfField.body.params.errors).toEqual([{ field: 'body.action.field_idx', message: 'must be <= 4' }]);
+    });
+
+    it('should check params and query as well as the body', () => {
+        const { body } = runValidation(schemas.getPlayerData, { params: { playerId: '../etc' }, query: {} });
+        expect(body.params.fields).toEqual(['params.playerId', 'query.gameId']);
+    });
+
+    it('should refuse test case names that leave the test data folder', () => {
+        const { body } = runValidation(schemas.setCase, { body: { caseFile: '../gameData/secret' } });
+        expect(body.params.fields).toEqual(['body.caseFile']);
+    });
+
+    it('should validate array items and nested objects by path', () => {
+        expect(validateSchema(schemas.selectCard.body, {
+            gameId: 'game-1',
+            selectionId: 'sel-1',
+            selectedCardIds: ['c101', 7]
+        }, 'body')).toEqual([{ field: 'body.selectedCardIds[1]', message: 'must be of type string' }]);
+
+        expect(validateSchema(schemas.startGame.body, { gameConfig: { isPrivate: 'yes' } }, 'body'))
+            .toEqual([{ field: 'body.gameConfig.isPrivate', message: 'must be of type boolean' }]);
+    });
+});
@@ -0,0 +1,54 @@
+const { useMemoryStore, createMockResponse } = require('./testHelpers');
+
+useMemoryStore();
+
+const gameLogic = require('../services/GameLogic');
+const gameController = require('../controllers/gameController');
+const { requirePlayerSession } = require('../middleware/requirePlayerSession');
+
+async function resume(sessionToken, body) {
+    const req = { headers: { authorization: `Bearer ${sessionToken}` }, body };
+    const res = createMockResponse();
+    const next = jest.fn();
+    await requirePlayerSession(req, res, next);
+    if (next.mock.calls.length > 0) {
+        await gameController.resumeGame(req, res);
+    }
+    return res;
+}
+
+describe('Resume Game', () => {
+    let created;
+    let joined;
+
+    beforeEach(async () => {
+        created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        joined = await gameLogic.joinRoom({ body: { gameId: created.gameId } });
+    });
+
+    it('should return the seat\'s own view with its hand', async () => {
+        const res = await resume(joined.sessionToken, { gameId: created.gameId });
+        const body = res.json.mock.calls[0][0];
+
+        expect(body.playerId).toBe('playerId_2');
+        expect(body.roomCode).toBe(created.roomCode);
+        expect(body.gameEnv.players.playerId_2.hand).toEqual(joined.gameEnv.players.playerId_2.hand);
+        expect(body.gameEnv.players.playerId_1.hand).toEqual([]);
+    });
+
+    it('should include only events the client has not acknowledged', async () => {
+        const before = await gameLogic.resumeGame(created.gameId, 'playerId_1');
+        expect(before.pendingEvents.length).toBeGreaterThan(0);
+
+        const [firstEvent, ...rest] = before.pendingEvents;
+        await gameLogic.acknowledgeGameEvents(created.gameId, [firstEvent.id], { playerId: 'playerId_1' });
+
+        const after = await gameLogic.resumeGame(created.gameId, 'playerId_1');
+        expect(after.pendingEvents.map(event => event.id)).toEqual(rest.map(event => event.id));
+    });
+
+    it('should require a session for the game being resumed', async () => {
+        const res = await resume(created.sessionToken, { gameId: 'another-game' });
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+});
@@ -0,0 +1,103 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const lobbyManager = require('../services/LobbyManager');
+const schemas = require('../validation/requestSchemas');
+const { validateSchema } = require('../validation/schemaValidator');
+const { RULE_PROFILES } = require('../config/ruleProfiles');
+
+async function createJoinedGame(ruleProfile) {
+    const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice', ruleProfile } } });
+    const joined = await gameLogic.joinRoom({ body: { gameId: created.gameId } });
+    return { created, joined, gameId: created.gameId };
+}
+
+function ready(gameId, playerId, isRedraw) {
+    return gameLogic.startReady({ body: { gameId, playerId, isRedraw } });
+}
+
+describe('Rule profiles', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should store the chosen profile in gameEnv and deal its hand size', async () => {
+        const { created, joined } = await createJoinedGame('quick');
+
+        expect(created.gameEnv.rules).toEqual({ profile: 'quick', ...RULE_PROFILES.quick });
+        expect(joined.gameEnv.players.playerId_1.handCount).toBe(RULE_PROFILES.quick.handSize);
+        expect(joined.gameEnv.players.playerId_2.handCount).toBe(RULE_PROFILES.quick.handSize);
+
+        const room = await lobbyManager.getRoom(created.roomCode);
+        expect(lobbyManager.toPublicRoom(room).ruleProfile).toBe('quick');
+    });
+
+    it('should play games without a profile by the standard rules', async () => {
+        const { created } = await createJoinedGame();
+        expect(created.gameEnv.rules.profile).toBe('standard');
+        expect(created.gameEnv.rules.victoryPointsToWin).toBe(50);
+    });
+
+    it('should reject unknown profiles at the API', () => {
+        const errors = validateSchema(schemas.startGame.body, { gameConfig: { ruleProfile: 'blitz' } }, 'body');
+        expect(errors.map(error => error.field)).toEqual(['body.gameConfig.ruleProfile']);
+    });
+
+    it('should allow as many redraws as the profile grants', async () => {
+        const quick = await createJoinedGame('quick');
+        await expect(ready(quick.gameId, 'playerId_1', true)).rejects.toMatchObject({ code: 'REDRAW_LIMIT_REACHED', status: 422 });
+
+        const marathon = await createJoinedGame('marathon');
+        const afterFirst = await ready(marathon.gameId, 'playerId_1', true);
+        expect(afterFirst.gameEnv.players.playerId_1).toMatchObject({ isReady: false, redrawsUsed: 1, handCount: RULE_PROFILES.marathon.handSize });
+
+        const afterSecond = await ready(marathon.gameId, 'playerId_1', true);
+        expect(afterSecond.gameEnv.players.playerId_1).toMatchObject({ isReady: true, redrawsUsed: 2 });
+    });
+
+    it('should send the rounds a game plays, capped by the leaders in each deck', async () => {
+        const { gameId, joined } = await createJoinedGame('marathon');
+        expect(joined.gameEnv.totalRounds).toBe(RULE_PROFILES.marathon.leaderBattles);
+
+        // A deck with fewer leaders than the profile's battles shortens the match
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        game.gameEnv.playerId_2.deck.leader = game.gameEnv.playerId_2.deck.leader.slice(0, 3);
+        await gameLogic.gameStore.set(gameId, game);
+
+        const { gameEnv } = await gameLogic.getGameState(gameId, 'playerId_1');
+        expect(gameEnv.rules.leaderBattles).toBe(4);
+        expect(gameEnv.totalRounds).toBe(3);
+    });
+
+    it('should end the game at the profile\'s victory points and match length', async () => {
+        const { gameId } = await createJoinedGame('quick');
+        await ready(gameId, 'playerId_1', false);
+        await ready(gameId, 'playerId_2', false);
+        const { mozGamePlay } = gameLogic;
+
+        // First leader battle: below the threshold, so the match moves to the second leader
+        const points = { playerId_1: 10, playerId_2: 0 };
+        jest.spyOn(mozGamePlay, 'calculatePlayerPoint').mockImplementation(async (gameEnv, playerId) => points[playerId]);
+        let gameEnv = (await gameLogic.readJSONFileAsync(gameId)).gameEnv;
+        gameEnv = await mozGamePlay.concludeLeaderBattleAndNewStart(gameEnv, 'playerId_1');
+        expect(gameEnv.phase).not.toBe('GAME_END');
+        expect(gameEnv.playerId_1.deck.currentLeaderIdx).toBe(1);
+
+        // Second (last) leader battle of a quick match decides the game on victory points
+        gameEnv = await mozGamePlay.concludeLeaderBattleAndNewStart(gameEnv, 'playerId_1');
+        expect(gameEnv).toMatchObject({ phase: 'GAME_END', winner: 'playerId_1' });
+
+        // A single battle worth the quick threshold ends the game at once
+        const second = await createJoinedGame('quick');
+        await ready(second.gameId, 'playerId_1', false);
+        await ready(second.gameId, 'playerId_2', false);
+        points.playerId_1 = 0;
+        points.playerId_2 = RULE_PROFILES.quick.victoryPointsToWin;
+        gameEnv = (await gameLogic.readJSONFileAsync(second.gameId)).gameEnv;
+        gameEnv = await mozGamePlay.concludeLeaderBattleAndNewStart(gameEnv, 'playerId_1');
+        expect(gameEnv).toMatchObject({ phase: 'GAME_END', winner: 'playerId_2' });
+        expect(gameEnv.playerId_1.deck.currentLeaderIdx).toBe(0);
+    });
+});
@@ -2,8 +2,10 @@ const gameLogic = require('../services/GameLogic');
 
 describe('Search Card Debug', () => {
     it('should inject test scenario successfully', async () => {
+        // Injecting never replaces a stored game, so every run uses a new id
+        const gameId = `test-debug-${Date.now()}`;
         const testScenario = {
-            "gameId": "test-debug",
+            "gameId": gameId,
             "gameEnv": {
                 "playerId_1": {
                     "deck": {
@@ -45,13 +47,13 @@ describe('Search Card Debug', () => {
 
         const result = await gameLogic.injectGameState(testScenario.gameId, testScenario.gameEnv);
         expect(result).toBeDefined();
-        expect(result.gameId).toBe("test-debug");
+        expect(result.gameId).toBe(gameId);
         
         // Try a simple action
         const actionRequest = {
             body: {
                 playerId: 'playerId_1',
-                gameId: 'test-debug',
+                gameId: gameId,
                 action: {
                     type: "PlayCard",
                     card_idx: 0,
@@ -61,7 +63,8 @@ describe('Search Card Debug', () => {
         };
 
         console.log('About to call processPlayerAction...');
-        const actionResult = await gameLogic.processPlayerAction(actionRequest);
+        // Rejected moves are thrown as GameError (4xx) instead of being returned as { error }
+        const actionResult = await gameLogic.processPlayerAction(actionRequest).catch(error => error);
         console.log('Action result:', JSON.stringify(actionResult, null, 2));
         
         expect(actionResult).toBeDefined();
@@ -0,0 +1,96 @@
+const { useMemoryStore, createMockResponse, createStreamResponse } = require('./testHelpers');
+
+useMemoryStore({ CASTER_KEY: 'test-caster-key', CASTER_DELAY_SECONDS: '1' });
+
+const { EventEmitter } = require('events');
+const gameLogic = require('../services/GameLogic');
+const lobbyController = require('../controllers/lobbyController');
+const spectatorController = require('../controllers/spectatorController');
+const { requirePlayerSession } = require('../middleware/requirePlayerSession');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function spectate(roomCode, body = {}) {
+    const req = { params: { roomCode }, body };
+    const res = createMockResponse();
+    const next = jest.fn();
+    await lobbyController.resolveRoom(req, res, next);
+    await spectatorController.spectateRoom(req, res);
+    return res;
+}
+
+async function openStream(token) {
+    const req = new EventEmitter();
+    req.query = { token };
+    req.headers = {};
+    const res = createStreamResponse();
+    await spectatorController.streamSpectatorView(req, res);
+    return { req, res };
+}
+
+describe('Spectator Mode', () => {
+    let created;
+
+    beforeEach(async () => {
+        created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        await gameLogic.joinRoom({ body: { gameId: created.gameId } });
+    });
+
+    it('should join by room code with both hands hidden', async () => {
+        const res = await spectate(created.roomCode);
+        const body = res.json.mock.calls[0][0];
+
+        expect(body.role).toBe('spectator');
+        expect(body.gameId).toBe(created.gameId);
+        expect(body.gameEnv.players.playerId_1.hand).toEqual([]);
+        expect(body.gameEnv.players.playerId_2.hand).toEqual([]);
+        expect(body.gameEnv.players.playerId_1.handCount).toBeGreaterThan(0);
+    });
+
+    it('should stream redacted updates and stay read-only', async () => {
+        const { sessionToken } = (await spectate(created.roomCode)).json.mock.calls[0][0];
+        const { req, res } = await openStream(sessionToken);
+
+        await gameLogic.startReady({ body: { playerId: 'playerId_1', gameId: created.gameId, isRedraw: false } });
+
+        const events = res.stateEvents();
+        expect(events).toHaveLength(2);
+        expect(events[1].gameEnv.players.playerId_1.isReady).toBe(true);
+        expect(events[1].gameEnv.players.playerId_1.hand).toEqual([]);
+        req.emit('close');
+
+        const actionReq = { headers: { authorization: `Bearer ${sessionToken}` }, body: { gameId: created.gameId } };
+        const actionRes = createMockResponse();
+        await requirePlayerSession(actionReq, actionRes, jest.fn());
+        expect(actionRes.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should need the passcode to watch a private room', async () => {
+        const privateRoom = await gameLogic.createNewGame({
+            body: { gameConfig: { playerName: 'Bob', isPrivate: true, passcode: 'secret' } }
+        });
+
+        const denied = await spectate(privateRoom.roomCode);
+        expect(denied.status).toHaveBeenCalledWith(403);
+
+        const allowed = await spectate(privateRoom.roomCode, { passcode: 'secret' });
+        expect(allowed.json.mock.calls[0][0].role).toBe('spectator');
+    });
+
+    it('should reveal both hands to the caster view only after the delay', async () => {
+        const rejected = await spectate(created.roomCode, { view: 'caster', casterKey: 'wrong' });
+        expect(rejected.status).toHaveBeenCalledWith(403);
+
+        const caster = (await spectate(created.roomCode, { view: 'caster', casterKey: 'test-caster-key' })).json.mock.calls[0][0];
+        expect(caster.delaySeconds).toBe(1);
+
+        const { req, res } = await openStream(caster.sessionToken);
+        expect(res.stateEvents()).toHaveLength(0);
+
+        await delay(1100);
+        const [delayed] = res.stateEvents();
+        expect(delayed.gameEnv.players.playerId_1.hand.length).toBeGreaterThan(0);
+        expect(delayed.gameEnv.players.playerId_2.hand.length).toBeGreaterThan(0);
+        req.emit('close');
+    });
+});
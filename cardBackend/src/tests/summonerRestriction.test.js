@@ -1,4 +1,4 @@
-const { loadTestScenario, injectGameState, makePostRequest, performPlayerAction } = require('./testHelpers');
+const { loadTestScenario, injectGameState, makePostRequest, performPlayerAction, getSessionHeaders } = require('./testHelpers');
 
 describe('Leader Restrictions', () => {
     let gameId;
@@ -26,7 +26,7 @@ describe('Leader Restrictions', () => {
                 playerId: "playerId_1",
                 gameId: gameId,
                 redraw: false
-            });
+            }, getSessionHeaders(gameId, "playerId_1"));
 
             // Try to play a dragon card
             const result = await performPlayerAction(gameId, 'playerId_2', {
@@ -58,7 +58,7 @@ describe('Leader Restrictions', () => {
                 playerId: "playerId_1",
                 gameId: gameId,
                 redraw: false
-            });
+            }, getSessionHeaders(gameId, "playerId_1"));
 
             // Try to play a dragon card
             const result = await performPlayerAction(gameId, 'playerId_2', {
@@ -94,7 +94,7 @@ describe('Leader Restrictions', () => {
                 playerId: "playerId_1",
                 gameId: gameId,
                 redraw: false
-            });
+            }, getSessionHeaders(gameId, "playerId_1"));
 
             // Try to play a dragon card
             const result = await performPlayerAction(gameId, 'playerId_2', {
@@ -121,7 +121,7 @@ describe('Leader Restrictions', () => {
                 playerId: "playerId_1",
                 gameId: gameId,
                 redraw: false
-            });
+            }, getSessionHeaders(gameId, "playerId_1"));
 
             // Try to play a dragon card
             const result = await performPlayerAction(gameId, 'playerId_2', {
@@ -152,7 +152,7 @@ describe('Leader Restrictions', () => {
                 playerId: "playerId_1",
                 gameId: gameId,
                 redraw: false
-            });
+            }, getSessionHeaders(gameId, "playerId_1"));
 
             // Try to play a dragon card
             const result = await performPlayerAction(gameId, 'playerId_1', {
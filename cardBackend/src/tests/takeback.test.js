@@ -0,0 +1,181 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore({ TURN_TIMER: 'off' });
+
+const gameLogic = require('../services/GameLogic');
+const gameReplayService = require('../services/GameReplayService');
+const takebackManager = require('../services/TakebackManager');
+const { createGameRules } = require('../config/ruleProfiles');
+const schemas = require('../validation/requestSchemas');
+const { validateSchema } = require('../validation/schemaValidator');
+const mozDeckHelper = require('../mozGame/mozDeckHelper');
+
+const otherSeat = playerId => (playerId === 'playerId_1' ? 'playerId_2' : 'playerId_1');
+
+// Face down play of the player's nth character card, which the main phase always accepts
+async function playCharacterBack(gameId, playerId, nth = 0) {
+    const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+    const characterIndexes = gameEnv[playerId].deck.hand
+        .map((cardId, index) => (mozDeckHelper.getDeckCardDetails(cardId).cardType === 'character' ? index : -1))
+        .filter(index => index >= 0);
+    return gameLogic.processPlayerAction({
+        body: { gameId, playerId, action: { type: 'PlayCardBack', card_idx: characterIndexes[nth], field_idx: 0 } }
+    });
+}
+
+// The creator's session, which takes the second seat of a solo practice game too
+const creatorHeaders = created => ({ authorization: `Bearer ${created.sessionToken}` });
+
+// Start a game, acknowledge the first draw and play one character face down
+async function playFirstCard(takebacks, seed = 9) {
+    const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice', takebacks } } }, { seed });
+    const { gameId } = created;
+    await gameLogic.joinRoom({ headers: takebacks === 'automatic' ? creatorHeaders(created) : {}, body: { gameId } });
+    await gameLogic.startReady({ body: { gameId, playerId: 'playerId_1', isRedraw: false } });
+    const started = await gameLogic.startReady({ body: { gameId, playerId: 'playerId_2', isRedraw: false } });
+
+    const { currentPlayer } = started.gameEnv;
+    const drawEvent = started.gameEnv.gameEvents.find(event => event.type === 'DRAW_PHASE_COMPLETE');
+    await gameLogic.acknowledgeGameEvents(gameId, [drawEvent.id], { playerId: currentPlayer });
+    const before = (await gameLogic.readJSONFileAsync(gameId)).gameEnv;
+    const played = await playCharacterBack(gameId, currentPlayer);
+    return { gameId, currentPlayer, before, played };
+}
+
+describe('Takebacks', () => {
+    it('should take back the last card play once the opponent accepts', async () => {
+        const { gameId, currentPlayer, before, played } = await playFirstCard('onRequest');
+        expect(played.gameEnv.takeback).toEqual({ mode: 'onRequest', lastActionBy: currentPlayer, requestedBy: null });
+
+        const requested = await gameLogic.requestTakeback({ body: { gameId, playerId: currentPlayer } });
+        expect(requested.gameEnv.takeback.requestedBy).toBe(currentPlayer);
+        expect(requested.gameEnv.gameEvents.find(event => event.type === 'TAKEBACK_REQUESTED').data)
+            .toMatchObject({ playerId: currentPlayer, actionType: 'PLAYER_ACTION' });
+
+        // Only the opponent answers
+        await expect(gameLogic.respondTakeback({ body: { gameId, playerId: currentPlayer, accept: true } }))
+            .rejects.toMatchObject({ code: 'NO_TAKEBACK_REQUEST', status: 422 });
+
+        const accepted = await gameLogic.respondTakeback({ body: { gameId, playerId: otherSeat(currentPlayer), accept: true } });
+        expect(accepted.gameEnv.takeback).toEqual({ mode: 'onRequest', lastActionBy: null, requestedBy: null });
+        expect(accepted.gameEnv.gameEvents.find(event => event.type === 'UNDO').data)
+            .toMatchObject({ playerId: currentPlayer, undoneType: 'PLAYER_ACTION', acceptedBy: otherSeat(currentPlayer) });
+
+        const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+        expect(gameEnv[currentPlayer].deck).toEqual(before[currentPlayer].deck);
+        expect(gameEnv[currentPlayer].Field).toEqual(before[currentPlayer].Field);
+        expect(gameEnv.playSequence).toEqual(before.playSequence);
+        expect(gameEnv.actionLog.slice(-4).map(entry => entry.type)).toEqual(['PLAYER_ACTION', 'TAKEBACK_REQUEST', 'TAKEBACK_RESPONSE', 'UNDO']);
+
+        // Nothing left to take back
+        await expect(gameLogic.requestTakeback({ body: { gameId, playerId: currentPlayer } }))
+            .rejects.toMatchObject({ code: 'NOTHING_TO_TAKE_BACK' });
+    });
+
+    it('should keep the action when the opponent declines', async () => {
+        const { gameId, currentPlayer } = await playFirstCard('onRequest');
+        await gameLogic.requestTakeback({ body: { gameId, playerId: currentPlayer } });
+        const declined = await gameLogic.respondTakeback({ body: { gameId, playerId: otherSeat(currentPlayer), accept: false } });
+
+        expect(declined.gameEnv.gameEvents.find(event => event.type === 'TAKEBACK_DECLINED').data)
+            .toEqual({ playerId: currentPlayer, declinedBy: otherSeat(currentPlayer) });
+        expect(declined.gameEnv.takeback.requestedBy).toBeNull();
+
+        const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+        expect(gameEnv[currentPlayer].Field.top).toHaveLength(1);
+        await expect(gameLogic.respondTakeback({ body: { gameId, playerId: otherSeat(currentPlayer), accept: true } }))
+            .rejects.toMatchObject({ code: 'NO_TAKEBACK_REQUEST' });
+    });
+
+    it('should take back at once in automatic mode, but not after the opponent has acted', async () => {
+        const { gameId, currentPlayer, before } = await playFirstCard('automatic');
+        const undone = await gameLogic.requestTakeback({ body: { gameId, playerId: currentPlayer } });
+        expect(undone.gameEnv.gameEvents.find(event => event.type === 'UNDO').data.acceptedBy).toBe('automatic');
+        expect(undone.gameEnv.currentPlayer).toBe(currentPlayer);
+        expect((await gameLogic.readJSONFileAsync(gameId)).gameEnv[currentPlayer].deck).toEqual(before[currentPlayer].deck);
+
+        // Play again: the opponent acknowledging its draw leaves the chance open, its card play ends it
+        const replayed = await playCharacterBack(gameId, currentPlayer);
+        const opponent = replayed.gameEnv.currentPlayer;
+        expect(opponent).toBe(otherSeat(currentPlayer));
+        const opponentDraw = replayed.gameEnv.gameEvents.filter(event => event.type === 'DRAW_PHASE_COMPLETE').pop();
+        await gameLogic.acknowledgeGameEvents(gameId, [opponentDraw.id], { playerId: opponent });
+        expect((await gameLogic.getGameState(gameId, currentPlayer)).gameEnv.takeback.lastActionBy).toBe(currentPlayer);
+        await playCharacterBack(gameId, opponent);
+        await expect(gameLogic.requestTakeback({ body: { gameId, playerId: currentPlayer } }))
+            .rejects.toMatchObject({ code: 'NOTHING_TO_TAKE_BACK' });
+    });
+
+    it('should only let the creator take the second seat of a game with automatic takebacks', async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice', takebacks: 'automatic' } } });
+        const other = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Mallory' } } });
+        const { gameId } = created;
+
+        await expect(gameLogic.joinRoom({ body: { gameId, playerName: 'Bob' } }))
+            .rejects.toMatchObject({ code: 'SOLO_PRACTICE_ONLY', status: 403 });
+        await expect(gameLogic.joinRoom({ headers: creatorHeaders(other), body: { gameId, playerName: 'Mallory' } }))
+            .rejects.toMatchObject({ code: 'SOLO_PRACTICE_ONLY' });
+
+        const joined = await gameLogic.joinRoom({ headers: creatorHeaders(created), body: { gameId, playerName: 'Alice' } });
+        expect(joined.playerId).toBe('playerId_2');
+    });
+
+    it('should resume the undone turn with the deadline it had, not a fresh turn', () => {
+        const turnBefore = {
+            activePlayer: 'playerId_1',
+            turnKey: 'turn:3:playerId_1',
+            turnStartedAt: 1000,
+            turnDeadline: 91000,
+            warned: false,
+            timedOut: false,
+            remainingMs: { playerId_1: 600000, playerId_2: 500000 },
+            timeouts: { playerId_1: 1, playerId_2: 1 }
+        };
+        const gameEnv = {
+            phase: 'MAIN_PHASE',
+            currentPlayer: 'playerId_1',
+            rules: createGameRules('standard', { takebacks: 'onRequest' }),
+            turnClock: turnBefore
+        };
+        const snapshot = takebackManager.captureSnapshot(gameEnv);
+
+        // The card play passed the turn: the actor's 30 seconds were charged and the opponent's turn started
+        gameEnv.currentPlayer = 'playerId_2';
+        gameEnv.turnClock = {
+            ...turnBefore,
+            activePlayer: 'playerId_2',
+            turnKey: 'turn:4:playerId_2',
+            turnStartedAt: 31000,
+            turnDeadline: 121000,
+            remainingMs: { playerId_1: 570000, playerId_2: 500000 },
+            timeouts: { playerId_1: 0, playerId_2: 1 }
+        };
+        gameEnv.takeback = { playerId: 'playerId_1', actionSeq: 1, actionType: 'PLAYER_ACTION', snapshot };
+
+        const restored = takebackManager.restore(gameEnv);
+        expect(restored.currentPlayer).toBe('playerId_1');
+        expect(restored.turnClock).toEqual({ ...turnBefore, timeouts: { playerId_1: 0, playerId_2: 1 } });
+    });
+
+    it('should refuse takebacks when they are off', async () => {
+        const { gameId, currentPlayer, played } = await playFirstCard(undefined);
+        expect(played.gameEnv.takeback).toBeNull();
+        await expect(gameLogic.requestTakeback({ body: { gameId, playerId: currentPlayer } }))
+            .rejects.toMatchObject({ code: 'TAKEBACKS_OFF', status: 422 });
+
+        const errors = validateSchema(schemas.startGame.body, { gameConfig: { takebacks: 'always' } }, 'body');
+        expect(errors.map(error => error.field)).toEqual(['body.gameConfig.takebacks']);
+    });
+
+    it('should replay a game with a takeback to the same state', async () => {
+        const { gameId, currentPlayer } = await playFirstCard('onRequest', 31);
+        await gameLogic.requestTakeback({ body: { gameId, playerId: currentPlayer } });
+        await gameLogic.respondTakeback({ body: { gameId, playerId: otherSeat(currentPlayer), accept: true } });
+        await playCharacterBack(gameId, currentPlayer, 1);
+
+        const imported = await gameReplayService.importGame(await gameReplayService.exportGame(gameId));
+        expect(imported.matchesExport).toBe(true);
+        const rebuilt = (await gameLogic.readJSONFileAsync(imported.gameId)).gameEnv;
+        expect(rebuilt.actionLog.filter(entry => entry.type === 'UNDO')).toHaveLength(1);
+    });
+});
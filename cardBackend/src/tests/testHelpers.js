@@ -4,17 +4,72 @@ const axios = require('axios');
 
 const API_BASE_URL = 'http://localhost:3000/api/game';
 
+// Session tokens handed out by the server, keyed by `${gameId}:${playerId}`
+const sessionTokens = {};
+
+function rememberSessionTokens(gameId, tokensByPlayer = {}) {
+    Object.entries(tokensByPlayer).forEach(([playerId, token]) => {
+        sessionTokens[`${gameId}:${playerId}`] = token;
+    });
+}
+
+function getSessionHeaders(gameId, playerId) {
+    const token = sessionTokens[`${gameId}:${playerId}`];
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Run GameLogic against the in-memory adapter. Config reads the environment when it is
+ * first required, so call this before requiring any service.
+ * @param {Object} env - More environment for the run, e.g. { TURN_TIMER: 'off' }
+ */
+function useMemoryStore(env = {}) {
+    Object.assign(process.env, { STORAGE_DRIVER: 'memory', ...env });
+}
+
+/**
+ * Express response stand-in for calling controllers and middleware directly
+ * @returns {Object} res whose methods are jest mocks
+ */
+function createMockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    res.setHeader = jest.fn();
+    return res;
+}
+
+/**
+ * Response stand-in for the Server-Sent Events routes; keeps every chunk written
+ * @returns {Object} res, with stateEvents() parsing the `state` events sent so far
+ */
+function createStreamResponse() {
+    const res = createMockResponse();
+    res.chunks = [];
+    res.writeHead = jest.fn();
+    res.write = jest.fn((chunk) => res.chunks.push(chunk));
+    res.end = jest.fn();
+    res.stateEvents = () => res.chunks
+        .filter(chunk => chunk.includes('event: state'))
+        .map(chunk => JSON.parse(chunk.split('data: ')[1]));
+    return res;
+}
+
 /**
  * Make a POST request to the game API
  * @param {string} endpoint - API endpoint
  * @param {Object} body - Request body
+ * @param {Object} headers - Extra request headers (e.g. session token)
  * @returns {Promise<Object>} - Response data
  */
-async function makePostRequest(endpoint, body) {
+async function makePostRequest(endpoint, body, headers = {}) {
     try {
         const response = await axios.post(`${API_BASE_URL}${endpoint}`, body, {
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...headers
             }
         });
         console.log("-----------response------------");
@@ -46,7 +101,9 @@ async function loadTestScenario(scenarioName) {
 
 async function injectGameState(scenario) {
     try {
-        return await makePostRequest('/test/injectGameState', scenario);
+        // Injecting never replaces a stored game, so scenarios are stored under a new id
+        const { gameId, ...newGame } = scenario;
+        return await makePostRequest('/test/injectGameState', newGame);
     } catch (error) {
         throw new Error(`Failed to inject game state: ${error.message}`);
     }
@@ -57,10 +114,14 @@ async function injectGameState(scenario) {
  * @returns {Promise<Object>} - Game setup response
  */
 async function setupTestGame() {
-    return await makePostRequest('/player/startGame', {
+    const result = await makePostRequest('/player/startGame', {
         playerId: "playerId_1",
         players: ["playerId_1", "playerId_2"]
     });
+    if (result && result.sessionToken) {
+        rememberSessionTokens(result.gameId, { [result.playerId]: result.sessionToken });
+    }
+    return result;
 }
 
 async function performPlayerAction(gameId, playerId, action) {
@@ -69,7 +130,7 @@ async function performPlayerAction(gameId, playerId, action) {
             playerId: playerId,
             gameId: gameId,
             action: action
-        });
+        }, getSessionHeaders(gameId, playerId));
     } catch (error) {
         console.log("-----------error------------");
         console.log(error);
@@ -118,10 +179,15 @@ function createTestGameEnv() {
 }
 
 module.exports = {
+    API_BASE_URL,
+    useMemoryStore,
+    createMockResponse,
+    createStreamResponse,
     loadTestScenario,
     injectGameState,
     setupTestGame,
     performPlayerAction,
     makePostRequest,
+    getSessionHeaders,
     createTestGameEnv
 }; 
\ No newline at end of file
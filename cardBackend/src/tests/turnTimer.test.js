@@ -0,0 +1,191 @@
+const { useMemoryStore } = require('./testHelpers');
+
+useMemoryStore({ MAX_TURN_TIMEOUTS: '2' });
+
+const gameLogic = require('../services/GameLogic');
+const turnTimerScheduler = require('../services/TurnTimerScheduler');
+const gameReplayService = require('../services/GameReplayService');
+
+// Move the stored clock so the next timer check sees the deadline (or warning) as passed
+async function expireClock(gameId, msBeforeDeadline = 0) {
+    const game = await gameLogic.readJSONFileAsync(gameId);
+    const clock = game.gameEnv.turnClock;
+    const shift = clock.turnDeadline - Date.now() - msBeforeDeadline;
+    clock.turnStartedAt -= shift;
+    clock.turnDeadline -= shift;
+    await gameLogic.gameStore.set(gameId, game);
+}
+
+function eventsOfType(state, type) {
+    return state.gameEnv.gameEvents.filter(event => event.type === type);
+}
+
+describe('Turn Timers', () => {
+    let gameId;
+
+    beforeEach(async () => {
+        const created = await gameLogic.createNewGame({ body: { gameConfig: { playerName: 'Alice' } } });
+        gameId = created.gameId;
+        await gameLogic.joinRoom({ body: { gameId } });
+        await gameLogic.startReady({ body: { playerId: 'playerId_1', gameId, isRedraw: false } });
+        await gameLogic.startReady({ body: { playerId: 'playerId_2', gameId, isRedraw: false } });
+    });
+
+    afterEach(() => {
+        turnTimerScheduler.cancel(gameId);
+    });
+
+    it('should start the clock for the player whose turn it is', async () => {
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        const clock = game.gameEnv.turnClock;
+
+        expect(clock.activePlayer).toBe(game.gameEnv.currentPlayer);
+        expect(clock.turnDeadline - clock.turnStartedAt).toBe(clock.turnSeconds * 1000);
+        expect(turnTimerScheduler.getScheduledCount()).toBeGreaterThan(0);
+    });
+
+    it('should re-arm the timers of stored games after a restart', async () => {
+        turnTimerScheduler.cancel(gameId);
+        expect(turnTimerScheduler.timers.has(gameId)).toBe(false);
+
+        await gameLogic.restoreTurnTimers();
+
+        const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+        expect(turnTimerScheduler.timers.get(gameId).dueAt).toBe(turnTimerScheduler.getNextDueAt(gameEnv.turnClock));
+    });
+
+    it('should give a turn that ran out while the server was down a grace period', async () => {
+        turnTimerScheduler.cancel(gameId);
+        await expireClock(gameId, -5000);
+        const before = (await gameLogic.readJSONFileAsync(gameId)).gameEnv.turnClock;
+
+        await gameLogic.restoreTurnTimers();
+
+        const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+        const clock = gameEnv.turnClock;
+        expect(clock.activePlayer).toBe(before.activePlayer);
+        expect(clock.turnDeadline).toBeGreaterThan(Date.now() + 25000);
+        expect(clock.turnDeadline - clock.turnStartedAt).toBe(before.turnDeadline - before.turnStartedAt);
+        expect(gameEnv.gameEvents.filter(event => event.type === 'TIMEOUT')).toEqual([]);
+        expect(turnTimerScheduler.timers.get(gameId).dueAt).toBe(turnTimerScheduler.getNextDueAt(clock));
+    });
+
+    it('should arm the timer again when the expiry handler throws', async () => {
+        const expiryHandler = turnTimerScheduler.expiryHandler;
+        const failing = jest.fn()
+            .mockRejectedValueOnce(new Error('store unavailable'))
+            .mockResolvedValue(null);
+        turnTimerScheduler.setExpiryHandler(failing);
+        try {
+            const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+            turnTimerScheduler.cancel(gameId);
+            turnTimerScheduler.schedule(gameId, { ...gameEnv, turnClock: { ...gameEnv.turnClock, warned: true, turnDeadline: Date.now() } });
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(failing).toHaveBeenCalledTimes(1);
+            expect(turnTimerScheduler.timers.has(gameId)).toBe(true);
+
+            await new Promise(resolve => setTimeout(resolve, 1100));
+            expect(failing).toHaveBeenCalledTimes(2);
+            expect(turnTimerScheduler.failures.has(gameId)).toBe(false);
+        } finally {
+            turnTimerScheduler.setExpiryHandler(expiryHandler);
+        }
+    });
+
+    it('should warn before the deadline', async () => {
+        await expireClock(gameId, 5000);
+        const state = await gameLogic.handleTurnTimer(gameId);
+
+        const [warning] = eventsOfType(state, 'TIMER_WARNING');
+        expect(warning.data.secondsLeft).toBe(5);
+        expect(state.gameEnv.turnClock.warned).toBe(true);
+    });
+
+    it('should auto-play a face-down card and pass the turn on timeout', async () => {
+        const before = await gameLogic.readJSONFileAsync(gameId);
+        const timedPlayer = before.gameEnv.currentPlayer;
+
+        await expireClock(gameId);
+        await gameLogic.handleTurnTimer(gameId);
+
+        const after = await gameLogic.readJSONFileAsync(gameId);
+        const timeout = after.gameEnv.gameEvents.find(event => event.type === 'TIMEOUT');
+        expect(timeout.data).toMatchObject({ playerId: timedPlayer, result: 'AUTO_PASS', timeouts: 1 });
+
+        const played = after.gameEnv[timedPlayer].turnAction.slice(-1)[0];
+        expect(played.type).toBe('PlayCardBack');
+        expect(after.gameEnv.currentPlayer).not.toBe(timedPlayer);
+        expect(after.gameEnv.turnClock.activePlayer).toBe(after.gameEnv.currentPlayer);
+    });
+
+    it('should pass the turn when nothing can be placed, drawing nothing from an empty deck', async () => {
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        const timedPlayer = game.gameEnv.currentPlayer;
+        const opponent = ['playerId_1', 'playerId_2'].find(playerId => playerId !== timedPlayer);
+        game.gameEnv[timedPlayer].deck.hand = [];
+        game.gameEnv[opponent].deck.mainDeck = [];
+        const opponentHand = game.gameEnv[opponent].deck.hand.length;
+        await gameLogic.gameStore.set(gameId, game);
+
+        await expireClock(gameId);
+        await gameLogic.handleTurnTimer(gameId);
+
+        const after = await gameLogic.readJSONFileAsync(gameId);
+        expect(after.gameEnv).toMatchObject({ phase: 'DRAW_PHASE', currentPlayer: opponent });
+        expect(after.gameEnv[opponent].deck.hand).toHaveLength(opponentHand);
+        expect(after.gameEnv.gameEvents.filter(event => event.type === 'DRAW_PHASE_COMPLETE').pop().data.cardCount).toBe(0);
+    });
+
+    it('should keep a game with one dealt seat off the clock', async () => {
+        // Debug games were stored with a running clock and no opponent
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        const opponent = ['playerId_1', 'playerId_2'].find(playerId => playerId !== game.gameEnv.currentPlayer);
+        delete game.gameEnv[opponent];
+        await gameLogic.gameStore.set(gameId, game);
+
+        await expireClock(gameId);
+        expect(await gameLogic.handleTurnTimer(gameId)).toBeNull();
+
+        const after = await gameLogic.readJSONFileAsync(gameId);
+        expect(after.gameEnv.turnClock.activePlayer).toBeNull();
+        expect(turnTimerScheduler.timers.has(gameId)).toBe(false);
+    });
+
+    it('should replay a game in which a turn clock warning fired', async () => {
+        await expireClock(gameId, 5000);
+        await gameLogic.handleTurnTimer(gameId);
+
+        // Two turns: acknowledge the draw, then play a card face down where it is legal
+        for (let turn = 0; turn < 2; turn++) {
+            const { gameEnv } = await gameLogic.readJSONFileAsync(gameId);
+            const playerId = gameEnv.currentPlayer;
+            const drawEvent = gameEnv.gameEvents.filter(event => event.type === 'DRAW_PHASE_COMPLETE').pop();
+            await gameLogic.acknowledgeGameEvents(gameId, [drawEvent.id], { playerId });
+            const { gameEnv: mainPhase } = await gameLogic.readJSONFileAsync(gameId);
+            const action = await gameLogic.mozGamePlay.findAutoPassAction(mainPhase, playerId);
+            await gameLogic.processPlayerAction({ body: { gameId, playerId, action } });
+        }
+
+        const replay = await gameReplayService.exportGame(gameId);
+        expect(replay.actions.map(entry => entry.type)).toContain('TIMER_WARNING');
+        const imported = await gameReplayService.importGame(replay);
+        expect(imported.matchesExport).toBe(true);
+    });
+
+    it('should forfeit a player after repeated timeouts', async () => {
+        const game = await gameLogic.readJSONFileAsync(gameId);
+        const timedPlayer = game.gameEnv.currentPlayer;
+        game.gameEnv.turnClock.timeouts[timedPlayer] = 1;
+        await gameLogic.gameStore.set(gameId, game);
+
+        await expireClock(gameId);
+        const state = await gameLogic.handleTurnTimer(gameId);
+
+        expect(state.gameEnv.phase).toBe('GAME_END');
+        expect(state.gameEnv.forfeitedBy).toBe(timedPlayer);
+        expect(state.gameEnv.winner).not.toBe(timedPlayer);
+        expect(eventsOfType(state, 'TIMEOUT')[0].data.result).toBe('FORFEIT');
+        expect(state.gameEnv.turnClock.activePlayer).toBeNull();
+    });
+});
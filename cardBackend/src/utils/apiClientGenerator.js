@@ -0,0 +1,199 @@
+// src/utils/apiClientGenerator.js
+/**
+ * Generates the frontend's API client from the OpenAPI document
+ * The output is an ES module with one method per operation and JSDoc typedefs for every
+ * path, query and body schema, so editors can type-check calls. Streaming operations get a
+ * `<operationId>Path()` method instead, for use with EventSource; operations answering
+ * neither JSON nor a stream (e.g. the metrics text) and test-only routes are left out.
+ */
+
+function toTypeName(operationId, part) {
+    return `${operationId[0].toUpperCase()}${operationId.slice(1)}${part}`;
+}
+
+// JSDoc type expression for a (JSON Schema subset) schema
+function toJsDocType(schema) {
+    if (!schema) {
+        return '*';
+    }
+    if (schema.enum) {
+        return schema.enum.map(value => JSON.stringify(value).replace(/"/g, "'")).join('|');
+    }
+    switch (schema.type) {
+        case 'string':
+            return 'string';
+        case 'integer':
+        case 'number':
+            return 'number';
+        case 'boolean':
+            return 'boolean';
+        case 'array':
+            return `Array<${toJsDocType(schema.items)}>`;
+        case 'object': {
+            const entries = Object.entries(schema.properties || {});
+            if (entries.length === 0) {
+                return 'Object';
+            }
+            const required = schema.required || [];
+            const fields = entries.map(([name, property]) => `${name}${required.includes(name) ? '' : '?'}: ${toJsDocType(property)}`);
+            return `{ ${fields.join(', ')} }`;
+        }
+        default:
+            return '*';
+    }
+}
+
+function buildTypedef(name, schema) {
+    const required = schema.required || [];
+    const lines = ['/**', ` * @typedef {Object} ${name}`];
+    Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+        const field = required.includes(property) ? property : `[${property}]`;
+        lines.push(` * @property {${toJsDocType(propertySchema)}} ${field}`);
+    });
+    lines.push(' */');
+    return lines.join('\n');
+}
+
+// Group an operation's parameters back into { params, query } schemas
+function getParameterSchema(operation, location) {
+    const parameters = (operation.parameters || []).filter(parameter => parameter.in === location);
+    if (parameters.length === 0) {
+        return null;
+    }
+    return {
+        type: 'object',
+        properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+        required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+    };
+}
+
+function toPathExpression(path) {
+    if (!path.includes('{')) {
+        return `'${path}'`;
+    }
+    return `\`${path.replace(/\{(\w+)\}/g, '${encodeURIComponent(params.$1)}')}\``;
+}
+
+const CLIENT_CONTENT_TYPES = ['application/json', 'text/event-stream'];
+
+function listOperations(document) {
+    const operations = [];
+    Object.entries(document.paths).forEach(([path, methods]) => {
+        // Test-only routes are not served outside NODE_ENV=test
+        if (path.startsWith('/test/')) {
+            return;
+        }
+        Object.entries(methods).forEach(([method, operation]) => {
+            const contentTypes = Object.keys(operation.responses[200].content);
+            if (contentTypes.some(contentType => CLIENT_CONTENT_TYPES.includes(contentType))) {
+                operations.push({ path, method: method.toUpperCase(), operation });
+            }
+        });
+    });
+    return operations;
+}
+
+function buildMethod({ path, method, operation }, typedefs) {
+    const { operationId } = operation;
+    const parts = [];
+    const requestTypes = [];
+
+    const addPart = (part, key, schema) => {
+        if (!schema) {
+            return;
+        }
+        const typeName = toTypeName(operationId, part);
+        typedefs.push(buildTypedef(typeName, schema));
+        parts.push(key);
+        requestTypes.push(`${key}${(schema.required || []).length > 0 ? '' : '?'}: ${typeName}`);
+    };
+    addPart('Params', 'params', getParameterSchema(operation, 'path'));
+    addPart('Query', 'query', getParameterSchema(operation, 'query'));
+    addPart('Body', 'body', operation.requestBody?.content['application/json'].schema);
+
+    const isStream = Boolean(operation.responses[200].content['text/event-stream']);
+    const tokens = (operation.security || []).flatMap(requirement => Object.keys(requirement));
+    const tokenNote = tokens.includes('adminToken') ? ' (admin token)'
+        : tokens.includes('sessionToken') ? ' (session token)'
+        : tokens.includes('playerKey') ? ' (player key)' : '';
+    const pathLine = `${method} ${path}${tokenNote}`;
+    const pathExpression = toPathExpression(path);
+    const fullPath = parts.includes('query') ? `withQuery(${pathExpression}, query)` : pathExpression;
+
+    // Streams are GET routes without a body
+    if (isStream) {
+        return [
+            '  /**',
+            `   * ${operation.summary}`,
+            `   * ${pathLine}; open the returned path with EventSource`,
+            `   * @param {{ ${requestTypes.join(', ')} }} request`,
+            '   * @returns {string} Path below the API base URL',
+            '   */',
+            `  ${operationId}Path({ ${parts.join(', ')} } = {}) {`,
+            `    return ${fullPath};`,
+            '  }'
+        ].join('\n');
+    }
+
+    const args = [...parts, 'headers'];
+    const options = parts.includes('body') ? '{ body, headers }' : '{ headers }';
+    return [
+        '  /**',
+        `   * ${operation.summary}`,
+        `   * ${pathLine}`,
+        `   * @param {{ ${[...requestTypes, 'headers?: Object'].join(', ')} }} ${requestTypes.every(type => type.includes('?')) ? '[request]' : 'request'}`,
+        '   * @returns {Promise<Object>} Parsed JSON response',
+        '   */',
+        `  ${operationId}({ ${args.join(', ')} } = {}) {`,
+        `    return this.send('${method}', ${fullPath}, ${options});`,
+        '  }'
+    ].join('\n');
+}
+
+/**
+ * Source of the generated client module
+ * @param {Object} document - OpenAPI document from buildOpenApiDocument
+ * @returns {string} JavaScript source
+ */
+function generateApiClientSource(document) {
+    const typedefs = [];
+    const methods = listOperations(document).map(operation => buildMethod(operation, typedefs));
+
+    return [
+        '// Generated by cardBackend/scripts/generateApiClient.js from the OpenAPI document',
+        `// (GET ${document.servers[0].url}/openapi.json, version ${document.info.version}). Do not edit by hand:`,
+        '// change the routes or request schemas and run `npm run generate:client` in cardBackend.',
+        '',
+        '/**',
+        ' * @callback ApiTransport',
+        ' * @param {string} method - HTTP method',
+        ' * @param {string} path - Path below the API base URL, including the query string',
+        ' * @param {{ body?: Object, headers?: Object }} options - JSON body and extra headers',
+        ' * @returns {Promise<Object>} Parsed JSON response',
+        ' */',
+        '',
+        ...typedefs.flatMap(typedef => [typedef, '']),
+        'function withQuery(path, query = {}) {',
+        '  const search = new URLSearchParams(',
+        '    Object.entries(query).filter(([, value]) => value !== undefined && value !== null)',
+        '  ).toString();',
+        '  return search ? `${path}?${search}` : path;',
+        '}',
+        '',
+        'export default class GameApiClient {',
+        '  /**',
+        '   * @param {ApiTransport} send - Performs the HTTP request',
+        '   */',
+        '  constructor(send) {',
+        '    this.send = send;',
+        '  }',
+        '',
+        methods.join('\n\n'),
+        '}',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    generateApiClientSource
+};
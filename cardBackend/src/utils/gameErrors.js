@@ -0,0 +1,170 @@
+/**
+ * Error types raised by the game services and translated into HTTP responses by the controller
+ */
+
+/**
+ * Catalogue of game error codes. The same codes are used as `errorType` of ERROR_OCCURRED
+ * game events and as `code` of error responses. Messages may contain {param} placeholders
+ * that are filled from the error's params.
+ */
+const GAME_ERROR_CODES = {
+    // Request problems
+    INVALID_JSON: { status: 400, message: 'Request body is not valid JSON' },
+    MISSING_PARAMETERS: { status: 400, message: 'Missing required parameters: {fields}' },
+    INVALID_REQUEST: { status: 400, message: 'Invalid request fields: {fields}' },
+    ROUTE_NOT_FOUND: { status: 404, message: 'Route not found' },
+    GAME_NOT_FOUND: { status: 404, message: 'Game not found' },
+    GAME_ALREADY_EXISTS: { status: 409, message: 'Game {gameId} already exists' },
+    GAME_READ_ONLY: { status: 409, message: 'Game {gameId} is an imported replay and cannot be played' },
+    STALE_GAME_STATE: { status: 409, message: 'Game state has changed since your last update. Please resync and try again.' },
+
+    // Sessions and tokens
+    SESSION_REQUIRED: { status: 401, message: 'A valid session token is required' },
+    SESSION_MISMATCH: { status: 403, message: 'Session does not belong to this game or player' },
+    SPECTATOR_READ_ONLY: { status: 403, message: 'Spectators cannot act in the game' },
+    CASTER_KEY_INVALID: { status: 403, message: 'Caster view requires a valid caster key' },
+    ADMIN_DISABLED: { status: 403, message: 'Admin API is disabled' },
+    ADMIN_TOKEN_REQUIRED: { status: 401, message: 'A valid admin token is required' },
+
+    // Lobby rooms
+    ROOM_NOT_FOUND: { status: 404, message: 'Room not found' },
+    ROOM_NOT_OPEN: { status: 409, message: 'Room is not available for joining' },
+    ROOM_PASSCODE_REQUIRED: { status: 403, message: 'This room is private; a passcode is required' },
+    ROOM_PASSCODE_INVALID: { status: 403, message: 'Incorrect room passcode' },
+    ROOM_NOT_CREATOR: { status: 403, message: 'Only the room creator can close the room' },
+
+    // Turn order and blocking actions
+    NOT_YOUR_TURN: { status: 422, message: 'Not your turn' },
+    CARD_SELECTION_PENDING: { status: 422, message: 'You must complete your card selection first. Select {selectCount} card(s).' },
+    WAITING_FOR_PLAYER: { status: 422, message: 'Waiting for {waitingFor} to complete card selection. Please wait.' },
+    GAME_BLOCKED: { status: 422, message: 'Game is waiting for player action.' },
+    ROOM_NOT_READY: { status: 422, message: 'Room is not ready for player ready status. Current phase: {phase}' },
+    REDRAW_LIMIT_REACHED: { status: 422, message: 'No redraws left ({redraws} allowed by these rules)' },
+
+    // Card placement
+    INVALID_POSITION: { status: 422, message: 'position out of range' },
+    INVALID_CARD_INDEX: { status: 422, message: 'hand card out of range' },
+    CARD_NOT_FOUND: { status: 422, message: 'Card not found' },
+    ZONE_COMPATIBILITY: { status: 422, message: '{reason}' },
+    FIELD_EFFECT_RESTRICTION: { status: 422, message: '{reason}' },
+    PHASE_RESTRICTION: { status: 422, message: '{reason}' },
+    SP_PHASE_RESTRICTION: { status: 422, message: 'Cards in SP zone must be played face-down during SP phase' },
+    CARD_TYPE_ZONE: { status: 422, message: '{reason}' },
+    ZONE_OCCUPIED: { status: 422, message: '{reason}' },
+
+    // Card selection
+    SELECTION_NOT_FOUND: { status: 422, message: 'Invalid or expired card selection' },
+    SELECTION_COUNT_MISMATCH: { status: 422, message: 'Must select exactly {selectCount} cards' },
+    INVALID_SELECTED_CARD: { status: 422, message: 'Invalid card selection: {cardId}' },
+    NOT_HELP_CARD: { status: 422, message: 'Selected card is not a Help card' },
+
+    // Takebacks
+    TAKEBACKS_OFF: { status: 422, message: 'Takebacks are off in this game' },
+    NOTHING_TO_TAKE_BACK: { status: 422, message: 'You have no action to take back' },
+    NO_TAKEBACK_REQUEST: { status: 422, message: 'There is no takeback request to answer' },
+    SOLO_PRACTICE_ONLY: { status: 403, message: 'Games with automatic takebacks are solo practice: the second seat needs the creator\'s session' },
+
+    // Ranked games
+    RANKED_NAME_REQUIRED: { status: 400, message: 'Ranked games need a player name' },
+    RANKED_SAME_PLAYER: { status: 409, message: '{playerName} cannot play a ranked game against themselves' },
+    PREVIOUS_GAME_MISMATCH: { status: 409, message: 'Game {previousGameId} was not played by the players of this rematch' },
+
+    // Player names
+    PLAYER_NAME_CLAIMED: { status: 409, message: '{playerName} is already claimed' },
+    PLAYER_KEY_REQUIRED: { status: 401, message: 'Acting as {playerName} needs its player key; claim the name first if it is new' },
+    PLAYER_KEY_INVALID: { status: 403, message: 'Player key does not belong to {playerName}' },
+
+    // Deck builder
+    DECK_NOT_FOUND: { status: 404, message: 'Deck {deckId} not found' },
+    DECK_INVALID: { status: 422, message: 'Invalid deck: {reason}' },
+    DECK_LIMIT_REACHED: { status: 422, message: 'A player can keep at most {maxDecks} decks' },
+    DECK_LAST_ONE: { status: 422, message: 'A player must keep at least one deck' },
+
+    // Admin interventions
+    ADMIN_ACTION_REJECTED: { status: 422, message: '{action} rejected: {reason}' },
+    REPLAY_INVALID: { status: 400, message: 'Not a game replay: {reason}' },
+    REPLAY_FAILED: { status: 422, message: 'Replay stopped at action {seq} ({type}): {reason}' },
+
+    // Anything the engine rejects without a more specific code
+    RULE_VIOLATION: { status: 422, message: '{reason}' }
+};
+
+function formatGameErrorMessage(code, params = {}) {
+    const definition = GAME_ERROR_CODES[code] || GAME_ERROR_CODES.RULE_VIOLATION;
+    return definition.message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined) {
+            return placeholder;
+        }
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+}
+
+/**
+ * Raised for a catalogued game error: a rule violation, a missing game or a bad request.
+ * Carries the code, its params and the HTTP status from GAME_ERROR_CODES.
+ */
+class GameError extends Error {
+    /**
+     * @param {string} code - Key of GAME_ERROR_CODES, e.g. 'ZONE_OCCUPIED'
+     * @param {Object} params - Values for the message and for clients, e.g. { zone: 'help' }
+     * @param {string} message - Overrides the catalogue message
+     */
+    constructor(code, params = {}, message) {
+        super(message || formatGameErrorMessage(code, params));
+        this.name = 'GameError';
+        this.code = GAME_ERROR_CODES[code] ? code : 'RULE_VIOLATION';
+        this.params = params;
+        this.status = GAME_ERROR_CODES[this.code].status;
+    }
+
+    /**
+     * Turn an engine result ({ error, code, params } from mozGamePlay.throwError) into an error
+     * @param {Object} result - Rejected engine result
+     * @returns {GameError} Error to throw
+     */
+    static fromResult(result) {
+        return new GameError(result.code || 'RULE_VIOLATION', result.params || { reason: result.error }, result.error);
+    }
+}
+
+/**
+ * Raised when a state-changing request was built on an outdated copy of the game,
+ * i.e. the client's version/updateUUID no longer matches the stored game (STALE_GAME_STATE).
+ * Carries the current stored game; the controller projects it for the requesting
+ * player so the client can resync.
+ */
+class GameStateConflictError extends GameError {
+    /**
+     * @param {Object} currentGame - Latest stored game state
+     */
+    constructor(currentGame) {
+        super('STALE_GAME_STATE');
+        this.name = 'GameStateConflictError';
+        this.currentGame = currentGame;
+    }
+}
+
+/**
+ * Raised when a lobby room cannot be created, joined or closed as requested
+ * (missing or wrong passcode, room already full or closed, not the room's creator).
+ */
+class RoomAccessError extends GameError {
+    /**
+     * @param {string} code - Key of GAME_ERROR_CODES, mostly a ROOM_* code, e.g. 'ROOM_PASSCODE_INVALID'
+     * @param {Object} params - Values for the message and for clients
+     * @param {string} message - Overrides the catalogue message
+     */
+    constructor(code, params = {}, message) {
+        super(code, params, message);
+        this.name = 'RoomAccessError';
+    }
+}
+
+module.exports = {
+    GAME_ERROR_CODES,
+    formatGameErrorMessage,
+    GameError,
+    GameStateConflictError,
+    RoomAccessError
+};
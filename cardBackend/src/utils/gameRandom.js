@@ -0,0 +1,107 @@
+// src/utils/gameRandom.js
+/**
+ * Per-game seeded random numbers
+ * Every random choice in a game (deck shuffles, random discards, the first player coin
+ * flip) comes from gameEnv.random = { seed, state }, whose state is saved with the game.
+ * Starting a game from the same seed and applying the same actions reproduces it exactly.
+ * The seed never reaches the players while the game is running.
+ *
+ * New games use sfc32, seeded with 128 random bits (seed: 32 hex characters, state: four
+ * 32-bit words), so the seed cannot be searched for from the cards a player sees. Games
+ * seeded before, with a 32-bit integer, keep their mulberry32 generator so they continue
+ * and replay as they were dealt.
+ */
+
+const crypto = require('crypto');
+
+const UINT32_RANGE = 2 ** 32;
+const SEED_PATTERN = /^[0-9a-f]{32}$/;
+// Outputs dropped after seeding, so the first numbers do not follow the seed words closely
+const SFC32_WARMUP = 12;
+
+// sfc32 step: advances the four state words in place, returns a 32-bit unsigned number
+function sfc32(state) {
+    let [a, b, c, d] = state;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    state[0] = a >>> 0;
+    state[1] = b >>> 0;
+    state[2] = c >>> 0;
+    state[3] = d >>> 0;
+    return t >>> 0;
+}
+
+// mulberry32 step for games with a 32-bit seed; returns the new state and a 32-bit number
+function mulberry32(state) {
+    let t = (state + 0x6D2B79F5) >>> 0;
+    const next = t;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { state: next, value: (t ^ (t >>> 14)) >>> 0 };
+}
+
+/**
+ * Generator state for a new game
+ * @param {string|number} [seed] - 128-bit seed as 32 hex characters, random when omitted;
+ *     a 32-bit unsigned integer recreates a game seeded before 128-bit seeds
+ * @returns {Object} { seed, state }
+ */
+function createRandomState(seed = crypto.randomBytes(16).toString('hex')) {
+    if (typeof seed === 'number') {
+        if (!Number.isInteger(seed) || seed < 0 || seed >= UINT32_RANGE) {
+            throw new Error(`Random seed must be a 32-bit unsigned integer, got ${seed}`);
+        }
+        return { seed, state: seed };
+    }
+    if (typeof seed !== 'string' || !SEED_PATTERN.test(seed)) {
+        throw new Error(`Random seed must be 32 lower-case hex characters, got ${seed}`);
+    }
+    const words = Buffer.from(seed, 'hex');
+    const state = [0, 4, 8, 12].map(offset => words.readUInt32BE(offset));
+    for (let i = 0; i < SFC32_WARMUP; i++) {
+        sfc32(state);
+    }
+    return { seed, state };
+}
+
+/**
+ * Next number in [0, 1) from the game's generator, advancing its state
+ * @param {Object} gameEnv - Game environment; games stored before seeding get a seed here
+ * @returns {number}
+ */
+function nextRandom(gameEnv) {
+    if (!gameEnv.random) {
+        gameEnv.random = createRandomState();
+    }
+    if (typeof gameEnv.random.state === 'number') {
+        const { state, value } = mulberry32(gameEnv.random.state);
+        gameEnv.random.state = state;
+        return value / UINT32_RANGE;
+    }
+    return sfc32(gameEnv.random.state) / UINT32_RANGE;
+}
+
+// Integer in [0, max)
+function randomInt(gameEnv, max) {
+    return Math.floor(nextRandom(gameEnv) * max);
+}
+
+// Fisher-Yates shuffle in place
+function shuffle(gameEnv, array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = randomInt(gameEnv, i + 1);
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+module.exports = {
+    createRandomState,
+    nextRandom,
+    randomInt,
+    shuffle
+};
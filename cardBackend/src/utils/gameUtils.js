@@ -17,6 +17,24 @@ function getPlayerFromGameEnv(gameEnv) {
     return playerArr;
 }
 
+// Name a seat's player gave when creating or joining the room, or null
+function getPlayerName(gameEnv, playerId) {
+    const playerData = gameEnv[playerId];
+    return (gameEnv.playerNames && gameEnv.playerNames[playerId])
+        || (playerData && typeof playerData === 'object' && playerData.name)
+        || null;
+}
+
+// Player names identify players (statistics, ratings) trimmed and case-insensitive
+function playerNameKey(name) {
+    return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+// Storage key for a player's records: file storage only accepts [A-Za-z0-9_.-] in keys
+function playerStorageKey(name) {
+    return Buffer.from(playerNameKey(name), 'utf8').toString('hex');
+}
+
 function getOpponentPlayer(gameEnv) {
     const currentPlayer = gameEnv["currentPlayer"];
     const playerIds = getPlayerFromGameEnv(gameEnv).filter(playerId => playerId !== currentPlayer);
@@ -34,6 +52,9 @@ function isConditionMatch(condition, gameEnv,
 
 module.exports = {
     getPlayerFromGameEnv,
+    getPlayerName,
+    playerNameKey,
+    playerStorageKey,
     getOpponentPlayer,
     isConditionMatch
 }; 
\ No newline at end of file
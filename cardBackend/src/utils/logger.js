@@ -0,0 +1,163 @@
+// src/utils/logger.js
+/**
+ * Structured logger
+ * One JSON object per line (or a readable line with LOG_FORMAT=pretty), tagged with the
+ * module name and the current log context: requestId, gameId, playerId and phase. The
+ * context follows the async call chain (AsyncLocalStorage), so code deep inside the game
+ * engine is tagged without passing ids around. Levels are set globally (LOG_LEVEL) and
+ * per module (LOG_MODULE_LEVELS=EffectSimulator=debug,GameLogic=warn); tests default to
+ * silent.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config/config');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const CONTEXT_FIELDS = ['requestId', 'gameId', 'playerId', 'phase'];
+
+const contextStorage = new AsyncLocalStorage();
+
+// Replaced by configureLogging (tests)
+let settings = { ...config.logging };
+let output = (level, line) => {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+function getLogContext() {
+    return contextStorage.getStore() || {};
+}
+
+/**
+ * Run a function with extra log context on top of the current one
+ * @param {Object} fields - e.g. { gameId }
+ * @param {Function} fn - Work to run
+ * @returns {*} fn's result
+ */
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+// Like withLogContext, but drops the caller's context (timers fired long after the request)
+function startLogContext(fields, fn) {
+    return contextStorage.run({ ...fields }, fn);
+}
+
+// Add fields to the current context, e.g. the phase once the game is loaded
+function setLogContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+function getModuleLevel(moduleName) {
+    const level = settings.moduleLevels[moduleName] || settings.level;
+    return LEVELS[level] !== undefined ? level : 'info';
+}
+
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+function formatPretty(entry) {
+    const { time, level, module: moduleName, msg, ...fields } = entry;
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} [${moduleName}] ${msg}${details ? ` ${details}` : ''}`;
+}
+
+class Logger {
+    constructor(moduleName) {
+        this.moduleName = moduleName;
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[getModuleLevel(this.moduleName)];
+    }
+
+    /**
+     * Write one log line
+     * @param {string} level - debug, info, warn or error
+     * @param {string} msg - Message
+     * @param {Object} fields - Extra structured fields; Error values are serialized
+     */
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const context = getLogContext();
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            module: this.moduleName,
+            msg
+        };
+        CONTEXT_FIELDS.forEach(field => {
+            if (context[field] !== undefined && context[field] !== null) {
+                entry[field] = context[field];
+            }
+        });
+        Object.entries(fields).forEach(([key, value]) => {
+            entry[key] = serializeValue(value);
+        });
+        output(level, settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+const loggers = new Map();
+
+function createLogger(moduleName) {
+    if (!loggers.has(moduleName)) {
+        loggers.set(moduleName, new Logger(moduleName));
+    }
+    return loggers.get(moduleName);
+}
+
+/**
+ * Change levels, format or output at runtime
+ * @param {Object} options - { level, moduleLevels, format, output: (level, line) => void }
+ */
+function configureLogging(options = {}) {
+    const { output: newOutput, ...rest } = options;
+    settings = { ...settings, ...rest };
+    if (newOutput) {
+        output = newOutput;
+    }
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    configureLogging,
+    getLogContext,
+    withLogContext,
+    startLogContext,
+    setLogContext
+};
@@ -0,0 +1,183 @@
+// src/utils/openApiDocument.js
+/**
+ * OpenAPI 3.1 description of the game API
+ * Built from the Express router itself: each route's method and path come from the router,
+ * its parameters and request body from the requestSchemas entry carried by its
+ * validateRequest middleware, and routes behind requirePlayerSession, requirePlayerKey or
+ * requireAdminToken are marked as needing a session, player key or admin token. Routes without validateRequest do not
+ * appear in the document.
+ */
+
+const { requirePlayerSession } = require('../middleware/requirePlayerSession');
+const { requirePlayerKey } = require('../middleware/requirePlayerKey');
+const { requireAdminToken } = require('../middleware/requireAdminToken');
+const { version } = require('../../package.json');
+
+const API_BASE_PATH = '/api/game';
+
+const TAGS = {
+    player: 'Game',
+    games: 'Game',
+    lobby: 'Lobby',
+    spectate: 'Spectators',
+    admin: 'Admin',
+    test: 'Testing'
+};
+
+// Express ':name' segments become OpenAPI '{name}'
+function toOpenApiPath(expressPath) {
+    return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+function getTag(expressPath) {
+    const [segment] = expressPath.split('/').filter(Boolean);
+    return TAGS[segment] || 'Server';
+}
+
+function toParameters(schema, location) {
+    if (!schema) {
+        return [];
+    }
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, propertySchema]) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        schema: propertySchema
+    }));
+}
+
+function getSecurity(routeSchema, handles) {
+    if (handles.includes(requireAdminToken)) {
+        return [{ adminToken: [] }];
+    }
+    if (handles.includes(requirePlayerSession)) {
+        return [{ sessionToken: [] }];
+    }
+    if (handles.includes(requirePlayerKey)) {
+        return [{ playerKey: [] }];
+    }
+    // Spectator tokens may come as a bearer token or as ?token= (EventSource cannot set headers)
+    if (routeSchema.session === 'spectator') {
+        return [{ sessionToken: [] }, {}];
+    }
+    return undefined;
+}
+
+function buildOperation(operationId, expressPath, routeSchema, handles) {
+    const operation = {
+        operationId,
+        tags: [getTag(expressPath)],
+        summary: routeSchema.summary
+    };
+
+    const parameters = [...toParameters(routeSchema.params, 'path'), ...toParameters(routeSchema.query, 'query')];
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+    if (routeSchema.body) {
+        operation.requestBody = {
+            required: (routeSchema.body.required || []).length > 0,
+            content: { 'application/json': { schema: routeSchema.body } }
+        };
+    }
+
+    const security = getSecurity(routeSchema, handles);
+    if (security) {
+        operation.security = security;
+    }
+
+    operation.responses = {
+        200: routeSchema.stream
+            ? {
+                description: 'Server-Sent Events; every `state` event carries the same payload as the matching state request',
+                content: { 'text/event-stream': { schema: { type: 'string' } } }
+            }
+            : {
+                description: 'Success',
+                content: routeSchema.contentType
+                    ? { [routeSchema.contentType]: { schema: { type: 'string' } } }
+                    : { 'application/json': { schema: { type: 'object' } } }
+            },
+        default: { $ref: '#/components/responses/Error' }
+    };
+    return operation;
+}
+
+/**
+ * Build the OpenAPI document for a router
+ * @param {Object} router - Express router (gameRoutes)
+ * @param {Object} schemas - requestSchemas; an entry's key becomes the operationId
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(router, schemas) {
+    const paths = {};
+    router.stack
+        .filter(layer => layer.route)
+        .forEach(layer => {
+            const handles = layer.route.stack.map(routeLayer => routeLayer.handle);
+            const validator = handles.find(handle => handle.routeSchema);
+            if (!validator) {
+                return;
+            }
+
+            const operationId = Object.keys(schemas).find(key => schemas[key] === validator.routeSchema);
+            const path = toOpenApiPath(layer.route.path);
+            paths[path] = paths[path] || {};
+            Object.keys(layer.route.methods).forEach(method => {
+                paths[path][method] = buildOperation(operationId, layer.route.path, validator.routeSchema, handles);
+            });
+        });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Revolution and Rebellion game API',
+            version
+        },
+        servers: [{ url: API_BASE_PATH }],
+        paths,
+        components: {
+            securitySchemes: {
+                sessionToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Session token returned by startGame, joinRoom, joinRoomByCode or spectateRoom'
+                },
+                adminToken: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'The server\'s ADMIN_TOKEN (also accepted as X-Admin-Token)'
+                },
+                playerKey: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-Player-Key',
+                    description: 'Player key returned by claimPlayerName for the name in the path'
+                }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error', 'code'],
+                    properties: {
+                        error: { type: 'string', description: 'Human readable message' },
+                        code: { type: 'string', description: 'Machine readable code, e.g. NOT_YOUR_TURN or INVALID_REQUEST' },
+                        params: { type: 'object', description: 'Values the message was built from' }
+                    }
+                }
+            },
+            responses: {
+                Error: {
+                    description: 'Error (4xx or 500)',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    API_BASE_PATH,
+    buildOpenApiDocument
+};
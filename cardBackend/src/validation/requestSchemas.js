@@ -0,0 +1,310 @@
+// src/validation/requestSchemas.js
+/**
+ * Request schemas for the /api routes
+ * One entry per route in gameRoutes.js with optional `params`, `query` and `body` schemas
+ * (JSON Schema subset understood by schemaValidator). Properties a schema does not list are
+ * let through, so clients may keep sending extras such as version and updateUUID.
+ * The entry's key is the route's operationId in the OpenAPI document; `summary`, `stream`
+ * (Server-Sent Events response), `contentType` (non-JSON response) and
+ * `session: 'spectator'` only feed that document.
+ */
+
+const { FIRST_PLAYER_MODES, RULE_PROFILES, TAKEBACK_MODES } = require('../config/ruleProfiles');
+
+const identifier = { type: 'string', minLength: 1, maxLength: 100 };
+const seat = { type: 'string', enum: ['playerId_1', 'playerId_2'] };
+const playerName = { type: 'string', maxLength: 40 };
+const passcode = { type: 'string', minLength: 1, maxLength: 64 };
+
+// Stale-write detection fields (see GameLogic.readGameForUpdate)
+const clientState = {
+    version: { type: 'integer', minimum: 0 },
+    updateUUID: { type: 'string' }
+};
+
+function body(properties, required = []) {
+    return { type: 'object', properties, required };
+}
+
+const playerParams = body({ playerId: { ...identifier, pattern: '^[A-Za-z0-9_-]+$' } }, ['playerId']);
+const playerNameParams = body({ playerName: { ...playerName, minLength: 1 } }, ['playerName']);
+const roomParams = body({ roomCode: { type: 'string', minLength: 1, maxLength: 12 } }, ['roomCode']);
+const gameQuery = body({ gameId: identifier }, ['gameId']);
+const spectatorQuery = body({ token: { type: 'string', minLength: 1 } });
+const adminGameParams = body({ gameId: identifier }, ['gameId']);
+const adminReason = { type: 'string', maxLength: 500 };
+const listLimit = { type: 'string', pattern: '^([1-9][0-9]?|100)$' };
+const deckParams = body({ playerName: { ...playerName, minLength: 1 }, deckId: identifier }, ['playerName', 'deckId']);
+const deckName = { type: 'string', minLength: 1, maxLength: 40 };
+const cardIds = { type: 'array', items: { type: 'string', minLength: 1, maxLength: 20 } };
+// Card counts within the limits of decks.json are checked by DeckManager
+const deckFields = {
+    name: deckName,
+    leader: { ...cardIds, minItems: 4, maxItems: 4 },
+    cards: { ...cardIds, maxItems: 100 }
+};
+
+const requestSchemas = {
+    health: {
+        summary: 'Health check'
+    },
+    getMetrics: {
+        summary: 'Server metrics in the Prometheus text format',
+        contentType: 'text/plain'
+    },
+    getOpenApiDocument: {
+        summary: 'This OpenAPI document'
+    },
+    getGameCounts: {
+        summary: 'Active, waiting, finished, closed and archived game counts'
+    },
+    getPlayerData: {
+        summary: 'Game state as the given player sees it',
+        params: playerParams,
+        query: gameQuery
+    },
+    streamGameState: {
+        summary: 'Server-Sent Events stream of the game state as the given player sees it',
+        stream: true,
+        params: playerParams,
+        // EventSource cannot send the session header, so the token may come in the query
+        query: body({ gameId: identifier, token: { type: 'string', minLength: 1 } }, ['gameId'])
+    },
+    updateScore: {
+        summary: 'Store a score for a player',
+        params: playerParams,
+        body: body({ gameId: identifier, score: { type: 'number' }, ...clientState }, ['gameId'])
+    },
+    getPlayerStats: {
+        summary: 'Win/loss record, favourite leaders and recent games of the player with this name',
+        params: playerNameParams
+    },
+    getPlayerMatches: {
+        summary: 'Games of the player with this name, newest first, with the points of every leader battle',
+        params: playerNameParams,
+        query: body({ limit: listLimit })
+    },
+    getRatingHistory: {
+        summary: 'Rating of the player with this name and how every rated game changed it, newest first',
+        params: playerNameParams,
+        query: body({ limit: listLimit })
+    },
+    getLeaderboard: {
+        summary: 'Rated players, best first; players with provisional ratings only on request',
+        query: body({ limit: listLimit, includeProvisional: { type: 'string', enum: ['true', 'false'] } })
+    },
+    getPlayerDecks: {
+        summary: "A seat's default decks",
+        params: playerParams
+    },
+    claimPlayerName: {
+        summary: 'Claim a player name; returns the player key that changes to its decks need',
+        params: playerNameParams
+    },
+    listPlayerDecks: {
+        summary: 'Decks saved under this player name, the active deck and the deck limits',
+        params: playerNameParams
+    },
+    createDeck: {
+        summary: 'Build a deck from 4 leaders and a main deck',
+        params: playerNameParams,
+        body: body(deckFields, ['name', 'leader', 'cards'])
+    },
+    updateDeck: {
+        summary: "Change a deck's name, leaders or main deck",
+        params: deckParams,
+        body: body(deckFields)
+    },
+    cloneDeck: {
+        summary: 'Copy a deck as a new deck',
+        params: deckParams,
+        body: body({ name: deckName })
+    },
+    deleteDeck: {
+        summary: 'Delete a deck (a player keeps at least one)',
+        params: deckParams
+    },
+    setActiveDeck: {
+        summary: 'Pick the deck this player brings to their next games',
+        params: playerNameParams,
+        body: body({ deckId: identifier }, ['deckId'])
+    },
+    startGame: {
+        summary: 'Create a game and its lobby room; returns the first seat and its session token. Ranked games need the X-Player-Key of playerName',
+        body: body({
+            gameConfig: body({
+                playerName,
+                isPrivate: { type: 'boolean' },
+                passcode,
+                ruleProfile: { type: 'string', enum: Object.keys(RULE_PROFILES) },
+                firstPlayerMode: { type: 'string', enum: FIRST_PLAYER_MODES },
+                takebacks: { type: 'string', enum: TAKEBACK_MODES },
+                ranked: { type: 'boolean' },
+                previousGameId: identifier
+            }),
+            playerName
+        })
+    },
+    joinRoom: {
+        summary: 'Take the second seat of a game by gameId; ranked games need the X-Player-Key of playerName',
+        body: body({ gameId: identifier, playerName, passcode, ...clientState }, ['gameId'])
+    },
+    startReady: {
+        summary: 'Keep or redraw the opening hand; the player is ready once they keep it or run out of redraws',
+        body: body({ gameId: identifier, playerId: seat, isRedraw: { type: 'boolean' }, ...clientState }, ['gameId'])
+    },
+    requestTakeback: {
+        summary: 'Take back your last action: at once in practice games, otherwise once the opponent accepts',
+        body: body({ gameId: identifier, playerId: seat, ...clientState }, ['gameId'])
+    },
+    respondTakeback: {
+        summary: "Accept or decline the opponent's takeback request",
+        body: body({ gameId: identifier, playerId: seat, accept: { type: 'boolean' }, ...clientState }, ['gameId', 'accept'])
+    },
+    playerAction: {
+        summary: 'Play a card from hand face up (PlayCard) or face down (PlayCardBack)',
+        body: body({
+            gameId: identifier,
+            playerId: seat,
+            action: body({
+                type: { type: 'string', enum: ['PlayCard', 'PlayCardBack'] },
+                card_idx: { type: 'integer', minimum: 0 },
+                // Field zones: 0 top, 1 left, 2 right, 3 help, 4 sp
+                field_idx: { type: 'integer', minimum: 0, maximum: 4 }
+            }, ['type', 'card_idx', 'field_idx']),
+            ...clientState
+        }, ['gameId', 'action'])
+    },
+    playerAIAction: {
+        summary: 'Let the AI act for a seat',
+        body: body({ gameId: identifier, playerId: seat }, ['gameId', 'playerId'])
+    },
+    selectCard: {
+        summary: 'Complete a card selection requested by a card effect',
+        body: body({
+            gameId: identifier,
+            playerId: seat,
+            selectionId: identifier,
+            selectedCardIds: { type: 'array', items: identifier },
+            ...clientState
+        }, ['gameId', 'selectionId', 'selectedCardIds'])
+    },
+    acknowledgeEvents: {
+        summary: 'Mark game events as processed by the client',
+        body: body({
+            gameId: identifier,
+            playerId: seat,
+            eventIds: { type: 'array', items: identifier },
+            ...clientState
+        }, ['gameId', 'eventIds'])
+    },
+    resumeGame: {
+        summary: 'Current state and unacknowledged events for a saved seat',
+        body: body({ gameId: identifier, playerId: seat }, ['gameId'])
+    },
+    nextRound: {
+        summary: 'Start the next round after a battle',
+        body: body({ gameId: identifier, playerId: seat, ...clientState }, ['gameId'])
+    },
+    setCase: {
+        summary: 'Test only: load a game from a file in src/testData',
+        // Names a file in src/testData, so no path separators
+        body: body({ caseFile: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' }, gameId: identifier }, ['caseFile'])
+    },
+    listRooms: {
+        summary: 'Rooms waiting for a second player, newest first'
+    },
+    getRoom: {
+        summary: 'Lobby room by room code',
+        params: roomParams
+    },
+    joinRoomByCode: {
+        summary: 'Take the second seat of a game by room code; ranked games need the X-Player-Key of playerName',
+        params: roomParams,
+        body: body({ playerName, passcode })
+    },
+    closeRoom: {
+        summary: 'Close a waiting room (creator only)',
+        params: roomParams,
+        body: body({ playerId: seat, ...clientState })
+    },
+    spectateRoom: {
+        summary: 'Get a read-only spectator (or delayed caster) session for a room',
+        params: roomParams,
+        body: body({
+            view: { type: 'string', enum: ['spectator', 'caster'] },
+            passcode,
+            casterKey: { type: 'string', minLength: 1 }
+        })
+    },
+    getSpectatorState: {
+        summary: 'Current redacted state for a spectator session',
+        session: 'spectator',
+        query: spectatorQuery
+    },
+    streamSpectatorView: {
+        summary: 'Server-Sent Events stream of the redacted state for a spectator session',
+        session: 'spectator',
+        stream: true,
+        query: spectatorQuery
+    },
+    adminListGames: {
+        summary: 'Admin: stored games, optionally only those in one phase',
+        query: body({ phase: { type: 'string', pattern: '^[A-Z_0-9]+$' } })
+    },
+    adminGetGame: {
+        summary: 'Admin: raw stored game, hidden information and admin log included',
+        params: adminGameParams
+    },
+    adminExportGame: {
+        summary: 'Admin: the game as a replay file (random seed and complete action log)',
+        params: adminGameParams
+    },
+    adminImportGame: {
+        summary: 'Admin: rebuild an exported game as a new game by replaying its actions',
+        // seed and each action's playerId may be null; GameReplayService checks format and action types
+        body: body({
+            format: { type: 'string' },
+            formatVersion: { type: 'integer', minimum: 1 },
+            actions: {
+                type: 'array',
+                minItems: 1,
+                items: body({
+                    seq: { type: 'integer', minimum: 1 },
+                    type: { type: 'string', pattern: '^[A-Z_]+$' },
+                    payload: { type: 'object' }
+                }, ['type'])
+            }
+        }, ['format', 'formatVersion', 'actions'])
+    },
+    adminClearSelections: {
+        summary: 'Admin: drop pending card selections and the action waiting on them',
+        params: adminGameParams,
+        body: body({ reason: adminReason })
+    },
+    adminForcePhase: {
+        summary: 'Admin: move a started game to another turn phase',
+        params: adminGameParams,
+        body: body({
+            phase: { type: 'string', enum: ['DRAW_PHASE', 'MAIN_PHASE', 'SP_PHASE', 'BATTLE_PHASE', 'END_LEADER_BATTLE'] },
+            currentPlayer: seat,
+            reason: adminReason
+        }, ['phase'])
+    },
+    adminAwardWin: {
+        summary: 'Admin: end a game with the given seat as winner',
+        params: adminGameParams,
+        body: body({ winner: seat, reason: adminReason }, ['winner'])
+    },
+    adminDeclareDraw: {
+        summary: 'Admin: end a game as a draw',
+        params: adminGameParams,
+        body: body({ reason: adminReason })
+    },
+    injectGameState: {
+        summary: 'Test only: store a game environment as a game',
+        body: body({ gameId: identifier, gameEnv: { type: 'object' } }, ['gameEnv'])
+    }
+};
+
+module.exports = requestSchemas;
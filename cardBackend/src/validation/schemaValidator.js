@@ -0,0 +1,128 @@
+// src/validation/schemaValidator.js
+/**
+ * Small JSON Schema validator for request payloads
+ * Understands the subset the request schemas use: type, properties, required,
+ * additionalProperties: false, enum, minimum, maximum, minLength, maxLength, pattern,
+ * items, minItems and maxItems. Every problem is reported with the path of the field at
+ * fault instead of stopping at the first one.
+ */
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+// Integers are numbers too
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+function checkString(schema, value, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ field: path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ field: path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ field: path, message: `must match ${schema.pattern}` });
+    }
+}
+
+function checkNumber(schema, value, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ field: path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ field: path, message: `must be <= ${schema.maximum}` });
+    }
+}
+
+function checkArray(schema, value, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field: path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ field: path, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+        value.forEach((item, index) => collectErrors(schema.items, item, `${path}[${index}]`, errors));
+    }
+}
+
+function checkObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+            errors.push({ field: joinPath(path, key), message: 'is required' });
+        }
+    });
+    Object.keys(value).forEach(key => {
+        if (properties[key]) {
+            if (value[key] !== undefined) {
+                collectErrors(properties[key], value[key], joinPath(path, key), errors);
+            }
+        } else if (schema.additionalProperties === false) {
+            errors.push({ field: joinPath(path, key), message: 'is not allowed' });
+        }
+    });
+}
+
+function collectErrors(schema, value, path, errors) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ field: path, message: `must be of type ${schema.type}` });
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: path, message: `must be one of: ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    switch (typeOf(value)) {
+        case 'string':
+            checkString(schema, value, path, errors);
+            break;
+        case 'integer':
+        case 'number':
+            checkNumber(schema, value, path, errors);
+            break;
+        case 'array':
+            checkArray(schema, value, path, errors);
+            break;
+        case 'object':
+            checkObject(schema, value, path, errors);
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {*} value - Value to check
+ * @param {string} path - Name of the value, used as prefix of every field path
+ * @returns {Object[]} [{ field, message }], empty when the value is valid
+ */
+function validateSchema(schema, value, path = '') {
+    const errors = [];
+    collectErrors(schema, value, path, errors);
+    return errors;
+}
+
+module.exports = {
+    validateSchema
+};
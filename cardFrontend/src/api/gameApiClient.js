@@ -0,0 +1,803 @@
+// Generated by cardBackend/scripts/generateApiClient.js from the OpenAPI document
+// (GET /api/game/openapi.json, version 1.0.0). Do not edit by hand:
+// change the routes or request schemas and run `npm run generate:client` in cardBackend.
+
+/**
+ * @callback ApiTransport
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API base URL, including the query string
+ * @param {{ body?: Object, headers?: Object }} options - JSON body and extra headers
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+
+/**
+ * @typedef {Object} GetPlayerDataParams
+ * @property {string} playerId
+ */
+
+/**
+ * @typedef {Object} GetPlayerDataQuery
+ * @property {string} gameId
+ */
+
+/**
+ * @typedef {Object} StreamGameStateParams
+ * @property {string} playerId
+ */
+
+/**
+ * @typedef {Object} StreamGameStateQuery
+ * @property {string} gameId
+ * @property {string} [token]
+ */
+
+/**
+ * @typedef {Object} UpdateScoreParams
+ * @property {string} playerId
+ */
+
+/**
+ * @typedef {Object} UpdateScoreBody
+ * @property {string} gameId
+ * @property {number} [score]
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} GetPlayerDecksParams
+ * @property {string} playerId
+ */
+
+/**
+ * @typedef {Object} StartGameBody
+ * @property {{ playerName?: string, isPrivate?: boolean, passcode?: string, ruleProfile?: 'standard'|'quick'|'marathon', firstPlayerMode?: 'leaderInitialPoint'|'coinFlip'|'loserOfPreviousGame', takebacks?: 'off'|'onRequest'|'automatic', ranked?: boolean, previousGameId?: string }} [gameConfig]
+ * @property {string} [playerName]
+ */
+
+/**
+ * @typedef {Object} JoinRoomBody
+ * @property {string} gameId
+ * @property {string} [playerName]
+ * @property {string} [passcode]
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} StartReadyBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {boolean} [isRedraw]
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} PlayerActionBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {{ type: 'PlayCard'|'PlayCardBack', card_idx: number, field_idx: number }} action
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} PlayerAIActionBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} playerId
+ */
+
+/**
+ * @typedef {Object} RequestTakebackBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} RespondTakebackBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {boolean} accept
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} SelectCardBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {string} selectionId
+ * @property {Array<string>} selectedCardIds
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} AcknowledgeEventsBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {Array<string>} eventIds
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} ResumeGameBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ */
+
+/**
+ * @typedef {Object} NextRoundBody
+ * @property {string} gameId
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} GetPlayerStatsParams
+ * @property {string} playerName
+ */
+
+/**
+ * @typedef {Object} GetPlayerMatchesParams
+ * @property {string} playerName
+ */
+
+/**
+ * @typedef {Object} GetPlayerMatchesQuery
+ * @property {string} [limit]
+ */
+
+/**
+ * @typedef {Object} GetRatingHistoryParams
+ * @property {string} playerName
+ */
+
+/**
+ * @typedef {Object} GetRatingHistoryQuery
+ * @property {string} [limit]
+ */
+
+/**
+ * @typedef {Object} GetLeaderboardQuery
+ * @property {string} [limit]
+ * @property {'true'|'false'} [includeProvisional]
+ */
+
+/**
+ * @typedef {Object} ClaimPlayerNameParams
+ * @property {string} playerName
+ */
+
+/**
+ * @typedef {Object} ListPlayerDecksParams
+ * @property {string} playerName
+ */
+
+/**
+ * @typedef {Object} CreateDeckParams
+ * @property {string} playerName
+ */
+
+/**
+ * @typedef {Object} CreateDeckBody
+ * @property {string} name
+ * @property {Array<string>} leader
+ * @property {Array<string>} cards
+ */
+
+/**
+ * @typedef {Object} UpdateDeckParams
+ * @property {string} playerName
+ * @property {string} deckId
+ */
+
+/**
+ * @typedef {Object} UpdateDeckBody
+ * @property {string} [name]
+ * @property {Array<string>} [leader]
+ * @property {Array<string>} [cards]
+ */
+
+/**
+ * @typedef {Object} DeleteDeckParams
+ * @property {string} playerName
+ * @property {string} deckId
+ */
+
+/**
+ * @typedef {Object} CloneDeckParams
+ * @property {string} playerName
+ * @property {string} deckId
+ */
+
+/**
+ * @typedef {Object} CloneDeckBody
+ * @property {string} [name]
+ */
+
+/**
+ * @typedef {Object} SetActiveDeckParams
+ * @property {string} playerName
+ */
+
+/**
+ * @typedef {Object} SetActiveDeckBody
+ * @property {string} deckId
+ */
+
+/**
+ * @typedef {Object} GetRoomParams
+ * @property {string} roomCode
+ */
+
+/**
+ * @typedef {Object} JoinRoomByCodeParams
+ * @property {string} roomCode
+ */
+
+/**
+ * @typedef {Object} JoinRoomByCodeBody
+ * @property {string} [playerName]
+ * @property {string} [passcode]
+ */
+
+/**
+ * @typedef {Object} CloseRoomParams
+ * @property {string} roomCode
+ */
+
+/**
+ * @typedef {Object} CloseRoomBody
+ * @property {'playerId_1'|'playerId_2'} [playerId]
+ * @property {number} [version]
+ * @property {string} [updateUUID]
+ */
+
+/**
+ * @typedef {Object} SpectateRoomParams
+ * @property {string} roomCode
+ */
+
+/**
+ * @typedef {Object} SpectateRoomBody
+ * @property {'spectator'|'caster'} [view]
+ * @property {string} [passcode]
+ * @property {string} [casterKey]
+ */
+
+/**
+ * @typedef {Object} GetSpectatorStateQuery
+ * @property {string} [token]
+ */
+
+/**
+ * @typedef {Object} StreamSpectatorViewQuery
+ * @property {string} [token]
+ */
+
+/**
+ * @typedef {Object} AdminListGamesQuery
+ * @property {string} [phase]
+ */
+
+/**
+ * @typedef {Object} AdminGetGameParams
+ * @property {string} gameId
+ */
+
+/**
+ * @typedef {Object} AdminExportGameParams
+ * @property {string} gameId
+ */
+
+/**
+ * @typedef {Object} AdminImportGameBody
+ * @property {string} format
+ * @property {number} formatVersion
+ * @property {Array<{ seq?: number, type: string, payload?: Object }>} actions
+ */
+
+/**
+ * @typedef {Object} AdminClearSelectionsParams
+ * @property {string} gameId
+ */
+
+/**
+ * @typedef {Object} AdminClearSelectionsBody
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} AdminForcePhaseParams
+ * @property {string} gameId
+ */
+
+/**
+ * @typedef {Object} AdminForcePhaseBody
+ * @property {'DRAW_PHASE'|'MAIN_PHASE'|'SP_PHASE'|'BATTLE_PHASE'|'END_LEADER_BATTLE'} phase
+ * @property {'playerId_1'|'playerId_2'} [currentPlayer]
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} AdminAwardWinParams
+ * @property {string} gameId
+ */
+
+/**
+ * @typedef {Object} AdminAwardWinBody
+ * @property {'playerId_1'|'playerId_2'} winner
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} AdminDeclareDrawParams
+ * @property {string} gameId
+ */
+
+/**
+ * @typedef {Object} AdminDeclareDrawBody
+ * @property {string} [reason]
+ */
+
+function withQuery(path, query = {}) {
+  const search = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== null)
+  ).toString();
+  return search ? `${path}?${search}` : path;
+}
+
+export default class GameApiClient {
+  /**
+   * @param {ApiTransport} send - Performs the HTTP request
+   */
+  constructor(send) {
+    this.send = send;
+  }
+
+  /**
+   * Health check
+   * GET /health
+   * @param {{ headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  health({ headers } = {}) {
+    return this.send('GET', '/health', { headers });
+  }
+
+  /**
+   * This OpenAPI document
+   * GET /openapi.json
+   * @param {{ headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getOpenApiDocument({ headers } = {}) {
+    return this.send('GET', '/openapi.json', { headers });
+  }
+
+  /**
+   * Active, waiting, finished, closed and archived game counts
+   * GET /games/counts
+   * @param {{ headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getGameCounts({ headers } = {}) {
+    return this.send('GET', '/games/counts', { headers });
+  }
+
+  /**
+   * Game state as the given player sees it
+   * GET /player/{playerId} (session token)
+   * @param {{ params: GetPlayerDataParams, query: GetPlayerDataQuery, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getPlayerData({ params, query, headers } = {}) {
+    return this.send('GET', withQuery(`/player/${encodeURIComponent(params.playerId)}`, query), { headers });
+  }
+
+  /**
+   * Server-Sent Events stream of the game state as the given player sees it
+   * GET /player/{playerId}/stream (session token); open the returned path with EventSource
+   * @param {{ params: StreamGameStateParams, query: StreamGameStateQuery }} request
+   * @returns {string} Path below the API base URL
+   */
+  streamGameStatePath({ params, query } = {}) {
+    return withQuery(`/player/${encodeURIComponent(params.playerId)}/stream`, query);
+  }
+
+  /**
+   * Store a score for a player
+   * PUT /player/{playerId}/score (session token)
+   * @param {{ params: UpdateScoreParams, body: UpdateScoreBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  updateScore({ params, body, headers } = {}) {
+    return this.send('PUT', `/player/${encodeURIComponent(params.playerId)}/score`, { body, headers });
+  }
+
+  /**
+   * A seat's default decks
+   * POST /player/{playerId}/deck
+   * @param {{ params: GetPlayerDecksParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getPlayerDecks({ params, headers } = {}) {
+    return this.send('POST', `/player/${encodeURIComponent(params.playerId)}/deck`, { headers });
+  }
+
+  /**
+   * Create a game and its lobby room; returns the first seat and its session token. Ranked games need the X-Player-Key of playerName
+   * POST /player/startGame
+   * @param {{ body?: StartGameBody, headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  startGame({ body, headers } = {}) {
+    return this.send('POST', '/player/startGame', { body, headers });
+  }
+
+  /**
+   * Take the second seat of a game by gameId; ranked games need the X-Player-Key of playerName
+   * POST /player/joinRoom
+   * @param {{ body: JoinRoomBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  joinRoom({ body, headers } = {}) {
+    return this.send('POST', '/player/joinRoom', { body, headers });
+  }
+
+  /**
+   * Keep or redraw the opening hand; the player is ready once they keep it or run out of redraws
+   * POST /player/startReady (session token)
+   * @param {{ body: StartReadyBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  startReady({ body, headers } = {}) {
+    return this.send('POST', '/player/startReady', { body, headers });
+  }
+
+  /**
+   * Play a card from hand face up (PlayCard) or face down (PlayCardBack)
+   * POST /player/playerAction (session token)
+   * @param {{ body: PlayerActionBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  playerAction({ body, headers } = {}) {
+    return this.send('POST', '/player/playerAction', { body, headers });
+  }
+
+  /**
+   * Let the AI act for a seat
+   * POST /player/playerAiAction (session token)
+   * @param {{ body: PlayerAIActionBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  playerAIAction({ body, headers } = {}) {
+    return this.send('POST', '/player/playerAiAction', { body, headers });
+  }
+
+  /**
+   * Take back your last action: at once in practice games, otherwise once the opponent accepts
+   * POST /player/requestTakeback (session token)
+   * @param {{ body: RequestTakebackBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  requestTakeback({ body, headers } = {}) {
+    return this.send('POST', '/player/requestTakeback', { body, headers });
+  }
+
+  /**
+   * Accept or decline the opponent's takeback request
+   * POST /player/respondTakeback (session token)
+   * @param {{ body: RespondTakebackBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  respondTakeback({ body, headers } = {}) {
+    return this.send('POST', '/player/respondTakeback', { body, headers });
+  }
+
+  /**
+   * Complete a card selection requested by a card effect
+   * POST /player/selectCard (session token)
+   * @param {{ body: SelectCardBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  selectCard({ body, headers } = {}) {
+    return this.send('POST', '/player/selectCard', { body, headers });
+  }
+
+  /**
+   * Mark game events as processed by the client
+   * POST /player/acknowledgeEvents (session token)
+   * @param {{ body: AcknowledgeEventsBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  acknowledgeEvents({ body, headers } = {}) {
+    return this.send('POST', '/player/acknowledgeEvents', { body, headers });
+  }
+
+  /**
+   * Current state and unacknowledged events for a saved seat
+   * POST /player/resume (session token)
+   * @param {{ body: ResumeGameBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  resumeGame({ body, headers } = {}) {
+    return this.send('POST', '/player/resume', { body, headers });
+  }
+
+  /**
+   * Start the next round after a battle
+   * POST /player/nextRound (session token)
+   * @param {{ body: NextRoundBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  nextRound({ body, headers } = {}) {
+    return this.send('POST', '/player/nextRound', { body, headers });
+  }
+
+  /**
+   * Win/loss record, favourite leaders and recent games of the player with this name
+   * GET /players/{playerName}/stats
+   * @param {{ params: GetPlayerStatsParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getPlayerStats({ params, headers } = {}) {
+    return this.send('GET', `/players/${encodeURIComponent(params.playerName)}/stats`, { headers });
+  }
+
+  /**
+   * Games of the player with this name, newest first, with the points of every leader battle
+   * GET /players/{playerName}/matches
+   * @param {{ params: GetPlayerMatchesParams, query?: GetPlayerMatchesQuery, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getPlayerMatches({ params, query, headers } = {}) {
+    return this.send('GET', withQuery(`/players/${encodeURIComponent(params.playerName)}/matches`, query), { headers });
+  }
+
+  /**
+   * Rating of the player with this name and how every rated game changed it, newest first
+   * GET /players/{playerName}/ratings
+   * @param {{ params: GetRatingHistoryParams, query?: GetRatingHistoryQuery, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getRatingHistory({ params, query, headers } = {}) {
+    return this.send('GET', withQuery(`/players/${encodeURIComponent(params.playerName)}/ratings`, query), { headers });
+  }
+
+  /**
+   * Rated players, best first; players with provisional ratings only on request
+   * GET /ratings/leaderboard
+   * @param {{ query?: GetLeaderboardQuery, headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getLeaderboard({ query, headers } = {}) {
+    return this.send('GET', withQuery('/ratings/leaderboard', query), { headers });
+  }
+
+  /**
+   * Claim a player name; returns the player key that changes to its decks need
+   * POST /players/{playerName}/key
+   * @param {{ params: ClaimPlayerNameParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  claimPlayerName({ params, headers } = {}) {
+    return this.send('POST', `/players/${encodeURIComponent(params.playerName)}/key`, { headers });
+  }
+
+  /**
+   * Decks saved under this player name, the active deck and the deck limits
+   * GET /players/{playerName}/decks
+   * @param {{ params: ListPlayerDecksParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  listPlayerDecks({ params, headers } = {}) {
+    return this.send('GET', `/players/${encodeURIComponent(params.playerName)}/decks`, { headers });
+  }
+
+  /**
+   * Build a deck from 4 leaders and a main deck
+   * POST /players/{playerName}/decks (player key)
+   * @param {{ params: CreateDeckParams, body: CreateDeckBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  createDeck({ params, body, headers } = {}) {
+    return this.send('POST', `/players/${encodeURIComponent(params.playerName)}/decks`, { body, headers });
+  }
+
+  /**
+   * Change a deck's name, leaders or main deck
+   * PUT /players/{playerName}/decks/{deckId} (player key)
+   * @param {{ params: UpdateDeckParams, body?: UpdateDeckBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  updateDeck({ params, body, headers } = {}) {
+    return this.send('PUT', `/players/${encodeURIComponent(params.playerName)}/decks/${encodeURIComponent(params.deckId)}`, { body, headers });
+  }
+
+  /**
+   * Delete a deck (a player keeps at least one)
+   * DELETE /players/{playerName}/decks/{deckId} (player key)
+   * @param {{ params: DeleteDeckParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  deleteDeck({ params, headers } = {}) {
+    return this.send('DELETE', `/players/${encodeURIComponent(params.playerName)}/decks/${encodeURIComponent(params.deckId)}`, { headers });
+  }
+
+  /**
+   * Copy a deck as a new deck
+   * POST /players/{playerName}/decks/{deckId}/clone (player key)
+   * @param {{ params: CloneDeckParams, body?: CloneDeckBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  cloneDeck({ params, body, headers } = {}) {
+    return this.send('POST', `/players/${encodeURIComponent(params.playerName)}/decks/${encodeURIComponent(params.deckId)}/clone`, { body, headers });
+  }
+
+  /**
+   * Pick the deck this player brings to their next games
+   * PUT /players/{playerName}/activeDeck (player key)
+   * @param {{ params: SetActiveDeckParams, body: SetActiveDeckBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  setActiveDeck({ params, body, headers } = {}) {
+    return this.send('PUT', `/players/${encodeURIComponent(params.playerName)}/activeDeck`, { body, headers });
+  }
+
+  /**
+   * Rooms waiting for a second player, newest first
+   * GET /lobby/rooms
+   * @param {{ headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  listRooms({ headers } = {}) {
+    return this.send('GET', '/lobby/rooms', { headers });
+  }
+
+  /**
+   * Lobby room by room code
+   * GET /lobby/rooms/{roomCode}
+   * @param {{ params: GetRoomParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getRoom({ params, headers } = {}) {
+    return this.send('GET', `/lobby/rooms/${encodeURIComponent(params.roomCode)}`, { headers });
+  }
+
+  /**
+   * Take the second seat of a game by room code; ranked games need the X-Player-Key of playerName
+   * POST /lobby/rooms/{roomCode}/join
+   * @param {{ params: JoinRoomByCodeParams, body?: JoinRoomByCodeBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  joinRoomByCode({ params, body, headers } = {}) {
+    return this.send('POST', `/lobby/rooms/${encodeURIComponent(params.roomCode)}/join`, { body, headers });
+  }
+
+  /**
+   * Close a waiting room (creator only)
+   * POST /lobby/rooms/{roomCode}/close (session token)
+   * @param {{ params: CloseRoomParams, body?: CloseRoomBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  closeRoom({ params, body, headers } = {}) {
+    return this.send('POST', `/lobby/rooms/${encodeURIComponent(params.roomCode)}/close`, { body, headers });
+  }
+
+  /**
+   * Get a read-only spectator (or delayed caster) session for a room
+   * POST /lobby/rooms/{roomCode}/spectate
+   * @param {{ params: SpectateRoomParams, body?: SpectateRoomBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  spectateRoom({ params, body, headers } = {}) {
+    return this.send('POST', `/lobby/rooms/${encodeURIComponent(params.roomCode)}/spectate`, { body, headers });
+  }
+
+  /**
+   * Current redacted state for a spectator session
+   * GET /spectate/state (session token)
+   * @param {{ query?: GetSpectatorStateQuery, headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  getSpectatorState({ query, headers } = {}) {
+    return this.send('GET', withQuery('/spectate/state', query), { headers });
+  }
+
+  /**
+   * Server-Sent Events stream of the redacted state for a spectator session
+   * GET /spectate/stream (session token); open the returned path with EventSource
+   * @param {{ query?: StreamSpectatorViewQuery }} request
+   * @returns {string} Path below the API base URL
+   */
+  streamSpectatorViewPath({ query } = {}) {
+    return withQuery('/spectate/stream', query);
+  }
+
+  /**
+   * Admin: stored games, optionally only those in one phase
+   * GET /admin/games (admin token)
+   * @param {{ query?: AdminListGamesQuery, headers?: Object }} [request]
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminListGames({ query, headers } = {}) {
+    return this.send('GET', withQuery('/admin/games', query), { headers });
+  }
+
+  /**
+   * Admin: raw stored game, hidden information and admin log included
+   * GET /admin/games/{gameId} (admin token)
+   * @param {{ params: AdminGetGameParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminGetGame({ params, headers } = {}) {
+    return this.send('GET', `/admin/games/${encodeURIComponent(params.gameId)}`, { headers });
+  }
+
+  /**
+   * Admin: the game as a replay file (random seed and complete action log)
+   * GET /admin/games/{gameId}/export (admin token)
+   * @param {{ params: AdminExportGameParams, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminExportGame({ params, headers } = {}) {
+    return this.send('GET', `/admin/games/${encodeURIComponent(params.gameId)}/export`, { headers });
+  }
+
+  /**
+   * Admin: rebuild an exported game as a new game by replaying its actions
+   * POST /admin/games/import (admin token)
+   * @param {{ body: AdminImportGameBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminImportGame({ body, headers } = {}) {
+    return this.send('POST', '/admin/games/import', { body, headers });
+  }
+
+  /**
+   * Admin: drop pending card selections and the action waiting on them
+   * POST /admin/games/{gameId}/clearSelections (admin token)
+   * @param {{ params: AdminClearSelectionsParams, body?: AdminClearSelectionsBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminClearSelections({ params, body, headers } = {}) {
+    return this.send('POST', `/admin/games/${encodeURIComponent(params.gameId)}/clearSelections`, { body, headers });
+  }
+
+  /**
+   * Admin: move a started game to another turn phase
+   * POST /admin/games/{gameId}/forcePhase (admin token)
+   * @param {{ params: AdminForcePhaseParams, body: AdminForcePhaseBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminForcePhase({ params, body, headers } = {}) {
+    return this.send('POST', `/admin/games/${encodeURIComponent(params.gameId)}/forcePhase`, { body, headers });
+  }
+
+  /**
+   * Admin: end a game with the given seat as winner
+   * POST /admin/games/{gameId}/awardWin (admin token)
+   * @param {{ params: AdminAwardWinParams, body: AdminAwardWinBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminAwardWin({ params, body, headers } = {}) {
+    return this.send('POST', `/admin/games/${encodeURIComponent(params.gameId)}/awardWin`, { body, headers });
+  }
+
+  /**
+   * Admin: end a game as a draw
+   * POST /admin/games/{gameId}/declareDraw (admin token)
+   * @param {{ params: AdminDeclareDrawParams, body?: AdminDeclareDrawBody, headers?: Object }} request
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  adminDeclareDraw({ params, body, headers } = {}) {
+    return this.send('POST', `/admin/games/${encodeURIComponent(params.gameId)}/declareDraw`, { body, headers });
+  }
+}
@@ -9,10 +9,21 @@ export const GAME_CONFIG = {
   // API Configuration
   apiBaseUrl: 'http://localhost:8080/api/game',
   pollInterval: 1000,
+  // Push updates over Server-Sent Events; polling is only used while the stream is down
+  useEventStream: true,
   
   // Game Constants
-  maxHandSize: 7,
-  totalRounds: 4,
+  // Online games play by the rules the server sends (gameEnv.rules); a new game picks one of these profiles
+  ruleProfiles: ['standard', 'quick', 'marathon'],
+  defaultRuleProfile: 'standard',
+  // The offline demo has no server, so it uses the standard profile's values
+  offlineRules: {
+    profile: 'standard',
+    victoryPointsToWin: 50,
+    handSize: 7,
+    redraws: 1,
+    leaderBattles: 4
+  },
   initialVictoryPoints: 0,
   
   // Card Configuration
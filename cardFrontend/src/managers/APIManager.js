@@ -1,25 +1,48 @@
 import { GAME_CONFIG } from '../config/gameConfig.js';
+import GameApiClient from '../api/gameApiClient.js';
+
+// Seat credentials survive a browser reload so the player can resume the game
+const SAVED_SEAT_KEY = 'revolutionAndRebellion.savedSeat';
+// Player keys of the names claimed in this browser, by lower-case name
+const PLAYER_KEYS_KEY = 'revolutionAndRebellion.playerKeys';
 
 export default class APIManager {
   constructor() {
     this.baseUrl = GAME_CONFIG.apiBaseUrl;
+    // Last game state version seen per gameId, sent back with state-changing requests
+    this.stateVersions = {};
+    // Session tokens issued on startGame/joinRoom, keyed by `${gameId}:${playerId}`
+    this.sessionTokens = {};
+    // Generated from the backend's OpenAPI document (npm run generate:client in cardBackend)
+    this.api = new GameApiClient((method, path, options) => this.request(method, path, options));
   }
 
-  async request(endpoint, options = {}) {
+  async request(method, endpoint, { body, headers } = {}) {
     const url = `${this.baseUrl}${endpoint}`;
     const config = {
+      method,
       headers: {
         'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
+        ...headers
+      }
     };
+    if (body !== undefined) {
+      config.body = JSON.stringify(body);
+    }
 
     try {
       const response = await fetch(url, config);
       
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.data = await response.json().catch(() => null);
+        // Machine-readable reason (e.g. ZONE_OCCUPIED, NOT_YOUR_TURN) and its parameters
+        error.code = error.data?.code;
+        error.params = error.data?.params;
+        // 409 means our copy of the game was stale; error.data carries the fresh state
+        error.isConflict = response.status === 409;
+        throw error;
       }
       
       return await response.json();
@@ -29,92 +52,351 @@ export default class APIManager {
     }
   }
 
+  // Wait for a game request and remember the state version the server returns
+  async gameRequest(gameId, pendingRequest) {
+    try {
+      const data = await pendingRequest;
+      this.rememberVersion(gameId || data?.gameId, data);
+      return data;
+    } catch (error) {
+      if (error.isConflict) {
+        this.rememberVersion(gameId, error.data);
+      }
+      throw error;
+    }
+  }
+
+  rememberVersion(gameId, data) {
+    if (gameId && data && data.version !== undefined) {
+      this.stateVersions[gameId] = data.version;
+    }
+  }
+
+  getStateVersion(gameId) {
+    return this.stateVersions[gameId];
+  }
+
+  rememberSession(data) {
+    if (data && data.gameId && data.playerId && data.sessionToken) {
+      this.sessionTokens[`${data.gameId}:${data.playerId}`] = data.sessionToken;
+    }
+  }
+
+  // Protected routes act for the seat bound to the token, so send the one for this player
+  getSessionHeaders(gameId, playerId) {
+    const token = this.sessionTokens[`${gameId}:${playerId}`];
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  // Persist this browser's own seat; only the seat the player sits in is saved
+  saveSeat(data, playerName) {
+    if (!data || !data.gameId || !data.playerId || !data.sessionToken) {
+      return;
+    }
+    try {
+      localStorage.setItem(SAVED_SEAT_KEY, JSON.stringify({
+        gameId: data.gameId,
+        playerId: data.playerId,
+        sessionToken: data.sessionToken,
+        roomCode: data.roomCode || null,
+        playerName: playerName || null
+      }));
+    } catch (error) {
+      console.warn('Could not save seat for resume:', error);
+    }
+  }
+
+  loadSavedSeat() {
+    try {
+      return JSON.parse(localStorage.getItem(SAVED_SEAT_KEY)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  clearSavedSeat() {
+    try {
+      localStorage.removeItem(SAVED_SEAT_KEY);
+    } catch (error) {
+      console.warn('Could not clear saved seat:', error);
+    }
+  }
+
+  // Current state for the saved seat plus the events it has not acknowledged yet
+  async resumeGame(seat) {
+    this.rememberSession(seat);
+    return this.gameRequest(seat.gameId, this.api.resumeGame({
+      headers: this.getSessionHeaders(seat.gameId, seat.playerId),
+      body: { gameId: seat.gameId, playerId: seat.playerId }
+    }));
+  }
+
   // Game Management
+  // The server assigns the seat and returns it as playerId together with a sessionToken
+  // Ranked games are played under a claimed name, so they send its player key
   async createGame(playerName, gameConfig = {}) {
-    return this.request('/player/startGame', {
-      method: 'POST',
-      body: JSON.stringify({ 
-        playerId: 'playerId_1',  // First player is always playerId_1
+    const headers = gameConfig.ranked ? await this.getPlayerKeyHeaders(playerName) : undefined;
+    const data = await this.gameRequest(null, this.api.startGame({
+      headers,
+      body: {
         gameConfig: {
           playerName,
           ...gameConfig
         }
-      })
-    });
+      }
+    }));
+    this.rememberSession(data);
+    this.saveSeat(data, playerName);
+    return data;
   }
 
   async joinRoom(gameId, playerName) {
-    return this.request('/player/joinRoom', {
-      method: 'POST',
-      body: JSON.stringify({ 
-        playerId: 'playerId_2',  // Second player is always playerId_2
+    const data = await this.gameRequest(gameId, this.withPlayerKey(playerName, headers => this.api.joinRoom({
+      headers,
+      body: {
         gameId: gameId,
         playerName: playerName
-      })
+      }
+    })));
+    this.rememberSession(data);
+    this.saveSeat(data, playerName);
+    return data;
+  }
+
+  // Lobby
+  async listRooms() {
+    return this.api.listRooms();
+  }
+
+  async getRoom(roomCode) {
+    return this.api.getRoom({ params: { roomCode } });
+  }
+
+  async joinRoomByCode(roomCode, playerName, passcode) {
+    const data = await this.withPlayerKey(playerName, headers => this.api.joinRoomByCode({
+      headers,
+      params: { roomCode },
+      body: { playerName, passcode }
+    }));
+    this.rememberVersion(data.gameId, data);
+    this.rememberSession(data);
+    this.saveSeat(data, playerName);
+    return data;
+  }
+
+  // Player statistics, kept by player name
+  async getPlayerStats(playerName) {
+    return this.api.getPlayerStats({ params: { playerName } });
+  }
+
+  async getPlayerMatches(playerName, limit) {
+    return this.api.getPlayerMatches({ params: { playerName }, query: limit ? { limit: String(limit) } : {} });
+  }
+
+  // Player keys: a name is claimed the first time this browser needs its key, and the key is
+  // kept in localStorage; it cannot be fetched again
+  loadPlayerKeys() {
+    try {
+      return JSON.parse(localStorage.getItem(PLAYER_KEYS_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async getPlayerKeyHeaders(playerName) {
+    const name = playerName.trim().toLowerCase();
+    const playerKeys = this.loadPlayerKeys();
+    if (!playerKeys[name]) {
+      const { playerKey } = await this.api.claimPlayerName({ params: { playerName } });
+      playerKeys[name] = playerKey;
+      try {
+        localStorage.setItem(PLAYER_KEYS_KEY, JSON.stringify(playerKeys));
+      } catch (error) {
+        console.warn('Could not save player key:', error);
+      }
+    }
+    return { 'X-Player-Key': playerKeys[name] };
+  }
+
+  // Joins send the key saved for the name; a ranked room asks for one it does not get (401),
+  // so the name is claimed then and the join sent again
+  async withPlayerKey(playerName, send) {
+    const savedKey = playerName ? this.loadPlayerKeys()[playerName.trim().toLowerCase()] : null;
+    try {
+      return await send(savedKey ? { 'X-Player-Key': savedKey } : undefined);
+    } catch (error) {
+      if (error.code !== 'PLAYER_KEY_REQUIRED' || savedKey) {
+        throw error;
+      }
+      return send(await this.getPlayerKeyHeaders(playerName));
+    }
+  }
+
+  // Deck builder: decks saved under the player name; the active one is dealt in their games
+  async getSavedDecks(playerName) {
+    return this.api.listPlayerDecks({ params: { playerName } });
+  }
+
+  async createDeck(playerName, { name, leader, cards }) {
+    const headers = await this.getPlayerKeyHeaders(playerName);
+    return this.api.createDeck({ headers, params: { playerName }, body: { name, leader, cards } });
+  }
+
+  async updateDeck(playerName, deckId, changes) {
+    const headers = await this.getPlayerKeyHeaders(playerName);
+    return this.api.updateDeck({ headers, params: { playerName, deckId }, body: changes });
+  }
+
+  async cloneDeck(playerName, deckId, name) {
+    const headers = await this.getPlayerKeyHeaders(playerName);
+    return this.api.cloneDeck({ headers, params: { playerName, deckId }, body: name ? { name } : {} });
+  }
+
+  async deleteDeck(playerName, deckId) {
+    const headers = await this.getPlayerKeyHeaders(playerName);
+    return this.api.deleteDeck({ headers, params: { playerName, deckId } });
+  }
+
+  async setActiveDeck(playerName, deckId) {
+    const headers = await this.getPlayerKeyHeaders(playerName);
+    return this.api.setActiveDeck({ headers, params: { playerName }, body: { deckId } });
+  }
+
+  // Ratings of ranked games
+  async getRatingHistory(playerName, limit) {
+    return this.api.getRatingHistory({ params: { playerName }, query: limit ? { limit: String(limit) } : {} });
+  }
+
+  async getLeaderboard({ limit, includeProvisional = false } = {}) {
+    return this.api.getLeaderboard({
+      query: { ...(limit ? { limit: String(limit) } : {}), includeProvisional: String(includeProvisional) }
+    });
+  }
+
+  // Spectators get a read-only token; view 'caster' needs the server's caster key
+  async spectateRoom(roomCode, { passcode, view, casterKey } = {}) {
+    return this.api.spectateRoom({
+      params: { roomCode },
+      body: { passcode, view, casterKey }
+    });
+  }
+
+  async getSpectatorState(sessionToken) {
+    return this.api.getSpectatorState({
+      headers: { Authorization: `Bearer ${sessionToken}` }
     });
   }
 
+  openSpectatorStream(sessionToken, onState) {
+    const source = new EventSource(`${this.baseUrl}${this.api.streamSpectatorViewPath({ query: { token: sessionToken } })}`);
+    source.addEventListener('state', (event) => onState(JSON.parse(event.data)));
+    return source;
+  }
+
+  async closeRoom(roomCode, gameId, playerId) {
+    return this.gameRequest(gameId, this.api.closeRoom({
+      params: { roomCode },
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: { playerId }
+    }));
+  }
+
   // Legacy method for compatibility - now redirects to joinRoom
   async joinGame(playerId, gameId) {
     return this.joinRoom(gameId, 'Player 2');
   }
 
   async startReady(playerId, gameId, isRedraw = false) {
-    return this.request('/player/startReady', {
-      method: 'POST',
-      body: JSON.stringify({ playerId, gameId, isRedraw })
-    });
+    return this.gameRequest(gameId, this.api.startReady({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: { playerId, gameId, isRedraw, version: this.getStateVersion(gameId) }
+    }));
   }
 
   // Gameplay Actions
   async playerAction(playerId, gameId, action) {
-    return this.request('/player/playerAction', {
-      method: 'POST',
-      body: JSON.stringify({
+    return this.gameRequest(gameId, this.api.playerAction({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: {
         playerId,
         gameId,
-        action
-      })
-    });
+        action,
+        version: this.getStateVersion(gameId)
+      }
+    }));
   }
 
   async selectCard(selectionId, selectedCardIds, playerId, gameId) {
-    return this.request('/player/selectCard', {
-      method: 'POST',
-      body: JSON.stringify({
+    return this.gameRequest(gameId, this.api.selectCard({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: {
         selectionId,
         selectedCardIds,
         playerId,
-        gameId
-      })
-    });
+        gameId,
+        version: this.getStateVersion(gameId)
+      }
+    }));
   }
 
-  async acknowledgeEvents(gameId, eventIds) {
-    return this.request('/player/acknowledgeEvents', {
-      method: 'POST',
-      body: JSON.stringify({ gameId, eventIds })
-    });
+  // Takebacks (games created with gameConfig.takebacks)
+  async requestTakeback(playerId, gameId) {
+    return this.gameRequest(gameId, this.api.requestTakeback({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: { gameId, playerId, version: this.getStateVersion(gameId) }
+    }));
+  }
+
+  async respondTakeback(playerId, gameId, accept) {
+    return this.gameRequest(gameId, this.api.respondTakeback({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: { gameId, playerId, accept, version: this.getStateVersion(gameId) }
+    }));
+  }
+
+  // Acknowledgements are idempotent, so they are sent without a version check
+  async acknowledgeEvents(gameId, eventIds, playerId) {
+    return this.gameRequest(gameId, this.api.acknowledgeEvents({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: { gameId, playerId, eventIds }
+    }));
   }
 
   async getPlayer(playerId, gameId) {
-    const params = gameId ? `?gameId=${gameId}` : '';
-    return this.request(`/player/${playerId}${params}`);
+    return this.gameRequest(gameId, this.api.getPlayerData({
+      headers: this.getSessionHeaders(gameId, playerId),
+      params: { playerId },
+      query: { gameId }
+    }));
   }
 
-  // Battle Progression
-  async nextRound(gameId) {
-    return this.request('/player/nextRound', {
-      method: 'POST',
-      body: JSON.stringify({ gameId })
+  // Live updates: the server pushes a `state` event with the same payload as getPlayer
+  // EventSource cannot send headers, so the session token goes in the query
+  openGameStream(playerId, gameId, onState) {
+    const token = this.sessionTokens[`${gameId}:${playerId}`];
+    const url = `${this.baseUrl}${this.api.streamGameStatePath({ params: { playerId }, query: { gameId, token } })}`;
+    const source = new EventSource(url);
+    source.addEventListener('state', (event) => {
+      const data = JSON.parse(event.data);
+      this.rememberVersion(gameId, data);
+      onState(data);
     });
+    return source;
+  }
+
+  // Battle Progression
+  async nextRound(gameId, playerId) {
+    return this.gameRequest(gameId, this.api.nextRound({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: { gameId, playerId, version: this.getStateVersion(gameId) }
+    }));
   }
 
   // AI Actions (placeholder for future implementation)
   async playerAIAction(playerId, gameId) {
-    return this.request('/player/playerAiAction', {
-      method: 'POST',
-      body: JSON.stringify({ playerId, gameId })
+    return this.api.playerAIAction({
+      headers: this.getSessionHeaders(gameId, playerId),
+      body: { playerId, gameId }
     });
   }
 
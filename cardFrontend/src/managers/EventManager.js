@@ -186,6 +186,21 @@ export default class EventManager {
     gameStateManager.addEventListener('INITIAL_HAND_DEALT', (event) => {
       console.log('Initial hand dealt event received:', event);
     });
+    
+    gameStateManager.addEventListener('FIRST_PLAYER_DECIDED', (event) => {
+      console.log('First player decided event received:', event);
+      this.uiManager.showRoomStatus(gameStateManager.describeFirstPlayerDecision(event.data));
+    });
+    
+    gameStateManager.addEventListener('TAKEBACK_DECLINED', (event) => {
+      console.log('Takeback declined event received:', event);
+      this.uiManager.showRoomStatus('Takeback declined');
+    });
+    
+    gameStateManager.addEventListener('UNDO', (event) => {
+      console.log('Undo event received:', event);
+      this.uiManager.showRoomStatus('Last action taken back');
+    });
   }
 
   // Event handlers
@@ -356,8 +371,9 @@ export default class EventManager {
       playerHandCount: player && player.hand ? player.hand.length : 0,
       opponentName: opponentData ? opponentData.name : 'Unknown',
       opponentVP: this.gameLogicManager.gameStateManager.getVictoryPoints(opponent),
-      opponentHandCount: opponentData && opponentData.hand ? opponentData.hand.length : 0,
-      round: gameState.gameEnv.round
+      opponentHandCount: this.gameLogicManager.gameStateManager.getHandCount(opponent),
+      round: gameState.gameEnv.round,
+      totalRounds: this.gameLogicManager.gameStateManager.getTotalRounds()
     };
     
     this.uiManager.updateTopUI(gameData);
@@ -34,6 +34,7 @@ export default class GameStateManager {
     
     this.eventHandlers = new Map();
     this.pollTimer = null;
+    this.eventStream = null;
   }
 
   initializeGame(gameId, playerId, playerName) {
@@ -42,6 +43,24 @@ export default class GameStateManager {
     this.gameState.playerName = playerName;
   }
 
+  // Watchers follow the game with a read-only token and never acknowledge events
+  initializeSpectator(gameId, spectatorId, sessionToken) {
+    this.initializeGame(gameId, spectatorId, 'Spectator');
+    this.gameState.spectatorToken = sessionToken;
+  }
+
+  // Rebuild from a resume response: full board plus only the events not yet acknowledged
+  restoreFromResume(resumeState) {
+    this.updateGameEnv({
+      ...resumeState.gameEnv,
+      gameEvents: resumeState.pendingEvents || []
+    });
+  }
+
+  isSpectator() {
+    return !!this.gameState.spectatorToken;
+  }
+
   updateGameEnv(gameEnv) {
     this.gameState.gameEnv = { ...this.gameState.gameEnv, ...gameEnv };
   }
@@ -78,6 +97,13 @@ export default class GameStateManager {
     return player ? player.hand : [];
   }
 
+  // The server only sends the opponent's hand size, not their cards
+  getHandCount(playerId = null) {
+    const player = this.getPlayer(playerId);
+    if (!player) return 0;
+    return player.handCount ?? (player.hand ? player.hand.length : 0);
+  }
+
   getVictoryPoints(playerId = null) {
     const id = playerId || this.gameState.playerId;
     return this.gameState.gameEnv.victoryPoints[id] || 0;
@@ -91,6 +117,44 @@ export default class GameStateManager {
     return this.gameState.gameEnv.round;
   }
 
+  // Ruleset of the current game (victory points to win, hand size, redraws, leader battles)
+  getRules() {
+    return this.gameState.gameEnv.rules || GAME_CONFIG.offlineRules;
+  }
+
+  // Rounds the game plays: the server caps rules.leaderBattles by the leaders in each deck
+  getTotalRounds() {
+    return this.gameState.gameEnv.totalRounds || this.getRules().leaderBattles;
+  }
+
+  getRedrawsLeft(playerId = null) {
+    const player = this.getPlayer(playerId);
+    return Math.max(0, this.getRules().redraws - (player?.redrawsUsed || 0));
+  }
+
+  // Takeback state sent by the server ({ mode, lastActionBy, requestedBy }), or null when takebacks are off
+  getTakeback() {
+    return this.gameState.gameEnv.takeback || null;
+  }
+
+  canRequestTakeback() {
+    const takeback = this.getTakeback();
+    return Boolean(takeback) && takeback.lastActionBy === this.gameState.playerId && !takeback.requestedBy;
+  }
+
+  // Readable reason from a FIRST_PLAYER_DECIDED event's data
+  describeFirstPlayerDecision(decision) {
+    const starter = decision.firstPlayer === this.gameState.playerId ? 'You go' : 'Opponent goes';
+    const flip = decision.coinFlip ? `coin flip: ${decision.coinFlip.result}, roll ${decision.coinFlip.roll.toFixed(4)}` : '';
+    const reasons = {
+      HIGHER_LEADER_INITIAL_POINT: 'higher leader initial point',
+      LEADER_INITIAL_POINT_TIE: `leaders tied, ${flip}`,
+      COIN_FLIP: flip,
+      LOSER_OF_PREVIOUS_GAME: 'lost the previous game'
+    };
+    return `${starter} first (${reasons[decision.reason] || decision.reason})`;
+  }
+
   // Field Effects Methods
   getPlayerFieldEffects(playerId = null) {
     const player = this.getPlayer(playerId);
@@ -196,7 +260,7 @@ export default class GameStateManager {
       handlers.forEach(handler => handler(event));
     });
 
-    if (events.length > 0) {
+    if (events.length > 0 && !this.isSpectator()) {
       this.acknowledgeEvents(this.apiManager);
     }
   }
@@ -208,7 +272,7 @@ export default class GameStateManager {
     if (unprocessedEvents.length > 0 && apiManager) {
       try {
         const eventIds = unprocessedEvents.map(e => e.id);
-        await apiManager.acknowledgeEvents(this.gameState.gameId, eventIds);
+        await apiManager.acknowledgeEvents(this.gameState.gameId, eventIds, this.gameState.playerId);
         console.log(`Acknowledged ${eventIds.length} events`);
       } catch (error) {
         console.error('Failed to acknowledge events:', error);
@@ -224,10 +288,11 @@ export default class GameStateManager {
 
     this.pollTimer = setInterval(async () => {
       try {
-        if (this.gameState.gameId && this.gameState.playerId) {
+        if (this.isSpectator()) {
+          this.applyServerState(await apiManager.getSpectatorState(this.gameState.spectatorToken));
+        } else if (this.gameState.gameId && this.gameState.playerId) {
           const playerData = await apiManager.getPlayer(this.gameState.playerId, this.gameState.gameId);
-          this.updateGameEnv(playerData.gameEnv);
-          this.processGameEvents();
+          this.applyServerState(playerData);
         }
       } catch (error) {
         console.error('Polling error:', error);
@@ -242,8 +307,52 @@ export default class GameStateManager {
     }
   }
 
-  reset() {
+  applyServerState(playerData) {
+    if (playerData && playerData.gameEnv) {
+      this.updateGameEnv(playerData.gameEnv);
+      this.processGameEvents();
+    }
+  }
+
+  // Subscribe to pushed updates; poll only while the stream is disconnected
+  startLiveUpdates(apiManager) {
+    this.apiManager = apiManager;
+    this.stopLiveUpdates();
+
+    if (!GAME_CONFIG.useEventStream || typeof EventSource === 'undefined') {
+      this.startPolling(apiManager);
+      return;
+    }
+
+    const onState = (playerData) => this.applyServerState(playerData);
+    this.eventStream = this.isSpectator()
+      ? apiManager.openSpectatorStream(this.gameState.spectatorToken, onState)
+      : apiManager.openGameStream(this.gameState.playerId, this.gameState.gameId, onState);
+
+    this.eventStream.onopen = () => {
+      // Stream is (back) up, so polling is no longer needed
+      this.stopPolling();
+    };
+
+    this.eventStream.onerror = () => {
+      // EventSource keeps retrying on its own; poll in the meantime
+      if (!this.pollTimer) {
+        console.warn('Game stream disconnected, falling back to polling');
+        this.startPolling(apiManager);
+      }
+    };
+  }
+
+  stopLiveUpdates() {
+    if (this.eventStream) {
+      this.eventStream.close();
+      this.eventStream = null;
+    }
     this.stopPolling();
+  }
+
+  reset() {
+    this.stopLiveUpdates();
     this.gameState = {
       gameId: null,
       playerId: null,
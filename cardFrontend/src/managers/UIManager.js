@@ -122,7 +122,7 @@ export default class UIManager {
         fontFamily: 'Arial',
         fill: '#ffffff'
       }),
-      roundText: this.scene.add.text(width / 2, 15, 'Round 1 / 4', {
+      roundText: this.scene.add.text(width / 2, 15, `Round 1 / ${GAME_CONFIG.offlineRules.leaderBattles}`, {
         fontSize: '18px',
         fontFamily: 'Arial Bold',
         fill: '#ffffff',
@@ -374,7 +374,7 @@ export default class UIManager {
       this.uiElements.topUI.opponentInfoText.setText(`Opponent: ${gameData.opponentName || 'Unknown'}`);
       this.uiElements.topUI.opponentVPText.setText(`VP: ${gameData.opponentVP || 0}`);
       this.uiElements.topUI.opponentHandText.setText(`Hand: ${gameData.opponentHandCount || 0}`);
-      this.uiElements.topUI.roundText.setText(`Round ${gameData.round || 1} / 4`);
+      this.uiElements.topUI.roundText.setText(`Round ${gameData.round || 1} / ${gameData.totalRounds}`);
     }
   }
 
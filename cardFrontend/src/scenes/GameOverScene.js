@@ -132,8 +132,9 @@ export default class GameOverScene extends Phaser.Scene {
     }).setOrigin(0.5);
     
     // Rounds completed
-    const rounds = this.gameResults.roundsCompleted || 4;
-    this.add.text(width / 2, height * 0.56, `Rounds Completed: ${rounds}/4`, {
+    const totalRounds = this.gameResults.totalRounds || GAME_CONFIG.offlineRules.leaderBattles;
+    const rounds = this.gameResults.roundsCompleted || totalRounds;
+    this.add.text(width / 2, height * 0.56, `Rounds Completed: ${rounds}/${totalRounds}`, {
       fontSize: '16px',
       fontFamily: 'Arial',
       fill: '#ffffff',
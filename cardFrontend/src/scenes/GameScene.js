@@ -26,6 +26,8 @@ export default class GameScene extends Phaser.Scene {
     this.apiManager = data.apiManager;
     this.isOnlineMode = data.isOnlineMode || false;
     this.isManualPollingMode = data.isManualPollingMode || false;
+    this.isSpectator = data.isSpectator || false;
+    this.isResuming = data.isResuming || false;
     this.shuffleAnimationPlayed = false; // Track if shuffle animation has been played
     this.drawPhaseAnimationPlayed = false; // Track if draw phase animation has been played
   }
@@ -38,14 +40,20 @@ export default class GameScene extends Phaser.Scene {
     this.createUI();
     this.setupEventListeners();
     
-    // Start polling if in online mode and not manual polling mode
+    // Subscribe to live updates if in online mode and not manual polling mode
     if (this.isOnlineMode && this.apiManager && !this.isManualPollingMode) {
-      console.log('Starting API polling...');
-      this.gameStateManager.startPolling(this.apiManager);
+      console.log('Starting live game updates...');
+      this.gameStateManager.startLiveUpdates(this.apiManager);
     } else if (this.isManualPollingMode) {
       console.log('Manual polling mode enabled - use test button to poll');
     }
     
+    // Spectators only watch: no dragging cards or pressing game buttons
+    if (this.isSpectator) {
+      this.input.enabled = false;
+      this.showRoomStatus('Spectating - both hands are hidden');
+    }
+    
     // Demo mode uses real backend calls with test buttons, not mock data
     
     // Load leader cards data
@@ -57,11 +65,52 @@ export default class GameScene extends Phaser.Scene {
     // Initialize shuffle animation manager
     this.shuffleAnimationManager = new ShuffleAnimationManager(this);
     
+    // A resumed game picks up where it was instead of waiting for the opening events
+    if (this.isResuming) {
+      this.restoreResumedBoard();
+      return;
+    }
+    
     // Demo mode and online mode both wait for backend events to trigger animations
     console.log('Waiting for backend events to trigger game flow...');
     this.waitingForPlayers = true;
   }
 
+  handleTurnTimeout(event) {
+    const { playerId, result, timeouts, maxTimeouts } = event.data;
+    const isMe = playerId === this.gameStateManager.getCurrentPlayerId();
+    
+    if (result === 'FORFEIT') {
+      this.showRoomStatus(isMe ? 'You ran out of time and forfeited the game' : 'Opponent ran out of time - you win!');
+      // A finished game cannot be resumed
+      this.apiManager?.clearSavedSeat();
+      return;
+    }
+    
+    this.showRoomStatus(isMe
+      ? `Time's up - a card was played face-down for you (${timeouts}/${maxTimeouts})`
+      : `Opponent timed out (${timeouts}/${maxTimeouts})`);
+    this.updateGameState();
+  }
+
+  restoreResumedBoard() {
+    const phase = this.gameStateManager.getGameState().gameEnv.phase;
+    this.waitingForPlayers = phase === 'WAITING_FOR_PLAYERS';
+    if (this.waitingForPlayers) {
+      this.showRoomStatus('Waiting for player 2...');
+      return;
+    }
+    
+    // The shuffle already happened before the reload; READY_PHASE replays it to reopen the redraw
+    if (phase !== 'READY_PHASE') {
+      this.shuffleAnimationPlayed = true;
+      this.showDeckStacks();
+      this.showHandArea();
+    }
+    this.updateGameState();
+    this.gameStateManager.processGameEvents();
+  }
+
   createBackground() {
     const { width, height } = this.cameras.main;
     
@@ -421,7 +470,7 @@ export default class GameScene extends Phaser.Scene {
     });
     this.opponentVPText.setOrigin(1, 0);
     
-    this.opponentHandText = this.add.text(width+1000, 50, `Hand: ${opponentData && opponentData.hand ? opponentData.hand.length : 0}`, {
+    this.opponentHandText = this.add.text(width+1000, 50, `Hand: ${this.gameStateManager.getHandCount(opponent)}`, {
       fontSize: '14px',
       fontFamily: 'Arial',
       fill: '#ffffff'
@@ -429,7 +478,7 @@ export default class GameScene extends Phaser.Scene {
     this.opponentHandText.setOrigin(1, 0);
     
     // Round info (center)
-    this.roundText = this.add.text(width / 2, 15, `Round ${this.gameStateManager.getCurrentRound()} / 4`, {
+    this.roundText = this.add.text(width / 2, 15, `Round ${this.gameStateManager.getCurrentRound()} / ${this.gameStateManager.getTotalRounds()}`, {
       fontSize: '18px',
       fontFamily: 'Arial Bold',
       fill: '#ffffff',
@@ -468,6 +517,27 @@ export default class GameScene extends Phaser.Scene {
       this.time.delayedCall(50, () => this.endTurn());
     });
     
+    // Undo button, only in games that allow takebacks
+    const { takebacks } = this.gameStateManager.getRules();
+    if (this.isOnlineMode && takebacks && takebacks !== 'off') {
+      this.undoButton = this.add.image(width - 120, height - 120, 'button');
+      this.undoButton.setScale(0.8);
+      this.undoButton.setInteractive();
+      
+      const undoText = this.add.text(width - 120, height - 120, 'Undo', {
+        fontSize: '14px',
+        fontFamily: 'Arial',
+        fill: '#ffffff'
+      });
+      undoText.setOrigin(0.5);
+      
+      this.undoButton.on('pointerdown', () => {
+        this.undoButton.setTint(0x888888);
+        this.time.delayedCall(100, () => this.undoButton.clearTint());
+        this.time.delayedCall(50, () => this.requestTakeback());
+      });
+    }
+    
     // Menu button
     this.menuButton = this.add.image( 0+130, height - 60, 'button');
     this.menuButton.setScale(0.8);
@@ -898,6 +968,11 @@ export default class GameScene extends Phaser.Scene {
         console.log('Initial hand dealt event received:', event);
       });
       
+      this.gameStateManager.addEventListener('FIRST_PLAYER_DECIDED', (event) => {
+        console.log('First player decided event received:', event);
+        this.showRoomStatus(this.gameStateManager.describeFirstPlayerDecision(event.data));
+      });
+      
       // Draw phase events
       this.gameStateManager.addEventListener('DRAW_PHASE_COMPLETE', (event) => {
         this.handleDrawPhaseComplete(event);
@@ -907,6 +982,53 @@ export default class GameScene extends Phaser.Scene {
         console.log('Phase change event received:', event);
         this.handlePhaseChange(event);
       });
+      
+      // Turn clock events (the server auto-passes or forfeits idle players)
+      this.gameStateManager.addEventListener('TIMER_WARNING', (event) => {
+        const isMe = event.data.playerId === this.gameStateManager.getCurrentPlayerId();
+        this.showRoomStatus(isMe
+          ? `${event.data.secondsLeft}s left - play a card or your turn will be passed!`
+          : `Opponent has ${event.data.secondsLeft}s left`);
+      });
+      
+      this.gameStateManager.addEventListener('TIMEOUT', (event) => {
+        console.log('Timeout event received:', event);
+        this.handleTurnTimeout(event);
+      });
+      
+      // Takebacks: the opponent answers a request, an accepted one arrives as UNDO
+      this.gameStateManager.addEventListener('TAKEBACK_REQUESTED', (event) => {
+        console.log('Takeback requested event received:', event);
+        if (event.data.playerId === this.gameStateManager.getGameState().playerId) {
+          this.showRoomStatus('Takeback requested - waiting for your opponent');
+        } else {
+          this.showTakebackDialog();
+        }
+      });
+      
+      this.gameStateManager.addEventListener('TAKEBACK_DECLINED', (event) => {
+        const isMine = event.data.playerId === this.gameStateManager.getGameState().playerId;
+        this.showRoomStatus(isMine ? 'Your opponent declined the takeback' : 'Takeback declined');
+      });
+      
+      this.gameStateManager.addEventListener('UNDO', (event) => {
+        console.log('Undo event received:', event);
+        const isMine = event.data.playerId === this.gameStateManager.getGameState().playerId;
+        this.showRoomStatus(isMine ? 'Your last action was taken back' : 'Your opponent took back their last action');
+        this.updateGameState();
+      });
+      
+      // A server admin repaired or ended the game
+      this.gameStateManager.addEventListener('ADMIN_INTERVENTION', (event) => {
+        console.log('Admin intervention received:', event);
+        const { action, reason } = event.data;
+        const isGameOver = action === 'AWARD_WIN' || action === 'DECLARE_DRAW';
+        this.showRoomStatus(`${isGameOver ? 'Game ended by an admin' : 'Game adjusted by an admin'}${reason ? `: ${reason}` : ''}`);
+        if (isGameOver) {
+          this.apiManager?.clearSavedSeat();
+        }
+        this.updateGameState();
+      });
     }
     
     // Card interaction events
@@ -1168,7 +1290,7 @@ export default class GameScene extends Phaser.Scene {
     this.updateCurrentTurnDisplay(currentPlayer);
     
     // Update round
-    this.roundText.setText(`Round ${gameState.gameEnv.round} / 4`);
+    this.roundText.setText(`Round ${gameState.gameEnv.round} / ${this.gameStateManager.getTotalRounds()}`);
     
     // Update player info
     this.playerVPText.setText(`VP: ${this.gameStateManager.getVictoryPoints()}`);
@@ -1176,14 +1298,14 @@ export default class GameScene extends Phaser.Scene {
     
     // Update opponent info
     this.opponentVPText.setText(`VP: ${this.gameStateManager.getVictoryPoints(opponent)}`);
-    this.opponentHandText.setText(`Hand: ${opponentData && opponentData.hand ? opponentData.hand.length : 0}`);
+    this.opponentHandText.setText(`Hand: ${this.gameStateManager.getHandCount(opponent)}`);
     
     // Update victory point labels below leader decks
     this.updateVictoryPointLabels();
     
     // Update opponent hand count display
     if (this.opponentHandCountText) {
-      const opponentHandCount = opponentData && opponentData.hand ? opponentData.hand.length : 0;
+      const opponentHandCount = this.gameStateManager.getHandCount(opponent);
       this.opponentHandCountText.setText(`Opponent Hand: ${opponentHandCount}`);
     }
     
@@ -1293,6 +1415,20 @@ export default class GameScene extends Phaser.Scene {
       } catch (error) {
         console.error('Failed to send card play action to backend:', error);
         
+        // Someone else changed the game first - resync from the fresh state in the 409 body
+        if (error.isConflict && error.data?.gameEnv) {
+          this.gameStateManager.updateGameEnv(error.data.gameEnv);
+          this.updateGameState();
+          this.showErrorMessage('The game changed before your move arrived. Board refreshed - please try again.');
+          return false;
+        }
+        
+        // Rule violations (4xx with a code) carry a message meant for the player
+        if (error.code && error.status < 500) {
+          this.showErrorMessage(error.data.error);
+          return false;
+        }
+        
         // Show error to user
         this.showErrorMessage('Failed to play card. Please try again.');
         
@@ -2301,8 +2437,7 @@ export default class GameScene extends Phaser.Scene {
     const opponentId = this.gameStateManager.getOpponent();
     if (!opponentId) return;
 
-    const opponentData = this.gameStateManager.getPlayer(opponentId);
-    const opponentHandCount = opponentData?.hand?.length || 0;
+    const opponentHandCount = this.gameStateManager.getHandCount(opponentId);
     
     // Update existing opponent hand count display (created in createOpponentHandDisplay)
     if (this.opponentHandCountText) {
@@ -2313,6 +2448,13 @@ export default class GameScene extends Phaser.Scene {
   showRedrawDialog() {
     // Note: Hand cards and leader cards are already highlighted after selectLeaderCard completes
     
+    // Rulesets without redraws (or none left): keep the dealt hand
+    const redrawsLeft = this.gameStateManager.getRedrawsLeft();
+    if (redrawsLeft === 0) {
+      this.handleRedrawChoice(false, []);
+      return;
+    }
+    
     // Create modal-like dialog
     const { width, height } = this.cameras.main;
     
@@ -2372,7 +2514,7 @@ export default class GameScene extends Phaser.Scene {
     dialogBg.setDepth(1002); // Dialog above overlay and hand cards
     
     // Dialog text
-    const dialogText = this.add.text(width/2, height/2 - 50, 'Do you want to redraw your hand?', {
+    const dialogText = this.add.text(width/2, height/2 - 50, `Do you want to redraw your hand?\n(${redrawsLeft} redraw${redrawsLeft === 1 ? '' : 's'} left)`, {
       fontSize: '18px',
       fontFamily: 'Arial',
       fill: '#ffffff',
@@ -2561,7 +2703,21 @@ export default class GameScene extends Phaser.Scene {
       console.log(`Player chose redraw: ${wantRedraw}`);
       
       // Call startReady with redraw choice
-      await this.apiManager.startReady(gameState.playerId, gameState.gameId, wantRedraw);
+      const response = await this.apiManager.startReady(gameState.playerId, gameState.gameId, wantRedraw);
+      
+      // After a redraw with redraws left the player is not ready yet: offer the new hand
+      if (wantRedraw && response?.gameEnv && !response.gameEnv.players?.[gameState.playerId]?.isReady) {
+        this.gameStateManager.updateGameEnv(response.gameEnv);
+        this.updateGameState();
+        this.playerHand.forEach(card => card.setDepth(1001));
+        if (this.handContainer) {
+          this.handContainer.setDepth(1001);
+        }
+        this.highlightHandCards();
+        this.highlightLeaderCards();
+        this.showRedrawDialog();
+        return;
+      }
       
       this.showRoomStatus(`Ready sent (redraw: ${wantRedraw}). Poll to see if both players ready.`);
       
@@ -2571,6 +2727,71 @@ export default class GameScene extends Phaser.Scene {
     }
   }
 
+  async requestTakeback() {
+    if (!this.gameStateManager.canRequestTakeback()) {
+      this.showErrorMessage('You have no action to take back.');
+      return;
+    }
+    const gameState = this.gameStateManager.getGameState();
+    try {
+      await this.apiManager.requestTakeback(gameState.playerId, gameState.gameId);
+    } catch (error) {
+      console.error('Failed to request takeback:', error);
+      this.showErrorMessage(error.code && error.status < 500 ? error.data.error : 'Failed to request takeback. Please try again.');
+    }
+  }
+
+  showTakebackDialog() {
+    const { width, height } = this.cameras.main;
+    
+    const dialogBg = this.add.graphics();
+    dialogBg.fillStyle(0x333333);
+    dialogBg.fillRoundedRect(width/2 - 200, height/2 - 80, 400, 160, 10);
+    dialogBg.lineStyle(2, 0x666666);
+    dialogBg.strokeRoundedRect(width/2 - 200, height/2 - 80, 400, 160, 10);
+    dialogBg.setDepth(1002);
+    
+    const dialogText = this.add.text(width/2, height/2 - 35, 'Your opponent wants to take back\ntheir last action.', {
+      fontSize: '18px',
+      fontFamily: 'Arial',
+      fill: '#ffffff',
+      align: 'center'
+    });
+    dialogText.setOrigin(0.5);
+    dialogText.setDepth(1002);
+    
+    const elements = [dialogBg, dialogText];
+    [['Accept', true, 0x4CAF50, -80], ['Decline', false, 0xF44336, 80]].forEach(([label, accept, tint, offsetX]) => {
+      const button = this.add.image(width/2 + offsetX, height/2 + 35, 'button');
+      button.setScale(0.8);
+      button.setInteractive();
+      button.setTint(tint);
+      button.setDepth(1002);
+      
+      const text = this.add.text(width/2 + offsetX, height/2 + 35, label, {
+        fontSize: '16px',
+        fontFamily: 'Arial',
+        fill: '#ffffff'
+      });
+      text.setOrigin(0.5);
+      text.setDepth(1002);
+      
+      button.on('pointerdown', () => this.handleTakebackChoice(accept, elements));
+      elements.push(button, text);
+    });
+  }
+
+  async handleTakebackChoice(accept, dialogElements) {
+    dialogElements.forEach(element => element.destroy());
+    const gameState = this.gameStateManager.getGameState();
+    try {
+      await this.apiManager.respondTakeback(gameState.playerId, gameState.gameId, accept);
+    } catch (error) {
+      console.error('Failed to answer takeback:', error);
+      this.showErrorMessage(error.code && error.status < 500 ? error.data.error : 'Failed to answer the takeback request.');
+    }
+  }
+
   showRoomStatus(message) {
     // Remove existing room status text
     if (this.roomStatusText) {
@@ -2655,9 +2876,9 @@ export default class GameScene extends Phaser.Scene {
   }
 
   destroy() {
-    // Stop polling when scene is destroyed
+    // Close the game stream and stop polling when scene is destroyed
     if (this.gameStateManager) {
-      this.gameStateManager.stopPolling();
+      this.gameStateManager.stopLiveUpdates();
     }
     
     // Call parent destroy
@@ -2814,7 +3035,8 @@ export default class GameScene extends Phaser.Scene {
       
       if (drawPhaseEvents.length > 0) {
         const eventIds = drawPhaseEvents.map(e => e.id);
-        await this.apiManager.acknowledgeEvents(this.gameStateManager.getGameState().gameId, eventIds);
+        const { gameId, playerId } = this.gameStateManager.getGameState();
+        await this.apiManager.acknowledgeEvents(gameId, eventIds, playerId);
         console.log(`Acknowledged ${eventIds.length} draw phase events`);
       }
     } catch (error) {
@@ -92,6 +92,17 @@ export default class MenuScene extends Phaser.Scene {
     this.createButton(centerX, startY + 100, 'Create Game', () => this.createGame());
     this.createButton(centerX, startY + 170, 'Join Game', () => this.showJoinGameInput());
     this.createButton(centerX, startY + 240, 'Demo Mode', () => this.startDemo());
+    this.createButton(centerX, startY + 310, 'Watch Game', () => this.showSpectateInput());
+    
+    if (this.isOnlineMode) {
+      this.createButton(centerX + 320, startY + 100, 'My Stats', () => this.showPlayerStats());
+      this.createButton(centerX + 320, startY + 170, 'My Decks', () => this.choosePlayerDeck());
+    }
+    
+    // A seat saved before a reload can be picked up again
+    if (this.isOnlineMode && this.apiManager.loadSavedSeat()) {
+      this.createButton(centerX + 320, startY, 'Resume Game', () => this.resumeSavedGame());
+    }
     
     // Instructions
     const instructions = this.add.text(centerX, height - 100, 
@@ -196,18 +207,24 @@ export default class MenuScene extends Phaser.Scene {
     
     try {
       if (this.isOnlineMode) {
-        // Create game room via API
-        const response = await this.apiManager.createGame(this.playerName);
+        // Create game room via API; a passcode makes the room private
+        const passcode = prompt('Passcode for a private room (leave empty for a public room):');
+        const chosenProfile = (prompt(`Rules (${GAME_CONFIG.ruleProfiles.join(', ')}):`, GAME_CONFIG.defaultRuleProfile) || '').trim();
+        const ruleProfile = GAME_CONFIG.ruleProfiles.includes(chosenProfile) ? chosenProfile : GAME_CONFIG.defaultRuleProfile;
+        // Ranked games are rated and allow no takebacks; casual games may allow them, the opponent accepts each one
+        const ranked = confirm('Ranked game? (OK = yes, the result changes both ratings)');
+        const takebacks = !ranked && confirm('Allow takebacks? (OK = yes, your opponent accepts each one)') ? 'onRequest' : 'off';
+        const rules = ranked ? { ruleProfile, takebacks, ranked } : { ruleProfile, takebacks };
+        const gameConfig = passcode ? { isPrivate: true, passcode, ...rules } : rules;
+        const response = await this.apiManager.createGame(this.playerName, gameConfig);
         
         if (response.gameId && response.gameEnv) {
-          // For game creator, always use playerId_1
-          const playerId = 'playerId_1';
-          
-          this.gameStateManager.initializeGame(response.gameId, playerId, this.playerName);
+          // Seat assigned by the server (the creator gets the first seat)
+          this.gameStateManager.initializeGame(response.gameId, response.playerId, this.playerName);
           this.gameStateManager.updateGameEnv(response.gameEnv);
           
           this.hideLoadingMessage();
-          this.showConnectionStatus(`🎮 Room created! Game ID: ${response.gameId} (Waiting for player 2...)`);
+          this.showConnectionStatus(`🎮 Room created! Room code: ${response.roomCode} (Waiting for player 2...)`);
           this.scene.start('GameScene', { 
             gameStateManager: this.gameStateManager, 
             apiManager: this.apiManager,
@@ -234,22 +251,24 @@ export default class MenuScene extends Phaser.Scene {
       return;
     }
     
-    const gameId = prompt('Enter Game ID:');
-    if (gameId && gameId.trim()) {
+    const roomCode = prompt(await this.describeOpenRooms() + 'Enter Room Code:');
+    if (roomCode && roomCode.trim()) {
       this.showLoadingMessage('Joining game...');
       
       try {
         if (this.isOnlineMode) {
-          // Join room using new API
-          const playerId = 'playerId_2';
-          const response = await this.apiManager.joinRoom(gameId.trim(), this.playerName);
+          // Join room by code; the server assigns the seat
+          const room = await this.apiManager.getRoom(roomCode.trim());
+          const passcode = room.isPrivate ? prompt('This room is private. Enter passcode:') : undefined;
+          const response = await this.apiManager.joinRoomByCode(room.roomCode, this.playerName, passcode);
+          const gameId = response.gameId;
           
           if (response.gameEnv) {
-            this.gameStateManager.initializeGame(gameId.trim(), playerId, this.playerName);
+            this.gameStateManager.initializeGame(gameId, response.playerId, this.playerName);
             this.gameStateManager.updateGameEnv(response.gameEnv);
             
             this.hideLoadingMessage();
-            this.showConnectionStatus(`🎮 Joined room ${gameId.trim()}! Both players ready.`);
+            this.showConnectionStatus(`🎮 Joined room ${response.roomCode}! Both players ready.`);
             this.scene.start('GameScene', { 
               gameStateManager: this.gameStateManager, 
               apiManager: this.apiManager,
@@ -260,14 +279,149 @@ export default class MenuScene extends Phaser.Scene {
         }
         
         // Fallback to demo mode
-        this.joinOfflineDemoGame(gameId.trim());
+        this.joinOfflineDemoGame(roomCode.trim());
         
       } catch (error) {
         console.error('Failed to join game:', error);
         this.hideLoadingMessage();
         this.showErrorMessage('Failed to join game. Starting demo mode...');
-        setTimeout(() => this.joinOfflineDemoGame(gameId.trim()), 2000);
+        setTimeout(() => this.joinOfflineDemoGame(roomCode.trim()), 2000);
+      }
+    }
+  }
+
+  async resumeSavedGame() {
+    const seat = this.apiManager.loadSavedSeat();
+    if (!seat) {
+      return;
+    }
+    
+    this.showLoadingMessage('Resuming game...');
+    try {
+      const response = await this.apiManager.resumeGame(seat);
+      
+      this.playerName = seat.playerName || this.playerName;
+      this.gameStateManager.initializeGame(response.gameId, response.playerId, this.playerName);
+      this.gameStateManager.restoreFromResume(response);
+      
+      this.hideLoadingMessage();
+      this.scene.start('GameScene', { 
+        gameStateManager: this.gameStateManager, 
+        apiManager: this.apiManager,
+        isOnlineMode: true,
+        isResuming: true
+      });
+    } catch (error) {
+      console.error('Failed to resume game:', error);
+      this.hideLoadingMessage();
+      // The game is gone or the token expired: nothing left to resume
+      if (error.status === 401 || error.status === 403 || error.status === 404) {
+        this.apiManager.clearSavedSeat();
+      }
+      this.showErrorMessage('Could not resume the saved game.');
+    }
+  }
+
+  async showSpectateInput() {
+    const roomCode = prompt('Enter Room Code to watch:');
+    if (!roomCode || !roomCode.trim()) {
+      return;
+    }
+    
+    this.showLoadingMessage('Joining as spectator...');
+    try {
+      const room = await this.apiManager.getRoom(roomCode.trim());
+      const passcode = room.isPrivate ? prompt('This room is private. Enter passcode:') : undefined;
+      const response = await this.apiManager.spectateRoom(room.roomCode, { passcode });
+      
+      this.gameStateManager.initializeSpectator(response.gameId, response.spectatorId, response.sessionToken);
+      this.gameStateManager.updateGameEnv(response.gameEnv);
+      
+      this.hideLoadingMessage();
+      this.scene.start('GameScene', { 
+        gameStateManager: this.gameStateManager, 
+        apiManager: this.apiManager,
+        isOnlineMode: true,
+        isSpectator: true
+      });
+    } catch (error) {
+      console.error('Failed to spectate game:', error);
+      this.hideLoadingMessage();
+      this.showErrorMessage('Could not watch that game.');
+    }
+  }
+
+  async showPlayerStats() {
+    if (!this.playerName) {
+      alert('Please enter your name first');
+      return;
+    }
+    try {
+      const stats = await this.apiManager.getPlayerStats(this.playerName);
+      const rating = await this.apiManager.getRatingHistory(this.playerName, 5);
+      const { players: topPlayers } = await this.apiManager.getLeaderboard({ limit: 5 });
+      const leaders = stats.favouriteLeaders.map(leader => `${leader.name} (${leader.games} games, ${leader.wins} wins)`);
+      const recent = stats.recentGames.map(game => {
+        const ratingChange = game.ratingChange === null ? '' : ` (${game.ratingChange >= 0 ? '+' : ''}${game.ratingChange})`;
+        return `${game.result} vs ${game.opponentName || 'unknown'} - ${game.victoryPoints}:${game.opponentVictoryPoints} VP${ratingChange}`;
+      });
+      alert([
+        `${stats.playerName}: ${stats.gamesPlayed} games`,
+        `${stats.wins} wins, ${stats.losses} losses, ${stats.draws} draws, ${stats.abandoned} abandoned`,
+        stats.winRate === null ? '' : `Win rate: ${Math.round(stats.winRate * 100)}%`,
+        `Rating: ${rating.rating}${rating.provisional ? ' (provisional)' : ''}, ${rating.ratedGames} ranked games`,
+        leaders.length ? `\nFavourite leaders:\n${leaders.join('\n')}` : '',
+        recent.length ? `\nRecent games:\n${recent.join('\n')}` : '',
+        topPlayers.length ? `\nLeaderboard:\n${topPlayers.map(player => `${player.rank}. ${player.playerName} ${player.rating}`).join('\n')}` : ''
+      ].filter(Boolean).join('\n'));
+    } catch (error) {
+      console.error('Failed to load player stats:', error);
+      this.showErrorMessage('Could not load your statistics.');
+    }
+  }
+
+  // Decks are built through the API; the menu lists them and picks the one to play with
+  async choosePlayerDeck() {
+    if (!this.playerName) {
+      alert('Please enter your name first');
+      return;
+    }
+    try {
+      const { activeDeck, decks } = await this.apiManager.getSavedDecks(this.playerName);
+      const lines = Object.values(decks).map(deck =>
+        `${deck.id}${deck.id === activeDeck ? ' (active)' : ''} - ${deck.name}, ${deck.cards.length} cards`
+      );
+      const deckId = (prompt(`Your decks:\n${lines.join('\n')}\n\nDeck to play with:`, activeDeck) || '').trim();
+      if (deckId && deckId !== activeDeck) {
+        await this.apiManager.setActiveDeck(this.playerName, deckId);
+        this.showConnectionStatus(`🃏 Playing with ${decks[deckId] ? decks[deckId].name : deckId}`);
       }
+    } catch (error) {
+      console.error('Failed to choose deck:', error);
+      const ownedByOther = ['PLAYER_NAME_CLAIMED', 'PLAYER_KEY_INVALID'].includes(error.code);
+      this.showErrorMessage(ownedByOther ? 'This name belongs to another player.' : 'Could not change your deck.');
+    }
+  }
+
+  // Short list of open rooms shown above the room code prompt
+  async describeOpenRooms() {
+    if (!this.isOnlineMode) {
+      return '';
+    }
+    try {
+      const { rooms } = await this.apiManager.listRooms();
+      if (!rooms || rooms.length === 0) {
+        return 'No open rooms right now.\n\n';
+      }
+      const lines = rooms.slice(0, 10).map(room => {
+        const deckName = room.deckPreview ? room.deckPreview.deckName : 'Unknown deck';
+        const minutes = Math.floor(room.ageSeconds / 60);
+        return `${room.roomCode}${room.isPrivate ? ' 🔒' : ''} - ${room.creatorName} (${deckName}, ${room.ruleProfile || GAME_CONFIG.defaultRuleProfile} rules${room.ranked ? ', ranked' : ''}, ${minutes}m ago)`;
+      });
+      return `Open rooms:\n${lines.join('\n')}\n\n`;
+    } catch (error) {
+      console.error('Failed to load open rooms:', error);
+      return '';
     }
   }
 
@@ -286,7 +440,7 @@ export default class MenuScene extends Phaser.Scene {
           const gameId = createResponse.gameId;
           
           // Initialize game state for player 1 (the human player in demo)
-          this.gameStateManager.initializeGame(gameId, 'playerId_1', this.playerName);
+          this.gameStateManager.initializeGame(gameId, createResponse.playerId, this.playerName);
           this.gameStateManager.updateGameEnv(createResponse.gameEnv);
           
           console.log('Demo game created with gameId:', gameId);